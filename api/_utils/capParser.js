@@ -0,0 +1,321 @@
+// Shared CAP (Common Alerting Protocol) parser for serverless functions
+// Parses Environment Canada CAP-CP XML into the same alert shape as /api/alerts
+// Node.js compatible (no DOMParser) - CAP files are small and flat enough for tag extraction
+
+// Approximate bounding boxes for Canadian regions (for alerts without explicit geometry)
+const REGION_BOUNDS = {
+  // British Columbia regions
+  'Vancouver Island': { minLon: -128.5, maxLon: -123.0, minLat: 48.3, maxLat: 51.0 },
+  'Lower Mainland': { minLon: -123.5, maxLon: -121.5, minLat: 49.0, maxLat: 49.6 },
+  'Fraser Valley': { minLon: -122.5, maxLon: -121.0, minLat: 49.0, maxLat: 49.5 },
+  'Okanagan': { minLon: -120.5, maxLon: -118.5, minLat: 49.0, maxLat: 50.5 },
+  'Kootenay': { minLon: -118.0, maxLon: -114.5, minLat: 49.0, maxLat: 51.5 },
+  'Cariboo': { minLon: -125.0, maxLon: -120.0, minLat: 51.5, maxLat: 54.0 },
+  'Thompson': { minLon: -122.0, maxLon: -119.0, minLat: 50.0, maxLat: 52.0 },
+  'Peace River': { minLon: -122.0, maxLon: -118.0, minLat: 55.5, maxLat: 60.0 },
+  'Prince George': { minLon: -124.0, maxLon: -121.0, minLat: 53.0, maxLat: 55.0 },
+  'North Coast': { minLon: -133.0, maxLon: -127.0, minLat: 52.0, maxLat: 56.0 },
+  'Bulkley Valley': { minLon: -128.0, maxLon: -125.0, minLat: 53.5, maxLat: 55.5 },
+  'default_bc': { minLon: -139.0, maxLon: -114.0, minLat: 48.3, maxLat: 60.0 },
+
+  // Alberta regions
+  'Calgary': { minLon: -114.5, maxLon: -113.5, minLat: 50.8, maxLat: 51.3 },
+  'Edmonton': { minLon: -114.0, maxLon: -113.0, minLat: 53.3, maxLat: 53.8 },
+  'Banff': { minLon: -116.5, maxLon: -115.0, minLat: 51.0, maxLat: 51.8 },
+  'Jasper': { minLon: -118.5, maxLon: -117.0, minLat: 52.5, maxLat: 53.5 },
+  'Lethbridge': { minLon: -113.0, maxLon: -112.5, minLat: 49.5, maxLat: 50.0 },
+  'Red Deer': { minLon: -114.0, maxLon: -113.5, minLat: 52.0, maxLat: 52.5 },
+  'Grande Prairie': { minLon: -119.0, maxLon: -118.5, minLat: 55.0, maxLat: 55.5 },
+  'Fort McMurray': { minLon: -112.0, maxLon: -111.0, minLat: 56.5, maxLat: 57.0 },
+  'default_ab': { minLon: -120.0, maxLon: -110.0, minLat: 49.0, maxLat: 60.0 }
+};
+
+// EC event names that escalate a warning to EMERGENCY
+const EC_EMERGENCY_EVENTS = ['tornado', 'tsunami', 'hurricane', 'extreme cold', 'extreme heat', 'avalanche'];
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Decode XML entities and unwrap CDATA sections
+ * @param {string} text - Raw XML text content
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(text) {
+  if (!text) return '';
+
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Get the inner XML of every element with the given tag name
+ * Matches tags with or without a namespace prefix (e.g. <cap:info>)
+ * @param {string} xml - XML text to search
+ * @param {string} tag - Local tag name
+ * @returns {string[]} Inner XML of each matching element
+ */
+function getElements(xml, tag) {
+  if (!xml) return [];
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), m => m[1]);
+}
+
+/**
+ * Get the decoded, trimmed text of the first element with the given tag name
+ * @param {string} xml - XML text to search
+ * @param {string} tag - Local tag name
+ * @returns {string} Text content or empty string
+ */
+function getText(xml, tag) {
+  const [inner] = getElements(xml, tag);
+  return inner === undefined ? '' : decodeXmlText(inner).trim();
+}
+
+/**
+ * Create a polygon geometry from bounding box
+ * @param {Object} bounds - { minLon, maxLon, minLat, maxLat }
+ * @returns {Object} GeoJSON Polygon
+ */
+function createBboxPolygon(bounds) {
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [bounds.minLon, bounds.minLat],
+      [bounds.maxLon, bounds.minLat],
+      [bounds.maxLon, bounds.maxLat],
+      [bounds.minLon, bounds.maxLat],
+      [bounds.minLon, bounds.minLat]
+    ]]
+  };
+}
+
+/**
+ * Find the best matching region bounds for an area description
+ * @param {string} areaDesc - CAP areaDesc text
+ * @param {string} province - 'BC' or 'AB'
+ * @returns {Object} Region bounds
+ */
+function findRegionBounds(areaDesc, province = 'BC') {
+  const area = (areaDesc || '').toLowerCase();
+
+  // Check for exact region matches first
+  for (const [regionName, bounds] of Object.entries(REGION_BOUNDS)) {
+    if (!regionName.startsWith('default_') && area.includes(regionName.toLowerCase())) {
+      return bounds;
+    }
+  }
+
+  // Common BC area patterns
+  if (area.includes('vancouver') || area.includes('metro')) return REGION_BOUNDS['Lower Mainland'];
+  if (area.includes('victoria') || area.includes('island')) return REGION_BOUNDS['Vancouver Island'];
+  if (area.includes('kelowna') || area.includes('penticton')) return REGION_BOUNDS['Okanagan'];
+  if (area.includes('kamloops')) return REGION_BOUNDS['Thompson'];
+
+  // Common Alberta area patterns
+  if (area.includes('calgary')) return REGION_BOUNDS['Calgary'];
+  if (area.includes('edmonton')) return REGION_BOUNDS['Edmonton'];
+  if (area.includes('banff') || area.includes('canmore')) return REGION_BOUNDS['Banff'];
+  if (area.includes('jasper')) return REGION_BOUNDS['Jasper'];
+
+  return province === 'AB' ? REGION_BOUNDS['default_ab'] : REGION_BOUNDS['default_bc'];
+}
+
+/**
+ * Parse EC CAP polygon string to GeoJSON polygon
+ * EC CAP format: "lat,lon lat,lon lat,lon ..." (space-separated lat,lon pairs)
+ * @param {string} polygonStr - CAP polygon text
+ * @returns {Object|null} GeoJSON Polygon or null if invalid
+ */
+function parseECPolygon(polygonStr) {
+  if (!polygonStr || typeof polygonStr !== 'string') return null;
+
+  const coordinates = polygonStr.trim().split(/\s+/)
+    .map(pair => {
+      const [lat, lon] = pair.split(',').map(Number);
+      // GeoJSON uses [lon, lat] order
+      return [lon, lat];
+    })
+    .filter(coord => !Number.isNaN(coord[0]) && !Number.isNaN(coord[1]));
+
+  if (coordinates.length < 3) return null;
+
+  // Ensure polygon is closed
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    coordinates.push([...first]);
+  }
+
+  return { type: 'Polygon', coordinates: [coordinates] };
+}
+
+/**
+ * Combine the polygons of several areas into a single geometry
+ * @param {Object[]} geometries - GeoJSON Polygon/MultiPolygon geometries
+ * @returns {Object|null} Single geometry, MultiPolygon, or null
+ */
+function combineGeometries(geometries) {
+  const valid = geometries.filter(Boolean);
+  if (valid.length === 0) return null;
+  if (valid.length === 1) return valid[0];
+
+  return {
+    type: 'MultiPolygon',
+    coordinates: valid.flatMap(g =>
+      g.type === 'MultiPolygon' ? g.coordinates : [g.coordinates]
+    )
+  };
+}
+
+/**
+ * Map EC alert type and event name to our severity levels
+ * @param {string} alertType - EC Alert_Type parameter (warning, watch, advisory, statement)
+ * @param {string} eventName - Event name (e.g. "winter storm warning")
+ * @returns {string} EMERGENCY | WARNING | WATCH | ADVISORY | STATEMENT
+ */
+function mapECSeverity(alertType, eventName) {
+  const event = (eventName || '').toLowerCase();
+  const type = (alertType || '').toLowerCase() ||
+    ['warning', 'watch', 'advisory', 'statement'].find(t => event.includes(t)) || '';
+
+  if (type === 'warning') {
+    return EC_EMERGENCY_EVENTS.some(e => event.includes(e)) ? 'EMERGENCY' : 'WARNING';
+  }
+  if (type === 'watch') return 'WATCH';
+  if (type === 'advisory') return 'ADVISORY';
+  return 'STATEMENT';
+}
+
+/**
+ * Read CAP <parameter> name/value pairs into a plain object
+ * Keys are the last segment of the EC valueName (e.g. "Alert_Type")
+ * @param {string} infoXml - Inner XML of an <info> block
+ * @returns {Object} Parameter values keyed by short name
+ */
+function getParameters(infoXml) {
+  const params = {};
+  for (const param of getElements(infoXml, 'parameter')) {
+    const valueName = getText(param, 'valueName');
+    const key = valueName.split(':').pop();
+    if (key) params[key] = getText(param, 'value');
+  }
+  return params;
+}
+
+/**
+ * Parse a single EC CAP XML document into normalized alerts
+ * Only English info blocks are used; ended and past alerts are returned
+ * with msgType "Cancel" so the lifecycle store can remove them.
+ * @param {string} xmlText - CAP XML document
+ * @param {string} province - 'BC' or 'AB'
+ * @returns {Object[]} Alerts in the /api/alerts shape
+ */
+function parseECCAPFile(xmlText, province = 'BC') {
+  if (!xmlText || typeof xmlText !== 'string') return [];
+
+  const [alertXml] = getElements(xmlText, 'alert');
+  if (alertXml === undefined) return [];
+
+  const identifier = getText(alertXml, 'identifier');
+  const sent = getText(alertXml, 'sent');
+  if (!identifier) return [];
+
+  // Lifecycle fields: Update/Cancel messages reference the messages they replace
+  const msgType = getText(alertXml, 'msgType') || 'Alert';
+  const references = getText(alertXml, 'references');
+
+  const alerts = [];
+  const infos = getElements(alertXml, 'info');
+
+  infos.forEach(info => {
+    const language = getText(info, 'language');
+    if (!language.toLowerCase().startsWith('en')) return;
+
+    const urgency = getText(info, 'urgency');
+    const headline = getText(info, 'headline');
+    const params = getParameters(info);
+    const locationStatus = (params.Alert_Location_Status || 'active').toLowerCase();
+
+    // EC ends an alert with an Update marked past/ended; report it as a
+    // cancellation so clients drop the whole chain instead of keeping the original
+    const ended = urgency === 'Past' || locationStatus === 'ended' || headline.toLowerCase().includes('ended');
+
+    let eventName = getText(info, 'event') || params.Alert_Name || '';
+    if (!eventName) {
+      eventName = headline.split(' in effect')[0].split(' issued')[0].trim();
+    }
+
+    const effective = getText(info, 'effective') || sent;
+    const onset = getText(info, 'onset') || effective;
+    const expires = getText(info, 'expires');
+    const severity = mapECSeverity(params.Alert_Type, eventName);
+    const description = getText(info, 'description').replace(/###/g, '').trim();
+
+    getElements(info, 'area').forEach((area, areaIdx) => {
+      const areaDesc = getText(area, 'areaDesc') || province;
+      const geometry = combineGeometries(getElements(area, 'polygon').map(p => parseECPolygon(decodeXmlText(p))))
+        || createBboxPolygon(findRegionBounds(areaDesc, province));
+
+      alerts.push({
+        id: `${identifier}-${areaIdx}`,
+        identifier,
+        msgType: ended ? 'Cancel' : msgType,
+        references,
+        event: eventName || 'Weather Alert',
+        headline,
+        description,
+        instruction: getText(info, 'instruction'),
+        severity,
+        nwsSeverity: getText(info, 'severity') || severity,
+        urgency: urgency || 'Expected',
+        certainty: getText(info, 'certainty') || 'Likely',
+        effective,
+        onset,
+        expires,
+        ends: expires,
+        sent,
+        areaDesc: `${areaDesc}, ${province}`,
+        affectedZones: [],
+        geocode: {},
+        ugcCodes: [],
+        sameCodes: [],
+        senderName: 'Environment Canada',
+        geometry,
+        isCanadian: true,
+        province,
+        measurementSystem: 'metric'
+      });
+    });
+  });
+
+  return alerts;
+}
+
+export {
+  REGION_BOUNDS,
+  decodeXmlText,
+  getElements,
+  getText,
+  createBboxPolygon,
+  findRegionBounds,
+  parseECPolygon,
+  combineGeometries,
+  mapECSeverity,
+  parseECCAPFile
+};
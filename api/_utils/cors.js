@@ -111,4 +111,4 @@ export function createErrorResponse(error, userMessage) {
   return response;
 }
 
-export { ALLOWED_ORIGINS, DEV_ORIGINS };
+export { ALLOWED_ORIGINS, DEV_ORIGINS, isOriginAllowed };
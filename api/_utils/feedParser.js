@@ -0,0 +1,235 @@
+// Bulletin feed parser for /api/news
+// Normalizes RSS 2.0, Atom (including EC's warning feeds), CAP alerts and NWS
+// text products into the NewsCard shape:
+//   { id, title, summary, source, timestamp, category, urgent, url }
+// Node.js compatible (no DOMParser) - reuses the CAP parser's tag extraction
+
+import process from 'node:process';
+import { decodeXmlText, getElements, getText } from './capParser.js';
+
+const NWS_PRODUCTS_URL = 'https://api.weather.gov/products';
+
+// Default sources: NWS Area Forecast Discussions for the four PNW offices and
+// Environment Canada warning/statement feeds for Metro Vancouver and Victoria.
+// Tribal emergency management feeds are added with NEWS_FEEDS.
+const DEFAULT_NEWS_SOURCES = [
+  ...[
+    ['SEW', 'NWS Seattle'],
+    ['PQR', 'NWS Portland'],
+    ['OTX', 'NWS Spokane'],
+    ['PDT', 'NWS Pendleton']
+  ].map(([office, name]) => ({
+    id: `nws-afd-${office.toLowerCase()}`,
+    name,
+    url: `${NWS_PRODUCTS_URL}/types/AFD/locations/${office}`,
+    format: 'nws-product',
+    category: 'weather',
+    link: `https://forecast.weather.gov/product.php?site=${office}&issuedby=${office}&product=AFD`
+  })),
+  {
+    id: 'ec-bc-vancouver',
+    name: 'Environment Canada',
+    url: 'https://weather.gc.ca/rss/warning/bc-74_e.xml',
+    category: 'weather'
+  },
+  {
+    id: 'ec-bc-victoria',
+    name: 'Environment Canada',
+    url: 'https://weather.gc.ca/rss/warning/bc-85_e.xml',
+    category: 'weather'
+  }
+];
+
+const CATEGORIES = ['weather', 'flood', 'community'];
+
+// Bulletins about rivers and flooding go under 'flood' whatever their source
+const FLOOD_PATTERN = /\b(flood\w*|freshet|high (?:water|streamflow)|river (?:level|forecast|warning)s?|atmospheric river|sandbag\w*|levee)\b/i;
+
+// Titles that mark a bulletin as urgent
+const URGENT_PATTERN = /\b(warnings?|emergency|evacuat\w*|shelter in place|tsunami|tornado)\b/i;
+
+// CAP urgency and severity values that mark a bulletin as urgent
+const URGENT_CAP_URGENCY = ['immediate', 'expected'];
+const URGENT_CAP_SEVERITY = ['extreme', 'severe'];
+
+// EC feeds carry a placeholder entry when nothing is in effect
+const NO_BULLETIN_PATTERN = /^no watches or warnings in effect/i;
+
+const SUMMARY_LENGTH = 280;
+
+/**
+ * Sources to aggregate: the defaults plus any configured in NEWS_FEEDS
+ * NEWS_FEEDS is a JSON array of { id, name, url, category?, format? }; invalid
+ * entries are skipped so a typo can't take the page down.
+ * @param {string} [feedsJson] - NEWS_FEEDS value
+ * @returns {Object[]} Sources
+ */
+function getNewsSources(feedsJson = process.env.NEWS_FEEDS) {
+  if (!feedsJson) return DEFAULT_NEWS_SOURCES;
+
+  let configured;
+  try {
+    configured = JSON.parse(feedsJson);
+  } catch {
+    return DEFAULT_NEWS_SOURCES;
+  }
+  if (!Array.isArray(configured)) return DEFAULT_NEWS_SOURCES;
+
+  const extra = configured
+    .filter(source => source?.id && source.name && /^https:\/\//.test(source.url))
+    .map(source => ({
+      id: String(source.id),
+      name: String(source.name),
+      url: source.url,
+      format: source.format === 'nws-product' ? source.format : undefined,
+      category: CATEGORIES.includes(source.category) ? source.category : 'community'
+    }));
+
+  const ids = new Set(extra.map(source => source.id));
+  return [...DEFAULT_NEWS_SOURCES.filter(source => !ids.has(source.id)), ...extra];
+}
+
+/**
+ * Strip markup and collapse whitespace, shortening to a card summary
+ * @param {string} html - Decoded text or HTML
+ * @param {number} [length] - Maximum length
+ * @returns {string} Plain text
+ */
+function toPlainText(html, length = SUMMARY_LENGTH) {
+  const text = decodeXmlText(
+    (html || '').replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ' ')
+  ).replace(/\s+/g, ' ').trim();
+
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+// Href of the first alternate (or untyped) Atom link
+function getAtomLink(entryXml) {
+  const links = Array.from(entryXml.matchAll(/<(?:[\w-]+:)?link\b([^>]*)\/?>/g), m => m[1]);
+  const link = links.find(attrs => !/rel="(?!alternate")/.test(attrs)) || links[0];
+  const href = link?.match(/href="([^"]*)"/)?.[1];
+  return href ? decodeXmlText(href) : '';
+}
+
+function toIsoDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse RSS items, Atom entries or CAP alerts into raw bulletins
+ * @param {string} xml - Feed document
+ * @returns {Object[]} { guid, title, summary, url, timestamp, urgency, severity }
+ */
+function parseFeed(xml) {
+  if (/<(?:[\w-]+:)?feed[\s>]/.test(xml)) {
+    return getElements(xml, 'entry').map(entry => ({
+      guid: getText(entry, 'id'),
+      title: getText(entry, 'title'),
+      summary: getText(entry, 'summary') || getText(entry, 'content'),
+      url: getAtomLink(entry),
+      timestamp: toIsoDate(getText(entry, 'updated') || getText(entry, 'published')),
+      // CAP-over-Atom feeds (e.g. NWS alerts) carry cap:urgency/cap:severity
+      urgency: getText(entry, 'urgency'),
+      severity: getText(entry, 'severity')
+    }));
+  }
+
+  if (/<(?:[\w-]+:)?rss[\s>]/.test(xml) || /<(?:[\w-]+:)?channel[\s>]/.test(xml)) {
+    return getElements(xml, 'item').map(item => ({
+      guid: getText(item, 'guid'),
+      title: getText(item, 'title'),
+      summary: getText(item, 'description') || getText(item, 'encoded'),
+      url: getText(item, 'link'),
+      timestamp: toIsoDate(getText(item, 'pubDate') || getText(item, 'date'))
+    }));
+  }
+
+  return getElements(xml, 'alert').flatMap(alert => {
+    const identifier = getText(alert, 'identifier');
+    const sent = toIsoDate(getText(alert, 'sent'));
+    // First English info block (CAP-CP alerts repeat each in French)
+    const infos = getElements(alert, 'info');
+    const info = infos.find(block => /^en/i.test(getText(block, 'language'))) || infos[0];
+    if (!info) return [];
+
+    return [{
+      guid: identifier,
+      title: getText(info, 'headline') || getText(info, 'event'),
+      summary: getText(info, 'description'),
+      url: getText(info, 'web'),
+      timestamp: sent,
+      urgency: getText(info, 'urgency'),
+      severity: getText(info, 'severity')
+    }];
+  });
+}
+
+/**
+ * Pull the synopsis out of an NWS text product (Area Forecast Discussion)
+ * @param {string} productText - Raw product text
+ * @returns {string} Synopsis, or the start of the product
+ */
+function getProductSynopsis(productText) {
+  const text = productText || '';
+  const synopsis = text.match(/^\.(?:SYNOPSIS|KEY MESSAGES|OVERVIEW)[.\s]*([\s\S]*?)(?:^&&|^\.[A-Z][A-Z /]+\.{3})/m);
+  return synopsis ? synopsis[1] : text.split(/\n\s*\n/).slice(2).join(' ');
+}
+
+/**
+ * Normalize a raw bulletin to the NewsCard shape
+ * @param {Object} entry - Bulletin from parseFeed (or an NWS product)
+ * @param {Object} source - Source it came from
+ * @returns {Object|null} News item, or null for placeholders and undated entries
+ */
+function normalizeNewsItem(entry, source) {
+  const title = toPlainText(entry.title, 200);
+  if (!title || NO_BULLETIN_PATTERN.test(title) || !entry.timestamp) return null;
+
+  const summary = toPlainText(entry.summary);
+  const capUrgent = URGENT_CAP_URGENCY.includes(entry.urgency?.toLowerCase())
+    && URGENT_CAP_SEVERITY.includes(entry.severity?.toLowerCase());
+
+  return {
+    id: `${source.id}:${entry.guid || entry.url || title}`,
+    title,
+    summary,
+    source: source.name,
+    timestamp: entry.timestamp,
+    category: FLOOD_PATTERN.test(`${title} ${summary}`) ? 'flood' : source.category || 'weather',
+    urgent: capUrgent || URGENT_PATTERN.test(title),
+    url: entry.url || source.link || null
+  };
+}
+
+// Same link, or same title from the same publisher
+const dedupeKey = (item) => item.url || `${item.source}|${item.title.toLowerCase()}`;
+
+/**
+ * Drop repeated bulletins (keeping the newest) and sort newest first
+ * @param {Object[]} items - News items
+ * @returns {Object[]} Unique items
+ */
+function dedupeNewsItems(items) {
+  const byKey = new Map();
+  items.forEach(item => {
+    const key = dedupeKey(item);
+    const existing = byKey.get(key);
+    if (!existing || existing.timestamp < item.timestamp) byKey.set(key, item);
+  });
+
+  return [...byKey.values()].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+export {
+  NWS_PRODUCTS_URL,
+  DEFAULT_NEWS_SOURCES,
+  getNewsSources,
+  toPlainText,
+  parseFeed,
+  getProductSynopsis,
+  normalizeNewsItem,
+  dedupeNewsItems
+};
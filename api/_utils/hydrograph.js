@@ -0,0 +1,100 @@
+// NWPS hydrograph shaping for /api/rivers/:lid
+// Turns a gauge's metadata and stageflow series into observed and forecast
+// stage, flood category thresholds and the predicted crest
+
+// NWPS marks missing values with large negatives (-999, -9999)
+const MISSING_VALUE = -900;
+
+// Observed history returned with the forecast
+const OBSERVED_HOURS = 72;
+
+// Highest category first
+const FLOOD_CATEGORIES = ['major', 'moderate', 'minor', 'action'];
+
+const toValue = (value) => (typeof value === 'number' && value > MISSING_VALUE ? value : null);
+
+/**
+ * Stage thresholds of each flood category (null when the gauge has none)
+ * @param {Object} gauge - NWPS /gauges/{lid} response
+ * @returns {Object} { action, minor, moderate, major }
+ */
+function getFloodThresholds(gauge) {
+  const categories = gauge?.flood?.categories || {};
+  return Object.fromEntries(
+    [...FLOOD_CATEGORIES].reverse().map(category => [category, toValue(categories[category]?.stage)])
+  );
+}
+
+/**
+ * Flood category of a stage against the thresholds
+ * @param {number|null} stage - Stage
+ * @param {Object} thresholds - From getFloodThresholds
+ * @returns {string} Category, 'no_flooding' below action, or 'not_defined'
+ */
+function getStageCategory(stage, thresholds) {
+  if (stage === null || FLOOD_CATEGORIES.every(category => thresholds[category] === null)) {
+    return 'not_defined';
+  }
+  return FLOOD_CATEGORIES.find(category => thresholds[category] !== null && stage >= thresholds[category])
+    || 'no_flooding';
+}
+
+// NWPS stageflow series -> [{ time, stage, flow }], oldest first
+function toSeries(series) {
+  return (series?.data || [])
+    .map(point => ({
+      time: point.validTime,
+      stage: toValue(point.primary),
+      flow: toValue(point.secondary)
+    }))
+    .filter(point => point.time && point.stage !== null)
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Highest forecast stage and when it is expected
+ * @param {Object[]} forecast - Forecast series
+ * @param {Object} thresholds - Flood thresholds
+ * @returns {Object|null} { time, stage, category }
+ */
+function findCrest(forecast, thresholds) {
+  if (forecast.length === 0) return null;
+  const crest = forecast.reduce((max, point) => (point.stage > max.stage ? point : max));
+  return { time: crest.time, stage: crest.stage, category: getStageCategory(crest.stage, thresholds) };
+}
+
+/**
+ * Build the hydrograph returned by /api/rivers/:lid
+ * @param {Object} gauge - NWPS /gauges/{lid} response
+ * @param {Object} stageflow - NWPS /gauges/{lid}/stageflow response
+ * @param {Date} [now] - Current time (limits the observed history)
+ * @returns {Object} { id, name, state, unit, flowUnit, thresholds, observed, forecast, forecastIssued, crest }
+ */
+function buildHydrograph(gauge, stageflow, now = new Date()) {
+  const thresholds = getFloodThresholds(gauge);
+  const since = new Date(now.getTime() - OBSERVED_HOURS * 60 * 60 * 1000).toISOString();
+  const observed = toSeries(stageflow?.observed).filter(point => point.time >= since);
+  const forecast = toSeries(stageflow?.forecast);
+
+  return {
+    id: gauge.lid,
+    name: gauge.name,
+    state: gauge.state?.abbreviation,
+    unit: stageflow?.observed?.primaryUnits || stageflow?.forecast?.primaryUnits || gauge.flood?.stageUnits || 'ft',
+    flowUnit: stageflow?.observed?.secondaryUnits || stageflow?.forecast?.secondaryUnits || gauge.flood?.flowUnits || null,
+    thresholds,
+    observed,
+    forecast,
+    forecastIssued: stageflow?.forecast?.issuedTime || null,
+    crest: findCrest(forecast, thresholds)
+  };
+}
+
+export {
+  OBSERVED_HOURS,
+  FLOOD_CATEGORIES,
+  getFloodThresholds,
+  getStageCategory,
+  findCrest,
+  buildHydrograph
+};
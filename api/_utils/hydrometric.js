@@ -0,0 +1,99 @@
+// Water Survey of Canada hydrometric stations for /api/rivers
+// Latest real-time water level and discharge at key BC and Alberta river
+// stations from the MSC GeoMet OGC API, in the same gauge shape as NWPS.
+// WSC publishes no flood categories, so stations are 'not_defined'.
+
+import { normalizeStage, normalizeFlow } from '../../src/utils/units.js';
+
+const WSC_REALTIME_URL = 'https://api.weather.gc.ca/collections/hydrometric-realtime/items';
+
+// Provinces covered by WSC_STATIONS
+const WSC_PROVINCES = ['BC', 'AB'];
+
+// Mainstem stations on the Fraser, Skeena, Nass and Bow systems
+const WSC_STATIONS = [
+  { id: '08MH024', river: 'Fraser', province: 'BC' },  // at Mission
+  { id: '08MF005', river: 'Fraser', province: 'BC' },  // at Hope
+  { id: '08MC018', river: 'Fraser', province: 'BC' },  // near Marguerite
+  { id: '08KB001', river: 'Fraser', province: 'BC' },  // at Shelley
+  { id: '08LF051', river: 'Thompson', province: 'BC' }, // near Spences Bridge
+  { id: '08EF001', river: 'Skeena', province: 'BC' },  // at Usk
+  { id: '08EB005', river: 'Skeena', province: 'BC' },  // above Babine River near Hazelton
+  { id: '08EE004', river: 'Bulkley', province: 'BC' }, // at Quick
+  { id: '08DB001', river: 'Nass', province: 'BC' },    // above Shumal Creek
+  { id: '05BB001', river: 'Bow', province: 'AB' },     // at Banff
+  { id: '05BH004', river: 'Bow', province: 'AB' },     // at Calgary
+  { id: '05BJ004', river: 'Elbow', province: 'AB' }    // at Bragg Creek
+];
+
+// Units reported by WSC
+const WSC_LEVEL_UNIT = 'm';
+const WSC_FLOW_UNIT = 'm³/s';
+
+// Latest reading at one station
+function getStationUrl(stationId) {
+  return `${WSC_REALTIME_URL}?f=json&STATION_NUMBER=${stationId}&sortby=-DATETIME&limit=1`;
+}
+
+// "FRASER RIVER AT HOPE" -> "Fraser River at Hope"
+function formatStationName(name = '') {
+  return name
+    .toLowerCase()
+    .replace(/\b[a-z]/g, letter => letter.toUpperCase())
+    .replace(/\b(At|Near|Above|Below|Of|And)\b/g, word => word.toLowerCase());
+}
+
+/**
+ * Normalize a WSC real-time reading into the /api/rivers gauge shape
+ * Level and flow are converted to ft and kcfs like NWPS, with the metric
+ * reading kept in observed.original.
+ * @param {Object} feature - GeoJSON feature from hydrometric-realtime
+ * @returns {Object|null} Gauge, or null without a location
+ */
+function normalizeWSCStation(feature) {
+  const props = feature?.properties || {};
+  const [lng, lat] = feature?.geometry?.coordinates || [];
+  if (!props.STATION_NUMBER || typeof lat !== 'number' || typeof lng !== 'number') return null;
+
+  const level = normalizeStage(props.LEVEL, WSC_LEVEL_UNIT);
+  const flow = normalizeFlow(props.DISCHARGE, WSC_FLOW_UNIT);
+
+  return {
+    id: props.STATION_NUMBER,
+    name: formatStationName(props.STATION_NAME),
+    state: props.PROV_TERR_STATE_LOC,
+    lat,
+    lng,
+    observed: {
+      level: level?.value ?? null,
+      unit: level?.unit ?? 'ft',
+      flow: flow?.value ?? null,
+      flowUnit: flow?.unit ?? 'kcfs',
+      floodCategory: 'not_defined',
+      validTime: props.DATETIME,
+      original: {
+        level: level?.original.value ?? null,
+        unit: WSC_LEVEL_UNIT,
+        flow: flow?.original.value ?? null,
+        flowUnit: WSC_FLOW_UNIT
+      }
+    },
+    forecast: {
+      level: null,
+      floodCategory: 'not_defined'
+    },
+    wfo: null,
+    rfc: null,
+    downstreamLid: null,
+    source: 'WSC'
+  };
+}
+
+export {
+  WSC_REALTIME_URL,
+  WSC_PROVINCES,
+  WSC_STATIONS,
+  getStationUrl,
+  formatStationName,
+  normalizeWSCStation
+};
@@ -93,11 +93,21 @@ const createLogger = (context) => ({
 // Pre-configured loggers for API contexts
 const alertsLogger = createLogger('API:Alerts');
 const riversLogger = createLogger('API:Rivers');
+const ecAlertsLogger = createLogger('API:ECAlerts');
+const pushLogger = createLogger('API:Push');
+const telemetryLogger = createLogger('API:Telemetry');
+const newsLogger = createLogger('API:News');
+const usgsLogger = createLogger('API:USGS');
 
 // Named contexts for consistency
 const LogContext = {
   API_ALERTS: 'API:Alerts',
   API_RIVERS: 'API:Rivers',
+  API_EC_ALERTS: 'API:ECAlerts',
+  API_PUSH: 'API:Push',
+  API_TELEMETRY: 'API:Telemetry',
+  API_NEWS: 'API:News',
+  API_USGS: 'API:USGS',
   API_CACHE: 'API:Cache'
 };
 
@@ -105,6 +115,11 @@ export {
   createLogger,
   alertsLogger,
   riversLogger,
+  ecAlertsLogger,
+  pushLogger,
+  telemetryLogger,
+  newsLogger,
+  usgsLogger,
   LogContext,
   LOG_LEVELS
 };
@@ -0,0 +1,219 @@
+// Push fan-out for the scheduled dispatch job (api/push-dispatch.js)
+// Diffs the current alert set against the last run and pushes new or
+// escalated alerts to subscriptions whose Nations or regions they affect
+
+import { geometryOverlap, pointInGeometry } from '../../src/utils/geometry.js';
+import { mapWithConcurrency } from '../../src/utils/concurrency.js';
+import { parseReferences } from '../../src/utils/capReferences.js';
+import { getTribalFeature } from './tribalLands.js';
+import { URGENCY } from './webPush.js';
+import { pushLogger as logger } from './logger.js';
+
+const STATE_KEY = 'dispatch';
+
+// Messages not seen for this long are forgotten
+const STATE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const SEND_CONCURRENCY = 10;
+
+// Higher rank = more severe
+const SEVERITY_RANK = { STATEMENT: 0, ADVISORY: 1, WATCH: 2, WARNING: 3, EMERGENCY: 4 };
+
+const PUSH_REGIONS = ['WA', 'OR', 'ID', 'BC', 'AB'];
+
+/**
+ * States/provinces an alert applies to
+ * @param {Object} alert - Alert from /api/alerts or /api/ec-alerts
+ * @returns {string[]} Region codes
+ */
+function getAlertRegions(alert) {
+  if (alert.province) return [alert.province];
+
+  const regions = (alert.ugcCodes || []).map(code => code.slice(0, 2));
+  return [...new Set(regions)].filter(region => PUSH_REGIONS.includes(region));
+}
+
+/**
+ * Compare alerts with the previous run
+ * Without a previous run every alert is recorded as a silent baseline
+ * @param {Object[]} alerts - Current alerts (EC alerts have one entry per area)
+ * @param {Object|null} previous - { [messageId]: { rank, root, seen } }
+ * @param {number} now - Current time in ms
+ * @returns {Object} { changes: [{ id, root, kind, severity, entries }], messages }
+ */
+function diffAlerts(alerts, previous, now = Date.now()) {
+  const messages = {};
+  for (const [id, entry] of Object.entries(previous || {})) {
+    if (now - entry.seen <= STATE_RETENTION_MS) messages[id] = entry;
+  }
+
+  const grouped = new Map();
+  for (const alert of alerts) {
+    if (alert.msgType?.toLowerCase() === 'cancel') continue;
+
+    const id = alert.identifier || alert.id;
+    if (!id) continue;
+    if (!grouped.has(id)) grouped.set(id, []);
+    grouped.get(id).push(alert);
+  }
+
+  const changes = [];
+  for (const [id, entries] of grouped) {
+    const references = parseReferences(entries[0].references);
+    const prior = [id, ...references].map(ref => messages[ref]).filter(Boolean);
+
+    const rank = Math.max(...entries.map(e => SEVERITY_RANK[e.severity] ?? 0));
+    const previousRank = prior.length > 0 ? Math.max(...prior.map(p => p.rank)) : null;
+    const root = prior.find(p => p.root)?.root || references[0] || id;
+
+    if (previous) {
+      if (previousRank == null) {
+        changes.push({ id, root, kind: 'new', severity: entries[0].severity, entries });
+      } else if (rank > previousRank) {
+        changes.push({ id, root, kind: 'escalated', severity: entries[0].severity, entries });
+      }
+    }
+
+    messages[id] = { rank: Math.max(rank, previousRank ?? rank), root, seen: now };
+  }
+
+  return { changes, messages };
+}
+
+// Nation matching: polygon overlap with the bundled boundary, else the
+// community center point stored with the subscription
+function alertCoversNation(alert, nation) {
+  if (!alert.geometry) return false;
+
+  const feature = getTribalFeature(nation.id);
+  if (feature) return geometryOverlap(feature.geometry, alert.geometry).intersects;
+
+  if (nation.lat == null || nation.lon == null) return false;
+  return pointInGeometry([nation.lon, nation.lat], alert.geometry);
+}
+
+/**
+ * Nations and regions of a subscription that a change affects
+ * @param {Object} change - Entry from diffAlerts
+ * @param {Object} subscription - Stored subscription record
+ * @returns {Object[]} [{ id, name }]
+ */
+function matchTargets(change, subscription) {
+  const minRank = SEVERITY_RANK[subscription.minSeverity] ?? 0;
+  if ((SEVERITY_RANK[change.severity] ?? 0) < minRank) return [];
+
+  const targets = [];
+
+  for (const nation of subscription.nations || []) {
+    if (change.entries.some(entry => alertCoversNation(entry, nation))) {
+      targets.push({ id: nation.id, name: nation.name });
+    }
+  }
+
+  for (const region of subscription.regions || []) {
+    if (change.entries.some(entry => getAlertRegions(entry).includes(region))) {
+      targets.push({ id: region, name: region });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Build the push payload (same shape as buildNotification in
+ * src/services/notifications.js so the service worker de-duplicates both)
+ * @param {Object} change - Entry from diffAlerts
+ * @param {Object} target - { id, name }
+ * @returns {Object} Notification payload
+ */
+function buildPushPayload(change, target) {
+  const alert = change.entries[0];
+
+  return {
+    title: `${change.kind === 'escalated' ? 'Upgraded: ' : ''}${alert.event} – ${target.name}`,
+    body: alert.headline || alert.areaDesc || '',
+    tag: `${target.id}:${change.root}`,
+    severity: alert.severity,
+    kind: change.kind,
+    alertId: alert.id,
+    communityId: target.id,
+    url: '/',
+    timestamp: Date.parse(alert.sent || alert.effective) || Date.now()
+  };
+}
+
+/**
+ * Run one dispatch: diff, persist the new state, fan out pushes.
+ * State is saved before sending, so a failed run never double-notifies.
+ * @param {Object} options - { store, alerts, send, now }
+ * @returns {Promise<Object>} Run summary
+ */
+async function runDispatch({ store, alerts, send, now = Date.now() }) {
+  const previous = await store.getState(STATE_KEY);
+  const { changes, messages } = diffAlerts(alerts, previous?.messages ?? null, now);
+
+  await store.setState(STATE_KEY, { timestamp: new Date(now).toISOString(), messages });
+
+  const summary = {
+    baseline: !previous,
+    alerts: alerts.length,
+    changes: changes.length,
+    subscriptions: 0,
+    sent: 0,
+    failed: 0,
+    removed: 0
+  };
+
+  if (changes.length === 0) return summary;
+
+  const subscriptions = await store.listSubscriptions();
+  summary.subscriptions = subscriptions.length;
+
+  const deliveries = subscriptions.flatMap(subscription =>
+    changes.flatMap(change =>
+      matchTargets(change, subscription).map(target => ({
+        subscription,
+        payload: buildPushPayload(change, target)
+      }))
+    )
+  );
+
+  const gone = new Set();
+
+  await mapWithConcurrency(deliveries, SEND_CONCURRENCY, async ({ subscription, payload }) => {
+    if (gone.has(subscription.endpoint)) return;
+
+    try {
+      const result = await send(subscription, payload, { urgency: URGENCY[payload.severity] });
+      if (result.ok) {
+        summary.sent++;
+      } else if (result.gone) {
+        gone.add(subscription.endpoint);
+      } else {
+        summary.failed++;
+        logger.warn('Push rejected', { status: result.statusCode });
+      }
+    } catch (err) {
+      summary.failed++;
+      logger.warn('Push failed', { error: err.message });
+    }
+  });
+
+  // Expired subscriptions (404/410 from the push service)
+  for (const endpoint of gone) {
+    if (await store.removeSubscription(endpoint)) summary.removed++;
+  }
+
+  logger.info('Push dispatch complete', summary);
+  return summary;
+}
+
+export {
+  SEVERITY_RANK,
+  PUSH_REGIONS,
+  getAlertRegions,
+  diffAlerts,
+  matchTargets,
+  buildPushPayload,
+  runDispatch
+};
@@ -0,0 +1,342 @@
+// Push subscription store for serverless functions
+// PUSH_STORE=file (default) keeps a JSON file; PUSH_STORE=sqlite uses
+// node:sqlite (Node 22.5+). PUSH_STORE_PATH overrides the file location.
+// PUSH_STORE=kv keeps everything in Redis over the Upstash REST API
+// (Vercel KV or Upstash; KV_REST_API_URL and KV_REST_API_TOKEN).
+//
+// Serverless file systems are ephemeral, so on Vercel or Netlify the file and
+// SQLite stores only run with an explicit PUSH_STORE_PATH on persistent storage;
+// otherwise getPushStore() throws rather than silently losing subscriptions.
+//
+// updateState() is an atomic read-modify-write in every store, for state that
+// concurrent requests change (the telemetry aggregates).
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+const DEFAULT_DIR = path.join(process.cwd(), '.data');
+
+// Kept out of static analysis: node:sqlite is missing before Node 22.5
+const SQLITE_MODULE = 'node:sqlite';
+
+const KV_TIMEOUT_MS = 5000;
+
+// Replaces a value only if it still holds what the caller read (nil reads as '')
+const KV_COMPARE_AND_SET = `
+if (redis.call('GET', KEYS[1]) or '') == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2])
+  return 1
+end
+return 0`;
+const KV_UPDATE_ATTEMPTS = 5;
+
+/**
+ * JSON file store. Writes go to a temp file and are renamed into place so a
+ * crash mid-write never leaves a truncated store. Writes from one process run
+ * one at a time; the store is for single-instance deployments.
+ */
+class FilePushStore {
+  constructor(filePath = path.join(DEFAULT_DIR, 'push-store.json')) {
+    this.filePath = filePath;
+    this.data = null;
+    this.pending = Promise.resolve();
+  }
+
+  // Run a read-modify-write after the ones already queued
+  serialize(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  // Re-read on every call: the API and the dispatch job may be separate processes
+  async load() {
+    try {
+      const stored = JSON.parse(await readFile(this.filePath, 'utf8'));
+      this.data = { subscriptions: stored.subscriptions || {}, state: stored.state || {} };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.data = { subscriptions: {}, state: {} };
+    }
+    return this.data;
+  }
+
+  async persist() {
+    await mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+    await rename(tmpPath, this.filePath);
+  }
+
+  async listSubscriptions() {
+    const { subscriptions } = await this.load();
+    return Object.values(subscriptions);
+  }
+
+  async getSubscription(endpoint) {
+    const { subscriptions } = await this.load();
+    return subscriptions[endpoint] || null;
+  }
+
+  saveSubscription(record) {
+    return this.serialize(async () => {
+      const data = await this.load();
+      data.subscriptions[record.endpoint] = record;
+      await this.persist();
+      return record;
+    });
+  }
+
+  removeSubscription(endpoint) {
+    return this.serialize(async () => {
+      const data = await this.load();
+      if (!data.subscriptions[endpoint]) return false;
+      delete data.subscriptions[endpoint];
+      await this.persist();
+      return true;
+    });
+  }
+
+  async getState(key) {
+    const { state } = await this.load();
+    return state[key] ?? null;
+  }
+
+  setState(key, value) {
+    return this.updateState(key, () => value);
+  }
+
+  /**
+   * Replace a state value with update(current), atomically
+   * @param {string} key - State key
+   * @param {Function} update - (current|null) => new value
+   * @returns {Promise<any>} The new value
+   */
+  updateState(key, update) {
+    return this.serialize(async () => {
+      const data = await this.load();
+      data.state[key] = update(data.state[key] ?? null);
+      await this.persist();
+      return data.state[key];
+    });
+  }
+}
+
+/**
+ * SQLite store (node:sqlite, Node 22.5+)
+ */
+class SqlitePushStore {
+  constructor(filePath = path.join(DEFAULT_DIR, 'push-store.db')) {
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    let sqlite;
+    try {
+      sqlite = await import(/* @vite-ignore */ SQLITE_MODULE);
+    } catch {
+      throw new Error('PUSH_STORE=sqlite needs Node 22.5+ (node:sqlite); use PUSH_STORE=file');
+    }
+
+    await mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(this.filePath);
+    this.db.exec(`
+      PRAGMA busy_timeout = 5000;
+      CREATE TABLE IF NOT EXISTS subscriptions (endpoint TEXT PRIMARY KEY, record TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    `);
+    return this.db;
+  }
+
+  async listSubscriptions() {
+    const db = await this.open();
+    return db.prepare('SELECT record FROM subscriptions').all().map(row => JSON.parse(row.record));
+  }
+
+  async getSubscription(endpoint) {
+    const db = await this.open();
+    const row = db.prepare('SELECT record FROM subscriptions WHERE endpoint = ?').get(endpoint);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async saveSubscription(record) {
+    const db = await this.open();
+    db.prepare('INSERT OR REPLACE INTO subscriptions (endpoint, record) VALUES (?, ?)')
+      .run(record.endpoint, JSON.stringify(record));
+    return record;
+  }
+
+  async removeSubscription(endpoint) {
+    const db = await this.open();
+    const result = db.prepare('DELETE FROM subscriptions WHERE endpoint = ?').run(endpoint);
+    return result.changes > 0;
+  }
+
+  async getState(key) {
+    const db = await this.open();
+    const row = db.prepare('SELECT value FROM state WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async setState(key, value) {
+    const db = await this.open();
+    db.prepare('INSERT OR REPLACE INTO state (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+  }
+
+  async updateState(key, update) {
+    const db = await this.open();
+
+    // IMMEDIATE takes the write lock before the read, so other processes wait
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      const row = db.prepare('SELECT value FROM state WHERE key = ?').get(key);
+      const value = update(row ? JSON.parse(row.value) : null);
+      db.prepare('INSERT OR REPLACE INTO state (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+      db.exec('COMMIT');
+      return value;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+}
+
+/**
+ * Redis store over the Upstash REST API (Vercel KV, Upstash Redis)
+ * Subscriptions live in one hash keyed by endpoint, state values in plain keys
+ */
+class KvPushStore {
+  constructor({ url, token, prefix = 'push' }) {
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.prefix = prefix;
+  }
+
+  async command(...args) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(KV_TIMEOUT_MS)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw new Error(`KV ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+    }
+    return body.result;
+  }
+
+  get subscriptionsKey() {
+    return `${this.prefix}:subscriptions`;
+  }
+
+  stateKey(key) {
+    return `${this.prefix}:state:${key}`;
+  }
+
+  async listSubscriptions() {
+    const records = await this.command('HVALS', this.subscriptionsKey);
+    return (records || []).map(record => JSON.parse(record));
+  }
+
+  async getSubscription(endpoint) {
+    const record = await this.command('HGET', this.subscriptionsKey, endpoint);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async saveSubscription(record) {
+    await this.command('HSET', this.subscriptionsKey, record.endpoint, JSON.stringify(record));
+    return record;
+  }
+
+  async removeSubscription(endpoint) {
+    return (await this.command('HDEL', this.subscriptionsKey, endpoint)) > 0;
+  }
+
+  async getState(key) {
+    const value = await this.command('GET', this.stateKey(key));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async setState(key, value) {
+    await this.command('SET', this.stateKey(key), JSON.stringify(value));
+  }
+
+  // Optimistic: retry when another request changed the value in between
+  async updateState(key, update) {
+    for (let attempt = 0; attempt < KV_UPDATE_ATTEMPTS; attempt++) {
+      const current = await this.command('GET', this.stateKey(key));
+      const value = update(current ? JSON.parse(current) : null);
+      const swapped = await this.command(
+        'EVAL', KV_COMPARE_AND_SET, 1, this.stateKey(key), current ?? '', JSON.stringify(value)
+      );
+      if (swapped === 1) return value;
+    }
+    throw new Error(`KV update of ${key} kept conflicting`);
+  }
+}
+
+// Vercel sets VERCEL; Netlify Functions run on AWS Lambda
+const isServerless = () => Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+function createPushStore() {
+  const type = process.env.PUSH_STORE || 'file';
+
+  if (type === 'kv') {
+    const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+    if (!url || !token) {
+      throw new Error('PUSH_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+    }
+    return new KvPushStore({ url, token });
+  }
+
+  if (type !== 'file' && type !== 'sqlite') {
+    throw new Error(`Unknown PUSH_STORE "${type}"; use file, sqlite or kv`);
+  }
+
+  const filePath = process.env.PUSH_STORE_PATH || undefined;
+  if (!filePath && isServerless()) {
+    throw new Error(`PUSH_STORE=${type} is not persistent on serverless hosts; set PUSH_STORE=kv or a persistent PUSH_STORE_PATH`);
+  }
+
+  return type === 'sqlite' ? new SqlitePushStore(filePath) : new FilePushStore(filePath);
+}
+
+// One store per cold start
+let pushStore = null;
+
+/**
+ * Get the configured store
+ * @returns {FilePushStore|SqlitePushStore|KvPushStore}
+ * @throws {Error} When no persistent store is configured on a serverless host
+ */
+function getPushStore() {
+  if (!pushStore) pushStore = createPushStore();
+  return pushStore;
+}
+
+/**
+ * Whether getPushStore() can return a store (serverless hosts need
+ * PUSH_STORE=kv or a persistent PUSH_STORE_PATH)
+ * @returns {boolean}
+ */
+function isPushStoreConfigured() {
+  if (pushStore) return true;
+  return process.env.PUSH_STORE === 'kv' || Boolean(process.env.PUSH_STORE_PATH) || !isServerless();
+}
+
+/**
+ * Replace the store (tests)
+ * @param {Object|null} store - Store instance, or null to rebuild from env
+ */
+function setPushStore(store) {
+  pushStore = store;
+}
+
+export { FilePushStore, SqlitePushStore, KvPushStore, getPushStore, isPushStoreConfigured, setPushStore };
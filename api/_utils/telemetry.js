@@ -0,0 +1,166 @@
+// Client telemetry aggregation for /api/telemetry
+// Events are folded into hourly buckets (request and error counts plus a
+// bounded latency sample per source, warn/error counts per log context) so
+// the store holds aggregates only, never raw events or anything identifying.
+
+import { scrubMessage } from '../../src/utils/scrub.js';
+
+const WINDOW_HOURS = 24;
+const MAX_EVENTS_PER_BATCH = 100;
+// Latency samples kept per source per hour for the p95
+const MAX_LATENCY_SAMPLES = 200;
+// Distinct messages counted per log context per hour
+const MAX_MESSAGES = 20;
+// Distinct sources and log contexts counted per hour (names are client-supplied)
+const MAX_SOURCES = 40;
+const MAX_CONTEXTS = 40;
+const MAX_DURATION_MS = 5 * 60 * 1000;
+
+const NAME_PATTERN = /^[\w:.-]{1,60}$/;
+const LOG_LEVELS = ['warn', 'error'];
+
+/**
+ * Validate one client event, keeping only the fields we aggregate
+ * @param {Object} event - Raw event from the request body
+ * @returns {Object|null} Clean event, or null when invalid
+ */
+function sanitizeEvent(event) {
+  if (event?.type === 'fetch') {
+    const { source, ok, durationMs, status } = event;
+    if (!NAME_PATTERN.test(source) || typeof ok !== 'boolean') return null;
+    if (!Number.isFinite(durationMs) || durationMs < 0 || durationMs > MAX_DURATION_MS) return null;
+    return {
+      type: 'fetch',
+      source,
+      ok,
+      durationMs: Math.round(durationMs),
+      status: Number.isInteger(status) ? status : null
+    };
+  }
+
+  if (event?.type === 'log') {
+    const { level, context, message } = event;
+    if (!LOG_LEVELS.includes(level) || !NAME_PATTERN.test(context)) return null;
+    if (typeof message !== 'string' || !message) return null;
+    return { type: 'log', level, context, message: scrubMessage(message) };
+  }
+
+  return null;
+}
+
+// "2026-10-18T14" - one bucket per UTC hour
+function hourKey(date) {
+  return date.toISOString().slice(0, 13);
+}
+
+/**
+ * Fold events into the stored summary, dropping hours outside the window
+ * @param {Object|null} summary - Stored summary ({ hours })
+ * @param {Object[]} events - Sanitized events
+ * @param {Date} now - Current time
+ * @returns {Object} Updated summary
+ */
+function aggregateEvents(summary, events, now = new Date()) {
+  const oldest = hourKey(new Date(now.getTime() - (WINDOW_HOURS - 1) * 3600000));
+  const hours = Object.fromEntries(
+    Object.entries(summary?.hours || {}).filter(([key]) => key >= oldest)
+  );
+
+  const key = hourKey(now);
+  const bucket = hours[key] || { sources: {}, logs: {} };
+  hours[key] = bucket;
+
+  for (const event of events) {
+    if (event.type === 'fetch') {
+      if (!(event.source in bucket.sources) && Object.keys(bucket.sources).length >= MAX_SOURCES) continue;
+      const stats = bucket.sources[event.source] || { requests: 0, errors: 0, latencies: [] };
+      stats.requests++;
+      if (!event.ok) stats.errors++;
+      stats.latencies.push(event.durationMs);
+      // Keep the most recent samples
+      if (stats.latencies.length > MAX_LATENCY_SAMPLES) stats.latencies.shift();
+      bucket.sources[event.source] = stats;
+    } else {
+      if (!(event.context in bucket.logs) && Object.keys(bucket.logs).length >= MAX_CONTEXTS) continue;
+      const stats = bucket.logs[event.context] || { warn: 0, error: 0, messages: {} };
+      stats[event.level]++;
+      if (event.message in stats.messages || Object.keys(stats.messages).length < MAX_MESSAGES) {
+        stats.messages[event.message] = (stats.messages[event.message] || 0) + 1;
+      }
+      bucket.logs[event.context] = stats;
+    }
+  }
+
+  return { hours, updatedAt: now.toISOString() };
+}
+
+// Nearest-rank percentile
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Per-source error rates and p95 latencies, and log counts per context,
+ * over the whole window
+ * @param {Object|null} summary - Stored summary
+ * @returns {Object} { windowHours, updatedAt, sources, logs }
+ */
+function buildTelemetryReport(summary) {
+  const sources = {};
+  const logs = {};
+
+  for (const bucket of Object.values(summary?.hours || {})) {
+    for (const [source, stats] of Object.entries(bucket.sources)) {
+      const total = sources[source] || { requests: 0, errors: 0, latencies: [] };
+      total.requests += stats.requests;
+      total.errors += stats.errors;
+      total.latencies.push(...stats.latencies);
+      sources[source] = total;
+    }
+    for (const [context, stats] of Object.entries(bucket.logs)) {
+      const total = logs[context] || { warn: 0, error: 0, messages: {} };
+      total.warn += stats.warn;
+      total.error += stats.error;
+      for (const [message, count] of Object.entries(stats.messages)) {
+        total.messages[message] = (total.messages[message] || 0) + count;
+      }
+      logs[context] = total;
+    }
+  }
+
+  return {
+    windowHours: WINDOW_HOURS,
+    updatedAt: summary?.updatedAt || null,
+    sources: Object.entries(sources)
+      .map(([source, { requests, errors, latencies }]) => ({
+        source,
+        requests,
+        errors,
+        errorRate: requests ? errors / requests : 0,
+        p95LatencyMs: percentile(latencies, 95)
+      }))
+      .sort((a, b) => b.errorRate - a.errorRate || b.requests - a.requests),
+    logs: Object.entries(logs)
+      .map(([context, { warn, error, messages }]) => ({
+        context,
+        warn,
+        error,
+        topMessages: Object.entries(messages)
+          .map(([message, count]) => ({ message, count }))
+          .sort((a, b) => b.count - a.count)
+          .slice(0, 5)
+      }))
+      .sort((a, b) => b.error - a.error || b.warn - a.warn)
+  };
+}
+
+export {
+  WINDOW_HOURS,
+  MAX_EVENTS_PER_BATCH,
+  sanitizeEvent,
+  aggregateEvents,
+  percentile,
+  buildTelemetryReport
+};
@@ -0,0 +1,66 @@
+// Bundled Tribal boundary lookup for serverless functions
+// Reads public/data/tribes-pnw.min.geojson so push dispatch can match alerts
+// to Nations by polygon overlap (BC reserves come from a live WFS and are
+// matched by the community center point instead)
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { pushLogger as logger } from './logger.js';
+
+const TRIBAL_LANDS_PATH = path.join(process.cwd(), 'public', 'data', 'tribes-pnw.min.geojson');
+
+// Loaded once per cold start: id -> feature
+let tribalLands = null;
+
+// Same id scheme as src/services/alertMatcher.js getTribalId
+function getTribalId(props = {}) {
+  return props.GEOID || props.CLAB_ID || props.NAME || props.name || 'unknown';
+}
+
+/**
+ * Load the Tribal boundary index (empty if the file is missing or invalid)
+ * @param {string} filePath - GeoJSON path (overridable for tests)
+ * @returns {Map<string, Object>} Tribal id -> GeoJSON feature
+ */
+function loadTribalLands(filePath = TRIBAL_LANDS_PATH) {
+  if (tribalLands) return tribalLands;
+
+  tribalLands = new Map();
+  try {
+    const data = JSON.parse(readFileSync(filePath, 'utf8'));
+    for (const feature of data.features || []) {
+      if (feature.geometry) tribalLands.set(String(getTribalId(feature.properties)), feature);
+    }
+  } catch (err) {
+    logger.warn('Tribal boundaries unavailable, matching by community center', { error: err.message });
+  }
+
+  return tribalLands;
+}
+
+/**
+ * Replace the loaded index (tests)
+ * @param {Object|null} geojson - FeatureCollection, or null to reload from disk
+ */
+function setTribalLands(geojson) {
+  if (!geojson) {
+    tribalLands = null;
+    return;
+  }
+
+  tribalLands = new Map(
+    (geojson.features || []).map(f => [String(getTribalId(f.properties)), f])
+  );
+}
+
+/**
+ * Look up a Tribal feature by id
+ * @param {string} id - Tribal id
+ * @returns {Object|null} GeoJSON feature
+ */
+function getTribalFeature(id) {
+  return loadTribalLands().get(String(id)) || null;
+}
+
+export { getTribalId, loadTribalLands, setTribalLands, getTribalFeature };
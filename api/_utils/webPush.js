@@ -0,0 +1,183 @@
+// Web Push sender for serverless functions (no third-party dependency)
+// Implements VAPID authentication (RFC 8292) and aes128gcm payload
+// encryption (RFC 8291) with node:crypto
+//
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, generate
+// with `npm run push:keys`) and VAPID_SUBJECT (mailto: or https: contact)
+
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import process from 'node:process';
+
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60;
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+
+// Severity -> Web Push Urgency header
+const URGENCY = {
+  EMERGENCY: 'high',
+  WARNING: 'high',
+  WATCH: 'normal',
+  ADVISORY: 'normal',
+  STATEMENT: 'low'
+};
+
+/**
+ * Encode bytes as base64url
+ * @param {Buffer|Uint8Array} buffer - Bytes
+ * @returns {string}
+ */
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Decode base64url (or base64) to bytes
+ * @param {string} value - Encoded string
+ * @returns {Buffer}
+ */
+function fromBase64Url(value) {
+  return Buffer.from(String(value).replace(/\+/g, '-').replace(/\//g, '_'), 'base64url');
+}
+
+/**
+ * Generate a VAPID key pair
+ * @returns {Object} { publicKey, privateKey } base64url (65-byte point, 32-byte scalar)
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey())
+  };
+}
+
+/**
+ * Read the VAPID configuration from the environment
+ * @returns {Object|null} { publicKey, privateKey, subject } or null when unset
+ */
+function getVapidConfig() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+
+  return {
+    publicKey: VAPID_PUBLIC_KEY,
+    privateKey: VAPID_PRIVATE_KEY,
+    subject: VAPID_SUBJECT || 'mailto:alerts@tribalweather.org'
+  };
+}
+
+/**
+ * Build the VAPID Authorization header for a push endpoint
+ * @param {string} endpoint - Push service URL
+ * @param {Object} vapid - { publicKey, privateKey, subject }
+ * @param {number} now - Current time in ms
+ * @returns {string} "vapid t=<jwt>, k=<public key>"
+ */
+function createVapidAuthorization(endpoint, vapid, now = Date.now()) {
+  const publicKey = fromBase64Url(vapid.publicKey);
+  const privateKey = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: toBase64Url(publicKey.subarray(1, 33)),
+      y: toBase64Url(publicKey.subarray(33, 65)),
+      d: toBase64Url(fromBase64Url(vapid.privateKey))
+    },
+    format: 'jwk'
+  });
+
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + JWT_LIFETIME_SECONDS,
+    sub: vapid.subject
+  }));
+
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${vapid.publicKey}`;
+}
+
+/**
+ * Encrypt a payload for a subscription (aes128gcm, single record)
+ * @param {Object} keys - Subscription keys { p256dh, auth }
+ * @param {string|Buffer} payload - Plaintext
+ * @returns {Buffer} Request body
+ */
+function encryptPayload(keys, payload) {
+  const userPublicKey = fromBase64Url(keys.p256dh);
+  const authSecret = fromBase64Url(keys.auth);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const serverPublicKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(userPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // 0x02 marks the last (only) record
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE) {
+    throw new Error('Push payload too large');
+  }
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * Send one push message
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object} payload - JSON payload (notification or { notifications })
+ * @param {Object} options - { vapid, ttl, urgency }
+ * @returns {Promise<Object>} { ok, statusCode, gone } - gone means the subscription expired
+ */
+async function sendPushNotification(subscription, payload, options = {}) {
+  const vapid = options.vapid || getVapidConfig();
+  if (!vapid) throw new Error('VAPID keys are not configured');
+
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': createVapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(options.ttl ?? DEFAULT_TTL_SECONDS),
+      'Urgency': options.urgency || 'normal'
+    },
+    body: encryptPayload(subscription.keys, JSON.stringify(payload))
+  });
+
+  return {
+    ok: response.ok,
+    statusCode: response.status,
+    gone: response.status === 404 || response.status === 410
+  };
+}
+
+export {
+  URGENCY,
+  toBase64Url,
+  fromBase64Url,
+  generateVapidKeys,
+  getVapidConfig,
+  createVapidAuthorization,
+  encryptPayload,
+  sendPushNotification
+};
@@ -1,16 +1,73 @@
 // Vercel Serverless Function: /api/alerts
 // Proxies NWS API for weather alerts with zone geometries
+// Zone geometries resolve from the bundled index (src/utils/zoneIndex.js)
 // Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
 
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
 import { setCorsHeaders, createErrorResponse } from './_utils/cors.js';
 import { alertsLogger as logger } from './_utils/logger.js';
+import {
+  EMPTY_ZONE_INDEX,
+  MAX_ZONE_FETCHES,
+  normalizeZoneIndex,
+  resolveZoneGeometries,
+  combineZoneGeometries
+} from '../src/utils/zoneIndex.js';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
 
 const NWS_BASE_URL = 'https://api.weather.gov';
 const PNW_STATES = ['WA', 'OR', 'ID'];
 
+const REQUEST_HEADERS = {
+  'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)',
+  'Accept': 'application/geo+json'
+};
+
+// Alerts parsed at once (each fetches at most MAX_ZONE_FETCHES zones missing
+// from the bundled index)
+const PARSE_CONCURRENCY = 8;
+
+// Safety bound on pagination.next links followed
+const MAX_PAGES = 10;
+
+const SEVERITY_ORDER = { EMERGENCY: 0, WARNING: 1, WATCH: 2, ADVISORY: 3, STATEMENT: 4 };
+
+const ZONE_INDEX_PATH = path.join(process.cwd(), 'public', 'data', 'nws-zones-pnw.min.json');
+
+// Bundled zone index, read once per cold start
+let zoneIndex = null;
+
 // Cache for zone geometries (in-memory, resets on cold start)
 const zoneCache = new Map();
 
+/**
+ * Load the bundled zone index (empty index if the file is missing or invalid)
+ * @param {string} filePath - Index file path (overridable for tests)
+ * @returns {Object} { generated, zones: { forecast, county, fire } }
+ */
+export function loadZoneIndex(filePath = ZONE_INDEX_PATH) {
+  if (zoneIndex) return zoneIndex;
+
+  try {
+    zoneIndex = normalizeZoneIndex(JSON.parse(readFileSync(filePath, 'utf8')));
+  } catch (err) {
+    logger.warn('Zone index unavailable, falling back to NWS zone API', { error: err.message });
+    zoneIndex = EMPTY_ZONE_INDEX;
+  }
+
+  return zoneIndex;
+}
+
+/**
+ * Replace the loaded index (tests)
+ * @param {Object|null} index - Index object, or null to reload from disk
+ */
+export function setZoneIndex(index) {
+  zoneIndex = index;
+}
+
 // Map NWS severity to our severity levels
 function mapSeverity(nwsSeverity, urgency, certainty, event) {
   // High priority events
@@ -39,12 +96,7 @@ async function fetchZoneGeometry(zoneUrl) {
   }
 
   try {
-    const response = await fetch(zoneUrl, {
-      headers: {
-        'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)',
-        'Accept': 'application/geo+json'
-      }
-    });
+    const response = await fetch(zoneUrl, { headers: REQUEST_HEADERS });
 
     if (!response.ok) return null;
 
@@ -67,32 +119,27 @@ async function parseAlert(feature) {
   const props = feature.properties;
   const affectedZones = props.affectedZones || [];
 
-  // Fetch geometries for all affected zones (limit concurrency)
   let geometry = feature.geometry;
 
-  if (!geometry && affectedZones.length > 0) {
-    // Fetch first zone's geometry as representative
-    const zoneGeometries = await Promise.all(
-      affectedZones.slice(0, 3).map(fetchZoneGeometry)
+  if (!geometry) {
+    // Resolve every affected zone from the bundled index; only a few zones
+    // missing from it (new or renumbered) fall back to the NWS zone API
+    const zoneRefs = affectedZones.length > 0 ? affectedZones : (props.geocode?.UGC || []);
+    const { geometries, missing } = resolveZoneGeometries(loadZoneIndex(), zoneRefs);
+    const fetched = await Promise.all(
+      missing.filter(ref => ref.startsWith('http')).slice(0, MAX_ZONE_FETCHES).map(fetchZoneGeometry)
     );
 
-    // Use first valid geometry or combine into MultiPolygon
-    const validGeoms = zoneGeometries.filter(Boolean);
-    if (validGeoms.length === 1) {
-      geometry = validGeoms[0];
-    } else if (validGeoms.length > 1) {
-      // Combine into MultiPolygon
-      geometry = {
-        type: 'MultiPolygon',
-        coordinates: validGeoms.flatMap(g =>
-          g.type === 'MultiPolygon' ? g.coordinates : [g.coordinates]
-        )
-      };
-    }
+    geometry = combineZoneGeometries([...geometries, ...fetched]);
   }
 
   return {
     id: props.id,
+    // Lifecycle fields: Update/Cancel messages reference the alerts they replace
+    identifier: props.id,
+    msgType: props.messageType || 'Alert',
+    references: (props.references || []).map(ref => ref.identifier).filter(Boolean),
+    sent: props.sent,
     event: props.event,
     headline: props.headline,
     description: props.description,
@@ -115,6 +162,80 @@ async function parseAlert(feature) {
   };
 }
 
+// Fetch every active alert feature, following pagination links
+async function fetchActiveFeatures() {
+  const features = [];
+  let url = `${NWS_BASE_URL}/alerts/active?area=${PNW_STATES.join(',')}`;
+
+  for (let page = 0; url && page < MAX_PAGES; page++) {
+    const response = await fetch(url, { headers: REQUEST_HEADERS });
+
+    if (!response.ok) {
+      throw new Error(`NWS API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    features.push(...(data.features || []));
+
+    const nextUrl = data.pagination?.next;
+    url = nextUrl && nextUrl !== url ? nextUrl : null;
+  }
+
+  return features;
+}
+
+// Dedupe features by alert ID
+function dedupeFeatures(features) {
+  const uniqueIds = new Set();
+  return features.filter(f => {
+    const id = f.properties?.id;
+    if (id && !uniqueIds.has(id)) {
+      uniqueIds.add(id);
+      return true;
+    }
+    return false;
+  });
+}
+
+// Client asked for newline-delimited JSON (?stream=1 or Accept: application/x-ndjson)
+function wantsStream(req) {
+  const { stream } = req.query || {};
+  return stream === '1' || stream === 'true' ||
+    (req.headers?.accept || '').includes('application/x-ndjson');
+}
+
+// Write alerts as NDJSON in completion order so the UI can paint early:
+//   {"type":"meta",...} then one {"type":"alert","alert":{...}} per alert, then {"type":"done",...}
+async function streamAlerts(res, features) {
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.status(200);
+
+  const timestamp = new Date().toISOString();
+  res.write(JSON.stringify({ type: 'meta', total: features.length, timestamp, states: PNW_STATES }) + '\n');
+
+  await mapWithConcurrency(features, PARSE_CONCURRENCY, parseAlert, (alert) => {
+    res.write(JSON.stringify({ type: 'alert', alert }) + '\n');
+  });
+
+  res.write(JSON.stringify({ type: 'done', count: features.length, timestamp }) + '\n');
+  res.end();
+}
+
+/**
+ * Fetch and parse every active PNW alert, most severe first
+ * (also used by the push dispatch job)
+ * @returns {Promise<Object[]>} Parsed alerts
+ */
+export async function loadActiveAlerts() {
+  const features = dedupeFeatures(await fetchActiveFeatures());
+
+  // Parse every alert with zone geometries (bounded concurrency, no cap)
+  const alerts = await mapWithConcurrency(features, PARSE_CONCURRENCY, parseAlert);
+
+  // Sort by severity
+  return alerts.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
 export default async function handler(req, res) {
   // Security headers (H-1: origin whitelist CORS)
   const shouldContinue = setCorsHeaders(req, res, {
@@ -130,42 +251,17 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  try {
-    // Fetch alerts for all PNW states in parallel
-    const url = `${NWS_BASE_URL}/alerts/active?area=${PNW_STATES.join(',')}`;
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)',
-        'Accept': 'application/geo+json'
-      }
-    });
+  let streaming = false;
 
-    if (!response.ok) {
-      throw new Error(`NWS API returned ${response.status}`);
+  try {
+    if (wantsStream(req)) {
+      // Fetch before committing to a 200 so an NWS outage still returns a 5xx
+      const features = dedupeFeatures(await fetchActiveFeatures());
+      streaming = true;
+      return await streamAlerts(res, features);
     }
 
-    const data = await response.json();
-    const features = data.features || [];
-
-    // Dedupe by alert ID and parse with geometries
-    const uniqueIds = new Set();
-    const uniqueFeatures = features.filter(f => {
-      const id = f.properties?.id;
-      if (id && !uniqueIds.has(id)) {
-        uniqueIds.add(id);
-        return true;
-      }
-      return false;
-    });
-
-    // Parse alerts with zone geometries (limit to 20 to avoid timeout)
-    const alerts = await Promise.all(
-      uniqueFeatures.slice(0, 50).map(parseAlert)
-    );
-
-    // Sort by severity
-    const severityOrder = { EMERGENCY: 0, WARNING: 1, WATCH: 2, ADVISORY: 3, STATEMENT: 4 };
-    alerts.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+    const alerts = await loadActiveAlerts();
 
     return res.status(200).json({
       alerts,
@@ -176,6 +272,16 @@ export default async function handler(req, res) {
 
   } catch (error) {
     logger.error('Failed to fetch NWS alerts', error);
+
+    // Headers already sent mid-stream: report the error in-band
+    if (streaming) {
+      res.write(JSON.stringify({ type: 'error', error: 'Failed to fetch weather alerts' }) + '\n');
+      return res.end();
+    }
+
+    // Never let the CDN cache a failure as an empty alert list
+    res.setHeader('Cache-Control', 'no-store');
+
     // H-2: Sanitized error response - hides implementation details in production
     return res.status(500).json(
       createErrorResponse(error, 'Failed to fetch weather alerts')
@@ -1,6 +1,11 @@
 // Vercel Serverless Function: /api/ec-alerts
-// Proxies Environment Canada MSC Datamart for Canadian weather alerts
-// Resolves CORS issues in production
+// Aggregates Environment Canada MSC Datamart CAP alerts for BC and Alberta
+// Returns parsed, deduplicated alerts in the same shape as /api/alerts
+// Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
+
+import { setCorsHeaders, createErrorResponse } from './_utils/cors.js';
+import { ecAlertsLogger as logger } from './_utils/logger.js';
+import { parseECCAPFile } from './_utils/capParser.js';
 
 const EC_DATAMART_BASE = 'https://dd.weather.gc.ca/alerts/cap';
 
@@ -10,21 +15,15 @@ const EC_STATIONS = {
   AB: 'CWNT'   // Edmonton - covers Alberta
 };
 
-// Allowed origins for CORS
-const ALLOWED_ORIGINS = [
-  'https://resplendent-fairy-70d963.netlify.app',
-  'https://indigenousaccess.org',
-  'http://localhost:5173',
-  'http://localhost:3000'
-];
-
-function getCorsOrigin(requestOrigin) {
-  if (ALLOWED_ORIGINS.includes(requestOrigin)) {
-    return requestOrigin;
-  }
-  // Default to first allowed origin if none match
-  return ALLOWED_ORIGINS[0];
-}
+// Number of most recent hour directories to scan per station
+const HOURS_TO_SCAN = 3;
+
+// Upper bound on CAP files fetched per station to stay within function timeout
+const MAX_FILES_PER_STATION = 30;
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)'
+};
 
 // Get today's date in YYYYMMDD format (UTC)
 function getTodayDate() {
@@ -35,29 +34,32 @@ function getTodayDate() {
   return `${year}${month}${day}`;
 }
 
-// Fetch directory listing and parse for subdirectories or files
+// Fetch directory listing HTML
+// Empty string when the folder doesn't exist (no alerts issued yet today),
+// null when the Datamart itself is unreachable
 async function fetchDirectoryListing(url) {
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'SovereignSkies/1.0 (tribal-emergency-alerts)'
-      }
-    });
+    const response = await fetch(url, { headers: REQUEST_HEADERS });
 
     if (!response.ok) {
-      console.warn(`Directory listing failed for ${url}: ${response.status}`);
-      return [];
+      logger.warn('Directory listing failed', { url, status: response.status });
+      return response.status === 404 ? '' : null;
     }
 
-    const html = await response.text();
-    return html;
+    return await response.text();
   } catch (err) {
-    console.error(`Failed to fetch directory: ${url}`, err.message);
-    return '';
+    logger.warn('Failed to fetch directory', { url, error: err.message });
+    return null;
   }
 }
 
-// Parse hour directories from HTML listing
+function datamartUnreachable(station) {
+  const error = new Error(`MSC Datamart unreachable for station ${station}`);
+  error.code = 'DATAMART_UNREACHABLE';
+  return error;
+}
+
+// Parse hour directories from HTML listing (newest first)
 function parseHourDirectories(html) {
   const hourMatches = html.match(/href="(\d{2})\/"/g) || [];
   return hourMatches
@@ -77,85 +79,134 @@ function parseCAPFiles(html) {
 }
 
 // Get latest CAP file URLs for a station
+// Throws DATAMART_UNREACHABLE so an outage isn't mistaken for "no alerts"
 async function getLatestCAPFiles(station, date) {
   const files = [];
   const baseUrl = `${EC_DATAMART_BASE}/${date}/${station}`;
 
-  // Get hour directories
   const dirHtml = await fetchDirectoryListing(`${baseUrl}/`);
+  if (dirHtml === null) throw datamartUnreachable(station);
   if (!dirHtml) return files;
 
   const hours = parseHourDirectories(dirHtml);
   if (hours.length === 0) {
-    console.log(`No CAP hours found for ${station}`);
+    logger.debug('No CAP hours found for station', { station });
     return files;
   }
 
-  // Get the latest 3 hours to catch recent alerts
-  for (const hour of hours.slice(0, 3)) {
-    try {
+  // Scan the latest hours to catch recent alerts
+  const hourListings = await Promise.all(
+    hours.slice(0, HOURS_TO_SCAN).map(async (hour) => {
       const hourUrl = `${baseUrl}/${hour}/`;
       const hourHtml = await fetchDirectoryListing(hourUrl);
-      if (!hourHtml) continue;
+      return parseCAPFiles(hourHtml ?? '').map(filename => `${hourUrl}${filename}`);
+    })
+  );
 
-      const capFiles = parseCAPFiles(hourHtml);
-      for (const filename of capFiles) {
-        files.push(`${hourUrl}${filename}`);
-      }
-    } catch (err) {
-      console.warn(`Error processing hour ${hour} for ${station}:`, err.message);
-    }
+  for (const hourFiles of hourListings) {
+    files.push(...hourFiles);
   }
 
   return files;
 }
 
-// Fetch a CAP file
+// Fetch a CAP file (null on failure)
 async function fetchCAPFile(url) {
   try {
     const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'SovereignSkies/1.0 (tribal-emergency-alerts)',
-        'Accept': 'application/xml'
-      }
+      headers: { ...REQUEST_HEADERS, 'Accept': 'application/xml' }
     });
 
-    if (!response.ok) {
-      return null;
-    }
-
+    if (!response.ok) return null;
     return await response.text();
   } catch (err) {
-    console.error(`Failed to fetch CAP file: ${url}`, err.message);
+    logger.warn('Failed to fetch CAP file', { url, error: err.message });
     return null;
   }
 }
 
+// Fetch and parse all recent CAP files for one province
+async function fetchProvinceAlerts(province, date) {
+  const files = await getLatestCAPFiles(EC_STATIONS[province], date);
+
+  const parsed = await Promise.all(
+    files.slice(0, MAX_FILES_PER_STATION).map(async (url) => {
+      const content = await fetchCAPFile(url);
+      if (!content) return [];
+
+      try {
+        return parseECCAPFile(content, province);
+      } catch (err) {
+        logger.warn('Failed to parse CAP file', { url, error: err.message });
+        return [];
+      }
+    })
+  );
+
+  return { fileCount: files.length, alerts: parsed.flat() };
+}
+
+// Keep the first occurrence of each alert ID
+function dedupeAlerts(alerts) {
+  const seen = new Set();
+  return alerts.filter(alert => {
+    if (!alert.id || seen.has(alert.id)) return false;
+    seen.add(alert.id);
+    return true;
+  });
+}
+
+/**
+ * Fetch and parse BC and AB alerts, most severe first
+ * (also used by the push dispatch job)
+ * @param {string} date - Datamart date folder (YYYYMMDD)
+ * @returns {Promise<Object>} { alerts, files: { BC, AB }, unreachable } - files are
+ *   per-province counts, unreachable lists provinces whose listing failed
+ * @throws {Error} DATAMART_UNREACHABLE when no province could be listed
+ */
+export async function loadCanadianAlerts(date = getTodayDate()) {
+  const provinces = Object.keys(EC_STATIONS);
+  const results = await Promise.allSettled(
+    provinces.map(province => fetchProvinceAlerts(province, date))
+  );
+
+  const unreachable = provinces.filter((_, i) => results[i].status === 'rejected');
+  if (unreachable.length === provinces.length) throw results[0].reason;
+
+  const loaded = results.map(result => result.value ?? { fileCount: 0, alerts: [] });
+  const [bc, ab] = loaded;
+  const alerts = dedupeAlerts(loaded.flatMap(result => result.alerts));
+
+  // Sort by severity
+  const severityOrder = { EMERGENCY: 0, WARNING: 1, WATCH: 2, ADVISORY: 3, STATEMENT: 4 };
+  alerts.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+  return { alerts, files: { BC: bc.fileCount, AB: ab.fileCount }, unreachable };
+}
+
 export default async function handler(req, res) {
-  // CORS headers
-  const origin = req.headers.origin || '';
-  res.setHeader('Access-Control-Allow-Origin', getCorsOrigin(origin));
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // Security headers (H-1: origin whitelist CORS)
+  const shouldContinue = setCorsHeaders(req, res, {
+    allowMethods: 'GET, OPTIONS',
+    allowHeaders: 'Content-Type',
+  });
+  if (!shouldContinue) return; // Preflight handled
+
+  // Cache headers
   res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=30');
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Parse query parameters
-  const { type, station, date, file } = req.query;
+  const { type, station, date, file } = req.query || {};
 
   try {
     const today = date || getTodayDate();
 
     // Type: 'list' - Return list of CAP file URLs
     if (type === 'list') {
-      const stationCode = station || 'CWVR';
+      const stationCode = station || EC_STATIONS.BC;
       const files = await getLatestCAPFiles(stationCode, today);
 
       return res.status(200).json({
@@ -167,8 +218,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Type: 'file' - Fetch a specific CAP file
+    // Type: 'file' - Fetch a specific CAP file (Datamart URLs only)
     if (type === 'file' && file) {
+      if (!file.startsWith(`${EC_DATAMART_BASE}/`)) {
+        return res.status(400).json({ error: 'File must be an MSC Datamart CAP URL' });
+      }
+
       const content = await fetchCAPFile(file);
       if (!content) {
         return res.status(404).json({ error: 'CAP file not found' });
@@ -178,41 +233,29 @@ export default async function handler(req, res) {
       return res.status(200).send(content);
     }
 
-    // Default: Fetch all CAP files for BC and AB, return as array
-    const [bcFiles, abFiles] = await Promise.all([
-      getLatestCAPFiles(EC_STATIONS.BC, today),
-      getLatestCAPFiles(EC_STATIONS.AB, today)
-    ]);
-
-    // Limit to 10 files per region to avoid timeout
-    const allFiles = [
-      ...bcFiles.slice(0, 10).map(f => ({ url: f, province: 'BC' })),
-      ...abFiles.slice(0, 10).map(f => ({ url: f, province: 'AB' }))
-    ];
-
-    // Fetch CAP file contents in parallel (with limit)
-    const capContents = await Promise.all(
-      allFiles.map(async ({ url, province }) => {
-        const content = await fetchCAPFile(url);
-        return content ? { url, province, content } : null;
-      })
-    );
-
-    const validContents = capContents.filter(Boolean);
+    // Default: parsed alerts for BC and AB
+    const { alerts, files, unreachable } = await loadCanadianAlerts(today);
 
     return res.status(200).json({
+      alerts,
+      count: alerts.length,
+      timestamp: new Date().toISOString(),
+      provinces: Object.keys(EC_STATIONS),
       date: today,
-      bcCount: bcFiles.length,
-      abCount: abFiles.length,
-      files: validContents,
-      timestamp: new Date().toISOString()
+      files,
+      unreachable
     });
 
   } catch (error) {
-    console.error('Error fetching EC alerts:', error);
-    return res.status(500).json({
-      error: 'Failed to fetch Canadian alerts',
-      message: error.message
-    });
+    logger.error('Failed to fetch Canadian alerts', error);
+    if (error.code === 'DATAMART_UNREACHABLE') {
+      return res.status(502).json(
+        createErrorResponse(error, 'MSC Datamart unavailable')
+      );
+    }
+    // H-2: Sanitized error response - hides implementation details in production
+    return res.status(500).json(
+      createErrorResponse(error, 'Failed to fetch Canadian alerts')
+    );
   }
 }
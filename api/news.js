@@ -0,0 +1,137 @@
+// Vercel Serverless Function: /api/news
+// Aggregates bulletins for the News page: NWS Area Forecast Discussions,
+// Environment Canada warnings and special weather statements, and any Tribal
+// emergency management RSS/Atom/CAP feeds listed in NEWS_FEEDS
+// Returns normalized, deduplicated items, newest first
+// Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
+
+import { setCorsHeaders, createErrorResponse } from './_utils/cors.js';
+import { newsLogger as logger } from './_utils/logger.js';
+import {
+  NWS_PRODUCTS_URL,
+  getNewsSources,
+  parseFeed,
+  getProductSynopsis,
+  normalizeNewsItem,
+  dedupeNewsItems
+} from './_utils/feedParser.js';
+
+// Aggregated result reused across invocations (resets on cold start)
+const NEWS_CACHE_TTL_MS = 10 * 60 * 1000;
+let newsCache = null;
+
+// Items kept per source and overall, and how far back bulletins go
+const MAX_ITEMS_PER_SOURCE = 10;
+const MAX_ITEMS = 50;
+const MAX_ITEM_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)'
+};
+
+async function fetchOk(url, accept) {
+  const response = await fetch(url, { headers: { ...REQUEST_HEADERS, 'Accept': accept } });
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+  return response;
+}
+
+// Latest NWS text product for an office: the listing, then the product itself
+async function fetchProductEntries(source) {
+  const listing = await (await fetchOk(source.url, 'application/ld+json')).json();
+  const latest = listing['@graph']?.[0];
+  if (!latest) return [];
+
+  const product = await (await fetchOk(`${NWS_PRODUCTS_URL}/${latest.id}`, 'application/ld+json')).json();
+  return [{
+    guid: product.id,
+    title: product.productName || latest.productName,
+    summary: getProductSynopsis(product.productText),
+    url: source.link,
+    timestamp: product.issuanceTime || latest.issuanceTime
+  }];
+}
+
+async function fetchSourceItems(source) {
+  const entries = source.format === 'nws-product'
+    ? await fetchProductEntries(source)
+    : parseFeed(await (await fetchOk(source.url, 'application/atom+xml, application/rss+xml, application/xml')).text());
+
+  return entries
+    .map(entry => normalizeNewsItem(entry, source))
+    .filter(Boolean)
+    .slice(0, MAX_ITEMS_PER_SOURCE);
+}
+
+/**
+ * Fetch every source and merge the results
+ * A failing source is reported in `failed` rather than failing the response.
+ * @returns {Promise<Object>} { items, sources, failed }
+ * @throws {Error} When every source failed
+ */
+export async function loadNews() {
+  const sources = getNewsSources();
+  const results = await Promise.allSettled(sources.map(fetchSourceItems));
+
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      failed.push(sources[i].id);
+      logger.warn('News source failed', { source: sources[i].id, error: result.reason?.message });
+    }
+  });
+  if (failed.length === sources.length) {
+    throw new Error('All news sources failed');
+  }
+
+  const cutoff = new Date(Date.now() - MAX_ITEM_AGE_MS).toISOString();
+  const items = dedupeNewsItems(results.flatMap(result => result.value ?? []))
+    .filter(item => item.timestamp >= cutoff)
+    .slice(0, MAX_ITEMS);
+
+  return { items, sources: sources.map(source => source.id), failed };
+}
+
+/**
+ * Drop the cached aggregate (used by tests)
+ */
+export function clearNewsCache() {
+  newsCache = null;
+}
+
+export default async function handler(req, res) {
+  // Security headers (H-1: origin whitelist CORS)
+  const shouldContinue = setCorsHeaders(req, res, {
+    allowMethods: 'GET, OPTIONS',
+    allowHeaders: 'Content-Type',
+  });
+  if (!shouldContinue) return; // Preflight handled
+
+  // Cache headers
+  res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=300');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!newsCache || Date.now() - newsCache.fetchedAt > NEWS_CACHE_TTL_MS) {
+      newsCache = { ...(await loadNews()), fetchedAt: Date.now() };
+    }
+
+    const { items, sources, failed, fetchedAt } = newsCache;
+    return res.status(200).json({
+      items,
+      count: items.length,
+      sources,
+      failed,
+      timestamp: new Date(fetchedAt).toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch news', error);
+    // H-2: Sanitized error response - hides implementation details in production
+    return res.status(502).json(
+      createErrorResponse(error, 'News sources unavailable')
+    );
+  }
+}
@@ -0,0 +1,72 @@
+// Vercel Serverless Function: /api/push-dispatch
+// Scheduled job (vercel.json crons, every 5 minutes): diffs the current NWS
+// and Environment Canada alerts against the last run and fans out Web Push
+// messages to matching subscriptions
+// Security: CRON_SECRET bearer token (required), sanitized errors (H-2)
+
+import process from 'node:process';
+import { createErrorResponse } from './_utils/cors.js';
+import { pushLogger as logger } from './_utils/logger.js';
+import { getPushStore } from './_utils/pushStore.js';
+import { getVapidConfig, sendPushNotification } from './_utils/webPush.js';
+import { runDispatch } from './_utils/pushDispatch.js';
+import { loadActiveAlerts } from './alerts.js';
+import { loadCanadianAlerts } from './ec-alerts.js';
+
+// One failing feed should not silence the other
+async function loadAllAlerts() {
+  const [us, canada] = await Promise.allSettled([loadActiveAlerts(), loadCanadianAlerts()]);
+
+  if (us.status === 'rejected' && canada.status === 'rejected') {
+    throw new Error('No alert feed available');
+  }
+  if (us.status === 'rejected') logger.warn('NWS alerts unavailable', { error: us.reason?.message });
+  if (canada.status === 'rejected') logger.warn('Canadian alerts unavailable', { error: canada.reason?.message });
+
+  return [
+    ...(us.status === 'fulfilled' ? us.value : []),
+    ...(canada.status === 'fulfilled' ? canada.value.alerts : [])
+  ];
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"; without a secret
+  // anyone could trigger a fan-out, so refuse to run at all
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    logger.error('CRON_SECRET is not set; refusing to dispatch');
+    return res.status(500).json({ error: 'Push dispatch is not configured' });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const vapid = getVapidConfig();
+  if (!vapid) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+
+  try {
+    const summary = await runDispatch({
+      store: getPushStore(),
+      alerts: await loadAllAlerts(),
+      send: (subscription, payload, options) =>
+        sendPushNotification(subscription, payload, { ...options, vapid })
+    });
+
+    return res.status(200).json({ ...summary, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    logger.error('Push dispatch failed', error);
+    // H-2: Sanitized error response - hides implementation details in production
+    return res.status(500).json(
+      createErrorResponse(error, 'Push dispatch failed')
+    );
+  }
+}
@@ -0,0 +1,163 @@
+// Vercel Serverless Function: /api/push
+// Registers and revokes Web Push subscriptions for chosen Nations/regions
+//   GET    -> { publicKey } VAPID application server key
+//   POST   -> { subscription, nations, regions, minSeverity } upsert
+//   DELETE -> { endpoint } revoke
+// Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
+
+import { setCorsHeaders, createErrorResponse, isOriginAllowed } from './_utils/cors.js';
+import { pushLogger as logger } from './_utils/logger.js';
+import { getPushStore } from './_utils/pushStore.js';
+import { getVapidConfig } from './_utils/webPush.js';
+import { PUSH_REGIONS, SEVERITY_RANK } from './_utils/pushDispatch.js';
+
+const MAX_NATIONS = 50;
+const MAX_ENDPOINT_LENGTH = 2048;
+const MAX_NAME_LENGTH = 200;
+
+// Vercel parses JSON bodies; local servers may hand over the raw string
+function parseBody(req) {
+  if (typeof req.body !== 'string') return req.body || {};
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    return null;
+  }
+}
+
+function isValidEndpoint(endpoint) {
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_ENDPOINT_LENGTH) return false;
+  try {
+    return new URL(endpoint).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate a registration body
+ * @param {Object} body - Request body
+ * @returns {Object} { error } or { record } ready for the store
+ */
+function validateRegistration(body) {
+  const { subscription, nations = [], regions = [], minSeverity = 'STATEMENT' } = body || {};
+
+  if (!isValidEndpoint(subscription?.endpoint)) {
+    return { error: 'subscription.endpoint must be an https URL' };
+  }
+  if (typeof subscription.keys?.p256dh !== 'string' || typeof subscription.keys?.auth !== 'string') {
+    return { error: 'subscription.keys.p256dh and subscription.keys.auth are required' };
+  }
+  if (!Array.isArray(nations) || nations.length > MAX_NATIONS) {
+    return { error: `nations must be an array of at most ${MAX_NATIONS}` };
+  }
+  if (!Array.isArray(regions) || regions.some(r => !PUSH_REGIONS.includes(r))) {
+    return { error: `regions must be a subset of ${PUSH_REGIONS.join(', ')}` };
+  }
+  if (!(minSeverity in SEVERITY_RANK)) {
+    return { error: `minSeverity must be one of ${Object.keys(SEVERITY_RANK).join(', ')}` };
+  }
+
+  const cleanNations = [];
+  for (const nation of nations) {
+    if (!nation || (typeof nation.id !== 'string' && typeof nation.id !== 'number')) {
+      return { error: 'each nation needs an id' };
+    }
+    cleanNations.push({
+      id: String(nation.id),
+      name: String(nation.name || nation.id).slice(0, MAX_NAME_LENGTH),
+      lat: isFiniteNumber(nation.lat) ? nation.lat : null,
+      lon: isFiniteNumber(nation.lon) ? nation.lon : null
+    });
+  }
+
+  if (cleanNations.length === 0 && regions.length === 0) {
+    return { error: 'choose at least one nation or region' };
+  }
+
+  return {
+    record: {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      nations: cleanNations,
+      regions: [...new Set(regions)],
+      minSeverity
+    }
+  };
+}
+
+export default async function handler(req, res) {
+  // Security headers (H-1: origin whitelist CORS)
+  const shouldContinue = setCorsHeaders(req, res, {
+    allowMethods: 'GET, POST, DELETE, OPTIONS',
+    allowHeaders: 'Content-Type',
+  });
+  if (!shouldContinue) return; // Preflight handled
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Browsers always send Origin on cross-site writes; refuse ones off the allowlist
+  const origin = req.headers.origin;
+  if (origin && !isOriginAllowed(origin)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const vapid = getVapidConfig();
+      if (!vapid) {
+        return res.status(503).json({ error: 'Push notifications are not configured' });
+      }
+      return res.status(200).json({ publicKey: vapid.publicKey });
+    }
+
+    const body = parseBody(req);
+    if (!body) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    const store = getPushStore();
+
+    if (req.method === 'POST') {
+      const { error, record } = validateRegistration(body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const existing = await store.getSubscription(record.endpoint);
+      const now = new Date().toISOString();
+      await store.saveSubscription({ ...record, createdAt: existing?.createdAt || now, updatedAt: now });
+
+      logger.info('Push subscription saved', { nations: record.nations.length, regions: record.regions });
+      return res.status(existing ? 200 : 201).json({
+        subscribed: true,
+        nations: record.nations.map(n => n.id),
+        regions: record.regions,
+        minSeverity: record.minSeverity
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const endpoint = body.endpoint || body.subscription?.endpoint;
+      if (!isValidEndpoint(endpoint)) {
+        return res.status(400).json({ error: 'endpoint must be an https URL' });
+      }
+
+      const removed = await store.removeSubscription(endpoint);
+      return res.status(200).json({ removed });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    logger.error('Push subscription request failed', error);
+    // H-2: Sanitized error response - hides implementation details in production
+    return res.status(500).json(
+      createErrorResponse(error, 'Failed to update push subscription')
+    );
+  }
+}
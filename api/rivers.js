@@ -1,13 +1,28 @@
 // Vercel Serverless Function: /api/rivers
-// Fetches river gauge data from NWPS API for PNW states
+// Fetches river gauge data from NWPS API for PNW states and Water Survey of
+// Canada real-time stations in BC and Alberta
 // Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
 
 import { setCorsHeaders, createErrorResponse } from './_utils/cors.js';
 import { riversLogger as logger } from './_utils/logger.js';
+import { WSC_PROVINCES, WSC_STATIONS, getStationUrl, normalizeWSCStation } from './_utils/hydrometric.js';
 
 const NWPS_BASE_URL = 'https://api.water.noaa.gov/nwps/v1';
 const PNW_STATES = ['WA', 'OR', 'ID'];
 
+const REQUEST_HEADERS = {
+  'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)'
+};
+
+// WSC stations report every 5 to 60 minutes, so readings are kept across
+// invocations (resets on cold start) instead of 12 requests per call
+const WSC_CACHE_TTL_MS = 10 * 60 * 1000;
+// One slow station must not hold up the whole response
+const WSC_TIMEOUT_MS = 5000;
+
+// Station id -> { station, fetchedAt }
+let stationCache = new Map();
+
 // Flood category priority for sorting
 const FLOOD_PRIORITY = {
   major: 0,
@@ -21,6 +36,44 @@ const FLOOD_PRIORITY = {
   out_of_service: 8
 };
 
+// Latest reading at each WSC station, from the cache while fresh. A station
+// that fails keeps its last reading (its validTime shows the age), or is
+// left out when there is none.
+async function fetchWSCStations(now = Date.now()) {
+  const stations = await Promise.all(
+    WSC_STATIONS.map(async (station) => {
+      const cached = stationCache.get(station.id);
+      if (cached && now - cached.fetchedAt < WSC_CACHE_TTL_MS) return cached.station;
+
+      try {
+        const response = await fetch(getStationUrl(station.id), {
+          headers: REQUEST_HEADERS,
+          signal: AbortSignal.timeout(WSC_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          logger.warn('Failed to fetch hydrometric station', { station: station.id, status: response.status });
+          return cached?.station ?? null;
+        }
+        const data = await response.json();
+        const reading = normalizeWSCStation(data.features?.[0]);
+        stationCache.set(station.id, { station: reading, fetchedAt: now });
+        return reading;
+      } catch (error) {
+        logger.warn('Failed to fetch hydrometric station', { station: station.id, error: error.message });
+        return cached?.station ?? null;
+      }
+    })
+  );
+  return stations.filter(Boolean);
+}
+
+/**
+ * Drop the cached WSC readings (used by tests)
+ */
+export function clearStationCache() {
+  stationCache = new Map();
+}
+
 export default async function handler(req, res) {
   // Security headers (H-1: origin whitelist CORS)
   const shouldContinue = setCorsHeaders(req, res, {
@@ -37,15 +90,14 @@ export default async function handler(req, res) {
   }
 
   try {
+    // Canadian stations load alongside the NWPS states
+    const stationsRequest = fetchWSCStations();
+
     // Fetch gauges for each PNW state
     const stateGauges = await Promise.all(
       PNW_STATES.map(async (state) => {
         const url = `${NWPS_BASE_URL}/gauges?state=${state}`;
-        const response = await fetch(url, {
-          headers: {
-            'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)'
-          }
-        });
+        const response = await fetch(url, { headers: REQUEST_HEADERS });
 
         if (!response.ok) {
           logger.warn(`Failed to fetch gauges for state`, { state, status: response.status });
@@ -58,6 +110,7 @@ export default async function handler(req, res) {
     );
 
     const allGauges = stateGauges.flat();
+    const stations = await stationsRequest;
 
     // Parse and filter relevant gauges
     const gauges = allGauges
@@ -82,14 +135,22 @@ export default async function handler(req, res) {
           validTime: g.status?.forecast?.validTime
         },
         wfo: g.wfo?.abbreviation,
-        rfc: g.rfc?.abbreviation
-      }));
+        rfc: g.rfc?.abbreviation,
+        // Next gauge downstream, when NWPS links one
+        downstreamLid: g.downstreamLid || null,
+        // USGS site at the same location, when NWPS links one
+        usgsId: g.usgsId || null,
+        source: 'NWPS'
+      }))
+      .concat(stations);
 
     // Sort by flood severity (most severe first)
     gauges.sort((a, b) => {
       const aPri = FLOOD_PRIORITY[a.observed.floodCategory] ?? 99;
       const bPri = FLOOD_PRIORITY[b.observed.floodCategory] ?? 99;
-      return aPri - bPri;
+      // Then by forecast, so gauges rising toward flood lead their category
+      return aPri - bPri ||
+        (FLOOD_PRIORITY[a.forecast.floodCategory] ?? 99) - (FLOOD_PRIORITY[b.forecast.floodCategory] ?? 99);
     });
 
     // Summary stats
@@ -104,7 +165,8 @@ export default async function handler(req, res) {
       gauges,
       summary,
       timestamp: new Date().toISOString(),
-      states: PNW_STATES
+      states: PNW_STATES,
+      provinces: WSC_PROVINCES
     });
 
   } catch (error) {
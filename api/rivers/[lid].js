@@ -0,0 +1,72 @@
+// Vercel Serverless Function: /api/rivers/:lid
+// Observed and forecast stage for one NWPS gauge, with its flood category
+// thresholds and predicted crest, for the gauge hydrograph
+// Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
+
+import { setCorsHeaders, createErrorResponse } from '../_utils/cors.js';
+import { riversLogger as logger } from '../_utils/logger.js';
+import { buildHydrograph } from '../_utils/hydrograph.js';
+
+const NWPS_BASE_URL = 'https://api.water.noaa.gov/nwps/v1';
+
+// NWS location identifiers (e.g. NKWA1)
+const LID_PATTERN = /^[A-Z0-9]{3,5}$/;
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)'
+};
+
+function upstreamError(url, status) {
+  const error = new Error(`${url} returned ${status}`);
+  error.status = status;
+  return error;
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url, { headers: REQUEST_HEADERS });
+  if (!response.ok) throw upstreamError(url, response.status);
+  return response.json();
+}
+
+export default async function handler(req, res) {
+  // Security headers (H-1: origin whitelist CORS)
+  const shouldContinue = setCorsHeaders(req, res, {
+    allowMethods: 'GET, OPTIONS',
+    allowHeaders: 'Content-Type',
+  });
+  if (!shouldContinue) return; // Preflight handled
+
+  // Cache headers (forecasts are issued a few times a day, observations every 15-60 minutes)
+  res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=60');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const lid = String(req.query?.lid || '').toUpperCase();
+  if (!LID_PATTERN.test(lid)) {
+    return res.status(400).json({ error: 'Invalid gauge identifier' });
+  }
+
+  try {
+    const [gauge, stageflow] = await Promise.all([
+      fetchJson(`${NWPS_BASE_URL}/gauges/${lid}`),
+      fetchJson(`${NWPS_BASE_URL}/gauges/${lid}/stageflow`)
+    ]);
+
+    return res.status(200).json({
+      ...buildHydrograph(gauge, stageflow),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Gauge not found' });
+    }
+    logger.error('Failed to fetch gauge hydrograph', { lid, error: error.message });
+    // H-2: Sanitized error response - hides implementation details in production
+    return res.status(502).json(
+      createErrorResponse(error, 'Failed to fetch river gauge forecast')
+    );
+  }
+}
@@ -0,0 +1,105 @@
+// Vercel Serverless Function: /api/telemetry
+// Collects anonymous client telemetry and reports it to the admin page
+//   POST -> { events } batched warn/error logs and data source timings
+//   GET  -> per-source error rates and p95 latencies over the last 24 hours
+//           (Authorization: Bearer <TELEMETRY_ADMIN_TOKEN>)
+// Only aggregates are stored: no IPs, user agents, URLs or raw messages.
+// Telemetry is optional: without a persistent store (see pushStore.js),
+// batches are accepted and dropped.
+// Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
+
+import process from 'node:process';
+import { setCorsHeaders, createErrorResponse, isOriginAllowed } from './_utils/cors.js';
+import { telemetryLogger as logger } from './_utils/logger.js';
+import { getPushStore, isPushStoreConfigured } from './_utils/pushStore.js';
+import {
+  MAX_EVENTS_PER_BATCH,
+  sanitizeEvent,
+  aggregateEvents,
+  buildTelemetryReport
+} from './_utils/telemetry.js';
+
+// Key of the aggregate in the store's state table
+const TELEMETRY_STATE_KEY = 'telemetry';
+
+// Vercel parses JSON bodies; beacons and local servers may hand over the raw string
+function parseBody(req) {
+  if (typeof req.body !== 'string') return req.body || {};
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    return null;
+  }
+}
+
+// Without a token the report is only served to local development servers
+// (vercel dev, netlify dev); any other deploy needs TELEMETRY_ADMIN_TOKEN
+function isAuthorized(req) {
+  const token = process.env.TELEMETRY_ADMIN_TOKEN;
+  if (!token) return process.env.VERCEL_ENV === 'development' || process.env.NETLIFY_DEV === 'true';
+  return req.headers.authorization === `Bearer ${token}`;
+}
+
+export default async function handler(req, res) {
+  // Security headers (H-1: origin whitelist CORS)
+  const shouldContinue = setCorsHeaders(req, res, {
+    allowMethods: 'GET, POST, OPTIONS',
+    allowHeaders: 'Content-Type, Authorization',
+  });
+  if (!shouldContinue) return; // Preflight handled
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Browsers always send Origin on cross-site writes; refuse ones off the allowlist
+  const origin = req.headers.origin;
+  if (origin && !isOriginAllowed(origin)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  try {
+    const configured = isPushStoreConfigured();
+
+    if (req.method === 'GET') {
+      if (!isAuthorized(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (!configured) {
+        return res.status(503).json({ error: 'Telemetry storage is not configured' });
+      }
+      const summary = await getPushStore().getState(TELEMETRY_STATE_KEY);
+      return res.status(200).json(buildTelemetryReport(summary));
+    }
+
+    if (req.method === 'POST') {
+      if (!configured) {
+        return res.status(204).end();
+      }
+
+      const body = parseBody(req);
+      if (!Array.isArray(body?.events)) {
+        return res.status(400).json({ error: 'events must be an array' });
+      }
+      if (body.events.length > MAX_EVENTS_PER_BATCH) {
+        return res.status(413).json({ error: `at most ${MAX_EVENTS_PER_BATCH} events per batch` });
+      }
+
+      const events = body.events.map(sanitizeEvent).filter(Boolean);
+      // Batches arrive concurrently; an atomic update keeps every count
+      if (events.length > 0) {
+        await getPushStore().updateState(TELEMETRY_STATE_KEY, summary => aggregateEvents(summary, events));
+      }
+
+      logger.debug('Telemetry batch received', { accepted: events.length, dropped: body.events.length - events.length });
+      return res.status(202).json({ accepted: events.length });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    logger.error('Telemetry request failed', error);
+    // H-2: Sanitized error response - hides implementation details in production
+    return res.status(500).json(
+      createErrorResponse(error, 'Failed to process telemetry')
+    );
+  }
+}
@@ -0,0 +1,154 @@
+// Vercel Serverless Function: /api/usgs
+// Latest USGS instantaneous discharge at active stream sites in PNW states,
+// each with the day's median discharge and the current percent of median
+// Security: Uses origin whitelist CORS (H-1), sanitized errors (H-2)
+
+import { setCorsHeaders, createErrorResponse } from './_utils/cors.js';
+import { usgsLogger as logger } from './_utils/logger.js';
+import {
+  getUSGSInstantaneousUrl,
+  getUSGSMedianUrl,
+  parseUSGSInstantaneous,
+  parseUSGSMedians,
+  getPercentOfMedian
+} from '../src/utils/streamflow.js';
+
+const PNW_STATES = ['WA', 'OR', 'ID'];
+
+// Sites per statistics request (keeps the URL and response small)
+const MEDIAN_BATCH_SIZE = 100;
+
+// Calendar day the medians are looked up for
+const MEDIAN_TIMEZONE = 'America/Los_Angeles';
+
+// Medians only change with the calendar day, so they are kept across
+// invocations (resets on cold start); failed lookups are retried next call
+let medianCache = { monthDay: null, values: {} };
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)'
+};
+
+async function fetchOk(url) {
+  const response = await fetch(url, { headers: REQUEST_HEADERS });
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+  return response;
+}
+
+// "MM-DD" of a date in the Pacific time zone
+function getMonthDay(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: MEDIAN_TIMEZONE,
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('month')}-${part('day')}`;
+}
+
+/**
+ * Median discharge of each site for the day, from the cache or USGS
+ * @param {string[]} siteIds - USGS site numbers
+ * @param {string} monthDay - "MM-DD"
+ * @returns {Promise<Object>} Site number -> median (null when USGS has none)
+ */
+async function loadMedians(siteIds, monthDay) {
+  if (medianCache.monthDay !== monthDay) {
+    medianCache = { monthDay, values: {} };
+  }
+
+  const missing = siteIds.filter(id => !(id in medianCache.values));
+  const batches = [];
+  for (let i = 0; i < missing.length; i += MEDIAN_BATCH_SIZE) {
+    batches.push(missing.slice(i, i + MEDIAN_BATCH_SIZE));
+  }
+
+  await Promise.all(batches.map(async (batch) => {
+    try {
+      const medians = parseUSGSMedians(await (await fetchOk(getUSGSMedianUrl(batch))).text(), monthDay);
+      batch.forEach(id => { medianCache.values[id] = medians[id] ?? null; });
+    } catch (error) {
+      logger.warn('Failed to fetch median discharge', { sites: batch.length, error: error.message });
+    }
+  }));
+
+  return medianCache.values;
+}
+
+/**
+ * Latest discharge at every site, with percent of median
+ * A failing state is left out rather than failing the response.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { stations, failed }
+ * @throws {Error} When every state failed
+ */
+export async function loadStreamflow(now = new Date()) {
+  const results = await Promise.allSettled(PNW_STATES.map(async (state) => {
+    const json = await (await fetchOk(getUSGSInstantaneousUrl(state))).json();
+    return parseUSGSInstantaneous(json, state);
+  }));
+
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      failed.push(PNW_STATES[i]);
+      logger.warn('Failed to fetch streamflow for state', { state: PNW_STATES[i], error: result.reason?.message });
+    }
+  });
+  if (failed.length === PNW_STATES.length) {
+    throw new Error('USGS Water Services unavailable');
+  }
+
+  const stations = results.flatMap(result => result.value ?? []);
+  const medians = await loadMedians(stations.map(station => station.id), getMonthDay(now));
+
+  return {
+    stations: stations.map(station => {
+      const median = medians[station.id] ?? null;
+      return { ...station, median, percentOfMedian: getPercentOfMedian(station.observed.flow, median) };
+    }),
+    failed
+  };
+}
+
+/**
+ * Drop the cached medians (used by tests)
+ */
+export function clearMedianCache() {
+  medianCache = { monthDay: null, values: {} };
+}
+
+export default async function handler(req, res) {
+  // Security headers (H-1: origin whitelist CORS)
+  const shouldContinue = setCorsHeaders(req, res, {
+    allowMethods: 'GET, OPTIONS',
+    allowHeaders: 'Content-Type',
+  });
+  if (!shouldContinue) return; // Preflight handled
+
+  // Cache headers (USGS transmits most sites every 15-60 minutes)
+  res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=300');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { stations, failed } = await loadStreamflow();
+
+    return res.status(200).json({
+      stations,
+      count: stations.length,
+      states: PNW_STATES,
+      failed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch USGS streamflow', error);
+    // H-2: Sanitized error response - hides implementation details in production
+    return res.status(502).json(
+      createErrorResponse(error, 'Failed to fetch USGS streamflow')
+    );
+  }
+}
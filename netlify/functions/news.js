@@ -0,0 +1,8 @@
+// Netlify Function: /api/news
+// Runs the /api/news handler: NWS discussions, Environment Canada bulletins
+// and the NEWS_FEEDS sources, merged for the News page
+
+import news from '../../api/news.js';
+import { toNetlifyHandler } from '../lib/vercelAdapter.js';
+
+export const handler = toNetlifyHandler(news);
@@ -0,0 +1,16 @@
+// Netlify Scheduled Function: push dispatch (schedule in netlify.toml)
+// Runs the /api/push-dispatch job. Scheduled functions have no public URL and
+// Netlify sends no cron token, so the invocation carries CRON_SECRET itself;
+// the handler still refuses to run when the secret is not configured.
+
+import process from 'node:process';
+import pushDispatch from '../../api/push-dispatch.js';
+import { toNetlifyHandler } from '../lib/vercelAdapter.js';
+
+const dispatch = toNetlifyHandler(pushDispatch);
+
+export const handler = (event) => dispatch({
+  ...event,
+  httpMethod: 'GET',
+  headers: { ...event.headers, authorization: `Bearer ${process.env.CRON_SECRET}` }
+});
@@ -0,0 +1,8 @@
+// Netlify Function: /api/push
+// Registers and revokes Web Push subscriptions with the /api/push handler,
+// writing to the same PUSH_STORE as the Vercel deploy
+
+import push from '../../api/push.js';
+import { toNetlifyHandler } from '../lib/vercelAdapter.js';
+
+export const handler = toNetlifyHandler(push);
@@ -0,0 +1,16 @@
+// Netlify Function: /api/rivers/:lid
+// Runs the /api/rivers/:lid handler for the gauge hydrograph. Vercel passes
+// the gauge id as a query parameter; here it is the last path segment.
+
+import riverHydrograph from '../../api/rivers/[lid].js';
+import { toNetlifyHandler } from '../lib/vercelAdapter.js';
+
+const hydrograph = toNetlifyHandler(riverHydrograph);
+
+export const handler = (event) => hydrograph({
+  ...event,
+  queryStringParameters: {
+    ...event.queryStringParameters,
+    lid: event.path.split('/').filter(Boolean).pop()
+  }
+});
@@ -0,0 +1,8 @@
+// Netlify Function: /api/telemetry
+// Takes client telemetry batches and serves the admin report through the
+// /api/telemetry handler; aggregates go to the configured PUSH_STORE
+
+import telemetry from '../../api/telemetry.js';
+import { toNetlifyHandler } from '../lib/vercelAdapter.js';
+
+export const handler = toNetlifyHandler(telemetry);
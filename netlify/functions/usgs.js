@@ -0,0 +1,8 @@
+// Netlify Function: /api/usgs
+// Runs the /api/usgs handler: USGS discharge with percent of the daily
+// median. Medians are cached per warm instance, as on Vercel.
+
+import usgs from '../../api/usgs.js';
+import { toNetlifyHandler } from '../lib/vercelAdapter.js';
+
+export const handler = toNetlifyHandler(usgs);
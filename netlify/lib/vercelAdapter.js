@@ -0,0 +1,96 @@
+// Runs a Vercel-style (req, res) handler from api/ as a Netlify Function,
+// so both deploys serve each endpoint from the same implementation
+
+import { Buffer } from 'node:buffer';
+
+// Netlify passes header names as sent; Vercel (Node) lowercases them
+function lowercaseHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+}
+
+// Vercel parses JSON bodies before the handler runs
+function parseBody(event, headers) {
+  if (!event.body) return undefined;
+
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+
+  if ((headers['content-type'] || '').includes('application/json')) {
+    try {
+      return JSON.parse(body);
+    } catch {
+      return body;
+    }
+  }
+  return body;
+}
+
+// The subset of the Vercel response helpers the api/ handlers use;
+// streamed writes are buffered into one body
+function createResponse() {
+  const chunks = [];
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      res.headers[name] = String(value);
+      return res;
+    },
+    getHeader(name) {
+      return res.headers[name];
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    write(chunk) {
+      chunks.push(String(chunk));
+      return true;
+    },
+    end(chunk) {
+      if (chunk !== undefined) chunks.push(String(chunk));
+      return res;
+    },
+    send(body) {
+      if (typeof body === 'object' && body !== null) return res.json(body);
+      return res.end(body);
+    },
+    json(body) {
+      if (!res.headers['Content-Type']) res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify(body));
+    }
+  };
+
+  res.toNetlify = () => ({
+    statusCode: res.statusCode,
+    headers: res.headers,
+    body: chunks.join('')
+  });
+
+  return res;
+}
+
+/**
+ * Wrap a Vercel handler as a Netlify Function handler
+ * @param {Function} handler - async (req, res) handler from api/
+ * @returns {Function} async (event) => { statusCode, headers, body }
+ */
+export function toNetlifyHandler(handler) {
+  return async (event) => {
+    const headers = lowercaseHeaders(event.headers);
+    const req = {
+      method: event.httpMethod,
+      url: event.rawUrl || event.path,
+      headers,
+      query: { ...event.queryStringParameters },
+      body: parseBody(event, headers)
+    };
+
+    const res = createResponse();
+    await handler(req, res);
+    return res.toNetlify();
+  };
+}
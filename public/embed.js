@@ -0,0 +1,82 @@
+// <tribalweather-widget> for partner sites. Wraps embed.html in an iframe that
+// grows with its content and re-dispatches alert clicks as DOM events.
+//
+//   <script src="https://<app host>/embed.js" defer></script>
+//   <tribalweather-widget widget="alerts" region="SALISH_SEA" nations="Lummi" theme="light" limit="3"></tribalweather-widget>
+//
+//   document.querySelector('tribalweather-widget')
+//     .addEventListener('tribalweather:alert-click', (e) => console.log(e.detail.alert));
+//
+// Attributes map to the embed.html query options (see src/services/embed.js);
+// `height` sets the map widget's height in pixels.
+
+(() => {
+  const ATTRIBUTES = ['widget', 'region', 'nations', 'theme', 'limit'];
+  const MESSAGE_SOURCE = 'tribalweather';
+  const appOrigin = new URL(document.currentScript?.src || window.location.href).origin;
+  let nextId = 0;
+
+  class TribalWeatherWidget extends HTMLElement {
+    static get observedAttributes() {
+      return ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      this.widgetId = `tribalweather-${++nextId}`;
+      this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    connectedCallback() {
+      if (!this.iframe) {
+        this.iframe = document.createElement('iframe');
+        this.iframe.title = this.getAttribute('title') || 'TribalWeather alerts';
+        this.iframe.loading = 'lazy';
+        this.iframe.style.cssText = 'display:block;width:100%;border:0;';
+        // Lists and cards resize to their content; maps keep this height
+        const height = parseInt(this.getAttribute('height'), 10);
+        this.iframe.style.height = `${height || (this.getAttribute('widget') === 'map' ? 320 : 160)}px`;
+        this.attachShadow({ mode: 'open' }).appendChild(this.iframe);
+      }
+      window.addEventListener('message', this.handleMessage);
+      this.updateSource();
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener('message', this.handleMessage);
+    }
+
+    attributeChangedCallback() {
+      if (this.iframe) this.updateSource();
+    }
+
+    updateSource() {
+      const url = new URL('/embed.html', appOrigin);
+      ATTRIBUTES.forEach((name) => {
+        const value = this.getAttribute(name);
+        if (value) url.searchParams.set(name, value);
+      });
+      url.searchParams.set('id', this.widgetId);
+      if (this.iframe.src !== url.href) this.iframe.src = url.href;
+    }
+
+    handleMessage(event) {
+      const data = event.data;
+      if (event.origin !== appOrigin || data?.source !== MESSAGE_SOURCE || data.id !== this.widgetId) return;
+
+      if (data.type === 'resize' && this.getAttribute('widget') !== 'map') {
+        this.iframe.style.height = `${data.height}px`;
+      }
+
+      this.dispatchEvent(new CustomEvent(`tribalweather:${data.type}`, {
+        detail: data,
+        bubbles: true,
+        composed: true
+      }));
+    }
+  }
+
+  if (!customElements.get('tribalweather-widget')) {
+    customElements.define('tribalweather-widget', TribalWeatherWidget);
+  }
+})();
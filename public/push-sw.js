@@ -0,0 +1,138 @@
+// Alert notification handlers, imported into the generated Workbox service
+// worker (see workbox.importScripts in vite.config.js).
+//
+// Notifications arrive three ways:
+// - 'push' events from the Web Push backend
+// - SHOW_ALERT_NOTIFICATIONS messages from the open app (polling diff)
+// - PUSH messages relayed from the local push stub (scripts/push-stub-server.js)
+
+const SETTINGS_CACHE = 'tw-notification-settings';
+const SETTINGS_URL = '/__notification-settings';
+
+const SEVERITY_RANK = { STATEMENT: 0, ADVISORY: 1, WATCH: 2, WARNING: 3, EMERGENCY: 4 };
+
+async function readSettings() {
+  try {
+    const cache = await caches.open(SETTINGS_CACHE);
+    const response = await cache.match(SETTINGS_URL);
+    return response ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeSettings(settings) {
+  const cache = await caches.open(SETTINGS_CACHE);
+  await cache.put(SETTINGS_URL, new Response(JSON.stringify(settings), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+// Mirrors isQuietHours/shouldNotify in src/services/notifications.js
+function isAllowed(notification, settings, date) {
+  if (!settings) return true;
+  if (settings.enabled === false) return false;
+
+  const quiet = settings.quietHours;
+  if (!quiet || !quiet.enabled) return true;
+
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+  const inQuietHours = start === end ? false
+    : start < end ? now >= start && now < end
+      : now >= start || now < end;
+
+  if (!inQuietHours) return true;
+  return quiet.allowEmergency !== false && notification.severity === 'EMERGENCY';
+}
+
+async function showAlertNotification(notification) {
+  const rank = SEVERITY_RANK[notification.severity] ?? 0;
+
+  // De-duplicate: an open notification for the same chain is only replaced
+  // when the new one is more severe
+  if (notification.tag) {
+    const existing = await self.registration.getNotifications({ tag: notification.tag });
+    if (existing.some(n => (SEVERITY_RANK[n.data?.severity] ?? 0) >= rank)) return;
+  }
+
+  await self.registration.showNotification(notification.title || 'Weather alert', {
+    body: notification.body || '',
+    tag: notification.tag,
+    renotify: Boolean(notification.tag),
+    requireInteraction: rank >= SEVERITY_RANK.WARNING,
+    icon: '/pwa-192x192.png',
+    badge: '/pwa-192x192.png',
+    timestamp: notification.timestamp || Date.now(),
+    data: {
+      url: notification.url || '/',
+      severity: notification.severity,
+      alertId: notification.alertId,
+      communityId: notification.communityId
+    }
+  });
+}
+
+async function handleNotifications(notifications) {
+  const settings = await readSettings();
+  const now = new Date();
+
+  for (const notification of notifications) {
+    if (isAllowed(notification, settings, now)) {
+      await showAlertNotification(notification);
+    }
+  }
+}
+
+// Push payloads carry one notification or { notifications: [...] }
+function parsePushPayload(payload) {
+  if (!payload) return [];
+  if (Array.isArray(payload.notifications)) return payload.notifications;
+  return [payload];
+}
+
+self.addEventListener('push', (event) => {
+  let payload = null;
+  try {
+    payload = event.data ? event.data.json() : null;
+  } catch {
+    payload = { title: 'Weather alert', body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(handleNotifications(parsePushPayload(payload)));
+});
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'SHOW_ALERT_NOTIFICATIONS') {
+    event.waitUntil(handleNotifications(message.notifications || []));
+  } else if (message.type === 'PUSH') {
+    event.waitUntil(handleNotifications(parsePushPayload(message.payload)));
+  } else if (message.type === 'NOTIFICATION_SETTINGS') {
+    event.waitUntil(writeSettings(message.settings));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(w => w.url.startsWith(self.location.origin));
+
+    if (client) {
+      await client.focus();
+      if ('navigate' in client && client.url !== url) await client.navigate(url);
+      return;
+    }
+    await self.clients.openWindow(url);
+  })());
+});
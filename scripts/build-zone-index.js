@@ -0,0 +1,166 @@
+// Build the bundled NWS zone geometry index
+// Usage: npm run build:zones
+//
+// Downloads public forecast and fire weather zones for WA/OR/ID plus Pacific
+// coastal marine zones (PZ) from api.weather.gov, simplifies them with
+// mapshaper, and writes public/data/nws-zones-pnw.min.json keyed by UGC code:
+//
+//   { generated, source, zones: { forecast: { WAZ558: <geometry> }, county: {...}, fire: {...} } }
+//
+// County zones are Census county boundaries (UGC WAC033 = state + C + county
+// FIPS), so they come from the us-atlas package and build without network.
+// Zones for an area NWS fails to return keep their previously bundled shapes.
+//
+// Re-run when NWS publishes zone boundary changes (a few times a year).
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import mapshaper from 'mapshaper';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+const OUTPUT_PATH = path.resolve(__dirname, '../public/data/nws-zones-pnw.min.json');
+const COUNTIES_PATH = require.resolve('us-atlas/counties-10m.json');
+
+const NWS_BASE_URL = 'https://api.weather.gov';
+const REQUEST_HEADERS = {
+  'User-Agent': 'TribalWeather/1.0 (tribal-emergency-alerts)',
+  'Accept': 'application/geo+json'
+};
+
+// Zone type -> areas to download (marine zones are served as "forecast" zones)
+const ZONE_SETS = {
+  forecast: ['WA', 'OR', 'ID', 'PZ'],
+  fire: ['WA', 'OR', 'ID']
+};
+
+// State postal code -> Census state FIPS prefix
+const COUNTY_STATES = { WA: '53', OR: '41', ID: '16' };
+
+// Keep ~10% of vertices; zones only need to be accurate enough for matching
+const SIMPLIFY = '-simplify 10% keep-shapes';
+const PRECISION = 0.0001;
+
+async function fetchZones(type, area) {
+  const url = `${NWS_BASE_URL}/zones?type=${type}&area=${area}&include_geometry=true`;
+  const response = await fetch(url, { headers: REQUEST_HEADERS, signal: AbortSignal.timeout(30000) });
+
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.features || []).filter(f => f.geometry && f.properties?.id);
+}
+
+async function simplify(features) {
+  const input = {
+    type: 'FeatureCollection',
+    features: features.map(f => ({
+      type: 'Feature',
+      properties: { id: f.properties.id },
+      geometry: f.geometry
+    }))
+  };
+
+  const output = await mapshaper.applyCommands(
+    `-i zones.json ${SIMPLIFY} -o zones.min.json format=geojson precision=${PRECISION}`,
+    { 'zones.json': input }
+  );
+
+  return JSON.parse(String(output['zones.min.json'])).features;
+}
+
+// County zones from the us-atlas 1:10m Census counties (already generalized,
+// so only rounded, not simplified further)
+async function buildCountyZones() {
+  const topology = JSON.parse(await readFile(COUNTIES_PATH, 'utf8'));
+  const stateByFips = Object.fromEntries(Object.entries(COUNTY_STATES).map(([state, fips]) => [fips, state]));
+  const counties = topology.objects.counties;
+
+  const input = {
+    ...topology,
+    objects: {
+      counties: { ...counties, geometries: counties.geometries.filter(g => stateByFips[String(g.id).slice(0, 2)]) }
+    }
+  };
+
+  const output = await mapshaper.applyCommands(
+    `-i counties.json -o counties.min.json format=geojson precision=${PRECISION}`,
+    { 'counties.json': input }
+  );
+
+  const zones = {};
+  for (const feature of JSON.parse(String(output['counties.min.json'])).features) {
+    const fips = String(feature.id);
+    if (feature.geometry) {
+      zones[`${stateByFips[fips.slice(0, 2)]}C${fips.slice(2)}`] = feature.geometry;
+    }
+  }
+  return zones;
+}
+
+async function loadPreviousZones() {
+  try {
+    return JSON.parse(await readFile(OUTPUT_PATH, 'utf8')).zones || {};
+  } catch {
+    return {};
+  }
+}
+
+async function main() {
+  const previous = await loadPreviousZones();
+  const zones = { county: await buildCountyZones() };
+  const failed = [];
+  let total = Object.keys(zones.county).length;
+
+  console.log(`county WA/OR/ID: ${total} zones (us-atlas)`);
+
+  for (const [type, areas] of Object.entries(ZONE_SETS)) {
+    zones[type] = {};
+
+    for (const area of areas) {
+      let features;
+      try {
+        features = await simplify(await fetchZones(type, area));
+      } catch (err) {
+        // Keep the zones already bundled for this area
+        const kept = Object.entries(previous[type] || {}).filter(([id]) => id.startsWith(area));
+        Object.assign(zones[type], Object.fromEntries(kept));
+        failed.push(`${type} ${area}`);
+        console.warn(`${type} ${area}: ${err.cause?.message || err.message}; kept ${kept.length} bundled zones`);
+        continue;
+      }
+
+      for (const feature of features) {
+        if (feature.geometry) {
+          zones[type][feature.properties.id.toUpperCase()] = feature.geometry;
+        }
+      }
+      total += features.length;
+      console.log(`${type} ${area}: ${features.length} zones`);
+    }
+  }
+
+  const index = {
+    generated: new Date().toISOString(),
+    source: `${NWS_BASE_URL}/zones`,
+    zones
+  };
+
+  await writeFile(OUTPUT_PATH, JSON.stringify(index));
+  console.log(`Wrote ${total} zones to ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+
+  if (failed.length > 0) {
+    console.error(`Not refreshed from NWS: ${failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error('Failed to build zone index:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,10 @@
+// Generate a VAPID key pair for Web Push
+// Usage: npm run push:keys   (copy the output into .env.local / Vercel env)
+
+import { generateVapidKeys } from '../api/_utils/webPush.js';
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:you@example.org');
@@ -0,0 +1,106 @@
+// Local stand-in push server for testing alert notifications
+// Usage: npm run push:stub   (then start the app with VITE_PUSH_STUB_URL=http://localhost:8788/events)
+//
+// Real Web Push needs a browser push service. This server instead streams
+// payloads over Server-Sent Events; the app relays each one to the service
+// worker's push handler (public/push-sw.js), so quiet hours, de-duplication
+// and notification clicks behave exactly as for a real push.
+//
+//   curl -X POST localhost:8788/push -d '{"title":"Flood Warning – Lummi","severity":"WARNING","tag":"demo"}'
+//   curl -X POST localhost:8788/push/demo          # new alert, then an escalation of it
+
+import http from 'node:http';
+import process from 'node:process';
+
+const PORT = Number(process.env.PUSH_STUB_PORT) || 8788;
+
+const clients = new Set();
+
+const DEMO_SEQUENCE = [
+  {
+    title: 'Flood Watch – Lummi Reservation',
+    body: 'Flooding caused by excessive rainfall is possible.',
+    tag: 'demo:flood-chain',
+    severity: 'WATCH',
+    kind: 'new'
+  },
+  {
+    title: 'Upgraded: Flood Warning – Lummi Reservation',
+    body: 'Flooding is occurring or imminent along the Nooksack River.',
+    tag: 'demo:flood-chain',
+    severity: 'WARNING',
+    kind: 'escalated'
+  }
+];
+
+function broadcast(payload) {
+  const frame = `data: ${JSON.stringify(payload)}\n\n`;
+  for (const res of clients) res.write(frame);
+  return clients.size;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async (req, res) => {
+  // Dev-only server: allow the Vite dev/preview origin
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    return;
+  }
+
+  if (req.method === 'POST' && req.url === '/push') {
+    try {
+      const payload = JSON.parse(await readBody(req));
+      send(res, 202, { delivered: broadcast(payload) });
+    } catch (err) {
+      send(res, 400, { error: `Invalid JSON payload: ${err.message}` });
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && req.url === '/push/demo') {
+    DEMO_SEQUENCE.forEach((payload, i) => {
+      setTimeout(() => broadcast({ ...payload, timestamp: Date.now() }), i * 5000);
+    });
+    send(res, 202, { scheduled: DEMO_SEQUENCE.length, clients: clients.size });
+    return;
+  }
+
+  send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Push stub listening on http://localhost:${PORT}`);
+  console.log(`  GET  /events     event stream (set VITE_PUSH_STUB_URL to this)`);
+  console.log(`  POST /push       broadcast a notification payload`);
+  console.log(`  POST /push/demo  send a new alert followed by an escalation`);
+});
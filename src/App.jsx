@@ -1,9 +1,20 @@
-import { AppShell } from './components/layout';
+import { useEffect, useCallback } from 'react';
+import { AppShell, BottomNav } from './components/layout';
 import { LoadingOverlay } from './components/ui';
 import Map from './components/Map';
+import { Dashboard, AlertsPage, ForecastPage, NewsPage, RiversPage, MorePage } from './components/pages';
 import SkipLink from './components/common/SkipLink';
 import useAppState from './hooks/useAppState';
 import useAlerts from './hooks/useAlerts';
+import useSourceStatus from './hooks/useSourceStatus';
+import useSettings from './hooks/useSettings';
+import useRoute from './hooks/useRoute';
+import useRivers from './hooks/useRivers';
+import useTribalData from './hooks/useTribalData';
+import useWatchList from './hooks/useWatchList';
+import useAlertNotifications from './hooks/useAlertNotifications';
+import useAlertArchive from './hooks/useAlertArchive';
+import { warmRegionTilePacks } from './services/tilePacks';
 import { ErrorBoundary } from './components/ErrorBoundary';
 import { MapErrorFallback, AppErrorFallback } from './components/ErrorBoundary/fallbacks';
 
@@ -11,15 +22,71 @@ function App() {
   const {
     isLoading,
     loadingProgress,
-    loadingMessage
+    loadingMessage,
+    clearCache
   } = useAppState();
 
+  const { settings } = useSettings();
+  const { route, navigate } = useRoute();
+
   const {
+    alerts,
+    alertCount,
     loading: alertsLoading,
     error: alertsError,
     lastUpdated,
+    isStale,
     refresh: refreshAlerts
-  } = useAlerts(true);
+  } = useAlerts(settings.includeCanada);
+
+  // Notifications and the replay archive follow every poll, whichever page
+  // is shown, so they live here rather than in the routed pages
+  const { gauges } = useRivers();
+  const { data: tribalData } = useTribalData(settings.includeCanada);
+  const { communities } = useWatchList();
+  const notifications = useAlertNotifications(alerts, communities, tribalData);
+  useAlertArchive({ alerts, lastUpdated, isStale, gauges, includeCanada: settings.includeCanada });
+
+  // Feeds paused by their circuit breaker after repeated failures
+  const { paused: pausedSources, degraded: degradedSources } = useSourceStatus();
+
+  const handleTabChange = useCallback((page) => {
+    navigate({ page });
+  }, [navigate]);
+
+  // Alerts open on the map, where the link can be shared
+  const handleAlertClick = useCallback((alert) => {
+    navigate({ page: 'map', alert: alert.id });
+  }, [navigate]);
+
+  const handleViewAllAlerts = useCallback(() => {
+    navigate({ page: 'alerts' });
+  }, [navigate]);
+
+  const handleViewRivers = useCallback(() => {
+    navigate({ page: 'rivers' });
+  }, [navigate]);
+
+  // The map flies to the gauge and opens its popup
+  const handleShowGauge = useCallback((gauge) => {
+    navigate({ page: 'map', gauge: gauge.id });
+  }, [navigate]);
+
+  // Cache region basemaps for offline launches once the service worker
+  // controls the page (after the first install that is a controllerchange)
+  useEffect(() => {
+    const serviceWorker = navigator.serviceWorker;
+    if (!serviceWorker) return;
+
+    if (serviceWorker.controller) {
+      warmRegionTilePacks();
+      return;
+    }
+
+    const handleControllerChange = () => warmRegionTilePacks();
+    serviceWorker.addEventListener('controllerchange', handleControllerChange, { once: true });
+    return () => serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+  }, []);
 
   return (
     <ErrorBoundary
@@ -48,19 +115,53 @@ function App() {
       {/* Main app shell */}
       <AppShell
         lastUpdated={lastUpdated}
+        isStale={isStale}
+        pausedSources={pausedSources}
+        degradedSources={degradedSources}
         isLoading={alertsLoading}
         error={alertsError}
         onRefresh={refreshAlerts}
         hideStatusRail={true}
       >
         {/* Map with isolated error boundary - failure doesn't affect alerts */}
-        <ErrorBoundary
-          fallback={MapErrorFallback}
-          context="Map"
-        >
-          <Map />
-        </ErrorBoundary>
+        {route.page === 'map' && (
+          <ErrorBoundary
+            fallback={MapErrorFallback}
+            context="Map"
+          >
+            <Map notifications={notifications} />
+          </ErrorBoundary>
+        )}
+        {route.page === 'dashboard' && (
+          <Dashboard
+            alerts={alerts}
+            gauges={gauges}
+            tribalData={tribalData}
+            loading={alertsLoading}
+            onAlertClick={handleAlertClick}
+            onViewAllAlerts={handleViewAllAlerts}
+            onViewRivers={handleViewRivers}
+          />
+        )}
+        {route.page === 'alerts' && (
+          <AlertsPage
+            alerts={alerts}
+            loading={alertsLoading}
+            onAlertClick={handleAlertClick}
+          />
+        )}
+        {route.page === 'forecast' && <ForecastPage />}
+        {route.page === 'news' && <NewsPage />}
+        {route.page === 'rivers' && <RiversPage onShowOnMap={handleShowGauge} />}
+        {route.page === 'more' && <MorePage onClearCache={clearCache} onViewRivers={handleViewRivers} />}
       </AppShell>
+
+      {/* The river list is opened from More */}
+      <BottomNav
+        activeTab={route.page === 'rivers' ? 'more' : route.page}
+        onTabChange={handleTabChange}
+        alertBadge={alertCount}
+      />
     </ErrorBoundary>
   );
 }
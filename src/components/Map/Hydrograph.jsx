@@ -0,0 +1,151 @@
+import { memo, useMemo } from 'react';
+
+/**
+ * Hydrograph - Observed and forecast river stage
+ *
+ * Draws the stage series from /api/rivers/:lid against the gauge's flood
+ * category thresholds, with a marker at the predicted crest. Thresholds are
+ * shown up to the first one above the highest stage so the chart stays
+ * readable at gauges far below flood stage.
+ */
+
+const WIDTH = 280;
+const HEIGHT = 150;
+const PADDING = { top: 8, right: 8, bottom: 18, left: 32 };
+
+const OBSERVED_COLOR = '#0099CC';
+const FORECAST_COLOR = '#7C3AED';
+
+// Threshold line colors, matching the gauge fill colors
+const THRESHOLDS = [
+  { category: 'action', label: 'Action', color: '#84CC16' },
+  { category: 'minor', label: 'Minor', color: '#FBBF24' },
+  { category: 'moderate', label: 'Moderate', color: '#F97316' },
+  { category: 'major', label: 'Major', color: '#EF4444' }
+];
+
+function formatDay(time) {
+  return new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// Scales and paths for the chart, or null without any stage data
+function buildChart({ observed = [], forecast = [], thresholds = {}, crest }) {
+  const points = [...observed, ...forecast];
+  if (points.length === 0) return null;
+
+  const stages = points.map(point => point.stage);
+  const highest = Math.max(...stages);
+  const defined = THRESHOLDS.filter(t => thresholds[t.category] != null);
+  const next = defined.find(t => thresholds[t.category] > highest);
+  const lines = defined.filter(t => thresholds[t.category] <= highest || t === next);
+
+  const levels = [...stages, ...lines.map(t => thresholds[t.category])];
+  const spread = Math.max(...levels) - Math.min(...levels) || 1;
+  const minStage = Math.min(...levels) - spread * 0.1;
+  const maxStage = Math.max(...levels) + spread * 0.1;
+
+  const times = points.map(point => Date.parse(point.time));
+  const start = Math.min(...times);
+  const end = Math.max(...times);
+
+  const x = (time) => PADDING.left +
+    ((Date.parse(time) - start) / (end - start || 1)) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (stage) => PADDING.top +
+    ((maxStage - stage) / (maxStage - minStage)) * (HEIGHT - PADDING.top - PADDING.bottom);
+  const path = (series) => series
+    .map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.time).toFixed(1)},${y(point.stage).toFixed(1)}`)
+    .join(' ');
+
+  // Forecast starts from the last observation so the lines join
+  const lastObserved = observed[observed.length - 1];
+
+  return {
+    x,
+    y,
+    observedPath: path(observed),
+    forecastPath: path(lastObserved && forecast.length > 0 ? [lastObserved, ...forecast] : forecast),
+    lines: lines.map(t => ({ ...t, stage: thresholds[t.category] })),
+    ticks: [maxStage, (maxStage + minStage) / 2, minStage],
+    now: lastObserved?.time,
+    crest,
+    firstTime: points.reduce((a, b) => (a.time < b.time ? a : b)).time,
+    lastTime: points.reduce((a, b) => (a.time > b.time ? a : b)).time
+  };
+}
+
+function Hydrograph({ hydrograph }) {
+  const chart = useMemo(() => buildChart(hydrograph), [hydrograph]);
+
+  if (!chart) {
+    return <p className="text-xs text-gray-500">No stage data available</p>;
+  }
+
+  const { x, y, crest } = chart;
+  const unit = hydrograph.unit || 'ft';
+
+  return (
+    <figure className="hydrograph">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={`Observed and forecast stage in ${unit}`}
+      >
+        {/* Stage axis */}
+        {chart.ticks.map(stage => (
+          <g key={stage}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(stage)} y2={y(stage)} stroke="#E5E7EB" strokeWidth="0.5" />
+            <text x={PADDING.left - 4} y={y(stage) + 3} textAnchor="end" fontSize="8" fill="#6B7280">
+              {stage.toFixed(1)}
+            </text>
+          </g>
+        ))}
+
+        {/* Flood category thresholds */}
+        {chart.lines.map(line => (
+          <g key={line.category}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(line.stage)}
+              y2={y(line.stage)}
+              stroke={line.color}
+              strokeWidth="1"
+              strokeDasharray="4 2"
+            />
+            <text x={WIDTH - PADDING.right} y={y(line.stage) - 2} textAnchor="end" fontSize="7" fill={line.color}>
+              {line.label} {line.stage.toFixed(1)}
+            </text>
+          </g>
+        ))}
+
+        {/* Now */}
+        {chart.now && (
+          <line x1={x(chart.now)} x2={x(chart.now)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} stroke="#9CA3AF" strokeWidth="0.5" />
+        )}
+
+        <path d={chart.observedPath} fill="none" stroke={OBSERVED_COLOR} strokeWidth="1.5" />
+        <path d={chart.forecastPath} fill="none" stroke={FORECAST_COLOR} strokeWidth="1.5" strokeDasharray="3 2" />
+
+        {/* Predicted crest */}
+        {crest && (
+          <circle cx={x(crest.time)} cy={y(crest.stage)} r="3" fill={FORECAST_COLOR} stroke="white" strokeWidth="1" />
+        )}
+
+        {/* Time axis */}
+        <text x={PADDING.left} y={HEIGHT - 5} fontSize="8" fill="#6B7280">{formatDay(chart.firstTime)}</text>
+        {chart.now && x(chart.now) > PADDING.left + 30 && x(chart.now) < WIDTH - PADDING.right - 30 && (
+          <text x={x(chart.now)} y={HEIGHT - 5} textAnchor="middle" fontSize="8" fill="#6B7280">Now</text>
+        )}
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 5} textAnchor="end" fontSize="8" fill="#6B7280">{formatDay(chart.lastTime)}</text>
+      </svg>
+      <figcaption className="flex gap-3 text-[10px] text-gray-500">
+        <span><span style={{ color: OBSERVED_COLOR }}>━</span> Observed</span>
+        <span><span style={{ color: FORECAST_COLOR }}>┅</span> Forecast</span>
+        <span className="ml-auto">Stage ({unit})</span>
+      </figcaption>
+    </figure>
+  );
+}
+
+export default memo(Hydrograph);
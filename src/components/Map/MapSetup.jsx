@@ -1,11 +1,19 @@
-import { useMap } from 'react-leaflet';
+import { useMap, useMapEvents } from 'react-leaflet';
 import { useEffect, useRef } from 'react';
 import { REGIONS, DEFAULT_REGION } from '../../utils/constants';
 
-export default function MapSetup({ region = DEFAULT_REGION }) {
+export default function MapSetup({ region = DEFAULT_REGION, onViewChange }) {
   const map = useMap();
   const prevRegionRef = useRef(region);
 
+  // Report the view after each pan/zoom (kept in the URL for sharing)
+  useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      onViewChange?.({ lat: center.lat, lng: center.lng, zoom: map.getZoom() });
+    }
+  });
+
   // Create custom panes (once)
   useEffect(() => {
     // Default pane z-index: tile=200, overlay=400, marker=600, popup=700
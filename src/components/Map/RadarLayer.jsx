@@ -1,15 +1,40 @@
 import { TileLayer, WMSTileLayer } from 'react-leaflet';
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import {
   RADAR_TILE_URL,
   RADAR_ATTRIBUTION,
   EC_RADAR_WMS_URL,
   EC_RADAR_LAYER
 } from '../../utils/constants';
+import { recordSourceSuccess, recordSourceFailure } from '../../services/dataSources';
+import { NEXRAD_RADAR_SOURCE, EC_RADAR_SOURCE } from '../../services/sources';
 
 // Refresh radar every 5 minutes
 const RADAR_REFRESH_MS = 300000;
 
+// Leaflet fetches the tiles itself, so report each full load of the visible
+// tiles (errored tiles count as loaded) to the source status panel
+function tileHealthHandlers(sourceId) {
+  let startedAt = 0;
+  let loaded = 0;
+  let failed = 0;
+
+  return {
+    loading: () => {
+      startedAt = Date.now();
+      loaded = 0;
+      failed = 0;
+    },
+    tileload: () => { loaded++; },
+    tileerror: () => { failed++; },
+    load: () => {
+      const latencyMs = Date.now() - startedAt;
+      if (failed > 0) recordSourceFailure(sourceId, `${failed} tiles failed to load`, { latencyMs });
+      if (loaded > 0) recordSourceSuccess(sourceId, { latencyMs, recordCount: loaded });
+    }
+  };
+}
+
 /**
  * RadarLayer - NOAA NEXRAD radar composite
  *
@@ -20,6 +45,8 @@ const RADAR_REFRESH_MS = 300000;
  */
 export default function RadarLayer({ visible, includeCanada = false }) {
   const [refreshKey, setRefreshKey] = useState(0);
+  const nexradHandlers = useMemo(() => tileHealthHandlers(NEXRAD_RADAR_SOURCE), []);
+  const ecHandlers = useMemo(() => tileHealthHandlers(EC_RADAR_SOURCE), []);
 
   // Auto-refresh radar tiles
   useEffect(() => {
@@ -43,6 +70,7 @@ export default function RadarLayer({ visible, includeCanada = false }) {
         opacity={0.7}
         zIndex={400}
         attribution={RADAR_ATTRIBUTION}
+        eventHandlers={nexradHandlers}
       />
 
       {/* Environment Canada radar for Canadian coverage */}
@@ -56,6 +84,7 @@ export default function RadarLayer({ visible, includeCanada = false }) {
           opacity={0.7}
           zIndex={401}
           attribution="Environment Canada"
+          eventHandlers={ecHandlers}
         />
       )}
     </>
@@ -1,6 +1,9 @@
-import { Marker, Popup, Tooltip } from 'react-leaflet';
-import { useMemo } from 'react';
+import { Marker, Popup, Tooltip, useMap } from 'react-leaflet';
+import { useEffect, useMemo, useRef } from 'react';
 import L from 'leaflet';
+import Hydrograph from './Hydrograph';
+import useRiverHydrograph from '../../hooks/useRiverHydrograph';
+import { isRisingToFlood } from '../../services/floodEscalation';
 
 // Neon blue for gauge outline (water association)
 const GAUGE_BLUE = '#00D4FF';
@@ -37,6 +40,33 @@ const FLOOD_LABELS = {
   obs_not_current: 'Outdated'
 };
 
+// Gauge networks other than NWPS
+const SOURCE_LABELS = {
+  WSC: 'Water Survey of Canada',
+  USGS: 'USGS'
+};
+
+// USGS flow classes by percent of the day's median discharge
+const FLOW_CLASSES = [
+  { id: 'much_below', max: 50, label: 'Much Below Normal', color: '#B45309' },
+  { id: 'below', max: 80, label: 'Below Normal', color: '#F59E0B' },
+  { id: 'normal', max: 125, label: 'Normal', color: '#22C55E' },
+  { id: 'above', max: 200, label: 'Above Normal', color: '#38BDF8' },
+  { id: 'much_above', max: Infinity, label: 'Much Above Normal', color: '#1D4ED8' }
+];
+const UNKNOWN_FLOW_CLASS = { id: 'unknown', label: 'No Median', color: '#9CA3AF' };
+
+// USGS sites shown without "show all": flow at least this far above median
+const HIGH_FLOW_PERCENT = 200;
+
+// Zoom a gauge picked from the river list is shown at (at least)
+const SELECTED_GAUGE_ZOOM = 10;
+
+function getFlowClass(percentOfMedian) {
+  if (percentOfMedian == null) return UNKNOWN_FLOW_CLASS;
+  return FLOW_CLASSES.find(flowClass => percentOfMedian < flowClass.max);
+}
+
 // Create water gauge icon with fill level
 function createGaugeIcon(category) {
   const fillColor = FILL_COLORS[category] || FILL_COLORS.default;
@@ -76,6 +106,25 @@ function createGaugeIcon(category) {
   });
 }
 
+// Round USGS streamflow marker: flow class fill with a wave, no gauge tube
+function createStreamflowIcon(flowClass) {
+  const size = 16;
+  const svg = `
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="${size}" height="${size}">
+      <circle cx="8" cy="8" r="6.5" fill="${flowClass.color}" stroke="${GAUGE_BLUE_DARK}" stroke-width="1.5"/>
+      <path d="M3.5 9c1.5-1.5 3-1.5 4.5 0s3 1.5 4.5 0" fill="none" stroke="white" stroke-width="1.2" stroke-linecap="round"/>
+    </svg>
+  `;
+
+  return L.divIcon({
+    html: svg,
+    className: 'flood-gauge-icon streamflow-icon',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    popupAnchor: [0, -size / 2]
+  });
+}
+
 function formatTime(isoString) {
   if (!isoString || isoString === '0001-01-01T00:00:00Z') return 'N/A';
   const date = new Date(isoString);
@@ -87,30 +136,103 @@ function formatTime(isoString) {
   });
 }
 
+// Stage hydrograph and predicted crest (popup content only mounts while open)
+function GaugeForecast({ gauge }) {
+  const { hydrograph, loading, error } = useRiverHydrograph(gauge.id);
+
+  if (!hydrograph) {
+    return (
+      <p className="mt-2 pt-2 border-t text-xs text-gray-500">
+        {loading ? 'Loading hydrograph…' : error ? 'Hydrograph unavailable' : null}
+      </p>
+    );
+  }
+
+  const { crest } = hydrograph;
+
+  return (
+    <div className="mt-2 pt-2 border-t">
+      <Hydrograph hydrograph={hydrograph} />
+      {crest && (
+        <div className="flex justify-between mt-1 text-xs">
+          <span className="text-gray-600">Predicted Crest:</span>
+          <span className="font-medium">
+            {crest.stage.toFixed(2)} {hydrograph.unit} {formatTime(crest.time)}
+            {['action', 'minor', 'moderate', 'major'].includes(crest.category) && ` (${FLOOD_LABELS[crest.category]})`}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Fly to the selected marker and open its popup once the map settles;
+// closing that popup clears the selection
+function useSelectedMarker(gauge, selected, onSelect) {
+  const map = useMap();
+  const markerRef = useRef(null);
+  const { lat, lng } = gauge;
+
+  useEffect(() => {
+    if (!selected) return;
+
+    const openPopup = () => markerRef.current?.openPopup();
+    map.once('moveend', openPopup);
+    map.flyTo([lat, lng], Math.max(map.getZoom(), SELECTED_GAUGE_ZOOM), { duration: 0.5 });
+    return () => map.off('moveend', openPopup);
+  }, [map, selected, lat, lng]);
+
+  const eventHandlers = useMemo(() => ({
+    popupclose: () => {
+      if (selected) onSelect?.(null);
+    }
+  }), [selected, onSelect]);
+
+  return { markerRef, eventHandlers };
+}
+
+// Metric reading alongside the converted one, e.g. " (3.50 m)"
+function formatOriginal(value, unit, digits) {
+  return typeof value === 'number' ? ` (${value.toFixed(digits)} ${unit})` : '';
+}
+
 // Individual gauge marker with its own popup
-function GaugeMarker({ gauge, icon }) {
+function GaugeMarker({ gauge, icon, selected, onSelect }) {
+  const { markerRef, eventHandlers } = useSelectedMarker(gauge, selected, onSelect);
   const category = gauge.observed.floodCategory || 'default';
+  // WSC stations have readings but no flood categories or forecasts
+  const isCanadian = gauge.source === 'WSC';
+  const original = gauge.observed.original;
 
   return (
     <Marker
+      ref={markerRef}
       position={[gauge.lat, gauge.lng]}
       icon={icon}
       pane="gaugePane"
+      eventHandlers={eventHandlers}
     >
       <Tooltip direction="top" offset={[0, -20]}>
         <div className="text-xs">
           <strong>{gauge.name}</strong>
           <br />
-          {FLOOD_LABELS[category] || category}
+          {isCanadian ? SOURCE_LABELS.WSC : FLOOD_LABELS[category] || category}
+          {isRisingToFlood(gauge) && (
+            <>
+              <br />
+              Rising to {FLOOD_LABELS[gauge.forecast.floodCategory]}
+            </>
+          )}
         </div>
       </Tooltip>
-      <Popup>
+      <Popup minWidth={260} maxWidth={320}>
         <div className="min-w-[220px]">
           <div className={`px-3 py-2 -mx-3 -mt-3 mb-2 rounded-t ${
             category === 'major' ? 'bg-red-800 text-white' :
             category === 'moderate' ? 'bg-orange-600 text-white' :
             category === 'minor' ? 'bg-yellow-500 text-gray-900' :
             category === 'action' ? 'bg-lime-500 text-gray-900' :
+            isCanadian ? 'bg-sky-700 text-white' :
             'bg-green-500 text-white'
           }`}>
             <div className="flex items-center gap-2">
@@ -120,7 +242,7 @@ function GaugeMarker({ gauge, icon }) {
                 <path d="M9 14c0-1 1.5-2 3-2s3 1 3 2v6H9v-6z" fill="currentColor" opacity="0.5" />
               </svg>
               <span className="font-bold text-sm">
-                {FLOOD_LABELS[category] || 'Flood Gauge'}
+                {isCanadian ? 'Hydrometric Station' : FLOOD_LABELS[category] || 'Flood Gauge'}
               </span>
             </div>
           </div>
@@ -128,6 +250,7 @@ function GaugeMarker({ gauge, icon }) {
           <h3 className="font-bold text-gray-900 mb-1">{gauge.name}</h3>
           <p className="text-xs text-gray-500 mb-2">
             {gauge.state} | ID: {gauge.id}
+            {SOURCE_LABELS[gauge.source] && ` | ${SOURCE_LABELS[gauge.source]}`}
           </p>
 
           <div className="space-y-2 text-sm">
@@ -136,6 +259,7 @@ function GaugeMarker({ gauge, icon }) {
                 <span className="text-gray-600">Water Level:</span>
                 <span className="font-medium">
                   {gauge.observed.level.toFixed(2)} {gauge.observed.unit}
+                  {original && formatOriginal(original.level, original.unit, 2)}
                 </span>
               </div>
             )}
@@ -145,6 +269,7 @@ function GaugeMarker({ gauge, icon }) {
                 <span className="text-gray-600">Flow Rate:</span>
                 <span className="font-medium">
                   {gauge.observed.flow.toFixed(1)} {gauge.observed.flowUnit}
+                  {original && formatOriginal(original.flow, original.flowUnit, 1)}
                 </span>
               </div>
             )}
@@ -164,17 +289,105 @@ function GaugeMarker({ gauge, icon }) {
               </span>
             </div>
           )}
+
+          {!isCanadian && <GaugeForecast gauge={gauge} />}
+        </div>
+      </Popup>
+    </Marker>
+  );
+}
+
+// USGS stream site with recent discharge and percent of median
+function StreamflowMarker({ gauge, icon, selected, onSelect }) {
+  const { markerRef, eventHandlers } = useSelectedMarker(gauge, selected, onSelect);
+  const flowClass = getFlowClass(gauge.percentOfMedian);
+
+  return (
+    <Marker
+      ref={markerRef}
+      position={[gauge.lat, gauge.lng]}
+      icon={icon}
+      pane="gaugePane"
+      eventHandlers={eventHandlers}
+    >
+      <Tooltip direction="top" offset={[0, -8]}>
+        <div className="text-xs">
+          <strong>{gauge.name}</strong>
+          <br />
+          {gauge.percentOfMedian != null
+            ? `${gauge.percentOfMedian}% of median flow`
+            : `${gauge.observed.flow.toLocaleString('en-US')} ${gauge.observed.flowUnit}`}
+        </div>
+      </Tooltip>
+      <Popup minWidth={220} maxWidth={300}>
+        <div className="min-w-[200px]">
+          <div
+            className="px-3 py-2 -mx-3 -mt-3 mb-2 rounded-t text-white"
+            style={{ backgroundColor: flowClass.color }}
+          >
+            <span className="font-bold text-sm">{flowClass.label}</span>
+          </div>
+
+          <h3 className="font-bold text-gray-900 mb-1">{gauge.name}</h3>
+          <p className="text-xs text-gray-500 mb-2">
+            {gauge.state} | USGS {gauge.id}
+          </p>
+
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Discharge:</span>
+              <span className="font-medium">
+                {gauge.observed.flow.toLocaleString('en-US')} {gauge.observed.flowUnit}
+              </span>
+            </div>
+
+            {gauge.percentOfMedian != null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Percent of Median:</span>
+                <span className="font-medium">
+                  {gauge.percentOfMedian}% ({gauge.median.toLocaleString('en-US')} {gauge.observed.flowUnit})
+                </span>
+              </div>
+            )}
+
+            <div className="flex justify-between text-xs text-gray-500">
+              <span>Last Updated:</span>
+              <span>{formatTime(gauge.observed.validTime)}</span>
+            </div>
+          </div>
+
+          <p className="mt-2 pt-2 border-t text-xs text-gray-500">
+            No flood stage is defined for this site.
+          </p>
         </div>
       </Popup>
     </Marker>
   );
 }
 
-export default function RiverGauges({ gauges = [], showAll = false }) {
-  // Filter to show only flooding/action gauges unless showAll
+export default function RiverGauges({
+  gauges = [],
+  usgsGauges = [],
+  showAll = false,
+  selectedId = null,
+  onSelect
+}) {
+  // Filter to show only flooding/action gauges (or ones forecast to get there) unless showAll.
+  // Canadian stations have no flood category to filter on, so they always show.
+  // A gauge picked from the river list shows either way.
   const visibleGauges = showAll
     ? gauges
-    : gauges.filter(g => ['major', 'moderate', 'minor', 'action'].includes(g.observed.floodCategory));
+    : gauges.filter(g =>
+      ['major', 'moderate', 'minor', 'action'].includes(g.observed.floodCategory) ||
+      isRisingToFlood(g) ||
+      g.source === 'WSC' ||
+      g.id === selectedId
+    );
+
+  // USGS sites only when flow is well above normal, unless showAll
+  const visibleStreamflow = showAll
+    ? usgsGauges
+    : usgsGauges.filter(g => g.percentOfMedian >= HIGH_FLOW_PERCENT || g.id === selectedId);
 
   // Memoize icons to avoid recreating them
   const icons = useMemo(() => {
@@ -185,7 +398,11 @@ export default function RiverGauges({ gauges = [], showAll = false }) {
     return iconMap;
   }, []);
 
-  if (visibleGauges.length === 0) {
+  const streamflowIcons = useMemo(() => Object.fromEntries(
+    [...FLOW_CLASSES, UNKNOWN_FLOW_CLASS].map(flowClass => [flowClass.id, createStreamflowIcon(flowClass)])
+  ), []);
+
+  if (visibleGauges.length === 0 && visibleStreamflow.length === 0) {
     return null;
   }
 
@@ -195,9 +412,24 @@ export default function RiverGauges({ gauges = [], showAll = false }) {
         const category = gauge.observed.floodCategory || 'default';
         const icon = icons[category] || icons.default;
         return (
-          <GaugeMarker key={gauge.id} gauge={gauge} icon={icon} />
+          <GaugeMarker
+            key={gauge.id}
+            gauge={gauge}
+            icon={icon}
+            selected={gauge.id === selectedId}
+            onSelect={onSelect}
+          />
         );
       })}
+      {visibleStreamflow.map((gauge) => (
+        <StreamflowMarker
+          key={gauge.id}
+          gauge={gauge}
+          icon={streamflowIcons[getFlowClass(gauge.percentOfMedian).id]}
+          selected={gauge.id === selectedId}
+          onSelect={onSelect}
+        />
+      ))}
     </>
   );
 }
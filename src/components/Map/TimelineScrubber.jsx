@@ -0,0 +1,142 @@
+import { SEVERITY_COLORS } from '../../utils/constants';
+import { formatForDisplay } from '../../utils/datetime';
+
+const RANGE_OPTIONS = [
+  { days: 1, label: '24h' },
+  { days: 3, label: '3d' },
+  { days: 7, label: '7d' }
+];
+
+const SPEED_OPTIONS = [1, 2, 4];
+
+const EVENT_LABELS = {
+  issued: 'issued',
+  updated: 'updated',
+  ended: 'ended',
+  river: 'gauge'
+};
+
+const RIVER_COLOR = '#00D4FF';
+
+// Tick marks past this count are thinned out
+const MAX_TICKS = 200;
+
+function formatTime(time) {
+  return formatForDisplay(new Date(time).toISOString(), undefined, 'MMM d, h:mm a');
+}
+
+function getEventColor(event) {
+  if (event.type === 'river') return RIVER_COLOR;
+  return SEVERITY_COLORS[event.severity] || SEVERITY_COLORS.DEFAULT;
+}
+
+function describeEvent(event) {
+  if (event.type === 'river') return `${event.label} – ${event.category.replace('_', ' ')}`;
+  return `${event.label} ${EVENT_LABELS[event.type]}`;
+}
+
+/**
+ * Timeline scrubber for replaying archived alerts, river categories and
+ * Tribal status on the map
+ */
+export default function TimelineScrubber({
+  replay,
+  events,
+  playing,
+  speed,
+  summary,
+  onSeek,
+  onTogglePlay,
+  onSpeedChange,
+  onRangeChange,
+  onExport,
+  onClose
+}) {
+  const span = Math.max(replay.end - replay.start, 1);
+  const tickStep = Math.ceil(events.length / MAX_TICKS) || 1;
+  const lastEvent = events.filter(e => e.time <= replay.time).pop();
+
+  return (
+    <div className="timeline-scrubber" role="region" aria-label="Timeline replay">
+      <div className="timeline-scrubber-header">
+        <span className="timeline-scrubber-label">Replay</span>
+        <span className="timeline-scrubber-time">{formatTime(replay.time)}</span>
+        <div className="timeline-scrubber-ranges">
+          {RANGE_OPTIONS.map(option => (
+            <button
+              key={option.days}
+              className={`region-btn ${replay.days === option.days ? 'region-btn--active' : ''}`}
+              onClick={() => onRangeChange(option.days)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <button className="btn btn-ghost btn-sm" onClick={onClose}>
+          Back to live
+        </button>
+      </div>
+
+      <div className="timeline-scrubber-controls">
+        <button
+          className="btn btn-ghost btn-sm"
+          onClick={onTogglePlay}
+          aria-label={playing ? 'Pause replay' : 'Play replay'}
+        >
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <select
+          className="timeline-scrubber-speed"
+          value={speed}
+          onChange={(e) => onSpeedChange(Number(e.target.value))}
+          aria-label="Playback speed"
+        >
+          {SPEED_OPTIONS.map(value => (
+            <option key={value} value={value}>{value}x</option>
+          ))}
+        </select>
+
+        <div className="timeline-scrubber-track">
+          <div className="timeline-scrubber-ticks" aria-hidden="true">
+            {events.filter((_, i) => i % tickStep === 0).map((event, i) => (
+              <span
+                key={`${event.time}-${i}`}
+                className="timeline-scrubber-tick"
+                style={{
+                  left: `${((event.time - replay.start) / span) * 100}%`,
+                  backgroundColor: getEventColor(event)
+                }}
+              />
+            ))}
+          </div>
+          <input
+            type="range"
+            min={replay.start}
+            max={replay.end}
+            step={60 * 1000}
+            value={replay.time}
+            onChange={(e) => onSeek(Number(e.target.value))}
+            aria-label="Replay time"
+            aria-valuetext={formatTime(replay.time)}
+          />
+        </div>
+      </div>
+
+      <div className="timeline-scrubber-summary">
+        <span>{summary.alerts} alert{summary.alerts !== 1 ? 's' : ''}</span>
+        <span>{summary.warnings} warning{summary.warnings !== 1 ? 's' : ''}</span>
+        <span>{summary.flooding} gauge{summary.flooding !== 1 ? 's' : ''} flooding</span>
+        <span>{summary.nations} Nation{summary.nations !== 1 ? 's' : ''} affected</span>
+        <button className="btn btn-ghost btn-sm" onClick={onExport}>
+          Export
+        </button>
+      </div>
+
+      <p className="timeline-scrubber-event">
+        {lastEvent
+          ? `${formatTime(lastEvent.time)} · ${describeEvent(lastEvent)}`
+          : 'No archived changes yet in this window'}
+      </p>
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
 import { GeoJSON, Popup, useMap } from 'react-leaflet';
-import { useCallback, useState, useRef } from 'react';
-import { SEVERITY_COLORS } from '../../utils/constants';
-import { getAlertsForTribe } from '../../services/alertMatcher';
+import { useCallback, useMemo, useState, useRef } from 'react';
+import L from 'leaflet';
+import { SEVERITY_COLORS, FLOOD_RISING_COLOR } from '../../utils/constants';
+import { getAlertsForTribe, getTribalId } from '../../services/alertMatcher';
+import useWatchList from '../../hooks/useWatchList';
 
 // Unified Tribal style - subtle neutral fill, no outline for clarity
 const usStyle = {
@@ -21,6 +23,16 @@ const canadianStyle = {
   opacity: 0
 };
 
+const NO_RISING_GAUGES = {};
+
+const FLOOD_LABELS = {
+  no_flooding: 'Normal',
+  action: 'Action',
+  minor: 'Minor',
+  moderate: 'Moderate',
+  major: 'Major'
+};
+
 const hoverStyle = {
   fillOpacity: 0.55,
   weight: 0
@@ -49,11 +61,19 @@ function getFeatureFullName(props) {
   return getFeatureName(props);
 }
 
-export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] }) {
+export default function TribalBoundaries({
+  data,
+  alerts = {},
+  alertsRaw = [],
+  risingGauges = NO_RISING_GAUGES,
+  selectedId = null,
+  onSelect
+}) {
   const map = useMap();
-  const [selectedTribe, setSelectedTribe] = useState(null);
-  const [tribeAlerts, setTribeAlerts] = useState([]);
+  // Where the feature was clicked; deep-linked selections open at its center
+  const [clickedAt, setClickedAt] = useState(null);
   const geoJsonRef = useRef(null);
+  const { pin, unpin, isPinned } = useWatchList();
 
   const style = useCallback((feature) => {
     const props = feature.properties;
@@ -66,12 +86,16 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
     if (alertLevel === 'WARNING' || alertLevel === 'EMERGENCY') {
       return { ...baseStyle, fillColor: SEVERITY_COLORS.WARNING, color: SEVERITY_COLORS.WARNING };
     }
+    // A river forecast to flood nearby outranks a watch
+    if (risingGauges[getTribalId(props)]) {
+      return { ...baseStyle, fillColor: FLOOD_RISING_COLOR, color: FLOOD_RISING_COLOR };
+    }
     if (alertLevel === 'WATCH') {
       return { ...baseStyle, fillColor: SEVERITY_COLORS.WATCH, color: SEVERITY_COLORS.WATCH };
     }
 
     return baseStyle;
-  }, [alerts]);
+  }, [alerts, risingGauges]);
 
   const onEachFeature = useCallback((feature, layer) => {
     const props = feature.properties;
@@ -106,21 +130,8 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
         // Get center from click location or layer bounds
         const center = e.latlng || layer.getBounds().getCenter();
 
-        // Find alerts affecting this tribe
-        const matchingAlerts = getAlertsForTribe(alertsRaw, feature);
-        setTribeAlerts(matchingAlerts);
-
-        setSelectedTribe({
-          name: displayName,
-          fullName: getFeatureFullName(props),
-          id: featureId,
-          area: formatArea(props.ALAND),
-          province: props.PROVINCE || props.STATE || null,
-          isCanadian,
-          lat: center.lat,
-          lng: center.lng,
-          alertStatus: alertLevel || 'NONE'
-        });
+        setClickedAt({ id: featureId, lat: center.lat, lng: center.lng });
+        onSelect?.(featureId);
         map.flyTo(center, Math.max(map.getZoom(), 8), { duration: 0.5 });
       }
     });
@@ -132,12 +143,55 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
       direction: 'top',
       className: 'tribal-tooltip'
     });
-  }, [alerts, alertsRaw, map]);
+  }, [alerts, map, onSelect]);
 
-  const handleClosePopup = useCallback(() => {
-    setSelectedTribe(null);
-    setTribeAlerts([]);
-  }, []);
+  const selectedTribe = useMemo(() => {
+    if (!data || !selectedId) return null;
+
+    const feature = data.features?.find(f => getFeatureId(f.properties) === selectedId);
+    if (!feature) return null;
+
+    const props = feature.properties;
+    const center = clickedAt?.id === selectedId
+      ? clickedAt
+      : L.geoJSON(feature).getBounds().getCenter();
+
+    return {
+      name: getFeatureName(props),
+      fullName: getFeatureFullName(props),
+      id: selectedId,
+      area: formatArea(props.ALAND),
+      province: props.PROVINCE || props.STATE || null,
+      isCanadian: props.isCanadian === true,
+      lat: center.lat,
+      lng: center.lng,
+      alertStatus: alerts[selectedId] || 'NONE',
+      watchId: getTribalId(props),
+      risingGauges: risingGauges[getTribalId(props)] || [],
+      feature
+    };
+  }, [data, selectedId, clickedAt, alerts, risingGauges]);
+
+  // Find alerts affecting the selected tribe
+  const tribeAlerts = useMemo(
+    () => (selectedTribe ? getAlertsForTribe(alertsRaw, selectedTribe.feature) : []),
+    [selectedTribe, alertsRaw]
+  );
+
+  // Only fires when the user closes the popup: re-renders and unmounts detach
+  // this handler before the popup is removed
+  const popupHandlers = useMemo(() => ({
+    remove: () => onSelect?.(null)
+  }), [onSelect]);
+
+  const handleTogglePin = useCallback(() => {
+    if (!selectedTribe) return;
+    if (isPinned(selectedTribe.watchId)) {
+      unpin(selectedTribe.watchId);
+    } else {
+      pin(selectedTribe.feature);
+    }
+  }, [selectedTribe, isPinned, pin, unpin]);
 
   if (!data) return null;
 
@@ -153,7 +207,7 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
       {selectedTribe && (
         <Popup
           position={[selectedTribe.lat, selectedTribe.lng]}
-          onClose={handleClosePopup}
+          eventHandlers={popupHandlers}
           className="tribal-popup"
         >
           <div className="tribal-popup-content">
@@ -167,7 +221,11 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
               </div>
             </div>
 
-            <StatusBadge status={selectedTribe.alertStatus} />
+            <StatusBadge
+              status={selectedTribe.alertStatus === 'NONE' && selectedTribe.risingGauges.length > 0
+                ? 'RISING'
+                : selectedTribe.alertStatus}
+            />
 
             {/* Active Alerts List */}
             {tribeAlerts.length > 0 && (
@@ -182,6 +240,11 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
                     {alert.headline && (
                       <p className="tribal-alert-headline">{alert.headline}</p>
                     )}
+                    {alert.coverage != null && (
+                      <p className="tribal-alert-coverage">
+                        Covers {alert.coverage < 1 ? '<1' : Math.round(alert.coverage)}% of lands
+                      </p>
+                    )}
                     <p className="tribal-alert-expires">
                       Expires: {alert.expires ? new Date(alert.expires).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : 'N/A'}
                     </p>
@@ -190,6 +253,28 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
               </div>
             )}
 
+            {/* Gauges forecast to rise into flood nearby */}
+            {selectedTribe.risingGauges.length > 0 && (
+              <div className="tribal-popup-alerts">
+                <h4 className="tribal-popup-alerts-title">Rivers Rising</h4>
+                {selectedTribe.risingGauges.map(gauge => (
+                  <div key={gauge.id} className="tribal-alert-item tribal-alert-item--rising">
+                    <div className="tribal-alert-item-header">
+                      <span className="tribal-alert-event">{gauge.name}</span>
+                    </div>
+                    <p className="tribal-alert-headline">
+                      {FLOOD_LABELS[gauge.observed.floodCategory] || 'Normal'} → {FLOOD_LABELS[gauge.forecast.floodCategory]} forecast
+                    </p>
+                    <p className="tribal-alert-coverage">
+                      {gauge.via
+                        ? `Upstream of gauge ${gauge.via}`
+                        : gauge.distanceKm === 0 ? 'On Tribal lands' : `${gauge.distanceKm.toFixed(1)} km from lands`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="tribal-popup-details">
               {selectedTribe.province && (
                 <p className="tribal-popup-detail">
@@ -204,6 +289,13 @@ export default function TribalBoundaries({ data, alerts = {}, alertsRaw = [] })
                 </p>
               )}
             </div>
+
+            <button
+              className="btn btn-ghost btn-sm tribal-popup-pin"
+              onClick={handleTogglePin}
+            >
+              {isPinned(selectedTribe.watchId) ? 'Unpin from My Communities' : 'Pin to My Communities'}
+            </button>
           </div>
         </Popup>
       )}
@@ -226,7 +318,8 @@ function StatusBadge({ status }) {
   const configs = {
     WARNING: { className: 'tribal-status--warning', label: 'Weather Warning' },
     WATCH: { className: 'tribal-status--watch', label: 'Weather Watch' },
-    EMERGENCY: { className: 'tribal-status--emergency', label: 'Emergency Alert' }
+    EMERGENCY: { className: 'tribal-status--emergency', label: 'Emergency Alert' },
+    RISING: { className: 'tribal-status--rising', label: 'River Rising to Flood' }
   };
   const config = configs[status] || configs.WARNING;
 
@@ -5,6 +5,7 @@ import {
   MAX_ZOOM,
   MAX_BOUNDS,
   DARK_TILE_URL,
+  DARK_TILE_SUBDOMAINS,
   DARK_ATTRIBUTION,
   DEFAULT_REGION,
   REGIONS
@@ -18,54 +19,193 @@ import AlertZones from './AlertZones';
 import RiverGauges from './RiverGauges';
 import RadarLayer from './RadarLayer';
 import MarineLayer from './MarineLayer';
+import TimelineScrubber from './TimelineScrubber';
 import AlertList from '../ui/AlertList';
+import CommunityPage from '../pages/CommunityPage';
+import OfflinePacksPage from '../pages/OfflinePacksPage';
+import SourceStatusPage from '../pages/SourceStatusPage';
 import useTribalData from '../../hooks/useTribalData';
 import useAlerts from '../../hooks/useAlerts';
 import useRivers from '../../hooks/useRivers';
 import useMarineConditions from '../../hooks/useMarineConditions';
+import useWatchList from '../../hooks/useWatchList';
+import useTimelineReplay from '../../hooks/useTimelineReplay';
+import useSourceStatus from '../../hooks/useSourceStatus';
+import useSettings from '../../hooks/useSettings';
+import useRoute from '../../hooks/useRoute';
 import { matchAlertsToTribes } from '../../services/alertMatcher';
-
-export default function Map() {
-  const [currentRegion, setCurrentRegion] = useState(DEFAULT_REGION);
-  const [alertPanelOpen, setAlertPanelOpen] = useState(false);
-  const [showActiveWarnings, setShowActiveWarnings] = useState(true);
-  const [showRivers, setShowRivers] = useState(true);
-  const [showTribal, setShowTribal] = useState(true);
-  const [showRadar, setShowRadar] = useState(false);
-  const [showMarine, setShowMarine] = useState(false);
-  const [showWeatherRisk, setShowWeatherRisk] = useState(true);
-
+import { alertArchive, isFloodingCategory } from '../../services/alertArchive';
+import { findRisingGaugesByTribe } from '../../services/floodEscalation';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.notifications - Notification preferences from useAlertNotifications (run by App)
+ */
+export default function Map({ notifications }) {
+  // Region, layers, view and selections live in the URL so they can be shared
+  const { route, navigate } = useRoute();
+  const currentRegion = route.region;
+  const layers = route.layers;
+  const showActiveWarnings = layers.includes('warnings');
+  // A gauge opened from the river list brings its layer with it
+  const showRivers = layers.includes('rivers') || Boolean(route.gauge);
+  const showTribal = layers.includes('tribal');
+  const showRadar = layers.includes('radar');
+  const showMarine = layers.includes('marine');
+  const showWeatherRisk = layers.includes('risk');
+
+  const [alertPanelOpen, setAlertPanelOpen] = useState(() => Boolean(route.alert));
+  const [communityPanelOpen, setCommunityPanelOpen] = useState(false);
+  const [offlinePanelOpen, setOfflinePanelOpen] = useState(false);
+  const [sourcesPanelOpen, setSourcesPanelOpen] = useState(false);
+
+  // Selecting an alert through the URL (shared link, back/forward) opens its panel
+  const [routedAlert, setRoutedAlert] = useState(route.alert);
+  if (route.alert !== routedAlert) {
+    setRoutedAlert(route.alert);
+    if (route.alert) {
+      setCommunityPanelOpen(false);
+      setOfflinePanelOpen(false);
+      setSourcesPanelOpen(false);
+      setAlertPanelOpen(true);
+    }
+  }
+
+  const { settings } = useSettings();
   const regionConfig = REGIONS[currentRegion] || REGIONS[DEFAULT_REGION];
-  const includeCanada = regionConfig.includeCanada !== false;
+  const includeCanada = regionConfig.includeCanada !== false && settings.includeCanada;
 
   const { data: tribalData, loading: tribalLoading, error: tribalError } = useTribalData(includeCanada);
   const { alerts, alertsWithGeometry, alertsByType, loading: alertsLoading, error: alertsError, alertCount } = useAlerts(includeCanada);
-  const { floodingGauges, summary: riverSummary } = useRivers();
+  const { gauges, usgsGauges, floodingGauges, summary: riverSummary } = useRivers();
   const { buoys, tides, hazardousBuoys, summary: marineSummary } = useMarineConditions();
+  const { communities, unpin } = useWatchList();
+  const timeline = useTimelineReplay();
+  const { statuses: sourceStatuses, degraded: degradedSources } = useSourceStatus();
+
+  // The map's initial view: a shared view, else the region's bounds
+  const [initialView] = useState(() => route.view);
 
   const handleRegionChange = useCallback((regionId) => {
-    setCurrentRegion(regionId);
-  }, []);
+    navigate({ region: regionId }, { replace: true });
+  }, [navigate]);
+
+  const handleViewChange = useCallback((view) => {
+    navigate({ view }, { replace: true });
+  }, [navigate]);
+
+  const handleToggleLayer = useCallback((layer, enabled) => {
+    const next = enabled ? [...layers, layer] : layers.filter(id => id !== layer);
+    const clearGauge = layer === 'rivers' && !enabled;
+    navigate({ layers: next, ...(clearGauge && { gauge: null }) }, { replace: true });
+  }, [layers, navigate]);
+
+  const handleSelectAlert = useCallback((alert) => {
+    navigate({ alert: alert.id });
+  }, [navigate]);
+
+  const handleAlertBack = useCallback(() => {
+    navigate({ alert: null });
+  }, [navigate]);
+
+  const handleSelectTribe = useCallback((tribeId) => {
+    navigate({ tribe: tribeId });
+  }, [navigate]);
+
+  const handleSelectGauge = useCallback((gaugeId) => {
+    navigate({ gauge: gaugeId });
+  }, [navigate]);
 
   const handleToggleAlertPanel = useCallback(() => {
+    setCommunityPanelOpen(false);
+    setOfflinePanelOpen(false);
+    setSourcesPanelOpen(false);
     setAlertPanelOpen(prev => !prev);
+    navigate({ alert: null });
+  }, [navigate]);
+
+  const handleToggleCommunityPanel = useCallback(() => {
+    setAlertPanelOpen(false);
+    setOfflinePanelOpen(false);
+    setSourcesPanelOpen(false);
+    setCommunityPanelOpen(prev => !prev);
+  }, []);
+
+  const handleCloseCommunityPanel = useCallback(() => {
+    setCommunityPanelOpen(false);
+  }, []);
+
+  const handleToggleOfflinePanel = useCallback(() => {
+    setAlertPanelOpen(false);
+    setCommunityPanelOpen(false);
+    setSourcesPanelOpen(false);
+    setOfflinePanelOpen(prev => !prev);
+  }, []);
+
+  const handleCloseOfflinePanel = useCallback(() => {
+    setOfflinePanelOpen(false);
+  }, []);
+
+  const handleToggleSourcesPanel = useCallback(() => {
+    setAlertPanelOpen(false);
+    setCommunityPanelOpen(false);
+    setOfflinePanelOpen(false);
+    setSourcesPanelOpen(prev => !prev);
+  }, []);
+
+  const handleCloseSourcesPanel = useCallback(() => {
+    setSourcesPanelOpen(false);
   }, []);
 
   const handleCloseAlertPanel = useCallback(() => {
     setAlertPanelOpen(false);
+    navigate({ alert: null });
+  }, [navigate]);
+
+  const handleExportArchive = useCallback(() => {
+    const blob = new Blob([JSON.stringify(alertArchive.toJSON(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tribal-weather-archive-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
   }, []);
 
+  // During timeline replay the map layers show the archived snapshot
+  const { snapshot } = timeline;
+  const mapAlerts = useMemo(
+    () => (snapshot ? snapshot.alerts.filter(a => a.geometry) : alertsWithGeometry),
+    [snapshot, alertsWithGeometry]
+  );
+  const mapGauges = useMemo(() => {
+    const source = snapshot ? snapshot.gauges : gauges;
+    // Water Survey of Canada stations follow the Canadian data setting
+    return includeCanada ? source : source.filter(g => g.source !== 'WSC');
+  }, [snapshot, gauges, includeCanada]);
+  const mapFloodingGauges = useMemo(
+    () => (snapshot ? snapshot.gauges.filter(g => isFloodingCategory(g.observed.floodCategory)) : floodingGauges),
+    [snapshot, floodingGauges]
+  );
+
   const tribalAlerts = useMemo(() => {
-    if (!tribalData || !alerts.length) return {};
-    return matchAlertsToTribes(alerts, tribalData);
-  }, [tribalData, alerts]);
+    const source = snapshot ? snapshot.alerts : alerts;
+    if (!tribalData || !source.length) return {};
+    return matchAlertsToTribes(source, tribalData);
+  }, [tribalData, alerts, snapshot]);
+
+  // Gauges forecast to rise into flood near each Nation's lands
+  const tribalRisingGauges = useMemo(
+    () => findRisingGaugesByTribe(mapGauges, tribalData),
+    [mapGauges, tribalData]
+  );
 
   // Split alerts into Active Warnings (WARNING/EMERGENCY) and Weather Risk (WATCH/ADVISORY/STATEMENT)
   const { activeWarnings, weatherRiskAlerts } = useMemo(() => {
     const warnings = [];
     const risk = [];
 
-    alertsWithGeometry.forEach(alert => {
+    mapAlerts.forEach(alert => {
       if (alert.severity === 'WARNING' || alert.severity === 'EMERGENCY') {
         warnings.push(alert);
       } else {
@@ -74,7 +214,13 @@ export default function Map() {
     });
 
     return { activeWarnings: warnings, weatherRiskAlerts: risk };
-  }, [alertsWithGeometry]);
+  }, [mapAlerts]);
+
+  // An expired or unknown alert id falls back to the list
+  const selectedAlert = useMemo(
+    () => (route.alert ? alerts.find(alert => alert.id === route.alert) || null : null),
+    [alerts, route.alert]
+  );
 
   const loading = tribalLoading || alertsLoading;
   const error = tribalError || alertsError;
@@ -148,8 +294,9 @@ export default function Map() {
   return (
     <div className="map-viewport">
       <MapContainer
-        bounds={REGIONS[DEFAULT_REGION].bounds}
-        boundsOptions={{ padding: [10, 10] }}
+        {...(initialView
+          ? { center: [initialView.lat, initialView.lng], zoom: initialView.zoom }
+          : { bounds: regionConfig.bounds, boundsOptions: { padding: [10, 10] } })}
         minZoom={3}
         maxZoom={MAX_ZOOM}
         maxBounds={MAX_BOUNDS}
@@ -163,28 +310,68 @@ export default function Map() {
         inertia={true}
         inertiaDeceleration={2000}
       >
-        <MapSetup region={currentRegion} />
+        <MapSetup region={currentRegion} onViewChange={handleViewChange} />
 
         <TileLayer
           attribution={DARK_ATTRIBUTION}
           url={DARK_TILE_URL}
-          subdomains="abcd"
+          subdomains={DARK_TILE_SUBDOMAINS}
         />
 
         <Coastlines />
         {/* Weather Risk layer - watches/advisories as background visual */}
         {showWeatherRisk && <AlertZones alerts={weatherRiskAlerts} mode="risk" />}
         {/* Tribal Lands layer */}
-        {showTribal && <TribalBoundaries data={tribalData} alerts={tribalAlerts} alertsRaw={alertsWithGeometry} />}
+        {showTribal && (
+          <TribalBoundaries
+            data={tribalData}
+            alerts={tribalAlerts}
+            alertsRaw={mapAlerts}
+            risingGauges={tribalRisingGauges}
+            selectedId={route.tribe}
+            onSelect={handleSelectTribe}
+          />
+        )}
         {/* Active Warnings layer - warnings/emergencies, clickable with Tribal info */}
         {showActiveWarnings && <AlertZones alerts={activeWarnings} mode="warning" tribalData={tribalData} />}
-        {showRivers && <RiverGauges gauges={floodingGauges} />}
+        {/* USGS flows are not archived, so replay shows NWPS/WSC gauges only */}
+        {showRivers && (
+          <RiverGauges
+            gauges={mapGauges}
+            usgsGauges={snapshot ? undefined : usgsGauges}
+            showAll={settings.showAllGauges}
+            selectedId={route.gauge}
+            onSelect={handleSelectGauge}
+          />
+        )}
         <RadarLayer visible={showRadar} includeCanada={includeCanada} />
         <MarineLayer buoys={buoys} tides={tides} visible={showMarine} />
 
         <Controls currentRegion={currentRegion} />
       </MapContainer>
 
+      {/* Timeline replay - floating bottom center */}
+      {timeline.replay && (
+        <TimelineScrubber
+          replay={timeline.replay}
+          events={timeline.events}
+          playing={timeline.playing}
+          speed={timeline.speed}
+          summary={{
+            alerts: snapshot.alerts.length,
+            warnings: activeWarnings.length,
+            flooding: mapFloodingGauges.length,
+            nations: Object.keys(tribalAlerts).length
+          }}
+          onSeek={timeline.seek}
+          onTogglePlay={timeline.togglePlay}
+          onSpeedChange={timeline.setSpeed}
+          onRangeChange={timeline.open}
+          onExport={handleExportArchive}
+          onClose={timeline.close}
+        />
+      )}
+
       {/* Region Selector - floating top right */}
       <RegionSelector
         currentRegion={currentRegion}
@@ -282,6 +469,86 @@ export default function Map() {
           </div>
         )}
 
+        {/* My Communities watch list */}
+        {!loading && (
+          <div className="module-panel">
+            <button
+              onClick={handleToggleCommunityPanel}
+              className="sidebar-button"
+            >
+              <div className="flex items-center gap-3">
+                <svg className="w-5 h-5 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                </svg>
+                <span className="text-label font-bold">My Communities ({communities.length})</span>
+              </div>
+              <svg className="w-4 h-4 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Timeline replay of the alert archive */}
+        {!loading && (
+          <div className="module-panel">
+            <button
+              onClick={timeline.replay ? timeline.close : () => timeline.open(1)}
+              className="sidebar-button"
+            >
+              <div className="flex items-center gap-3">
+                <svg className="w-5 h-5 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <span className="text-label font-bold">{timeline.replay ? 'Back to Live' : 'Timeline Replay'}</span>
+              </div>
+            </button>
+          </div>
+        )}
+
+        {/* Offline map packs */}
+        {!loading && (
+          <div className="module-panel">
+            <button
+              onClick={handleToggleOfflinePanel}
+              className="sidebar-button"
+            >
+              <div className="flex items-center gap-3">
+                <svg className="w-5 h-5 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                </svg>
+                <span className="text-label font-bold">Offline Maps</span>
+              </div>
+              <svg className="w-4 h-4 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+            </button>
+          </div>
+        )}
+
+        {/* Upstream feed health */}
+        {!loading && (
+          <div className="module-panel">
+            <button
+              onClick={handleToggleSourcesPanel}
+              className="sidebar-button"
+            >
+              <div className="flex items-center gap-3">
+                <svg className="w-5 h-5 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
+                </svg>
+                <span className="text-label font-bold">Data Sources</span>
+                {degradedSources.length > 0 && (
+                  <span className="chip chip-sm chip-warning">{degradedSources.length} degraded</span>
+                )}
+              </div>
+              <svg className="w-4 h-4 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+            </button>
+          </div>
+        )}
+
         {/* Layer Toggles */}
         <div className="module-panel">
           <div className="module-panel-header">
@@ -292,7 +559,7 @@ export default function Map() {
               <input
                 type="checkbox"
                 checked={showWeatherRisk}
-                onChange={(e) => setShowWeatherRisk(e.target.checked)}
+                onChange={(e) => handleToggleLayer('risk', e.target.checked)}
               />
               <span className="layer-toggle-indicator" style={{ '--toggle-color': 'var(--color-warning)' }} />
               <span className="layer-toggle-label">Weather Risk</span>
@@ -301,7 +568,7 @@ export default function Map() {
               <input
                 type="checkbox"
                 checked={showActiveWarnings}
-                onChange={(e) => setShowActiveWarnings(e.target.checked)}
+                onChange={(e) => handleToggleLayer('warnings', e.target.checked)}
               />
               <span className="layer-toggle-indicator" style={{ '--toggle-color': 'var(--color-danger)' }} />
               <span className="layer-toggle-label">Active Warnings</span>
@@ -310,7 +577,7 @@ export default function Map() {
               <input
                 type="checkbox"
                 checked={showTribal}
-                onChange={(e) => setShowTribal(e.target.checked)}
+                onChange={(e) => handleToggleLayer('tribal', e.target.checked)}
               />
               <span className="layer-toggle-indicator" style={{ '--toggle-color': '#d1cbcb' }} />
               <span className="layer-toggle-label">Tribal Lands</span>
@@ -319,7 +586,7 @@ export default function Map() {
               <input
                 type="checkbox"
                 checked={showRivers}
-                onChange={(e) => setShowRivers(e.target.checked)}
+                onChange={(e) => handleToggleLayer('rivers', e.target.checked)}
               />
               <span className="layer-toggle-indicator" style={{ '--toggle-color': '#00D4FF' }} />
               <span className="layer-toggle-label">Flood Gauges</span>
@@ -328,7 +595,7 @@ export default function Map() {
               <input
                 type="checkbox"
                 checked={showRadar}
-                onChange={(e) => setShowRadar(e.target.checked)}
+                onChange={(e) => handleToggleLayer('radar', e.target.checked)}
               />
               <span className="layer-toggle-indicator" style={{ '--toggle-color': 'var(--color-success)' }} />
               <span className="layer-toggle-label">Active Radar</span>
@@ -337,7 +604,7 @@ export default function Map() {
               <input
                 type="checkbox"
                 checked={showMarine}
-                onChange={(e) => setShowMarine(e.target.checked)}
+                onChange={(e) => handleToggleLayer('marine', e.target.checked)}
               />
               <span className="layer-toggle-indicator" style={{ '--toggle-color': '#06B6D4' }} />
               <span className="layer-toggle-label">Marine Buoys</span>
@@ -473,7 +740,82 @@ export default function Map() {
         alerts={alerts}
         isOpen={alertPanelOpen}
         onClose={handleCloseAlertPanel}
+        selectedAlert={selectedAlert}
+        onAlertSelect={handleSelectAlert}
+        onBack={handleAlertBack}
       />
+
+      {/* My Communities Sidebar */}
+      {communityPanelOpen && (
+        <div className="alert-list-panel">
+          <div className="alert-list-header">
+            <h2 className="alert-list-title">My Communities ({communities.length})</h2>
+            <button
+              onClick={handleCloseCommunityPanel}
+              className="alert-list-close"
+              aria-label="Close My Communities panel"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <div className="alert-list-content">
+            <CommunityPage
+              communities={communities}
+              tribalData={tribalData}
+              alerts={alerts}
+              gauges={gauges}
+              buoys={buoys}
+              tides={tides}
+              notifications={notifications}
+              onUnpin={unpin}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Offline Maps Sidebar */}
+      {offlinePanelOpen && (
+        <div className="alert-list-panel">
+          <div className="alert-list-header">
+            <h2 className="alert-list-title">Offline Maps</h2>
+            <button
+              onClick={handleCloseOfflinePanel}
+              className="alert-list-close"
+              aria-label="Close Offline Maps panel"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <div className="alert-list-content">
+            <OfflinePacksPage />
+          </div>
+        </div>
+      )}
+
+      {/* Data Sources Sidebar */}
+      {sourcesPanelOpen && (
+        <div className="alert-list-panel">
+          <div className="alert-list-header">
+            <h2 className="alert-list-title">Data Sources</h2>
+            <button
+              onClick={handleCloseSourcesPanel}
+              className="alert-list-close"
+              aria-label="Close Data Sources panel"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <div className="alert-list-content">
+            <SourceStatusPage statuses={sourceStatuses} degraded={degradedSources} />
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,36 @@
+import { memo } from 'react';
+import { ModulePanel, AlertCard } from '../ui';
+
+function EmbedAlertList({ alerts, title, subtitle, loading = false, appUrl, onAlertClick }) {
+  return (
+    <ModulePanel
+      title={title}
+      subtitle={subtitle}
+      noPadding
+      footer={
+        <a className="embed-app-link" href={appUrl} target="_blank" rel="noopener noreferrer">
+          Open TribalWeather
+        </a>
+      }
+    >
+      {loading && alerts.length === 0 ? (
+        <p className="embed-empty text-body-sm text-muted">Loading alerts...</p>
+      ) : alerts.length === 0 ? (
+        <p className="embed-empty text-body-sm text-muted">No active alerts</p>
+      ) : (
+        <div className="divide-y divide-white/10">
+          {alerts.map(alert => (
+            <AlertCard
+              key={alert.id}
+              alert={alert}
+              onClick={onAlertClick}
+              compact
+            />
+          ))}
+        </div>
+      )}
+    </ModulePanel>
+  );
+}
+
+export default memo(EmbedAlertList);
@@ -0,0 +1,86 @@
+import { useEffect, useMemo, useRef, useCallback } from 'react';
+import EmbedAlertList from './EmbedAlertList';
+import EmbedNationCard from './EmbedNationCard';
+import EmbedMiniMap from './EmbedMiniMap';
+import useAlerts from '../../hooks/useAlerts';
+import useTribalData from '../../hooks/useTribalData';
+import { REGIONS } from '../../utils/constants';
+import { buildRouteUrl, parseRoute } from '../../services/router';
+import {
+  findEmbedNations,
+  selectEmbedAlerts,
+  postEmbedMessage,
+  toEmbedAlert,
+  observeEmbedHeight
+} from '../../services/embed';
+
+/**
+ * Root of the embeddable widget page (embed.html)
+ * @param {Object} config - Options from parseEmbedConfig
+ */
+export default function EmbedApp({ config }) {
+  const { widget, region, nations, limit, id } = config;
+  const rootRef = useRef(null);
+  const includeCanada = REGIONS[region].includeCanada !== false;
+
+  const { alerts, alertsWithGeometry, loading } = useAlerts(includeCanada);
+  const { data: tribalData, loading: tribalLoading } = useTribalData(includeCanada);
+
+  const nationFeatures = useMemo(() => findEmbedNations(tribalData, nations), [tribalData, nations]);
+  const listAlerts = useMemo(
+    () => selectEmbedAlerts(alerts, { region, nationFeatures, limit }),
+    [alerts, region, nationFeatures, limit]
+  );
+
+  // Full app on the same region, for "Open TribalWeather" links
+  const appUrl = useMemo(
+    () => `${window.location.origin}${buildRouteUrl({ ...parseRoute({ pathname: '/', search: '' }), region })}`,
+    [region]
+  );
+
+  // Let the parent size the iframe to the content
+  useEffect(() => {
+    const stop = observeEmbedHeight(rootRef.current, id);
+    postEmbedMessage('ready', { widget }, id);
+    return stop;
+  }, [id, widget]);
+
+  const handleAlertClick = useCallback((alert) => {
+    postEmbedMessage('alert-click', { alert: toEmbedAlert(alert) }, id);
+  }, [id]);
+
+  return (
+    <div className="embed-root" ref={rootRef}>
+      {widget === 'alerts' && (
+        <EmbedAlertList
+          alerts={listAlerts}
+          title="Active Alerts"
+          subtitle={nationFeatures.length > 0
+            ? nationFeatures.map(f => f.properties.NAME || f.properties.name).join(', ')
+            : REGIONS[region].description}
+          loading={loading || (nations.length > 0 && tribalLoading)}
+          appUrl={appUrl}
+          onAlertClick={handleAlertClick}
+        />
+      )}
+      {widget === 'nation' && (
+        <EmbedNationCard
+          feature={nationFeatures[0] || null}
+          alerts={alerts}
+          limit={limit}
+          loading={tribalLoading}
+          appUrl={appUrl}
+          onAlertClick={handleAlertClick}
+        />
+      )}
+      {widget === 'map' && (
+        <EmbedMiniMap
+          region={region}
+          alerts={alertsWithGeometry}
+          tribalData={tribalData}
+          nationFeatures={nationFeatures}
+        />
+      )}
+    </div>
+  );
+}
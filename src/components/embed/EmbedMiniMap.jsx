@@ -0,0 +1,63 @@
+import { memo, useMemo } from 'react';
+import { MapContainer, TileLayer } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import {
+  MAX_ZOOM,
+  DARK_TILE_URL,
+  DARK_TILE_SUBDOMAINS,
+  DARK_ATTRIBUTION,
+  REGIONS
+} from '../../utils/constants';
+import MapSetup from '../Map/MapSetup';
+import AlertZones from '../Map/AlertZones';
+import TribalBoundaries from '../Map/TribalBoundaries';
+import { matchAlertsToTribes } from '../../services/alertMatcher';
+
+function EmbedMiniMap({ region, alerts, tribalData, nationFeatures }) {
+  // Configured Nations frame the map and are the only boundaries drawn
+  const boundaries = useMemo(
+    () => (nationFeatures.length > 0 ? { type: 'FeatureCollection', features: nationFeatures } : tribalData),
+    [nationFeatures, tribalData]
+  );
+  const bounds = useMemo(
+    () => (nationFeatures.length > 0 ? L.geoJSON(boundaries).getBounds() : REGIONS[region].bounds),
+    [nationFeatures, boundaries, region]
+  );
+
+  const tribalAlerts = useMemo(
+    () => (boundaries && alerts.length ? matchAlertsToTribes(alerts, boundaries) : {}),
+    [boundaries, alerts]
+  );
+
+  const { warnings, risk } = useMemo(() => ({
+    warnings: alerts.filter(a => a.severity === 'WARNING' || a.severity === 'EMERGENCY'),
+    risk: alerts.filter(a => a.severity !== 'WARNING' && a.severity !== 'EMERGENCY')
+  }), [alerts]);
+
+  return (
+    <div className="embed-map">
+      <MapContainer
+        bounds={bounds}
+        boundsOptions={{ padding: [10, 10] }}
+        maxZoom={MAX_ZOOM}
+        className="h-full w-full"
+        zoomControl={false}
+        scrollWheelZoom={false}
+        attributionControl={true}
+      >
+        <MapSetup region={region} />
+        <TileLayer
+          attribution={DARK_ATTRIBUTION}
+          url={DARK_TILE_URL}
+          subdomains={DARK_TILE_SUBDOMAINS}
+        />
+        <AlertZones alerts={risk} mode="risk" />
+        <TribalBoundaries data={boundaries} alerts={tribalAlerts} alertsRaw={alerts} />
+        <AlertZones alerts={warnings} mode="warning" tribalData={tribalData} />
+      </MapContainer>
+    </div>
+  );
+}
+
+export default memo(EmbedMiniMap);
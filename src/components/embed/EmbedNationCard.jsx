@@ -0,0 +1,77 @@
+import { memo, useMemo } from 'react';
+import { ModulePanel, AlertCard } from '../ui';
+import useRivers from '../../hooks/useRivers';
+import { buildCommunityHazards, toCommunity, NEARBY_GAUGE_RADIUS_KM } from '../../services/watchList';
+
+const STATUS_CONFIG = {
+  EMERGENCY: { severity: 'danger', label: 'Emergency' },
+  WARNING: { severity: 'danger', label: 'Warning' },
+  WATCH: { severity: 'warning', label: 'Watch' },
+  ADVISORY: { severity: 'info', label: 'Advisory' },
+  STATEMENT: { severity: undefined, label: 'Statement' },
+  NONE: { severity: 'success', label: 'No Active Hazards' }
+};
+
+function EmbedNationCard({ feature, alerts, limit, loading = false, appUrl, onAlertClick }) {
+  const { gauges } = useRivers();
+  const community = useMemo(() => toCommunity(feature), [feature]);
+  const hazards = useMemo(
+    () => (feature ? buildCommunityHazards(community, feature, { alerts, gauges }) : null),
+    [community, feature, alerts, gauges]
+  );
+
+  if (!feature) {
+    return (
+      <ModulePanel title="Nation Status">
+        <p className="text-body-sm text-muted">
+          {loading ? 'Loading...' : 'Nation not found. Check the nations setting.'}
+        </p>
+      </ModulePanel>
+    );
+  }
+
+  const status = STATUS_CONFIG[hazards.status] || STATUS_CONFIG.ADVISORY;
+
+  return (
+    <ModulePanel
+      title={community.name}
+      subtitle={[community.fullName, community.region].filter(Boolean).join(' • ')}
+      severity={hazards.status === 'NONE' ? undefined : status.severity}
+      footer={
+        <a className="embed-app-link" href={appUrl} target="_blank" rel="noopener noreferrer">
+          Open TribalWeather
+        </a>
+      }
+    >
+      <div className="community-section">
+        <span className={`chip chip-sm ${status.severity ? `text-${status.severity}` : ''}`}>
+          {status.label}
+        </span>
+      </div>
+
+      {hazards.alerts.length > 0 && (
+        <div className="community-section">
+          <h4 className="text-label-sm text-muted">Alerts</h4>
+          <div className="divide-y divide-white/10">
+            {hazards.alerts.slice(0, limit).map(alert => (
+              <AlertCard
+                key={alert.id}
+                alert={alert}
+                onClick={onAlertClick}
+                compact
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <p className="text-body-sm text-muted">
+        {hazards.gauges.length > 0
+          ? `${hazards.gauges.length} flooding river ${hazards.gauges.length === 1 ? 'gauge' : 'gauges'} within ${Math.round(NEARBY_GAUGE_RADIUS_KM * 0.621371)} mi`
+          : 'No river flooding nearby'}
+      </p>
+    </ModulePanel>
+  );
+}
+
+export default memo(EmbedNationCard);
@@ -0,0 +1,4 @@
+export { default as EmbedApp } from './EmbedApp';
+export { default as EmbedAlertList } from './EmbedAlertList';
+export { default as EmbedNationCard } from './EmbedNationCard';
+export { default as EmbedMiniMap } from './EmbedMiniMap';
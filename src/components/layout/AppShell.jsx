@@ -1,9 +1,23 @@
 import { memo, useState, useEffect } from 'react';
 import TopStatusRail from './TopStatusRail';
+import { formatForDisplay } from '../../utils/datetime';
+
+// "NWS alerts and NDBC buoys are paused …; retrying within 2 min."
+function describePausedSources(sources) {
+  const names = sources.map(source => source.name);
+  const list = names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+  const minutes = Math.ceil(Math.max(...sources.map(source => source.resetTimeoutMs)) / 60000);
+  return `${list} ${names.length > 1 ? 'are' : 'is'} paused after repeated failures; retrying within ${minutes} min.`;
+}
 
 function AppShell({
   children,
   lastUpdated = null,
+  isStale = false,
+  pausedSources = [],
+  degradedSources = [],
   isLoading = false,
   error = null,
   onRefresh,
@@ -32,6 +46,7 @@ function AppShell({
           lastUpdated={lastUpdated}
           isLoading={isLoading}
           error={error}
+          degradedSources={degradedSources}
           onRefresh={onRefresh}
         />
       )}
@@ -45,8 +60,8 @@ function AppShell({
         {children}
       </main>
 
-      {/* Offline banner */}
-      {!isOnline && (
+      {/* Offline banner - data is the last known when served from the cache */}
+      {(!isOnline || isStale) && (
         <div className="offline-banner" role="alert">
           <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <line x1="1" y1="1" x2="23" y2="23" />
@@ -56,7 +71,23 @@ function AppShell({
             <path d="M1.42 9a15.91 15.91 0 0 1 4.7-2.88" />
             <circle cx="12" cy="20" r="1" />
           </svg>
-          <span>You're offline. Showing cached data.</span>
+          <span>
+            {isOnline ? 'Data sources unreachable.' : "You're offline."}{' '}
+            {lastUpdated
+              ? `Last known data as of ${formatForDisplay(lastUpdated.toISOString(), undefined, 'MMM d, h:mm a')}.`
+              : 'No cached data yet.'}
+          </span>
+        </div>
+      )}
+
+      {/* Sources whose circuit breaker is open are skipped until it resets */}
+      {isOnline && pausedSources.length > 0 && (
+        <div className="offline-banner source-paused-banner" role="status">
+          <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <rect x="6" y="4" width="4" height="16" />
+            <rect x="14" y="4" width="4" height="16" />
+          </svg>
+          <span>{describePausedSources(pausedSources)}</span>
         </div>
       )}
     </div>
@@ -35,6 +35,15 @@ const NAV_ITEMS = [
       </svg>
     )
   },
+  {
+    id: 'forecast',
+    label: 'Forecast',
+    icon: (
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z" />
+      </svg>
+    )
+  },
   {
     id: 'news',
     label: 'News',
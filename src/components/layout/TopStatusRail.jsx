@@ -20,6 +20,7 @@ function TopStatusRail({
   lastUpdated = null,
   isLoading = false,
   error = null,
+  degradedSources = [],
   onRefresh
 }) {
   const [currentTime, setCurrentTime] = useState(new Date());
@@ -70,6 +71,18 @@ function TopStatusRail({
             </svg>
             Offline
           </span>
+        ) : degradedSources.length > 0 ? (
+          <span
+            className="chip chip-warning"
+            title={degradedSources.map(source => `${source.name}: ${source.lastError ?? 'paused'}`).join('\n')}
+          >
+            <svg className="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z" />
+              <line x1="12" y1="9" x2="12" y2="13" />
+              <line x1="12" y1="17" x2="12.01" y2="17" />
+            </svg>
+            {degradedSources.length} {degradedSources.length === 1 ? 'source' : 'sources'} degraded
+          </span>
         ) : isLoading ? (
           <span className="chip chip-info">
             <svg className="w-3 h-3 animate-spin" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -0,0 +1,271 @@
+import { memo, useMemo } from 'react';
+import { ModulePanel, AlertCard } from '../ui';
+import useForecast from '../../hooks/useForecast';
+import {
+  buildCommunityHazards,
+  findCommunityFeature,
+  NEARBY_GAUGE_RADIUS_KM
+} from '../../services/watchList';
+
+const STATUS_CONFIG = {
+  EMERGENCY: { severity: 'danger', label: 'Emergency' },
+  WARNING: { severity: 'danger', label: 'Warning' },
+  WATCH: { severity: 'warning', label: 'Watch' },
+  ADVISORY: { severity: 'info', label: 'Advisory' },
+  STATEMENT: { severity: undefined, label: 'Statement' },
+  NONE: { severity: 'success', label: 'No Active Hazards' }
+};
+
+const FLOOD_LABELS = {
+  major: 'Major flooding',
+  moderate: 'Moderate flooding',
+  minor: 'Minor flooding',
+  action: 'Action stage'
+};
+
+function formatDistance(km) {
+  return `${Math.round(km * 0.621371)} mi`;
+}
+
+function formatTideTime(timeStr) {
+  if (!timeStr) return 'N/A';
+  return new Date(timeStr).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+function formatBuoy(buoy) {
+  const parts = [];
+  if (buoy.waveHeight != null) parts.push(`Waves ${(buoy.waveHeight * 3.28084).toFixed(1)} ft`);
+  if (buoy.windSpeed != null) parts.push(`Wind ${(buoy.windSpeed * 1.94384).toFixed(0)} kt`);
+  return parts.join(' • ') || 'No recent observation';
+}
+
+function CommunityCard({ community, hazards, forecast, onUnpin, onAlertClick }) {
+  const status = STATUS_CONFIG[hazards.status] || STATUS_CONFIG.ADVISORY;
+  const currentPeriod = forecast?.periods?.[0];
+
+  return (
+    <ModulePanel
+      title={community.name}
+      subtitle={[community.fullName, community.region].filter(Boolean).join(' • ')}
+      severity={hazards.status === 'NONE' ? undefined : status.severity}
+      headerRight={
+        <button
+          className="btn btn-ghost btn-sm"
+          onClick={() => onUnpin?.(community.id)}
+          aria-label={`Unpin ${community.name}`}
+        >
+          Unpin
+        </button>
+      }
+      className="mb-4"
+    >
+      <div className="community-section">
+        <span className={`chip chip-sm ${status.severity ? `text-${status.severity}` : ''}`}>
+          {status.label}
+        </span>
+      </div>
+
+      {/* Alerts */}
+      <div className="community-section">
+        <h4 className="text-label-sm text-muted">Alerts</h4>
+        {hazards.alerts.length === 0 ? (
+          <p className="text-body-sm text-muted">No alerts over these lands</p>
+        ) : (
+          <div className="divide-y divide-white/10">
+            {hazards.alerts.map(alert => (
+              <AlertCard
+                key={alert.id}
+                alert={alert}
+                onClick={onAlertClick}
+                compact
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* River gauges */}
+      <div className="community-section">
+        <h4 className="text-label-sm text-muted">Flooding Gauges Nearby</h4>
+        {hazards.gauges.length === 0 ? (
+          <p className="text-body-sm text-muted">No flooding within {formatDistance(NEARBY_GAUGE_RADIUS_KM)}</p>
+        ) : (
+          hazards.gauges.map(gauge => (
+            <p key={gauge.id} className="community-row">
+              <span>{gauge.name}</span>
+              <span className="text-warning">{FLOOD_LABELS[gauge.observed.floodCategory]}</span>
+              <span className="text-muted">{formatDistance(gauge.distanceKm)}</span>
+            </p>
+          ))
+        )}
+      </div>
+
+      {/* Marine */}
+      {(hazards.buoys.length > 0 || hazards.tides.length > 0) && (
+        <div className="community-section">
+          <h4 className="text-label-sm text-muted">Marine</h4>
+          {hazards.buoys.map(buoy => (
+            <p key={buoy.id} className="community-row">
+              <span>{buoy.name}</span>
+              <span className={buoy.hazards?.length ? 'text-warning' : ''}>{formatBuoy(buoy)}</span>
+              <span className="text-muted">{formatDistance(buoy.distanceKm)}</span>
+            </p>
+          ))}
+          {hazards.tides.map(tide => (
+            <p key={tide.id} className="community-row">
+              <span>{tide.name}</span>
+              <span>
+                {tide.nextHigh && `High ${formatTideTime(tide.nextHigh.time)} (${tide.nextHigh.height.toFixed(1)} ft)`}
+              </span>
+              <span className="text-muted">{formatDistance(tide.distanceKm)}</span>
+            </p>
+          ))}
+        </div>
+      )}
+
+      {/* Point forecast (NWS covers US communities only) */}
+      <div className="community-section">
+        <h4 className="text-label-sm text-muted">Forecast</h4>
+        {currentPeriod ? (
+          <p className="text-body-sm">
+            <span className="font-bold">{currentPeriod.name}: </span>
+            {currentPeriod.temperature}°{currentPeriod.temperatureUnit} • {currentPeriod.shortForecast} • Wind {currentPeriod.windSpeed} {currentPeriod.windDirection}
+          </p>
+        ) : (
+          <p className="text-body-sm text-muted">
+            {community.isCanadian ? 'Point forecast not available for Canadian communities' : 'Forecast unavailable'}
+          </p>
+        )}
+      </div>
+    </ModulePanel>
+  );
+}
+
+const PERMISSION_MESSAGES = {
+  denied: 'Notifications are blocked in this browser’s site settings',
+  unsupported: 'This browser does not support notifications'
+};
+
+function NotificationSettings({ notifications }) {
+  const { settings, permission, updateSettings, enable, disable } = notifications;
+  const { quietHours } = settings;
+  const isOn = settings.enabled && permission === 'granted';
+
+  return (
+    <ModulePanel title="Notifications" className="mb-4">
+      <label className="layer-toggle">
+        <input
+          type="checkbox"
+          checked={isOn}
+          disabled={permission === 'denied' || permission === 'unsupported'}
+          onChange={(e) => (e.target.checked ? enable() : disable())}
+        />
+        <span className="layer-toggle-indicator" style={{ '--toggle-color': 'var(--color-danger)' }} />
+        <span className="layer-toggle-label">New and upgraded alerts</span>
+      </label>
+      {PERMISSION_MESSAGES[permission] && (
+        <p className="text-label-sm text-muted">{PERMISSION_MESSAGES[permission]}</p>
+      )}
+
+      {isOn && (
+        <>
+          <label className="layer-toggle">
+            <input
+              type="checkbox"
+              checked={quietHours.enabled}
+              onChange={(e) => updateSettings({ quietHours: { enabled: e.target.checked } })}
+            />
+            <span className="layer-toggle-indicator" style={{ '--toggle-color': 'var(--color-warning)' }} />
+            <span className="layer-toggle-label">Quiet hours</span>
+          </label>
+          {quietHours.enabled && (
+            <div className="community-row">
+              <input
+                type="time"
+                aria-label="Quiet hours start"
+                value={quietHours.start}
+                onChange={(e) => updateSettings({ quietHours: { start: e.target.value } })}
+              />
+              <span className="text-muted">to</span>
+              <input
+                type="time"
+                aria-label="Quiet hours end"
+                value={quietHours.end}
+                onChange={(e) => updateSettings({ quietHours: { end: e.target.value } })}
+              />
+            </div>
+          )}
+          {quietHours.enabled && (
+            <p className="text-label-sm text-muted">Emergencies still notify during quiet hours</p>
+          )}
+        </>
+      )}
+    </ModulePanel>
+  );
+}
+
+function CommunityPage({
+  communities = [],
+  tribalData = null,
+  alerts = [],
+  gauges = [],
+  buoys = [],
+  tides = [],
+  notifications,
+  onUnpin,
+  onAlertClick
+}) {
+  // Point forecast locations for pinned US communities
+  const forecastLocations = useMemo(() => (
+    communities
+      .filter(c => !c.isCanadian && c.lat != null && c.lon != null)
+      .map(c => ({
+        id: c.id,
+        name: c.name,
+        lat: Number(c.lat.toFixed(4)),
+        lon: Number(c.lon.toFixed(4))
+      }))
+  ), [communities]);
+
+  const { forecasts } = useForecast(forecastLocations);
+
+  const summaries = useMemo(() => communities.map(community => ({
+    community,
+    hazards: buildCommunityHazards(
+      community,
+      findCommunityFeature(tribalData, community.id),
+      { alerts, gauges, buoys, tides }
+    )
+  })), [communities, tribalData, alerts, gauges, buoys, tides]);
+
+  if (communities.length === 0) {
+    return (
+      <div className="community-page">
+        <ModulePanel title="My Communities">
+          <p className="text-body-sm text-muted">
+            Select a Tribal or First Nation land on the map and choose “Pin to My Communities”
+            to follow its alerts, nearby river gauges, marine conditions and forecast here.
+          </p>
+        </ModulePanel>
+      </div>
+    );
+  }
+
+  return (
+    <div className="community-page">
+      {notifications && <NotificationSettings notifications={notifications} />}
+      {summaries.map(({ community, hazards }) => (
+        <CommunityCard
+          key={community.id}
+          community={community}
+          hazards={hazards}
+          forecast={forecasts[community.id]?.forecast}
+          onUnpin={onUnpin}
+          onAlertClick={onAlertClick}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default memo(CommunityPage);
@@ -7,7 +7,8 @@ function Dashboard({
   tribalData = null,
   loading = false,
   onAlertClick,
-  onViewAllAlerts
+  onViewAllAlerts,
+  onViewRivers
 }) {
   // Compute metrics
   const metrics = useMemo(() => {
@@ -101,6 +102,7 @@ function Dashboard({
             label="Flood Gauges"
             value={metrics.floodingGauges}
             severity={metrics.floodingGauges > 0 ? 'warning' : 'success'}
+            onClick={onViewRivers}
             icon={
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M12 2v20M2 12h20M6 6l12 12M18 6L6 18" />
@@ -1,5 +1,12 @@
-import { memo, useState } from 'react';
+import { memo, useRef, useState } from 'react';
 import { ModulePanel } from '../ui';
+import { getCacheUsage } from '../../services/cache';
+import { isTelemetryEnabled, setTelemetryEnabled } from '../../services/telemetry';
+import useSettings from '../../hooks/useSettings';
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
 function SettingsToggle({ label, description, checked, onChange }) {
   return (
@@ -18,17 +25,39 @@ function SettingsToggle({ label, description, checked, onChange }) {
   );
 }
 
-function MorePage({ onClearCache }) {
-  const [settings, setSettings] = useState({
-    includeCanada: true,
-    showAllGauges: false,
-    autoRefresh: true,
-    reducedMotion: false
-  });
+function MorePage({ onClearCache, onViewRivers }) {
+  const { settings, updateSetting, importSettings, exportSettings } = useSettings();
+  const [cacheUsage] = useState(getCacheUsage);
+  const [shareDiagnostics, setShareDiagnostics] = useState(isTelemetryEnabled);
+  const [importMessage, setImportMessage] = useState(null);
+  const fileInputRef = useRef(null);
 
-  const updateSetting = (key, value) => {
-    setSettings(prev => ({ ...prev, [key]: value }));
-    // In production, persist to localStorage
+  const handleExportSettings = () => {
+    const blob = new Blob([exportSettings()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'tribal-weather-settings.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportSettings = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      importSettings(await file.text());
+      setImportMessage({ ok: true, text: 'Settings imported.' });
+    } catch (err) {
+      setImportMessage({ ok: false, text: err.message });
+    }
+  };
+
+  const handleShareDiagnostics = (enabled) => {
+    setTelemetryEnabled(enabled);
+    setShareDiagnostics(enabled);
   };
 
   const handleClearCache = () => {
@@ -39,6 +68,25 @@ function MorePage({ onClearCache }) {
 
   return (
     <div className="more-page">
+      {/* River gauge list */}
+      <ModulePanel title="Rivers" className="mb-4" noPadding>
+        <button
+          className="flex items-center gap-3 p-3 w-full text-left hover:bg-white/5 rounded-lg transition-colors"
+          onClick={onViewRivers}
+        >
+          <svg className="w-5 h-5 text-muted" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M2 12h20M2 17h20M2 7h20" />
+          </svg>
+          <div className="flex-1">
+            <p className="text-body font-medium">All River Gauges</p>
+            <p className="text-body-sm text-muted">Search every gauge and find it on the map</p>
+          </div>
+          <svg className="w-4 h-4 text-muted" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <polyline points="9 18 15 12 9 6" />
+          </svg>
+        </button>
+      </ModulePanel>
+
       {/* Settings */}
       <ModulePanel title="Settings" className="mb-4">
         <div className="space-y-1">
@@ -56,7 +104,7 @@ function MorePage({ onClearCache }) {
           />
           <SettingsToggle
             label="Auto-Refresh"
-            description="Automatically update data every minute"
+            description="Keep alerts, rivers and other data updating in the background"
             checked={settings.autoRefresh}
             onChange={(v) => updateSetting('autoRefresh', v)}
           />
@@ -66,12 +114,44 @@ function MorePage({ onClearCache }) {
             checked={settings.reducedMotion}
             onChange={(v) => updateSetting('reducedMotion', v)}
           />
+          <SettingsToggle
+            label="Share Anonymous Diagnostics"
+            description="Send error counts and data source response times (no location or personal data) to help keep feeds reliable"
+            checked={shareDiagnostics}
+            onChange={handleShareDiagnostics}
+          />
         </div>
+        <div className="flex gap-2 mt-3">
+          <button className="btn btn-secondary flex-1" onClick={handleExportSettings}>
+            Export Settings
+          </button>
+          <button className="btn btn-secondary flex-1" onClick={() => fileInputRef.current?.click()}>
+            Import Settings
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="sr-only"
+            aria-label="Settings file to import"
+            onChange={handleImportSettings}
+          />
+        </div>
+        {importMessage && (
+          <p className={`text-body-sm mt-2 ${importMessage.ok ? 'text-muted' : 'text-danger'}`} role="status">
+            {importMessage.text}
+          </p>
+        )}
       </ModulePanel>
 
       {/* Data Management */}
       <ModulePanel title="Data" className="mb-4">
         <div className="space-y-3">
+          {cacheUsage && (
+            <p className="text-body-sm text-muted">
+              Cached data: {formatMegabytes(cacheUsage.total)} of {formatMegabytes(cacheUsage.quota)}
+            </p>
+          )}
           <button
             className="btn btn-secondary w-full"
             onClick={handleClearCache}
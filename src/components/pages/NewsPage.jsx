@@ -1,36 +1,13 @@
-import { memo, useState } from 'react';
-import { ModulePanel } from '../ui';
+import { memo } from 'react';
+import { ModulePanel, DataProvenance } from '../ui';
+import useNews from '../../hooks/useNews';
 
-// Placeholder news data - in production this would come from an API
-const STATIC_NEWS = [
-  {
-    id: '1',
-    title: 'NWS Upgrades Pacific Storm Watch',
-    summary: 'The National Weather Service has upgraded the storm watch for coastal regions of Washington and Oregon.',
-    source: 'NWS Seattle',
-    timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-    category: 'weather',
-    urgent: true
-  },
-  {
-    id: '2',
-    title: 'River Levels Rising in Skagit Valley',
-    summary: 'Recent rainfall has caused river levels to rise. Emergency managers are monitoring conditions.',
-    source: 'Skagit County EM',
-    timestamp: new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString(),
-    category: 'flood',
-    urgent: false
-  },
-  {
-    id: '3',
-    title: 'Tribal Emergency Preparedness Workshop',
-    summary: 'Upcoming virtual workshop on emergency preparedness for tribal communities.',
-    source: 'FEMA Region 10',
-    timestamp: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-    category: 'community',
-    urgent: false
-  }
-];
+const NEWS_SOURCES = ['National Weather Service', 'Environment Canada', 'Tribal emergency management'];
+
+// Bulletins open at their publisher
+function openBulletin(item) {
+  if (item.url) window.open(item.url, '_blank', 'noopener,noreferrer');
+}
 
 function formatTimestamp(isoString) {
   const date = new Date(isoString);
@@ -94,16 +71,29 @@ function NewsCard({ item, onClick }) {
   );
 }
 
-function NewsPage({ onNewsClick }) {
-  const [news] = useState(STATIC_NEWS);
-
-  // In production, this would fetch from an API with useEffect
+function NewsPage({ onNewsClick = openBulletin }) {
+  const { news, loading, error, lastUpdated, refresh } = useNews();
 
   const urgentNews = news.filter(n => n.urgent);
   const regularNews = news.filter(n => !n.urgent);
 
+  const failed = Boolean(error) && news.length === 0;
+  let emptyMessage = 'No news updates at this time';
+  if (loading && news.length === 0) emptyMessage = 'Loading updates…';
+  else if (failed) emptyMessage = 'Unable to load news updates';
+
   return (
     <div className="news-page">
+      <div className="mb-4">
+        <DataProvenance
+          lastUpdated={lastUpdated}
+          sources={NEWS_SOURCES}
+          isLoading={loading}
+          error={error}
+          onRefresh={refresh}
+        />
+      </div>
+
       {urgentNews.length > 0 && (
         <ModulePanel
           title="Breaking"
@@ -128,7 +118,14 @@ function NewsPage({ onNewsClick }) {
           </div>
         ) : (
           <div className="p-8 text-center">
-            <p className="text-muted">No news updates at this time</p>
+            <p className="text-muted">
+              {emptyMessage}
+            </p>
+            {failed && (
+              <button className="btn btn-secondary mt-3" onClick={refresh}>
+                Try Again
+              </button>
+            )}
           </div>
         )}
       </ModulePanel>
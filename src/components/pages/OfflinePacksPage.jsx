@@ -0,0 +1,155 @@
+import { memo, useState } from 'react';
+import { ModulePanel } from '../ui';
+import { REGIONS, REGION_ORDER } from '../../utils/constants';
+import { formatForDisplay } from '../../utils/datetime';
+import { estimatePack, MAX_PACK_ZOOM, MAX_PACK_TILES } from '../../services/offlinePacks';
+import useOfflinePacks from '../../hooks/useOfflinePacks';
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function getZoomOptions(region) {
+  const options = [];
+  for (let zoom = region.defaultZoom; zoom <= MAX_PACK_ZOOM; zoom++) {
+    options.push({ zoom, ...estimatePack(region, zoom) });
+  }
+  return options;
+}
+
+function PackCard({ region, pack, progress, error, busy, onDownload, onCancel, onDelete }) {
+  const zoomOptions = getZoomOptions(region);
+  const [maxZoom, setMaxZoom] = useState(pack?.maxZoom ?? Math.min(region.defaultZoom + 2, MAX_PACK_ZOOM));
+  const selected = zoomOptions.find(o => o.zoom === maxZoom) ?? zoomOptions[0];
+  const tooLarge = selected.tiles > MAX_PACK_TILES;
+
+  return (
+    <ModulePanel
+      title={region.name}
+      subtitle={region.description}
+      severity={error ? 'danger' : undefined}
+      headerRight={pack && !progress && (
+        <button
+          className="btn btn-ghost btn-sm"
+          onClick={() => onDelete(region.id)}
+          aria-label={`Delete ${region.name} offline pack`}
+        >
+          Delete
+        </button>
+      )}
+      className="mb-4"
+    >
+      <div className="community-section">
+        {pack ? (
+          <p className="text-body-sm">
+            Downloaded {formatForDisplay(pack.downloadedAt, undefined, 'MMM d, h:mm a')} • zoom {pack.minZoom}–{pack.maxZoom} • {pack.tiles.toLocaleString()} tiles • {formatBytes(pack.bytes)}
+            {pack.failed > 0 && <span className="text-warning"> • {pack.failed} files missing</span>}
+          </p>
+        ) : (
+          <p className="text-body-sm text-muted">Not available offline</p>
+        )}
+      </div>
+
+      {progress ? (
+        <div className="community-section">
+          <div
+            className="offline-pack-progress"
+            role="progressbar"
+            aria-label={`Downloading ${region.name}`}
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.done}
+          >
+            <span style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }} />
+          </div>
+          <div className="flex items-center justify-between mt-2">
+            <span className="text-body-sm text-muted">
+              {progress.done.toLocaleString()} / {progress.total.toLocaleString()} files • {formatBytes(progress.bytes)}
+            </span>
+            <button className="btn btn-ghost btn-sm" onClick={onCancel}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div className="community-section flex items-center gap-2">
+          <label className="text-body-sm text-muted" htmlFor={`pack-zoom-${region.id}`}>Detail</label>
+          <select
+            id={`pack-zoom-${region.id}`}
+            className="offline-pack-zoom"
+            value={selected.zoom}
+            onChange={(e) => setMaxZoom(Number(e.target.value))}
+          >
+            {zoomOptions.map(option => (
+              <option key={option.zoom} value={option.zoom}>
+                Zoom {region.minZoom}–{option.zoom} (~{formatBytes(option.bytes)})
+              </option>
+            ))}
+          </select>
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => onDownload(region.id, selected.zoom)}
+            disabled={busy || tooLarge}
+          >
+            {pack ? 'Update' : 'Download'}
+          </button>
+        </div>
+      )}
+
+      {tooLarge && !progress && (
+        <p className="text-body-sm text-warning">Too many tiles at this zoom; choose less detail.</p>
+      )}
+      {error && <p className="text-body-sm text-danger">{error.message}</p>}
+    </ModulePanel>
+  );
+}
+
+/**
+ * Download regions (basemap tiles, Tribal boundaries, coastlines and the
+ * latest alerts) for use without signal
+ */
+function OfflinePacksPage() {
+  const { packs, progress, error, storage, supported, download, cancel, remove } = useOfflinePacks();
+
+  if (!supported) {
+    return (
+      <div className="community-page">
+        <ModulePanel title="Offline Maps">
+          <p className="text-body-sm text-muted">This browser cannot store maps for offline use.</p>
+        </ModulePanel>
+      </div>
+    );
+  }
+
+  return (
+    <div className="community-page">
+      <ModulePanel title="Offline Maps" className="mb-4">
+        <p className="text-body-sm text-muted">
+          Download a region before heading out of coverage. Packs include the basemap,
+          Tribal and First Nations boundaries, coastlines and the latest alerts and river levels.
+        </p>
+        {storage && (
+          <p className="text-body-sm text-muted mt-2">
+            Using {formatBytes(storage.usage)} of {formatBytes(storage.quota)} on this device
+          </p>
+        )}
+      </ModulePanel>
+
+      {REGION_ORDER.map(regionId => (
+        <PackCard
+          key={regionId}
+          region={REGIONS[regionId]}
+          pack={packs[regionId]}
+          progress={progress?.regionId === regionId ? progress : null}
+          error={error?.regionId === regionId ? error : null}
+          busy={progress !== null}
+          onDownload={download}
+          onCancel={cancel}
+          onDelete={remove}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default memo(OfflinePacksPage);
@@ -0,0 +1,300 @@
+import { memo, useState, useMemo } from 'react';
+import { ModulePanel, FilterRow, SearchInput, DataProvenance } from '../ui';
+import useRivers from '../../hooks/useRivers';
+import useSettings from '../../hooks/useSettings';
+import { getGaugeTrend } from '../../services/floodEscalation';
+
+const RIVER_SOURCES = ['NOAA NWPS', 'Water Survey of Canada', 'USGS'];
+
+// Rows rendered at first and per "Show more"
+const PAGE_SIZE = 50;
+
+const CATEGORY_FILTERS = [
+  { id: 'major', label: 'Major', variant: 'danger' },
+  { id: 'moderate', label: 'Moderate', variant: 'danger' },
+  { id: 'minor', label: 'Minor', variant: 'warning' },
+  { id: 'action', label: 'Action', variant: 'info' },
+  { id: 'no_flooding', label: 'Normal', variant: 'default' },
+  { id: 'other', label: 'No Flood Stage', variant: 'default' }
+];
+const FILTERED_CATEGORIES = CATEGORY_FILTERS.map(f => f.id).filter(id => id !== 'other');
+
+const STATE_LABELS = {
+  WA: 'Washington',
+  OR: 'Oregon',
+  ID: 'Idaho',
+  BC: 'British Columbia',
+  AB: 'Alberta'
+};
+
+const CATEGORY_BADGES = {
+  major: { label: 'Major', className: 'severity-badge--extreme' },
+  moderate: { label: 'Moderate', className: 'severity-badge--severe' },
+  minor: { label: 'Minor', className: 'severity-badge--moderate' },
+  action: { label: 'Action', className: 'severity-badge--minor' }
+};
+
+const SOURCE_LABELS = {
+  WSC: 'Water Survey of Canada',
+  USGS: 'USGS'
+};
+
+const TREND_LABELS = {
+  rising: 'Forecast rising',
+  falling: 'Forecast falling',
+  steady: 'Forecast steady'
+};
+
+// Category filter id of a gauge ("other" covers everything without a flood stage)
+const categoryOf = (gauge) => {
+  const category = gauge.observed.floodCategory;
+  return FILTERED_CATEGORIES.includes(category) ? category : 'other';
+};
+
+// Filter chips for the values present, with counts
+function countFilters(gauges, valueOf, labelOf = id => id) {
+  const counts = {};
+  gauges.forEach(gauge => {
+    const value = valueOf(gauge);
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.keys(counts).sort().map(id => ({ id, label: labelOf(id), count: counts[id] }));
+}
+
+function formatReading(gauge) {
+  const { level, unit, flow, flowUnit } = gauge.observed;
+  if (typeof level === 'number' && level !== -999) return `${level.toFixed(2)} ${unit}`;
+  if (typeof flow === 'number' && flow !== -999) return `${flow.toLocaleString('en-US')} ${flowUnit}`;
+  return null;
+}
+
+function TrendArrow({ trend }) {
+  if (!trend) return <span className="river-row-trend" aria-hidden="true" />;
+
+  return (
+    <span className={`river-row-trend river-row-trend--${trend}`} title={TREND_LABELS[trend]}>
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" aria-hidden="true">
+        {trend === 'rising' && <path d="M12 19V5M5 12l7-7 7 7" />}
+        {trend === 'falling' && <path d="M12 5v14M19 12l-7 7-7-7" />}
+        {trend === 'steady' && <path d="M5 12h14M12 5l7 7-7 7" />}
+      </svg>
+      <span className="sr-only">{TREND_LABELS[trend]}</span>
+    </span>
+  );
+}
+
+function GaugeRow({ gauge, onShowOnMap }) {
+  const badge = CATEGORY_BADGES[gauge.observed.floodCategory];
+  const reading = formatReading(gauge);
+  const offices = [gauge.wfo, gauge.rfc].filter(Boolean).join(' / ');
+
+  return (
+    <div className="river-row">
+      <TrendArrow trend={getGaugeTrend(gauge)} />
+      <div className="river-row-content">
+        <div className="river-row-header">
+          <h3 className="river-row-name">{gauge.name}</h3>
+          {badge && <span className={`severity-badge ${badge.className}`}>{badge.label}</span>}
+        </div>
+        <p className="river-row-meta">
+          {gauge.state} · {gauge.id}
+          {offices && ` · ${offices}`}
+          {SOURCE_LABELS[gauge.source] && ` · ${SOURCE_LABELS[gauge.source]}`}
+        </p>
+        {reading && (
+          <p className="river-row-reading">
+            {reading}
+            {gauge.percentOfMedian != null && ` · ${gauge.percentOfMedian}% of median`}
+          </p>
+        )}
+      </div>
+      <button
+        className="btn btn-ghost btn-sm"
+        onClick={() => onShowOnMap?.(gauge)}
+        aria-label={`Show ${gauge.name} on map`}
+      >
+        Show on map
+      </button>
+    </div>
+  );
+}
+
+function RiversPage({ onShowOnMap }) {
+  const { gauges, usgsGauges, loading, error, lastUpdated, refresh } = useRivers();
+  const { settings } = useSettings();
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [stateFilters, setStateFilters] = useState([]);
+  const [officeFilters, setOfficeFilters] = useState([]);
+  const [categoryFilters, setCategoryFilters] = useState([]);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  // Every gauge the map can show, most severe first (as /api/rivers sorts them);
+  // Water Survey of Canada stations follow the Canadian data setting
+  const allGauges = useMemo(() => {
+    const nwps = settings.includeCanada ? gauges : gauges.filter(g => g.source !== 'WSC');
+    return [...nwps, ...usgsGauges];
+  }, [gauges, usgsGauges, settings.includeCanada]);
+
+  const stateOptions = useMemo(
+    () => countFilters(allGauges, g => g.state, id => STATE_LABELS[id] || id),
+    [allGauges]
+  );
+  const officeOptions = useMemo(() => [
+    ...countFilters(allGauges, g => g.wfo),
+    ...countFilters(allGauges, g => g.rfc)
+  ], [allGauges]);
+  const categoryOptions = useMemo(() => CATEGORY_FILTERS.map(f => ({
+    ...f,
+    count: allGauges.filter(g => categoryOf(g) === f.id).length
+  })).filter(f => f.count > 0), [allGauges]);
+
+  // Apply filters
+  const filteredGauges = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+
+    return allGauges.filter(gauge => {
+      if (query &&
+        !gauge.name?.toLowerCase().includes(query) &&
+        !gauge.id.toLowerCase().includes(query)) {
+        return false;
+      }
+      if (stateFilters.length > 0 && !stateFilters.includes(gauge.state)) return false;
+      if (officeFilters.length > 0 &&
+        !officeFilters.includes(gauge.wfo) && !officeFilters.includes(gauge.rfc)) {
+        return false;
+      }
+      if (categoryFilters.length > 0 && !categoryFilters.includes(categoryOf(gauge))) return false;
+      return true;
+    });
+  }, [allGauges, searchQuery, stateFilters, officeFilters, categoryFilters]);
+
+  const hasActiveFilters = searchQuery || stateFilters.length > 0 ||
+    officeFilters.length > 0 || categoryFilters.length > 0;
+
+  // Changing the search or a filter starts the list from the top again
+  const withReset = (setter) => (value) => {
+    setter(value);
+    setLimit(PAGE_SIZE);
+  };
+
+  const clearFilters = () => {
+    setSearchQuery('');
+    setStateFilters([]);
+    setOfficeFilters([]);
+    setCategoryFilters([]);
+    setLimit(PAGE_SIZE);
+  };
+
+  if (loading && allGauges.length === 0) {
+    return (
+      <div className="p-4 space-y-4">
+        {[1, 2, 3].map(i => (
+          <div key={i} className="alert-card animate-pulse">
+            <div className="h-16 bg-white/5 rounded" />
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  const shownGauges = filteredGauges.slice(0, limit);
+  const remaining = filteredGauges.length - shownGauges.length;
+
+  return (
+    <div className="rivers-page">
+      <div className="p-4 pb-0">
+        <DataProvenance
+          lastUpdated={lastUpdated}
+          sources={RIVER_SOURCES}
+          isLoading={loading}
+          error={error}
+          onRefresh={refresh}
+        />
+      </div>
+
+      {/* Search */}
+      <div className="p-4 pb-0">
+        <SearchInput
+          value={searchQuery}
+          onChange={withReset(setSearchQuery)}
+          placeholder="Search by river, place or gauge ID..."
+        />
+      </div>
+
+      {/* Filters */}
+      <div className="p-4 space-y-3">
+        {categoryOptions.length > 0 && (
+          <FilterRow
+            filters={categoryOptions}
+            activeFilters={categoryFilters}
+            onFilterChange={withReset(setCategoryFilters)}
+          />
+        )}
+        {stateOptions.length > 0 && (
+          <FilterRow
+            filters={stateOptions}
+            activeFilters={stateFilters}
+            onFilterChange={withReset(setStateFilters)}
+          />
+        )}
+        {officeOptions.length > 0 && (
+          <FilterRow
+            filters={officeOptions}
+            activeFilters={officeFilters}
+            onFilterChange={withReset(setOfficeFilters)}
+          />
+        )}
+      </div>
+
+      {/* Results header */}
+      <div className="px-4 pb-2 flex items-center justify-between">
+        <p className="text-label text-muted">
+          {filteredGauges.length} {filteredGauges.length === 1 ? 'gauge' : 'gauges'}
+          {hasActiveFilters && ' (filtered)'}
+        </p>
+        {hasActiveFilters && (
+          <button
+            className="btn btn-ghost btn-sm"
+            onClick={clearFilters}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <ModulePanel title="River Gauges" noPadding>
+        {shownGauges.length > 0 ? (
+          <div className="divide-y divide-white/10">
+            {shownGauges.map(gauge => (
+              <GaugeRow key={`${gauge.source}-${gauge.id}`} gauge={gauge} onShowOnMap={onShowOnMap} />
+            ))}
+          </div>
+        ) : (
+          <div className="p-8 text-center">
+            <p className="text-muted">
+              {error && allGauges.length === 0 ? 'Unable to load river gauges' : 'No gauges match'}
+            </p>
+            {hasActiveFilters && (
+              <button className="btn btn-secondary mt-3" onClick={clearFilters}>
+                Clear Filters
+              </button>
+            )}
+          </div>
+        )}
+        {remaining > 0 && (
+          <div className="p-3 border-t border-white/10">
+            <button
+              className="btn btn-secondary w-full"
+              onClick={() => setLimit(prev => prev + PAGE_SIZE)}
+            >
+              Show {Math.min(remaining, PAGE_SIZE)} more
+            </button>
+          </div>
+        )}
+      </ModulePanel>
+    </div>
+  );
+}
+
+export default memo(RiversPage);
@@ -0,0 +1,34 @@
+import { memo, useMemo } from 'react';
+import { ModulePanel, DataProvenance } from '../ui';
+
+/**
+ * Health of every upstream feed: last success, last error, latency, record
+ * count and circuit state. Tells "no alerts" apart from "feed unreachable".
+ */
+function SourceStatusPage({ statuses, degraded }) {
+  // Most recent success across all sources
+  const lastUpdated = useMemo(() => {
+    const latest = statuses.map(status => status.lastSuccess).filter(Boolean).sort().at(-1);
+    return latest ? new Date(latest) : null;
+  }, [statuses]);
+
+  return (
+    <div className="community-page">
+      <ModulePanel title="Data Sources" className="mb-4">
+        <p className="text-body-sm text-muted">
+          {degraded.length > 0
+            ? `${degraded.length} of ${statuses.length} sources are failing or paused. Empty lists from these sources may be missing data.`
+            : 'All sources are responding. An empty list means nothing is active.'}
+        </p>
+      </ModulePanel>
+
+      <DataProvenance
+        lastUpdated={lastUpdated}
+        showSources={false}
+        sourceStatuses={statuses}
+      />
+    </div>
+  );
+}
+
+export default memo(SourceStatusPage);
@@ -0,0 +1,131 @@
+import { memo, useState } from 'react';
+import { ModulePanel } from '../ui';
+import { formatForDisplay } from '../../utils/datetime';
+import { fetchTelemetryReport, getTelemetryToken } from '../../services/telemetry';
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(rate > 0 && rate < 0.01 ? 2 : 1)}%`;
+}
+
+function formatLatency(ms) {
+  if (ms == null) return '--';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Error rates worth a second look
+function rateClass(rate) {
+  if (rate >= 0.25) return 'text-danger';
+  if (rate >= 0.05) return 'text-warning';
+  return '';
+}
+
+/**
+ * Admin view of client telemetry: per-source error rates and p95 latencies,
+ * and warnings/errors per log context, over the server's window (24 hours)
+ */
+function TelemetryPage() {
+  const [token, setToken] = useState(getTelemetryToken);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await fetchTelemetryReport(token));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="more-page telemetry-page">
+      <ModulePanel title="Telemetry" className="mb-4">
+        <form className="telemetry-token-form" onSubmit={handleSubmit}>
+          <label className="text-body-sm text-muted" htmlFor="telemetry-token">Admin token</label>
+          <input
+            id="telemetry-token"
+            type="password"
+            className="offline-pack-zoom"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            autoComplete="off"
+          />
+          <button type="submit" className="btn btn-secondary" disabled={loading}>
+            {loading ? 'Loading...' : 'Load report'}
+          </button>
+        </form>
+        {error && <p className="text-body-sm text-danger mt-2">{error}</p>}
+        {report && (
+          <p className="text-body-sm text-muted mt-2">
+            Last {report.windowHours} hours
+            {report.updatedAt && `, last event ${formatForDisplay(report.updatedAt, undefined, 'MMM d, h:mm a')}`}
+          </p>
+        )}
+      </ModulePanel>
+
+      {report && (
+        <ModulePanel title="Data Sources" className="mb-4">
+          {report.sources.length === 0 ? (
+            <p className="text-body-sm text-muted">No requests reported yet.</p>
+          ) : (
+            <table className="telemetry-table">
+              <thead>
+                <tr>
+                  <th scope="col">Source</th>
+                  <th scope="col">Requests</th>
+                  <th scope="col">Error rate</th>
+                  <th scope="col">p95 latency</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.sources.map(source => (
+                  <tr key={source.source}>
+                    <th scope="row">{source.source}</th>
+                    <td>{source.requests}</td>
+                    <td className={rateClass(source.errorRate)}>{formatPercent(source.errorRate)}</td>
+                    <td>{formatLatency(source.p95LatencyMs)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </ModulePanel>
+      )}
+
+      {report && (
+        <ModulePanel title="Warnings & Errors" className="mb-4">
+          {report.logs.length === 0 ? (
+            <p className="text-body-sm text-muted">No warnings or errors reported.</p>
+          ) : (
+            report.logs.map(log => (
+              <div key={log.context} className="telemetry-log">
+                <div className="community-row">
+                  <span className="font-medium">{log.context}</span>
+                  <span>
+                    <span className="text-danger">{log.error} errors</span>
+                    {' · '}
+                    <span className="text-warning">{log.warn} warnings</span>
+                  </span>
+                </div>
+                <ul className="telemetry-messages">
+                  {log.topMessages.map(({ message, count }) => (
+                    <li key={message}>
+                      <span className="text-muted">{count}×</span> {message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          )}
+        </ModulePanel>
+      )}
+    </div>
+  );
+}
+
+export default memo(TelemetryPage);
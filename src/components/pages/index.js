@@ -1,4 +1,7 @@
 export { default as Dashboard } from './Dashboard';
 export { default as AlertsPage } from './AlertsPage';
+export { default as ForecastPage } from './ForecastPage';
 export { default as NewsPage } from './NewsPage';
+export { default as RiversPage } from './RiversPage';
 export { default as MorePage } from './MorePage';
+export { default as CommunityPage } from './CommunityPage';
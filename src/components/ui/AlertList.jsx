@@ -1,4 +1,3 @@
-import { useState, useCallback } from 'react';
 
 const severityConfig = {
   EMERGENCY: {
@@ -136,18 +135,8 @@ function AlertDetail({ alert, onClose }) {
   );
 }
 
-export default function AlertList({ alerts, isOpen, onClose, onAlertSelect }) {
-  const [selectedAlert, setSelectedAlert] = useState(null);
-
-  const handleSelectAlert = useCallback((alert) => {
-    setSelectedAlert(alert);
-    onAlertSelect?.(alert);
-  }, [onAlertSelect]);
-
-  const handleBack = useCallback(() => {
-    setSelectedAlert(null);
-  }, []);
-
+// Selection is controlled by the parent so it can live in the URL
+export default function AlertList({ alerts, isOpen, onClose, selectedAlert = null, onAlertSelect, onBack }) {
   if (!isOpen) return null;
 
   return (
@@ -157,7 +146,7 @@ export default function AlertList({ alerts, isOpen, onClose, onAlertSelect }) {
         <div className="alert-list-header-left">
           {selectedAlert && (
             <button
-              onClick={handleBack}
+              onClick={onBack}
               className="alert-list-back"
               aria-label="Back to list"
             >
@@ -184,7 +173,7 @@ export default function AlertList({ alerts, isOpen, onClose, onAlertSelect }) {
       {/* Content */}
       <div className="alert-list-content">
         {selectedAlert ? (
-          <AlertDetail alert={selectedAlert} onClose={handleBack} />
+          <AlertDetail alert={selectedAlert} onClose={onBack} />
         ) : alerts.length === 0 ? (
           <div className="alert-list-empty">
             <svg className="alert-list-empty-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -199,7 +188,7 @@ export default function AlertList({ alerts, isOpen, onClose, onAlertSelect }) {
               <AlertCard
                 key={alert.id}
                 alert={alert}
-                onSelect={handleSelectAlert}
+                onSelect={onAlertSelect}
               />
             ))}
           </div>
@@ -4,7 +4,9 @@ import { memo } from 'react';
  * DataProvenance - Display data freshness and source information
  *
  * Shows "Last Updated" timestamp with optional source attribution
- * and staleness warning when data is older than threshold.
+ * and staleness warning when data is older than threshold. Given
+ * `sourceStatuses` (from useSourceStatus), it also lists the health of
+ * every upstream so "no data" can be told apart from "unreachable".
  */
 
 // Staleness thresholds in milliseconds
@@ -41,6 +43,62 @@ function getStaleStatus(date) {
   return 'fresh';
 }
 
+// Badge for each source health (see getSourceStatuses)
+const HEALTH_BADGES = {
+  ok: { label: 'OK', className: 'chip-success' },
+  failing: { label: 'Failing', className: 'chip-danger' },
+  retrying: { label: 'Retrying', className: 'chip-info' },
+  paused: { label: 'Paused', className: 'chip-warning' },
+  unknown: { label: 'Not loaded', className: '' }
+};
+
+const CIRCUIT_LABELS = {
+  CLOSED: 'Closed',
+  HALF_OPEN: 'Half-open',
+  OPEN: 'Open'
+};
+
+function formatLatency(ms) {
+  if (ms == null) return '--';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function SourceStatusList({ statuses }) {
+  return (
+    <ul className="source-status-list" aria-label="Data source status">
+      {statuses.map(status => {
+        const badge = HEALTH_BADGES[status.health] ?? HEALTH_BADGES.unknown;
+        return (
+          <li key={status.id} className="source-status-row">
+            <div className="source-status-header">
+              <span className="text-label font-medium">{status.name}</span>
+              <span className={`chip chip-sm ${badge.className}`}>{badge.label}</span>
+            </div>
+            <dl className="source-status-details">
+              <dt>Last success</dt>
+              <dd>{status.lastSuccess ? formatTimestamp(new Date(status.lastSuccess)) : 'Never'}</dd>
+              <dt>Latency</dt>
+              <dd>{formatLatency(status.latencyMs)}</dd>
+              <dt>Records</dt>
+              <dd>{status.recordCount ?? '--'}</dd>
+              <dt>Circuit</dt>
+              <dd>{CIRCUIT_LABELS[status.state] ?? 'Not guarded'}</dd>
+              {status.lastError && (
+                <>
+                  <dt>Last error</dt>
+                  <dd className="text-danger">
+                    {status.lastError} ({formatTimestamp(new Date(status.lastErrorAt))})
+                  </dd>
+                </>
+              )}
+            </dl>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
 function DataProvenance({
   lastUpdated,
   sources = [],
@@ -49,6 +107,7 @@ function DataProvenance({
   onRefresh,
   compact = false,
   showSources = true,
+  sourceStatuses = null,
   className = ''
 }) {
   const staleStatus = getStaleStatus(lastUpdated);
@@ -163,6 +222,9 @@ function DataProvenance({
         </div>
       )}
 
+      {/* Per-source health */}
+      {sourceStatuses?.length > 0 && <SourceStatusList statuses={sourceStatuses} />}
+
       {/* Disclaimer */}
       <p className="data-provenance-disclaimer">
         Always verify with local authorities for emergency decisions.
@@ -0,0 +1,23 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import './index.css'
+import { EmbedApp } from './components/embed'
+import { ErrorBoundary } from './components/ErrorBoundary'
+import { AlertListErrorFallback } from './components/ErrorBoundary/fallbacks'
+import { initCache } from './services/cache'
+import { parseEmbedConfig } from './services/embed'
+
+// Widget options come from the iframe URL (see src/services/embed.js)
+const config = parseEmbedConfig(window.location.search)
+document.documentElement.classList.add(`embed-theme-${config.theme}`)
+
+// Hooks read the cache synchronously on mount, so load it first
+initCache().finally(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <ErrorBoundary fallback={AlertListErrorFallback} context="Embed">
+        <EmbedApp config={config} />
+      </ErrorBoundary>
+    </StrictMode>,
+  )
+})
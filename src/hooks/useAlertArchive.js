@@ -0,0 +1,23 @@
+import { useEffect, useRef } from 'react';
+import { alertArchive } from '../services/alertArchive';
+
+/**
+ * Hook that archives every completed alert and river poll for timeline replay
+ */
+export default function useAlertArchive({ alerts, lastUpdated, isStale, gauges, includeCanada }) {
+  const recordedAtRef = useRef(null);
+
+  // Progressive first paints and cache fallbacks keep the same lastUpdated,
+  // so only complete polls are archived (offline data was archived when fetched)
+  useEffect(() => {
+    const time = lastUpdated?.getTime();
+    if (!time || isStale || recordedAtRef.current === time) return;
+
+    recordedAtRef.current = time;
+    alertArchive.recordAlerts(alerts, { includeCanada });
+  }, [alerts, lastUpdated, isStale, includeCanada]);
+
+  useEffect(() => {
+    if (gauges.length > 0) alertArchive.recordGauges(gauges);
+  }, [gauges]);
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getNotificationSettings,
+  saveNotificationSettings,
+  notificationTracker,
+  deliverNotifications,
+  requestNotificationPermission,
+  postToServiceWorker,
+  connectPushStub
+} from '../services/notifications';
+import { subscribeToPush, unsubscribeFromPush } from '../services/pushSubscription';
+
+const PUSH_STUB_URL = import.meta.env.VITE_PUSH_STUB_URL;
+
+function getPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Hook that raises system notifications for new or escalated alerts over
+ * pinned communities, and exposes the notification preferences
+ */
+export default function useAlertNotifications(alerts, communities, tribalData) {
+  const [settings, setSettings] = useState(getNotificationSettings);
+  const [permission, setPermission] = useState(getPermission);
+
+  // Keep the service worker's copy of the settings current (used for pushes)
+  useEffect(() => {
+    postToServiceWorker({ type: 'NOTIFICATION_SETTINGS', settings: getNotificationSettings() });
+  }, []);
+
+  // Local stand-in push server (development only)
+  useEffect(() => connectPushStub(PUSH_STUB_URL), []);
+
+  // Keep the server-side Web Push subscription in step with the watch list
+  // so alerts arrive while the app is closed (best-effort)
+  useEffect(() => {
+    if (settings.enabled && permission === 'granted') {
+      subscribeToPush(communities);
+    }
+  }, [communities, settings.enabled, permission]);
+
+  // Diff every poll so the de-duplication state stays current even while
+  // notifications are off; only deliver when enabled and permitted
+  useEffect(() => {
+    if (!tribalData || communities.length === 0) return;
+
+    const notifications = notificationTracker.diff(alerts, communities, tribalData);
+    if (notifications.length > 0 && settings.enabled && permission === 'granted') {
+      deliverNotifications(notifications, settings);
+    }
+  }, [alerts, communities, tribalData, settings, permission]);
+
+  const updateSettings = useCallback((changes) => {
+    const current = getNotificationSettings();
+    setSettings(saveNotificationSettings({
+      ...current,
+      ...changes,
+      quietHours: { ...current.quietHours, ...changes.quietHours }
+    }));
+  }, []);
+
+  const enable = useCallback(async () => {
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    if (result === 'granted') updateSettings({ enabled: true });
+    return result;
+  }, [updateSettings]);
+
+  const disable = useCallback(() => {
+    updateSettings({ enabled: false });
+    unsubscribeFromPush();
+  }, [updateSettings]);
+
+  return {
+    settings,
+    permission,
+    updateSettings,
+    enable,
+    disable
+  };
+}
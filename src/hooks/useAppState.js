@@ -17,7 +17,6 @@ export default function useAppState() {
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [loadingMessage, setLoadingMessage] = useState(LOADING_STAGES[0].message);
   const [error] = useState(null);
-  const [activeTab, setActiveTab] = useState('map');
 
   // Online/offline detection
   useEffect(() => {
@@ -68,15 +67,9 @@ export default function useAppState() {
     };
   }, []);
 
-  // Handle tab changes
-  const handleTabChange = useCallback((tabId) => {
-    setActiveTab(tabId);
-  }, []);
-
   // Clear cache and reload
   const handleClearCache = useCallback(() => {
-    clearAllCache();
-    window.location.reload();
+    clearAllCache().finally(() => window.location.reload());
   }, []);
 
   // Handle refresh (can be extended for specific data refresh)
@@ -92,8 +85,6 @@ export default function useAppState() {
     loadingProgress,
     loadingMessage,
     error,
-    activeTab,
-    setActiveTab: handleTabChange,
     clearCache: handleClearCache,
     refresh: handleRefresh
   };
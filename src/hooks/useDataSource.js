@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useResilientPolling } from './useResilientPolling';
+import useSettings from './useSettings';
+import {
+  getDataSource,
+  getCachedSourceData,
+  fetchDataSource
+} from '../services/dataSources';
+import '../services/sources';
+
+/**
+ * Hook for polling a registered data source
+ * Shows the cached result right away, fetches when the cache is empty or
+ * stale, then polls at the source's interval with backoff on failures
+ * (unless Auto-Refresh is off in Settings).
+ *
+ * @param {string} id - Source id (see services/sources)
+ * @param {Object} options - { params (memoize it), enabled, onProgress }
+ * @returns {Object} { data, loading, error, lastUpdated, isStale, refresh, isBackingOff }
+ */
+export default function useDataSource(id, { params, enabled = true, onProgress } = {}) {
+  const source = getDataSource(id);
+  if (!source) throw new Error(`Unknown data source: ${id}`);
+
+  const { settings } = useSettings();
+  const onProgressRef = useRef(onProgress);
+
+  useEffect(() => {
+    onProgressRef.current = onProgress;
+  }, [onProgress]);
+
+  // Fresh cached result for these params, if any
+  const cached = useMemo(() => getCachedSourceData(id, params), [id, params]);
+
+  const fetchSource = useCallback(async () => {
+    const result = await fetchDataSource(id, {
+      params,
+      onProgress: (partial) => onProgressRef.current?.(partial)
+    });
+    return { ...result, params };
+  }, [id, params]);
+
+  const {
+    data: result,
+    error,
+    isLoading,
+    forceRefresh,
+    isBackingOff
+  } = useResilientPolling(fetchSource, {
+    interval: source.interval,
+    enabled,
+    poll: settings.autoRefresh,
+    immediate: !cached,
+    context: id
+  });
+
+  // Results of earlier params are replaced by the cache until the next fetch
+  const current = result?.params === params ? result : cached;
+
+  return {
+    data: current?.data ?? null,
+    loading: enabled && (isLoading || (!current && !error)),
+    error: error?.message ?? null,
+    lastUpdated: current?.timestamp ? new Date(current.timestamp) : null,
+    // Served by the service worker cache while the source is unreachable
+    isStale: Boolean(current?.cachedAt),
+    refresh: forceRefresh,
+    isBackingOff
+  };
+}
@@ -0,0 +1,20 @@
+import useDataSource from './useDataSource';
+import { NEWS_SOURCE } from '../services/sources';
+
+const NO_NEWS = [];
+
+/**
+ * Hook for the News page bulletins (newest first)
+ */
+export default function useNews() {
+  const { data, loading, error, isStale, lastUpdated, refresh } = useDataSource(NEWS_SOURCE);
+
+  return {
+    news: data || NO_NEWS,
+    loading,
+    error,
+    isStale,
+    lastUpdated,
+    refresh
+  };
+}
@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getPacks,
+  downloadPack,
+  deletePack,
+  getStorageEstimate,
+  isOfflinePackSupported,
+  OFFLINE_PACKS_EVENT
+} from '../services/offlinePacks';
+
+/**
+ * Hook for downloading, updating and deleting offline map packs
+ * Stays in sync across components and browser tabs
+ */
+export default function useOfflinePacks() {
+  const [packs, setPacks] = useState(getPacks);
+  // { regionId, done, total, bytes } while a download runs
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const controllerRef = useRef(null);
+
+  const refreshStorage = useCallback(() => {
+    getStorageEstimate().then(setStorage);
+  }, []);
+
+  useEffect(() => {
+    const handleChange = () => setPacks(getPacks());
+
+    window.addEventListener(OFFLINE_PACKS_EVENT, handleChange);
+    window.addEventListener('storage', handleChange);
+    refreshStorage();
+
+    return () => {
+      window.removeEventListener(OFFLINE_PACKS_EVENT, handleChange);
+      window.removeEventListener('storage', handleChange);
+      controllerRef.current?.abort();
+    };
+  }, [refreshStorage]);
+
+  const download = useCallback(async (regionId, maxZoom) => {
+    if (controllerRef.current) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setProgress({ regionId, done: 0, total: 0, bytes: 0 });
+
+    try {
+      await downloadPack(regionId, {
+        maxZoom,
+        signal: controller.signal,
+        onProgress: (update) => setProgress({ regionId, ...update })
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') setError({ regionId, message: err.message });
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+      refreshStorage();
+    }
+  }, [refreshStorage]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const remove = useCallback(async (regionId) => {
+    await deletePack(regionId);
+    refreshStorage();
+  }, [refreshStorage]);
+
+  return {
+    packs,
+    progress,
+    error,
+    storage,
+    supported: isOfflinePackSupported(),
+    download,
+    cancel,
+    remove
+  };
+}
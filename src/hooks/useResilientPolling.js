@@ -30,6 +30,7 @@ export function useResilientPolling(fetchFn, options = {}) {
     interval = 30000,           // Base polling interval (ms)
     maxBackoff = 8,             // Maximum backoff multiplier (2^8 = 256x)
     enabled = true,             // Enable/disable polling
+    poll = true,                // Refetch on the interval (false: initial fetch and manual refreshes only)
     immediate = true,           // Fetch immediately on mount
     context = 'Polling',        // Logging context
     onSuccess = null,           // Success callback
@@ -123,7 +124,7 @@ export function useResilientPolling(fetchFn, options = {}) {
    * Schedule the next poll.
    */
   const scheduleNext = useCallback(() => {
-    if (!enabled || !isMounted.current) return;
+    if (!enabled || !poll || !isMounted.current) return;
 
     const nextInterval = getNextInterval();
 
@@ -132,7 +133,7 @@ export function useResilientPolling(fetchFn, options = {}) {
         scheduleNext();
       });
     }, nextInterval);
-  }, [enabled, getNextInterval, executeFetch]);
+  }, [enabled, poll, getNextInterval, executeFetch]);
 
   /**
    * Manual refresh function.
@@ -0,0 +1,23 @@
+import { useMemo } from 'react';
+import useDataSource from './useDataSource';
+import { HYDROGRAPH_SOURCE } from '../services/sources';
+
+/**
+ * Hook for one gauge's observed and forecast stage, flood thresholds and crest
+ * Nothing is fetched while `lid` is empty.
+ */
+export default function useRiverHydrograph(lid) {
+  const params = useMemo(() => ({ lid }), [lid]);
+  const { data, loading, error, lastUpdated, refresh } = useDataSource(HYDROGRAPH_SOURCE, {
+    params,
+    enabled: Boolean(lid)
+  });
+
+  return {
+    hydrograph: data,
+    loading,
+    error,
+    lastUpdated,
+    refresh
+  };
+}
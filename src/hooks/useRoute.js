@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+import { getRoute, navigate, ROUTE_EVENT } from '../services/router';
+
+/**
+ * Hook for the current URL route
+ * Re-renders on navigate() calls and browser back/forward
+ */
+export default function useRoute() {
+  const [route, setRoute] = useState(getRoute);
+
+  useEffect(() => {
+    const handleChange = () => setRoute(getRoute());
+
+    window.addEventListener(ROUTE_EVENT, handleChange);
+    window.addEventListener('popstate', handleChange);
+
+    return () => {
+      window.removeEventListener(ROUTE_EVENT, handleChange);
+      window.removeEventListener('popstate', handleChange);
+    };
+  }, []);
+
+  return { route, navigate };
+}
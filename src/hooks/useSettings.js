@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getSettings,
+  applySettings,
+  saveSettings,
+  resetSettings,
+  importSettings,
+  exportSettings,
+  SETTINGS_EVENT
+} from '../services/settings';
+
+/**
+ * Hook for the user's persisted settings
+ * Stays in sync across components and browser tabs
+ */
+export default function useSettings() {
+  const [settings, setSettings] = useState(getSettings);
+
+  useEffect(() => {
+    // Other tabs only change storage, so apply their settings here too
+    const handleChange = () => {
+      const next = getSettings();
+      applySettings(next);
+      setSettings(next);
+    };
+
+    window.addEventListener(SETTINGS_EVENT, handleChange);
+    window.addEventListener('storage', handleChange);
+
+    return () => {
+      window.removeEventListener(SETTINGS_EVENT, handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  const updateSetting = useCallback((key, value) => {
+    setSettings(saveSettings({ [key]: value }));
+  }, []);
+
+  const reset = useCallback(() => {
+    setSettings(resetSettings());
+  }, []);
+
+  // Throws on an invalid file so the caller can show the message
+  const importFromJson = useCallback((json) => {
+    setSettings(importSettings(json));
+  }, []);
+
+  return {
+    settings,
+    updateSetting,
+    resetSettings: reset,
+    importSettings: importFromJson,
+    exportSettings
+  };
+}
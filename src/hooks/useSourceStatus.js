@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { getSourceStatuses, subscribeToSourceStatus } from '../services/dataSources';
+import '../services/sources';
+
+/**
+ * Hook for the circuit state and health of every data source
+ * `paused` lists sources whose breaker is open: requests are deliberately
+ * skipped until the breaker's reset timeout lets a test request through.
+ * `degraded` adds sources whose latest request failed.
+ */
+export default function useSourceStatus() {
+  const [statuses, setStatuses] = useState(getSourceStatuses);
+
+  useEffect(() => subscribeToSourceStatus(setStatuses), []);
+
+  return {
+    statuses,
+    paused: statuses.filter(status => status.state === 'OPEN'),
+    degraded: statuses.filter(status => status.health === 'paused' || status.health === 'failing')
+  };
+}
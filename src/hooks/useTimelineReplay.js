@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { alertArchive, ARCHIVE_RETENTION_DAYS } from '../services/alertArchive';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PLAYBACK_TICK_MS = 250;
+
+// A full window plays in one minute at 1x
+const PLAYBACK_DURATION_MS = 60 * 1000;
+
+// Number of events at or before a time (events are sorted)
+function countEventsUntil(events, time) {
+  let low = 0;
+  let high = events.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (events[mid].time <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Hook for replaying archived alerts, river categories and Tribal status
+ * over the last N days. `snapshot` is null while the map shows live data.
+ * The window ends when replay opens, so later polls never change it.
+ */
+export default function useTimelineReplay() {
+  // { start, end, time, days } or null when live
+  const [replay, setReplay] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const open = useCallback((days = 1) => {
+    const end = Date.now();
+    const start = Math.max(end - Math.min(days, ARCHIVE_RETENTION_DAYS) * DAY_MS, alertArchive.getStartTime() ?? end);
+    setReplay({ start, end, time: start, days });
+    setPlaying(false);
+  }, []);
+
+  const close = useCallback(() => {
+    setReplay(null);
+    setPlaying(false);
+  }, []);
+
+  const seek = useCallback((time) => {
+    setReplay(prev => prev && { ...prev, time: Math.min(Math.max(time, prev.start), prev.end) });
+  }, []);
+
+  const atEnd = replay ? replay.time >= replay.end : false;
+  const isPlaying = playing && !atEnd;
+
+  const togglePlay = useCallback(() => {
+    if (!replay) return;
+    // Play from the start again once the end is reached
+    if (!isPlaying && atEnd) seek(replay.start);
+    setPlaying(!isPlaying);
+  }, [replay, isPlaying, atEnd, seek]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const timer = setInterval(() => {
+      setReplay(prev => {
+        if (!prev) return prev;
+        const step = ((prev.end - prev.start) * PLAYBACK_TICK_MS / PLAYBACK_DURATION_MS) * speed;
+        return { ...prev, time: Math.min(prev.time + step, prev.end) };
+      });
+    }, PLAYBACK_TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, speed]);
+
+  const start = replay?.start;
+  const end = replay?.end;
+  const events = useMemo(() => {
+    if (start == null) return [];
+    return alertArchive.getEvents(start, end, end);
+  }, [start, end]);
+
+  // The replayed state only changes at events, so the snapshot is keyed on
+  // the last event passed (playback does not rebuild layers every tick)
+  const eventIndex = replay ? countEventsUntil(events, replay.time) : 0;
+  const snapshot = useMemo(() => {
+    if (start == null) return null;
+    const at = eventIndex > 0 ? events[eventIndex - 1].time : start;
+    return alertArchive.getSnapshot(at, end);
+  }, [events, eventIndex, start, end]);
+
+  return {
+    replay,
+    snapshot,
+    events,
+    playing: isPlaying,
+    speed,
+    open,
+    close,
+    seek,
+    togglePlay,
+    setSpeed
+  };
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getWatchList,
+  addCommunity,
+  removeCommunity,
+  WATCH_LIST_EVENT
+} from '../services/watchList';
+
+/**
+ * Hook for the user's pinned "My Community" watch list
+ * Stays in sync across components and browser tabs
+ */
+export default function useWatchList() {
+  const [communities, setCommunities] = useState(getWatchList);
+
+  useEffect(() => {
+    const handleChange = () => setCommunities(getWatchList());
+
+    window.addEventListener(WATCH_LIST_EVENT, handleChange);
+    window.addEventListener('storage', handleChange);
+
+    return () => {
+      window.removeEventListener(WATCH_LIST_EVENT, handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  const pin = useCallback((feature) => {
+    setCommunities(addCommunity(feature));
+  }, []);
+
+  const unpin = useCallback((id) => {
+    setCommunities(removeCommunity(id));
+  }, []);
+
+  const isPinned = useCallback((id) => {
+    return communities.some(c => c.id === id);
+  }, [communities]);
+
+  return {
+    communities,
+    pin,
+    unpin,
+    isPinned
+  };
+}
@@ -2,9 +2,28 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import TelemetryPage from './components/pages/TelemetryPage'
+import { initCache } from './services/cache'
+import { initAlertArchive } from './services/alertArchive'
+import { applySettings } from './services/settings'
+import { installTelemetry } from './services/telemetry'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// The telemetry admin page stands alone, without the map and its feeds
+const isTelemetryAdmin = window.location.pathname === '/admin/telemetry'
+
+// Anonymous diagnostics (opt-out in Settings); VITE_TELEMETRY=false disables
+if (import.meta.env.PROD && import.meta.env.VITE_TELEMETRY !== 'false' && !isTelemetryAdmin) {
+  installTelemetry()
+}
+
+// Reduced motion before the first paint
+applySettings()
+
+// Hooks read the cache and the alert archive synchronously on mount, so load them first
+Promise.all([initCache(), initAlertArchive()]).finally(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      {isTelemetryAdmin ? <TelemetryPage /> : <App />}
+    </StrictMode>,
+  )
+})
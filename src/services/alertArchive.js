@@ -0,0 +1,416 @@
+/**
+ * Alert Archive Service
+ * Keeps every alert seen (US and Canadian) with its issue/update/expiry times
+ * and river gauge category changes, so the map can replay how hazards
+ * evolved over the last few days for after-action reviews
+ */
+
+import { alertsLogger as logger } from '../utils/logger';
+import { IndexedDBBackend } from './storage';
+
+// localStorage key, used where IndexedDB is unavailable (and by older versions)
+const ARCHIVE_KEY = 'tribalweather_archive';
+const ARCHIVE_VERSION = 1;
+
+// The archive has its own database, written without the cache's LRU store,
+// so neither "Clear cache" nor cache eviction can drop it
+const ARCHIVE_DB = 'tribalweather_archive';
+const ARCHIVE_ENTRY = 'archive';
+
+// Most polls repeat the same alerts; a changed archive is written at most this often
+const SAVE_INTERVAL_MS = 60 * 1000;
+
+export const ARCHIVE_RETENTION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ~10 m precision keeps archived polygons small
+const COORD_PRECISION = 4;
+
+const FLOODING_CATEGORIES = ['major', 'moderate', 'minor', 'action'];
+
+function toTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function roundCoords(coords) {
+  if (typeof coords[0] === 'number') {
+    const factor = 10 ** COORD_PRECISION;
+    return coords.map(c => Math.round(c * factor) / factor);
+  }
+  return coords.map(roundCoords);
+}
+
+function roundGeometry(geometry) {
+  if (!geometry?.coordinates) return geometry || null;
+  return { type: geometry.type, coordinates: roundCoords(geometry.coordinates) };
+}
+
+// Whether a poll changed a record by more than the time it was last seen
+// (lastSeen alone is not worth a write; it is saved with the next change)
+function hasChanged(existing, record) {
+  if (!existing) return true;
+  return JSON.stringify({ ...existing, lastSeen: 0 }) !== JSON.stringify({ ...record, lastSeen: 0 });
+}
+
+// When an archived alert was in effect
+function getAlertWindow(record, now) {
+  const issued = toTime(record.effective) ?? toTime(record.sent) ?? record.firstSeen;
+  const start = Math.min(issued, record.firstSeen);
+
+  if (record.endedAt != null) return { start, end: record.endedAt };
+
+  const expires = toTime(record.expires);
+  return { start, end: Math.min(Math.max(record.lastSeen, expires ?? record.lastSeen), now) };
+}
+
+/**
+ * Archive of alerts and river categories, persisted to IndexedDB once init()
+ * has run (localStorage otherwise).
+ *
+ * Alert entries are keyed by alert id (EC alerts have one entry per area)
+ * and stay open until a poll no longer returns them; gauges only store
+ * category transitions.
+ */
+export class AlertArchive {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey ?? ARCHIVE_KEY;
+    this.retentionMs = (options.retentionDays ?? ARCHIVE_RETENTION_DAYS) * DAY_MS;
+    this.saveIntervalMs = options.saveIntervalMs ?? SAVE_INTERVAL_MS;
+    // IndexedDB backend, null while falling back to localStorage
+    this.backend = null;
+    this.dirty = false;
+    this.saveTimer = null;
+    this.lastSaved = 0;
+    this.load(this.readLocalStorage());
+  }
+
+  readLocalStorage() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey));
+    } catch {
+      return null;
+    }
+  }
+
+  load(stored) {
+    if (stored?.version === ARCHIVE_VERSION) {
+      this.alerts = new Map(Object.entries(stored.alerts || {}));
+      this.gauges = new Map(Object.entries(stored.gauges || {}));
+    } else {
+      this.alerts = new Map();
+      this.gauges = new Map();
+    }
+  }
+
+  /**
+   * Open the IndexedDB store and load the archive from it, moving an archive
+   * kept in localStorage over. Never rejects: on failure the archive keeps
+   * using localStorage.
+   * @param {Object} options - { backend } to override the IndexedDB backend
+   * @returns {Promise<boolean>} Whether the IndexedDB store is in use
+   */
+  async init(options = {}) {
+    if (!options.backend && typeof indexedDB === 'undefined') return false;
+
+    let stored;
+    try {
+      const backend = options.backend ?? new IndexedDBBackend(ARCHIVE_DB);
+      if (backend.open) await backend.open();
+      const entry = (await backend.loadAll()).find(row => row.key === ARCHIVE_ENTRY);
+      stored = entry ? JSON.parse(entry.json) : null;
+      this.backend = backend;
+    } catch (error) {
+      logger.warn('IndexedDB unavailable, archiving in localStorage', error);
+      return false;
+    }
+
+    if (stored) {
+      this.load(stored);
+    } else if (this.alerts.size > 0 || this.gauges.size > 0) {
+      this.dirty = true;
+      this.flush();
+    }
+    localStorage.removeItem(this.storageKey);
+    return true;
+  }
+
+  // Changes are written together, at most once per save interval
+  save() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+
+    const wait = Math.max(0, this.lastSaved + this.saveIntervalMs - Date.now());
+    this.saveTimer = setTimeout(() => this.flush(), wait);
+  }
+
+  /**
+   * Write pending changes now (e.g. when the page is hidden)
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.dirty) return;
+
+    this.dirty = false;
+    this.lastSaved = Date.now();
+
+    if (this.backend) {
+      const json = JSON.stringify(this.toJSON());
+      const meta = { key: ARCHIVE_ENTRY, expiry: null, dataClass: 'archive', size: json.length * 2, lastAccess: this.lastSaved };
+      this.backend.put(meta, json).catch(error => logger.warn('Alert archive write error', error));
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+    } catch (error) {
+      logger.warn('Alert archive write error', error);
+    }
+  }
+
+  /**
+   * Record the alerts from a poll. Alerts missing from the poll are closed.
+   * @param {Object[]} alerts - Current alerts (after lifecycle resolution)
+   * @param {Object} options - { now, includeCanada } - Canadian alerts are
+   *   not closed while Canada is excluded from polling
+   */
+  recordAlerts(alerts, { now = Date.now(), includeCanada = true } = {}) {
+    const current = new Set();
+    let changed = false;
+
+    for (const alert of alerts) {
+      if (!alert.id) continue;
+      current.add(alert.id);
+
+      const existing = this.alerts.get(alert.id);
+      const record = {
+        id: alert.id,
+        identifier: alert.identifier || alert.id,
+        msgType: alert.msgType || 'Alert',
+        event: alert.event,
+        severity: alert.severity,
+        headline: alert.headline,
+        areaDesc: alert.areaDesc,
+        isCanadian: alert.isCanadian === true,
+        province: alert.province || null,
+        sent: alert.sent || null,
+        effective: alert.effective || null,
+        expires: alert.expires || null,
+        // Earlier messages of the CAP chain (issue and update times)
+        history: (alert.history || []).map(({ identifier, msgType, sent, severity }) => ({
+          identifier, msgType, sent, severity
+        })),
+        geometry: alert.geometry ? roundGeometry(alert.geometry) : existing?.geometry ?? null,
+        firstSeen: existing?.firstSeen ?? now,
+        lastSeen: now,
+        endedAt: null
+      };
+      if (hasChanged(existing, record)) changed = true;
+      this.alerts.set(alert.id, record);
+    }
+
+    for (const record of this.alerts.values()) {
+      if (record.endedAt != null || current.has(record.id)) continue;
+      if (record.isCanadian && !includeCanada) continue;
+
+      // Expired while the app was closed: close at the expiry time
+      const expires = toTime(record.expires);
+      record.endedAt = expires != null && expires > record.lastSeen && expires < now ? expires : now;
+      changed = true;
+    }
+
+    if (this.prune(now)) changed = true;
+    if (changed) this.save();
+  }
+
+  /**
+   * Record river gauge flood categories (only changes are stored)
+   * @param {Object[]} gauges - Gauges from useRivers
+   * @param {number} now - Current time in ms
+   */
+  recordGauges(gauges, now = Date.now()) {
+    let changed = false;
+
+    for (const gauge of gauges) {
+      const category = gauge.observed?.floodCategory;
+      if (!gauge.id || !category) continue;
+
+      let record = this.gauges.get(gauge.id);
+      if (!record) {
+        record = {
+          id: gauge.id,
+          name: gauge.name,
+          state: gauge.state,
+          lat: gauge.lat,
+          lng: gauge.lng,
+          source: gauge.source,
+          changes: []
+        };
+        this.gauges.set(gauge.id, record);
+      }
+
+      if (record.changes[record.changes.length - 1]?.category !== category) {
+        record.changes.push({ time: now, category });
+        changed = true;
+      }
+    }
+
+    if (this.prune(now)) changed = true;
+    if (changed) this.save();
+  }
+
+  /**
+   * Alerts and gauges as they were at a point in time
+   * @param {number} time - Replay time in ms
+   * @param {number} now - Current time in ms
+   * @returns {Object} { alerts, gauges } shaped like the live hook data
+   */
+  getSnapshot(time, now = Date.now()) {
+    const alerts = [];
+    for (const record of this.alerts.values()) {
+      const { start, end } = getAlertWindow(record, now);
+      // Open alerts are still in effect at the end of their window
+      if (start <= time && (time < end || (record.endedAt == null && time <= end))) {
+        const { firstSeen, lastSeen, endedAt, ...alert } = record;
+        alerts.push({ ...alert, archived: { firstSeen, lastSeen, endedAt } });
+      }
+    }
+
+    const gauges = [];
+    for (const record of this.gauges.values()) {
+      const change = record.changes.filter(c => c.time <= time).pop();
+      if (!change) continue;
+
+      gauges.push({
+        id: record.id,
+        name: record.name,
+        state: record.state,
+        lat: record.lat,
+        lng: record.lng,
+        source: record.source,
+        observed: { floodCategory: change.category, validTime: new Date(change.time).toISOString() },
+        forecast: { floodCategory: 'not_defined' }
+      });
+    }
+
+    return { alerts, gauges };
+  }
+
+  /**
+   * Issue, update, end and river category events, oldest first
+   * (every change to a snapshot happens at one of these times)
+   * @param {number} from - Start time in ms
+   * @param {number} to - End time in ms
+   * @param {number} now - Current time in ms
+   * @returns {Object[]} [{ time, type, label, severity|category }]
+   */
+  getEvents(from, to, now = Date.now()) {
+    const events = [];
+    const inRange = (time) => time >= from && time <= to;
+
+    for (const record of this.alerts.values()) {
+      const { start, end } = getAlertWindow(record, now);
+      const type = record.msgType?.toLowerCase() === 'update' ? 'updated' : 'issued';
+
+      if (inRange(start)) {
+        events.push({ time: start, type, label: record.event, severity: record.severity, alertId: record.id });
+      }
+      if (end < now && inRange(end)) {
+        events.push({ time: end, type: 'ended', label: record.event, severity: record.severity, alertId: record.id });
+      }
+    }
+
+    for (const record of this.gauges.values()) {
+      // A first entry is only a baseline; it matters when it is already flooding
+      for (const [index, change] of record.changes.entries()) {
+        if (index === 0 && !isFloodingCategory(change.category)) continue;
+        if (inRange(change.time)) {
+          events.push({ time: change.time, type: 'river', label: record.name, category: change.category, gaugeId: record.id });
+        }
+      }
+    }
+
+    return events.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Earliest archived time
+   * @returns {number|null} Time in ms, or null for an empty archive
+   */
+  getStartTime() {
+    const times = [
+      ...[...this.alerts.values()].map(r => r.firstSeen),
+      ...[...this.gauges.values()].map(r => r.changes[0]?.time).filter(t => t != null)
+    ];
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  /**
+   * Forget alerts that ended, and gauge changes made, before the retention
+   * window (the last change before it is kept as the gauge baseline)
+   * @param {number} now - Current time in ms
+   * @returns {boolean} Whether anything was removed
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionMs;
+    let removed = false;
+
+    for (const [id, record] of this.alerts) {
+      if (record.endedAt != null && record.endedAt < cutoff) {
+        this.alerts.delete(id);
+        removed = true;
+      }
+    }
+
+    for (const record of this.gauges.values()) {
+      const firstKept = record.changes.findIndex(c => c.time >= cutoff);
+      const keepFrom = firstKept === -1 ? record.changes.length - 1 : firstKept - 1;
+      if (keepFrom > 0) {
+        record.changes.splice(0, keepFrom);
+        removed = true;
+      }
+    }
+
+    return removed;
+  }
+
+  toJSON() {
+    return {
+      version: ARCHIVE_VERSION,
+      alerts: Object.fromEntries(this.alerts),
+      gauges: Object.fromEntries(this.gauges)
+    };
+  }
+
+  reset() {
+    this.alerts.clear();
+    this.gauges.clear();
+    this.dirty = true;
+    this.flush();
+  }
+}
+
+/**
+ * Whether a gauge category counts as flooding on the replay map
+ * @param {string} category - NWPS flood category
+ * @returns {boolean}
+ */
+export function isFloodingCategory(category) {
+  return FLOODING_CATEGORIES.includes(category);
+}
+
+// Singleton archive - persists across component remounts
+export const alertArchive = new AlertArchive();
+
+/**
+ * Load the archive from IndexedDB and write pending changes whenever the page
+ * is hidden (it may not come back)
+ * @returns {Promise<boolean>} Whether the IndexedDB store is in use
+ */
+export function initAlertArchive() {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') alertArchive.flush();
+  });
+  return alertArchive.init();
+}
@@ -0,0 +1,202 @@
+/**
+ * Alert Lifecycle Service
+ * Tracks CAP msgType / references chains across polls so that updated alerts
+ * collapse into a single current alert and cancelled alerts disappear at once
+ */
+
+import { alertsLogger as logger } from '../utils/logger';
+import { parseReferences } from '../utils/capReferences';
+
+// How long a message is remembered after it expires (keeps cancellations
+// effective if an older message resurfaces in a later poll)
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Messages without an expiry are remembered this long after they were sent
+const DEFAULT_LIFETIME_MS = 48 * 60 * 60 * 1000;
+
+// Message identifier for an alert (EC alerts are split into one entry per area)
+function getMessageId(alert) {
+  return alert.identifier || alert.id;
+}
+
+function isCancel(message) {
+  return message.msgType?.toLowerCase() === 'cancel';
+}
+
+function toTime(value) {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Stateful store of CAP messages seen across polls.
+ *
+ * Each ingest links messages to the ones they supersede (via references),
+ * keeps only the newest message of every chain, attaches the older messages
+ * as history, and drops chains whose newest message is a Cancel.
+ */
+export class AlertLifecycleStore {
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs ?? RETENTION_MS;
+
+    // identifier -> message summary (no geometry, kept for history)
+    this.messages = new Map();
+    // identifier -> identifier of the message that superseded it
+    this.supersededBy = new Map();
+  }
+
+  /**
+   * Ingest the alerts from a poll and return the current alerts.
+   * @param {Object[]} alerts - Alerts from /api/alerts and /api/ec-alerts
+   * @param {number} now - Current time in ms (for pruning)
+   * @returns {Object[]} Current alerts with `supersedes` and `history`
+   */
+  ingest(alerts, now = Date.now()) {
+    this.prune(now);
+
+    const entriesById = new Map();
+    for (const alert of alerts || []) {
+      const id = getMessageId(alert);
+      if (!id) continue;
+
+      if (!entriesById.has(id)) {
+        entriesById.set(id, []);
+        this.remember(alert, id);
+      }
+      entriesById.get(id).push(alert);
+    }
+
+    const current = [];
+    let superseded = 0;
+    let cancelled = 0;
+
+    for (const [id, entries] of entriesById) {
+      const message = this.messages.get(id);
+
+      if (this.supersededBy.has(id)) {
+        superseded += entries.length;
+        continue;
+      }
+      if (isCancel(message)) {
+        cancelled += entries.length;
+        continue;
+      }
+
+      const history = this.getHistory(id);
+      for (const entry of entries) {
+        current.push({
+          ...entry,
+          supersedes: message.references,
+          history
+        });
+      }
+    }
+
+    if (superseded > 0 || cancelled > 0) {
+      logger.debug('Resolved alert lifecycle', { superseded, cancelled, current: current.length });
+    }
+
+    return current;
+  }
+
+  /**
+   * Record a message summary and link it to the messages it references.
+   * @param {Object} alert - Alert entry
+   * @param {string} id - Message identifier
+   */
+  remember(alert, id) {
+    const references = parseReferences(alert.references).filter(ref => ref !== id);
+
+    this.messages.set(id, {
+      identifier: id,
+      msgType: alert.msgType || 'Alert',
+      sent: alert.sent || alert.effective || null,
+      expires: alert.expires || null,
+      event: alert.event,
+      headline: alert.headline,
+      severity: alert.severity,
+      references
+    });
+
+    for (const ref of references) {
+      this.supersededBy.set(ref, id);
+    }
+  }
+
+  /**
+   * Get the superseded messages of a chain, oldest first.
+   * @param {string} identifier - Message identifier
+   * @returns {Object[]} Message summaries (unknown messages have only an identifier)
+   */
+  getHistory(identifier) {
+    const history = [];
+    const seen = new Set([identifier]);
+    const queue = [...(this.messages.get(identifier)?.references || [])];
+
+    while (queue.length > 0) {
+      const ref = queue.shift();
+      if (seen.has(ref)) continue;
+      seen.add(ref);
+
+      const message = this.messages.get(ref);
+      if (message) {
+        const { references, ...summary } = message;
+        history.push(summary);
+        queue.push(...references);
+      } else {
+        history.push({ identifier: ref });
+      }
+    }
+
+    return history.sort((a, b) => (toTime(a.sent) ?? 0) - (toTime(b.sent) ?? 0));
+  }
+
+  /**
+   * Check whether a message has been cancelled (directly or by a later Cancel).
+   * @param {string} identifier - Message identifier
+   * @returns {boolean}
+   */
+  isCancelled(identifier) {
+    let id = identifier;
+    const seen = new Set();
+
+    while (id && !seen.has(id)) {
+      if (isCancel(this.messages.get(id) || {})) return true;
+      seen.add(id);
+      id = this.supersededBy.get(id);
+    }
+    return false;
+  }
+
+  /**
+   * Forget messages that expired more than retentionMs ago.
+   * @param {number} now - Current time in ms
+   */
+  prune(now = Date.now()) {
+    for (const [id, message] of this.messages) {
+      const expires = toTime(message.expires);
+      const sent = toTime(message.sent);
+      const endOfLife = expires ?? (sent !== null ? sent + DEFAULT_LIFETIME_MS : null);
+
+      if (endOfLife !== null && now - endOfLife > this.retentionMs) {
+        this.messages.delete(id);
+        this.supersededBy.delete(id);
+        for (const ref of message.references) {
+          if (this.supersededBy.get(ref) === id) this.supersededBy.delete(ref);
+        }
+      }
+    }
+  }
+
+  /**
+   * Forget all messages.
+   */
+  reset() {
+    this.messages.clear();
+    this.supersededBy.clear();
+  }
+}
+
+// Singleton store shared by alert hooks
+// Persists across component remounts so chains survive between polls
+export const alertLifecycleStore = new AlertLifecycleStore();
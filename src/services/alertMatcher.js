@@ -1,35 +1,10 @@
 /**
  * Alert Matcher Service
- * Matches NWS/EC alerts to tribal boundaries using geographic overlap
+ * Matches NWS/EC alerts to tribal boundaries using polygon-polygon overlap
+ * and reports the share of Tribal land area each alert covers
  */
 
-// Simple point-in-polygon check using ray casting
-function pointInPolygon(point, polygon) {
-  const [x, y] = point;
-  let inside = false;
-
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const [xi, yi] = polygon[i];
-    const [xj, yj] = polygon[j];
-
-    if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
-      inside = !inside;
-    }
-  }
-
-  return inside;
-}
-
-// Check if a point is inside any polygon of a MultiPolygon
-function pointInMultiPolygon(point, multiPolygon) {
-  for (const polygon of multiPolygon) {
-    // polygon[0] is the outer ring
-    if (pointInPolygon(point, polygon[0])) {
-      return true;
-    }
-  }
-  return false;
-}
+import { geometryOverlap, getGeometryPolygons, pointInGeometry } from '../utils/geometry';
 
 // Get bounding box of coordinates
 function getBoundingBox(coordinates) {
@@ -74,12 +49,12 @@ function getCentroid(geometry) {
 }
 
 // Get a unique ID for a tribal feature (works for US and Canadian data)
-function getTribalId(props) {
+export function getTribalId(props) {
   return props.GEOID || props.CLAB_ID || props.NAME || props.name || 'unknown';
 }
 
 // Get the center point for a tribal feature
-function getTribalCenter(feature) {
+export function getTribalCenter(feature) {
   const props = feature.properties;
 
   // Try US Census centroid first
@@ -108,14 +83,32 @@ function bboxOverlap(bbox1, bbox2) {
 // Check if a point is inside an alert's geometry
 function isPointInAlert(point, alert) {
   if (!point || !alert.geometry) return false;
+  return pointInGeometry(point, alert.geometry);
+}
 
-  if (alert.geometry.type === 'Polygon') {
-    return pointInPolygon(point, alert.geometry.coordinates[0]);
-  }
-  if (alert.geometry.type === 'MultiPolygon') {
-    return pointInMultiPolygon(point, alert.geometry.coordinates);
+// Round a 0-1 fraction to a percentage with one decimal place
+function toPercent(fraction) {
+  return Math.round(fraction * 1000) / 10;
+}
+
+/**
+ * Compute how much of a Tribe's land an alert covers.
+ * Uses polygon overlap when the Tribe has a boundary; falls back to the
+ * reservation's center point (coverage unknown) when it does not.
+ * @param {Object} alert - Alert with GeoJSON geometry
+ * @param {Object} tribe - Tribal GeoJSON feature
+ * @returns {Object} { affected: boolean, coverage: number|null } - coverage in percent
+ */
+export function getAlertCoverage(alert, tribe) {
+  if (!alert?.geometry || !tribe) return { affected: false, coverage: null };
+
+  if (getGeometryPolygons(tribe.geometry).length > 0) {
+    const overlap = geometryOverlap(tribe.geometry, alert.geometry);
+    return { affected: overlap.intersects, coverage: overlap.intersects ? toPercent(overlap.coverage) : 0 };
   }
-  return false;
+
+  const center = getTribalCenter(tribe);
+  return { affected: isPointInAlert(center, alert), coverage: null };
 }
 
 /**
@@ -135,9 +128,6 @@ export function matchAlertsToTribes(alerts, tribalGeoJSON) {
     if (!tribe.geometry) continue;
 
     const tribalId = getTribalId(tribe.properties);
-    const tribeCenter = getTribalCenter(tribe);
-
-    if (!tribeCenter) continue;
 
     // Get tribe's bounding box for quick filtering
     const tribeBbox = getBoundingBox(tribe.geometry.coordinates);
@@ -151,12 +141,13 @@ export function matchAlertsToTribes(alerts, tribalGeoJSON) {
       const alertBbox = getBoundingBox(alert.geometry.coordinates);
       if (!bboxOverlap(tribeBbox, alertBbox)) continue;
 
-      // Check if tribe center is inside alert polygon
-      if (isPointInAlert(tribeCenter, alert)) {
-        const severity = alert.severity;
-        if (!highestSeverity || severityOrder[severity] < severityOrder[highestSeverity]) {
-          highestSeverity = severity;
-        }
+      // Skip alerts that can't raise the level any further
+      const severity = alert.severity;
+      if (highestSeverity && severityOrder[severity] >= severityOrder[highestSeverity]) continue;
+
+      // Any overlap between the alert area and Tribal land counts
+      if (getAlertCoverage(alert, tribe).affected) {
+        highestSeverity = severity;
       }
     }
 
@@ -170,12 +161,17 @@ export function matchAlertsToTribes(alerts, tribalGeoJSON) {
 
 /**
  * Get list of alerts affecting a specific tribe
+ * Each alert is returned with `coverage`: percent of Tribal land area inside
+ * the alert (null when the Tribe has no boundary geometry)
  */
 export function getAlertsForTribe(alerts, tribe) {
   if (!alerts?.length || !tribe) return [];
 
-  const tribeCenter = getTribalCenter(tribe);
-  if (!tribeCenter) return [];
+  if (!tribe.geometry && !getTribalCenter(tribe)) return [];
 
-  return alerts.filter(alert => isPointInAlert(tribeCenter, alert));
+  return alerts.reduce((matches, alert) => {
+    const { affected, coverage } = getAlertCoverage(alert, tribe);
+    if (affected) matches.push({ ...alert, coverage });
+    return matches;
+  }, []);
 }
@@ -1,18 +1,67 @@
 /**
- * LocalStorage Cache Service
- * Provides caching with TTL for alerts and other data
+ * Cache Service
+ * Provides caching with TTL for alerts and other data. Entries live in
+ * IndexedDB once initCache() has run (see storage.js), and in localStorage
+ * where IndexedDB is unavailable.
  */
 
 import { cacheLogger as logger } from '../utils/logger';
+import { CacheStore } from './storage';
 
+// Cached feed data lives under tw_, which is all "Clear cache" removes.
+// User data (settings, pinned communities, archives, downloaded packs) is
+// stored under tribalweather_ keys so a clear keeps it.
 const CACHE_PREFIX = 'tw_';
 
+// IndexedDB-backed store, null while falling back to localStorage
+let store = null;
+
+/**
+ * Open the IndexedDB store and move existing tw_ localStorage entries into it.
+ * Never rejects: on failure the cache keeps using localStorage.
+ * @param {Object} options - { backend } to override the IndexedDB backend
+ * @returns {Promise<boolean>} Whether the IndexedDB store is in use
+ */
+export async function initCache(options = {}) {
+  if (!options.backend && typeof indexedDB === 'undefined') return false;
+
+  try {
+    const candidate = new CacheStore({ backend: options.backend });
+    await candidate.init({ prefix: CACHE_PREFIX, classify: getDataClass });
+    store = candidate;
+    return true;
+  } catch (error) {
+    logger.warn('IndexedDB unavailable, caching in localStorage', error);
+    return false;
+  }
+}
+
+/**
+ * Data class of a cache key, used for per-class budgets and eviction order
+ * @param {string} key - Cache key
+ * @returns {string} Data class name (see DATA_CLASSES in storage.js)
+ */
+export function getDataClass(key) {
+  if (key.includes('forecast')) return 'forecast';
+  return CACHE_DATA_CLASSES[key] || 'general';
+}
+
+/**
+ * Storage used by the cache
+ * @returns {Object|null} { total, quota, classes } in bytes, or null without IndexedDB
+ */
+export function getCacheUsage() {
+  return store ? store.getUsage() : null;
+}
+
 /**
  * Get item from cache
  * @param {string} key - Cache key
  * @returns {any|null} - Cached value or null if expired/missing
  */
 export function getCache(key) {
+  if (store) return store.get(key);
+
   try {
     const item = localStorage.getItem(CACHE_PREFIX + key);
     if (!item) return null;
@@ -38,6 +87,15 @@ export function getCache(key) {
  * @param {number} ttlMs - Time to live in milliseconds
  */
 export function setCache(key, value, ttlMs) {
+  if (store) {
+    try {
+      store.set(key, value, { ttlMs, dataClass: getDataClass(key) });
+    } catch (error) {
+      logger.warn('Cache write error', error);
+    }
+    return;
+  }
+
   try {
     const item = {
       value,
@@ -58,6 +116,11 @@ export function setCache(key, value, ttlMs) {
  * @param {string} key - Cache key
  */
 export function removeCache(key) {
+  if (store) {
+    store.remove(key);
+    return;
+  }
+
   try {
     localStorage.removeItem(CACHE_PREFIX + key);
   } catch (error) {
@@ -69,6 +132,11 @@ export function removeCache(key) {
  * Clear all expired cache items
  */
 export function clearExpiredCache() {
+  if (store) {
+    store.clearExpired();
+    return;
+  }
+
   try {
     const keys = Object.keys(localStorage).filter(k => k.startsWith(CACHE_PREFIX));
 
@@ -93,6 +161,7 @@ export function clearExpiredCache() {
 
 /**
  * Clear all cache items
+ * @returns {Promise} Resolves once IndexedDB is cleared (reload after it)
  */
 export function clearAllCache() {
   try {
@@ -101,16 +170,33 @@ export function clearAllCache() {
   } catch (error) {
     logger.warn('Cache clear all error', error);
   }
+
+  return store ? store.clear() : Promise.resolve();
 }
 
 // Cache keys
 export const CACHE_KEYS = {
-  ALERTS: 'alerts',
+  ALERTS: 'alerts',          // US and Canadian alerts
+  ALERTS_US: 'alerts_us',    // US alerts only ("Include Canadian Data" off)
   RIVERS: 'rivers',
   TRIBAL_DATA: 'tribal_data',
   LAST_POSITION: 'last_position',
   MARINE_BUOYS: 'marine_buoys',
-  MARINE_TIDES: 'marine_tides'
+  MARINE_TIDES: 'marine_tides',
+  NEWS: 'news',
+  USGS: 'usgs_streamflow'
+};
+
+// Data class per cache key (per-location forecast keys are matched by name)
+const CACHE_DATA_CLASSES = {
+  [CACHE_KEYS.ALERTS]: 'alerts',
+  [CACHE_KEYS.ALERTS_US]: 'alerts',
+  [CACHE_KEYS.RIVERS]: 'observations',
+  [CACHE_KEYS.USGS]: 'observations',
+  [CACHE_KEYS.MARINE_BUOYS]: 'observations',
+  [CACHE_KEYS.MARINE_TIDES]: 'observations',
+  [CACHE_KEYS.TRIBAL_DATA]: 'geometry',
+  [CACHE_KEYS.LAST_POSITION]: 'preferences'
 };
 
 // Default TTLs
@@ -120,5 +206,7 @@ export const CACHE_TTL = {
   TRIBAL_DATA: 24 * 60 * 60 * 1000, // 24 hours
   LAST_POSITION: 7 * 24 * 60 * 60 * 1000, // 7 days
   MARINE_BUOYS: 10 * 60 * 1000,   // 10 minutes (buoys update every 10-60 min)
-  MARINE_TIDES: 60 * 60 * 1000    // 1 hour (tide predictions are stable)
+  MARINE_TIDES: 60 * 60 * 1000,   // 1 hour (tide predictions are stable)
+  NEWS: 30 * 60 * 1000,           // 30 minutes (bulletins are issued a few times a day)
+  USGS: 15 * 60 * 1000            // 15 minutes (most sites transmit every 15-60 min)
 };
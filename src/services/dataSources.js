@@ -0,0 +1,372 @@
+/**
+ * Data Source Registry
+ * Declarative description of every upstream feed: where to fetch it, how to
+ * parse it, how long to cache it, how often to poll it, which circuit breaker
+ * guards it and where to fall back to. Hooks poll sources through
+ * useDataSource instead of hand-rolling fetch, cache and interval logic.
+ *
+ * A source is either a single request (`url` + `parse`) or one request per
+ * item (`items` + `url(item)` + `parse`, merged by `combine`); per-item
+ * failures are dropped so one dead buoy doesn't blank the whole feed.
+ *
+ * Every fetch records the source's health (last success, last error, latency
+ * and record count) so the status panel can tell "no data" from "unreachable".
+ * Feeds fetched outside the registry, like radar tiles loaded by Leaflet, are
+ * registered as external sources and report their own results.
+ */
+
+import { getCache, setCache } from './cache';
+import { resilientFetch, CircuitBreaker } from '../utils/resilientFetch';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { getCachedAt } from '../utils/offline';
+import createLogger from '../utils/logger';
+
+const logger = createLogger('Sources');
+
+const sources = new Map();
+const health = new Map();
+const healthListeners = new Set();
+const resultListeners = new Set();
+
+const DEFAULTS = {
+  ttl: 5 * 60 * 1000,          // 5 minutes
+  interval: 5 * 60 * 1000,     // 5 minutes
+  concurrency: 6,              // Item requests in flight at once
+  fetchOptions: {},
+  // Polling already backs off, so each request retries only briefly
+  retry: { maxRetries: 1, baseDelayMs: 1000, timeout: 15000 }
+};
+
+/**
+ * Register a data source
+ * @param {Object} config - Source configuration
+ * @param {string} config.id - Unique source id
+ * @param {string} config.name - Human-readable name
+ * @param {string|Function} config.url - URL, or (params) / (item, params) => URL
+ * @param {Function} config.parse - async (response, context) => parsed data
+ * @param {Function} [config.items] - (params) => items fetched one request each
+ * @param {Function} [config.combine] - (results, params) => data, for item sources
+ * @param {string|Function} [config.fallbackUrl] - URL tried when the primary fails
+ * @param {Function} [config.parseFallback] - Parser for the fallback (defaults to parse)
+ * @param {Function} [config.combineFallback] - Combine for an item-based fallback
+ * @param {Function} [config.fallbackItems] - Items for the fallback (e.g. one per state)
+ * @param {string|Function} [config.cacheKey] - Cache key, or (params) => key; omit to skip caching
+ * @param {number} [config.ttl] - Cache TTL (ms)
+ * @param {number} [config.interval] - Poll interval (ms)
+ * @param {CircuitBreaker} [config.circuitBreaker] - Breaker shared by every request of the source
+ * @param {RequestInit} [config.fetchOptions] - Extra fetch options (headers)
+ * @param {RequestInit} [config.fallbackFetchOptions] - Fetch options of the fallback (defaults to fetchOptions)
+ * @param {Object} [config.retry] - resilientFetch retry configuration
+ * @param {Function} [config.count] - (data) => record count (defaults to array or feature count)
+ * @returns {Object} The registered source
+ */
+export function registerDataSource(config) {
+  if (!config?.id) throw new Error('Data source needs an id');
+  if (!config.url || typeof config.parse !== 'function') {
+    throw new Error(`Data source ${config.id} needs a url and a parse function`);
+  }
+  if (config.items && typeof config.combine !== 'function') {
+    throw new Error(`Data source ${config.id} fetches items and needs a combine function`);
+  }
+  if (config.fallbackItems && typeof (config.combineFallback ?? config.combine) !== 'function') {
+    throw new Error(`Data source ${config.id} falls back to items and needs a combine function`);
+  }
+
+  const source = {
+    ...DEFAULTS,
+    name: config.id,
+    circuitBreaker: new CircuitBreaker(),
+    ...config,
+    retry: { ...DEFAULTS.retry, ...config.retry }
+  };
+
+  sources.set(source.id, source);
+  return source;
+}
+
+/**
+ * Register a feed fetched outside the registry (e.g. map tiles)
+ * It has no breaker; report its results with recordSourceSuccess/Failure.
+ * @param {Object} config - { id, name }
+ * @returns {Object} The registered source
+ */
+export function registerExternalSource(config) {
+  if (!config?.id) throw new Error('Data source needs an id');
+
+  const source = { name: config.id, ...config, external: true, circuitBreaker: null };
+  sources.set(source.id, source);
+  return source;
+}
+
+/**
+ * Get a registered source
+ * @param {string} id - Source id
+ * @returns {Object|undefined}
+ */
+export function getDataSource(id) {
+  return sources.get(id);
+}
+
+/**
+ * All registered sources, in registration order
+ * @returns {Object[]}
+ */
+export function getDataSources() {
+  return [...sources.values()];
+}
+
+/**
+ * Remove a source (tests and feature flags)
+ * @param {string} id - Source id
+ */
+export function unregisterDataSource(id) {
+  sources.delete(id);
+  health.delete(id);
+}
+
+/**
+ * Circuit state and health of every source, for the status panel and for
+ * telling users which feeds are paused. External sources have a null state.
+ * @returns {Object[]} { id, name, health, state, failureCount, lastFailureTime, resetTimeoutMs,
+ *   lastSuccess, lastError, lastErrorAt, lastOk, latencyMs, recordCount }
+ */
+export function getSourceStatuses() {
+  return getDataSources().map(source => {
+    const status = {
+      id: source.id,
+      name: source.name,
+      external: Boolean(source.external),
+      ...(source.circuitBreaker?.getState() ?? { state: null }),
+      lastSuccess: null,
+      lastError: null,
+      lastErrorAt: null,
+      latencyMs: null,
+      recordCount: null,
+      lastOk: null,
+      ...health.get(source.id)
+    };
+    return { ...status, health: classifyHealth(status) };
+  });
+}
+
+// 'paused' | 'retrying' | 'failing' | 'ok' | 'unknown' (not fetched yet)
+function classifyHealth({ state, lastOk }) {
+  if (state === 'OPEN') return 'paused';
+  if (state === 'HALF_OPEN') return 'retrying';
+  if (lastOk == null) return 'unknown';
+  return lastOk ? 'ok' : 'failing';
+}
+
+/**
+ * Listen for circuit state and health changes of any source
+ * @param {Function} listener - Called with getSourceStatuses() on each change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSourceStatus(listener) {
+  // Sources may share a breaker (one upstream), so subscribe once per breaker
+  const breakers = new Set(getDataSources().map(source => source.circuitBreaker).filter(Boolean));
+  const notify = () => listener(getSourceStatuses());
+  const unsubscribes = [...breakers].map(breaker => breaker.subscribe(notify));
+  healthListeners.add(notify);
+  return () => {
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    healthListeners.delete(notify);
+  };
+}
+
+/**
+ * Listen for every recorded request result (e.g. for telemetry)
+ * @param {Function} listener - Called with { id, ok, latencyMs, status }
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSourceResults(listener) {
+  resultListeners.add(listener);
+  return () => resultListeners.delete(listener);
+}
+
+function updateHealth(id, update, result) {
+  health.set(id, { ...health.get(id), ...update });
+  healthListeners.forEach(listener => listener());
+  resultListeners.forEach(listener => listener({ id, ...result }));
+}
+
+/**
+ * Record a successful request of a source
+ * @param {string} id - Source id
+ * @param {Object} result - { latencyMs, recordCount }
+ */
+export function recordSourceSuccess(id, { latencyMs = null, recordCount = null } = {}) {
+  updateHealth(id, { lastSuccess: new Date().toISOString(), lastOk: true, latencyMs, recordCount }, {
+    ok: true,
+    latencyMs,
+    status: null
+  });
+}
+
+/**
+ * Record a failed request of a source
+ * @param {string} id - Source id
+ * @param {Error|string} error - What went wrong
+ * @param {Object} result - { latencyMs }
+ */
+export function recordSourceFailure(id, error, { latencyMs = null } = {}) {
+  updateHealth(id, {
+    lastError: error?.message ?? String(error),
+    lastErrorAt: new Date().toISOString(),
+    lastOk: false,
+    latencyMs
+  }, {
+    ok: false,
+    latencyMs,
+    status: error?.status ?? null
+  });
+}
+
+// Records in parsed data: list length or GeoJSON feature count
+function countRecords(data) {
+  if (Array.isArray(data)) return data.length;
+  if (Array.isArray(data?.features)) return data.features.length;
+  return null;
+}
+
+function resolve(value, ...args) {
+  return typeof value === 'function' ? value(...args) : value;
+}
+
+/**
+ * Cache key of a source for the given params
+ * @param {Object} source - Registered source
+ * @param {Object} params - Source params
+ * @returns {string|null}
+ */
+export function getSourceCacheKey(source, params = {}) {
+  return source.cacheKey ? resolve(source.cacheKey, params) : null;
+}
+
+/**
+ * Last cached result of a source, if still fresh
+ * @param {string} id - Source id
+ * @param {Object} params - Source params
+ * @returns {{ data: any, timestamp: string }|null}
+ */
+export function getCachedSourceData(id, params = {}) {
+  const source = getDataSource(id);
+  const key = source && getSourceCacheKey(source, params);
+  const cached = key ? getCache(key) : null;
+  return cached && 'data' in cached ? cached : null;
+}
+
+// Fetch through resilientFetch, throwing on any non-OK status
+async function fetchOk(source, url, options) {
+  const response = await resilientFetch(url, options, {
+    ...source.retry,
+    context: source.id
+  });
+  if (!response.ok) {
+    const error = new Error(`${source.name} returned ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+// One endpoint (primary or fallback): a single request or one per item
+async function loadEndpoint(source, endpoint, params, onProgress) {
+  const context = {
+    params,
+    onProgress,
+    fetch: (url, options) => fetchOk(source, url, { ...endpoint.fetchOptions, ...options })
+  };
+
+  if (!endpoint.items) {
+    const response = await context.fetch(resolve(endpoint.url, params));
+    return {
+      data: await endpoint.parse(response, context),
+      cachedAt: getCachedAt(response)
+    };
+  }
+
+  const items = endpoint.items(params);
+  let failed = 0;
+
+  const results = await mapWithConcurrency(items, source.concurrency, async (item) => {
+    try {
+      const response = await context.fetch(endpoint.url(item, params));
+      return await endpoint.parse(response, { ...context, item });
+    } catch (error) {
+      failed++;
+      logger.warn(`${source.name} request failed`, { source: source.id, error: error.message });
+      return null;
+    }
+  });
+
+  if (items.length > 0 && failed === items.length) {
+    throw new Error(`${source.name} unavailable`);
+  }
+
+  return { data: endpoint.combine(results.filter(r => r != null), params), cachedAt: null };
+}
+
+/**
+ * Fetch, parse and cache a source through its circuit breaker
+ * Falls back to `fallbackUrl` when the primary request fails.
+ *
+ * @param {string} id - Source id
+ * @param {Object} options - { params, onProgress }
+ * @returns {Promise<{ data: any, timestamp: string, cachedAt: Date|null, fromFallback: boolean }>}
+ * @throws {Error} When the source and its fallback fail, or the breaker is open
+ */
+export async function fetchDataSource(id, { params = {}, onProgress } = {}) {
+  const source = getDataSource(id);
+  if (!source) throw new Error(`Unknown data source: ${id}`);
+  if (source.external) throw new Error(`Data source ${id} is fetched outside the registry`);
+
+  const primary = {
+    url: source.url,
+    parse: source.parse,
+    items: source.items,
+    combine: source.combine,
+    fetchOptions: source.fetchOptions
+  };
+
+  const startedAt = Date.now();
+
+  const result = await source.circuitBreaker.execute(async () => {
+    try {
+      return { ...await loadEndpoint(source, primary, params, onProgress), fromFallback: false };
+    } catch (error) {
+      if (!source.fallbackUrl) throw error;
+
+      logger.info(`${source.name} failed, using fallback`, { source: source.id, error: error.message });
+      const fallback = {
+        url: source.fallbackUrl,
+        parse: source.parseFallback ?? source.parse,
+        items: source.fallbackItems,
+        combine: source.combineFallback ?? source.combine,
+        fetchOptions: source.fallbackFetchOptions ?? source.fetchOptions
+      };
+      return { ...await loadEndpoint(source, fallback, params, onProgress), fromFallback: true };
+    }
+  }, source.id).catch(error => {
+    // A paused source made no request, so it keeps its last real error
+    if (error.code === 'CIRCUIT_OPEN') {
+      error.message = `${source.name} paused after repeated failures`;
+    } else {
+      recordSourceFailure(source.id, error, { latencyMs: Date.now() - startedAt });
+    }
+    throw error;
+  });
+
+  recordSourceSuccess(source.id, {
+    latencyMs: Date.now() - startedAt,
+    recordCount: (source.count ?? countRecords)(result.data)
+  });
+
+  // Service worker fallbacks keep the time the data was last fetched
+  const timestamp = (result.cachedAt ?? new Date()).toISOString();
+
+  const cacheKey = getSourceCacheKey(source, params);
+  if (cacheKey) setCache(cacheKey, { data: result.data, timestamp }, source.ttl);
+
+  return { ...result, timestamp };
+}
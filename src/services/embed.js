@@ -0,0 +1,164 @@
+/**
+ * Embed Service
+ * Configuration and parent-page messaging for the embeddable widgets
+ * (embed.html, loaded in an iframe directly or by the <tribalweather-widget>
+ * element from public/embed.js).
+ *
+ *   /embed.html?widget=alerts&region=SALISH_SEA&nations=5310,Lummi&theme=light&limit=3&id=sidebar
+ *
+ * Messages to the parent page are { source: 'tribalweather', id, type, ... }:
+ *   ready        - the widget rendered
+ *   resize       - { height } of the widget content in CSS pixels
+ *   alert-click  - { alert } summary of the alert the user picked
+ */
+
+import { REGIONS, DEFAULT_REGION } from '../utils/constants';
+import { getBoundingBox, boundingBoxesIntersect, getGeometryPolygons } from '../utils/geometry';
+import { getAlertsForTribe, getTribalId } from './alertMatcher';
+
+export const EMBED_MESSAGE_SOURCE = 'tribalweather';
+export const EMBED_WIDGETS = Object.freeze(['alerts', 'nation', 'map']);
+export const EMBED_THEMES = Object.freeze(['dark', 'light']);
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+const SEVERITY_ORDER = { EMERGENCY: 0, WARNING: 1, WATCH: 2, ADVISORY: 3, STATEMENT: 4 };
+
+const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+/**
+ * Read widget options from a query string
+ * Unknown or malformed values fall back to the defaults.
+ * @param {string} search - location.search
+ * @returns {Object} { widget, region, nations, theme, limit, id }
+ */
+export function parseEmbedConfig(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const region = params.get('region')?.toUpperCase();
+  const limit = parseInt(params.get('limit'), 10);
+
+  return {
+    widget: pick(params.get('widget'), EMBED_WIDGETS, 'alerts'),
+    region: region && REGIONS[region] ? region : DEFAULT_REGION,
+    nations: (params.get('nations') || '').split(',').map(n => n.trim()).filter(Boolean),
+    theme: pick(params.get('theme'), EMBED_THEMES, 'dark'),
+    limit: Number.isFinite(limit) ? Math.min(Math.max(limit, 1), MAX_LIMIT) : DEFAULT_LIMIT,
+    id: params.get('id') || null
+  };
+}
+
+/**
+ * Find the Tribal features named in the config
+ * Nations match by id (Census GEOID, BC CLAB_ID) or name, case-insensitively.
+ * @param {Object} tribalData - Tribal FeatureCollection
+ * @param {string[]} nations - Ids or names
+ * @returns {Array} Matching features, in the order given
+ */
+export function findEmbedNations(tribalData, nations) {
+  const features = tribalData?.features || [];
+
+  return nations
+    .map(nation => {
+      const wanted = nation.toLowerCase();
+      return features.find(feature => {
+        const props = feature.properties;
+        return [getTribalId(props), props.NAME, props.NAMELSAD, props.NAME1]
+          .some(value => value && String(value).toLowerCase() === wanted);
+      });
+    })
+    .filter(Boolean);
+}
+
+// Region bounds as a geometry bounding box ([[south, west], [north, east]] -> x/y)
+const regionBox = (region) => {
+  const [[south, west], [north, east]] = REGIONS[region].bounds;
+  return { minX: west, minY: south, maxX: east, maxY: north };
+};
+
+/**
+ * Alerts shown by a widget, most severe first
+ * With Nations configured, only alerts over those Nations; otherwise alerts
+ * inside the region (alerts without geometry only for the default region).
+ * @param {Array} alerts - Normalized alerts
+ * @param {Object} options
+ * @param {string} options.region - Region id
+ * @param {Array} options.nationFeatures - Features from findEmbedNations
+ * @param {number} options.limit - Maximum alerts
+ * @returns {Array} Alerts
+ */
+export function selectEmbedAlerts(alerts, { region = DEFAULT_REGION, nationFeatures = [], limit = DEFAULT_LIMIT } = {}) {
+  let selected;
+
+  if (nationFeatures.length > 0) {
+    const byId = new Map();
+    nationFeatures.forEach(feature => {
+      getAlertsForTribe(alerts, feature).forEach(alert => byId.set(alert.id, alert));
+    });
+    selected = [...byId.values()];
+  } else {
+    const box = regionBox(region);
+    selected = alerts.filter(alert => {
+      const polygons = getGeometryPolygons(alert.geometry);
+      if (polygons.length === 0) return region === DEFAULT_REGION;
+      return polygons.some(polygon => boundingBoxesIntersect(getBoundingBox(polygon), box));
+    });
+  }
+
+  return selected
+    .sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 99) - (SEVERITY_ORDER[b.severity] ?? 99))
+    .slice(0, limit);
+}
+
+/**
+ * Post a message to the embedding page
+ * Payloads only carry public alert data, so any parent origin may listen.
+ * @param {string} type - Message type
+ * @param {Object} payload - Message fields
+ * @param {string|null} id - Widget id from the config
+ */
+export function postEmbedMessage(type, payload = {}, id = null) {
+  if (window.parent === window) return;
+  window.parent.postMessage({ source: EMBED_MESSAGE_SOURCE, id, type, ...payload }, '*');
+}
+
+/**
+ * Alert fields sent with alert-click, with a link to it in the full app
+ * @param {Object} alert - Normalized alert
+ * @returns {Object} Alert summary
+ */
+export function toEmbedAlert(alert) {
+  return {
+    id: alert.id,
+    event: alert.event,
+    severity: alert.severity,
+    headline: alert.headline || null,
+    areaDesc: alert.areaDesc || null,
+    expires: alert.expires || null,
+    isCanadian: Boolean(alert.isCanadian),
+    url: `${window.location.origin}/?alert=${encodeURIComponent(alert.id)}`
+  };
+}
+
+/**
+ * Report the element's height to the parent whenever it changes
+ * @param {Element} element - Widget root
+ * @param {string|null} id - Widget id from the config
+ * @returns {Function} Stops observing
+ */
+export function observeEmbedHeight(element, id = null) {
+  let lastHeight = null;
+  const report = () => {
+    const height = Math.ceil(element.getBoundingClientRect().height);
+    if (height === lastHeight) return;
+    lastHeight = height;
+    postEmbedMessage('resize', { height }, id);
+  };
+
+  report();
+  if (typeof ResizeObserver === 'undefined') return () => {};
+
+  const observer = new ResizeObserver(report);
+  observer.observe(element);
+  return () => observer.disconnect();
+}
@@ -0,0 +1,164 @@
+/**
+ * Flood Escalation Service
+ * Flags river gauges forecast to reach a higher flood category than they are
+ * observed at ("rising to flood") and finds the Tribal lands each one threatens:
+ * gauges within a distance of the land, or up to a few gauges upstream of one
+ * that is (NWPS links each gauge to the next gauge downstream). Also gives
+ * each gauge's trend from its forecast for the river list.
+ */
+
+import { getTribalId } from './alertMatcher';
+import { getBoundingBox, getGeometryPolygons, distanceToGeometryKm } from '../utils/geometry';
+
+// Gauges this close to Tribal land (km) count for it
+export const RISING_GAUGE_RADIUS_KM = 15;
+
+// Gauges this many links upstream of a nearby gauge also count
+export const RISING_GAUGE_UPSTREAM_HOPS = 2;
+
+// NWPS categories in rising order; anything else (not_defined,
+// obs_not_current, ...) ranks with no_flooding
+const FLOOD_RANK = {
+  no_flooding: 0,
+  action: 1,
+  minor: 2,
+  moderate: 3,
+  major: 4
+};
+
+const rank = (category) => FLOOD_RANK[category] ?? 0;
+
+// Forecast change (ft or kcfs, the gauge's primary unit) counted as steady
+const STEADY_CHANGE = 0.1;
+
+// NWPS reports missing stages as -999
+const isReading = (value) => Number.isFinite(value) && value !== -999;
+
+/**
+ * Whether a gauge is forecast to reach a higher flood category than observed
+ * @param {Object} gauge - Normalized gauge ({ observed, forecast })
+ * @returns {boolean}
+ */
+export function isRisingToFlood(gauge) {
+  return rank(gauge?.forecast?.floodCategory) > rank(gauge?.observed?.floodCategory);
+}
+
+/**
+ * Gauges rising to flood, highest forecast category first
+ * @param {Array} gauges - Normalized gauges
+ * @returns {Array} Rising gauges
+ */
+export function getRisingGauges(gauges = []) {
+  return gauges
+    .filter(isRisingToFlood)
+    .sort((a, b) => rank(b.forecast.floodCategory) - rank(a.forecast.floodCategory));
+}
+
+/**
+ * Direction a gauge is forecast to move
+ * Compares forecast and observed stage, or flood category when either stage
+ * is missing.
+ * @param {Object} gauge - Normalized gauge ({ observed, forecast })
+ * @returns {'rising'|'falling'|'steady'|null} null without a usable forecast
+ */
+export function getGaugeTrend(gauge) {
+  const observed = gauge?.observed || {};
+  const forecast = gauge?.forecast || {};
+
+  if (isReading(observed.level) && isReading(forecast.level)) {
+    const change = forecast.level - observed.level;
+    if (Math.abs(change) < STEADY_CHANGE) return 'steady';
+    return change > 0 ? 'rising' : 'falling';
+  }
+
+  if (!(observed.floodCategory in FLOOD_RANK) || !(forecast.floodCategory in FLOOD_RANK)) return null;
+  const change = rank(forecast.floodCategory) - rank(observed.floodCategory);
+  if (change === 0) return 'steady';
+  return change > 0 ? 'rising' : 'falling';
+}
+
+// Degrees of latitude/longitude covering a distance, for bounding box checks
+const kmToDegrees = (km, lat) => ({
+  lat: km / 111.32,
+  lng: km / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01))
+});
+
+// Bounding box over every polygon's outer ring
+function geometryBox(geometry) {
+  const boxes = getGeometryPolygons(geometry).map(polygon => getBoundingBox(polygon)).filter(Boolean);
+  if (boxes.length === 0) return null;
+  return {
+    minX: Math.min(...boxes.map(b => b.minX)),
+    minY: Math.min(...boxes.map(b => b.minY)),
+    maxX: Math.max(...boxes.map(b => b.maxX)),
+    maxY: Math.max(...boxes.map(b => b.maxY))
+  };
+}
+
+// Gauge plus the gauges downstream of it, up to `hops` links
+function downstreamReach(gauge, gaugesById, hops) {
+  const reach = [gauge];
+  let current = gauge;
+  for (let i = 0; i < hops && current.downstreamLid; i++) {
+    current = gaugesById.get(current.downstreamLid);
+    if (!current || reach.includes(current)) break;
+    reach.push(current);
+  }
+  return reach;
+}
+
+/**
+ * Rising gauges near each Tribal feature
+ * A rising gauge counts for a feature when it, or a gauge up to
+ * `upstreamHops` links downstream of it, is within `radiusKm` of the land.
+ * @param {Array} gauges - All normalized gauges (downstream links need them)
+ * @param {Object} tribalData - Tribal FeatureCollection
+ * @param {Object} options
+ * @param {number} options.radiusKm - Distance from the land
+ * @param {number} options.upstreamHops - Downstream links followed
+ * @returns {Object} Tribal id -> [{ ...gauge, distanceKm, via }] (via is the
+ *   nearby downstream gauge id for upstream matches, otherwise null)
+ */
+export function findRisingGaugesByTribe(gauges = [], tribalData, {
+  radiusKm = RISING_GAUGE_RADIUS_KM,
+  upstreamHops = RISING_GAUGE_UPSTREAM_HOPS
+} = {}) {
+  const rising = getRisingGauges(gauges);
+  const byTribe = {};
+  if (rising.length === 0 || !tribalData?.features) return byTribe;
+
+  const gaugesById = new Map(gauges.map(gauge => [gauge.id, gauge]));
+  const reaches = rising.map(gauge => downstreamReach(gauge, gaugesById, upstreamHops));
+
+  for (const feature of tribalData.features) {
+    const box = geometryBox(feature.geometry);
+    if (!box) continue;
+
+    const pad = kmToDegrees(radiusKm, (box.minY + box.maxY) / 2);
+    const near = (gauge) => gauge.lat >= box.minY - pad.lat && gauge.lat <= box.maxY + pad.lat &&
+      gauge.lng >= box.minX - pad.lng && gauge.lng <= box.maxX + pad.lng;
+
+    const matches = [];
+    reaches.forEach(reach => {
+      const [gauge] = reach;
+      const nearby = reach
+        .filter(near)
+        .map(point => ({ point, distanceKm: distanceToGeometryKm([point.lng, point.lat], feature.geometry) }))
+        .find(({ distanceKm }) => distanceKm <= radiusKm);
+
+      if (nearby) {
+        matches.push({
+          ...gauge,
+          distanceKm: nearby.distanceKm,
+          via: nearby.point === gauge ? null : nearby.point.id
+        });
+      }
+    });
+
+    if (matches.length > 0) {
+      byTribe[getTribalId(feature.properties)] = matches;
+    }
+  }
+
+  return byTribe;
+}
@@ -0,0 +1,302 @@
+/**
+ * Alert Notification Service
+ * Detects new and escalated alerts over pinned communities and hands them to
+ * the service worker (public/push-sw.js), which raises the system notification
+ */
+
+import { buildCommunityHazards, findCommunityFeature } from './watchList';
+import { alertsLogger as logger } from '../utils/logger';
+
+const SETTINGS_KEY = 'tribalweather_notifications';
+const TRACKER_KEY = 'tribalweather_notified';
+
+// Notified chains are forgotten after a week
+const TRACKER_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Higher rank = more severe
+const SEVERITY_RANK = { STATEMENT: 0, ADVISORY: 1, WATCH: 2, WARNING: 3, EMERGENCY: 4 };
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    allowEmergency: true
+  }
+};
+
+/**
+ * Read notification preferences
+ * @returns {Object} Settings merged over the defaults
+ */
+export function getNotificationSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    return {
+      ...DEFAULT_NOTIFICATION_SETTINGS,
+      ...stored,
+      quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...stored.quietHours }
+    };
+  } catch (error) {
+    logger.warn('Notification settings read error', error);
+    return DEFAULT_NOTIFICATION_SETTINGS;
+  }
+}
+
+/**
+ * Persist notification preferences and mirror them to the service worker
+ * @param {Object} settings - Settings object
+ * @returns {Object} The saved settings
+ */
+export function saveNotificationSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    logger.warn('Notification settings write error', error);
+  }
+
+  postToServiceWorker({ type: 'NOTIFICATION_SETTINGS', settings });
+  return settings;
+}
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Check whether a time falls inside the quiet-hours window
+ * Windows may wrap midnight (22:00-07:00)
+ * @param {Object} quietHours - { enabled, start, end }
+ * @param {Date} date - Time to check (local time)
+ * @returns {boolean}
+ */
+export function isQuietHours(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+
+  if (start === end) return false;
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Check whether a notification should be shown now
+ * @param {Object} notification - Notification payload
+ * @param {Object} settings - Notification settings
+ * @param {Date} date - Current time
+ * @returns {boolean}
+ */
+export function shouldNotify(notification, settings, date = new Date()) {
+  if (!settings?.enabled) return false;
+  if (!isQuietHours(settings.quietHours, date)) return true;
+  return settings.quietHours.allowEmergency && notification.severity === 'EMERGENCY';
+}
+
+/**
+ * Build the payload the service worker turns into a system notification
+ * The same shape is sent by the Web Push backend
+ * @param {Object} alert - Alert
+ * @param {Object} community - Watch list entry
+ * @param {string} kind - 'new' or 'escalated'
+ * @returns {Object} Notification payload
+ */
+export function buildNotification(alert, community, kind) {
+  const chainId = alert.history?.[0]?.identifier || alert.identifier || alert.id;
+
+  return {
+    title: `${kind === 'escalated' ? 'Upgraded: ' : ''}${alert.event} – ${community.name}`,
+    body: alert.headline || alert.areaDesc || '',
+    tag: `${community.id}:${chainId}`,
+    severity: alert.severity,
+    kind,
+    alertId: alert.id,
+    communityId: community.id,
+    url: '/',
+    timestamp: Date.parse(alert.sent || alert.effective) || Date.now()
+  };
+}
+
+/**
+ * Tracks which alert chains have been notified for each community so that
+ * repeated polls, CAP updates and page reloads do not re-notify; an update
+ * only notifies again when it raises the severity.
+ */
+export class NotificationTracker {
+  constructor(storageKey = TRACKER_KEY) {
+    this.storageKey = storageKey;
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+      this.baselined = new Set(stored.baselined || []);
+      this.notified = new Map(Object.entries(stored.notified || {}));
+    } catch {
+      this.baselined = new Set();
+      this.notified = new Map();
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        baselined: [...this.baselined],
+        notified: Object.fromEntries(this.notified)
+      }));
+    } catch (error) {
+      logger.warn('Notification tracker write error', error);
+    }
+  }
+
+  /**
+   * Compare the current alerts with what has already been notified.
+   * The first poll for a newly followed community only records a baseline.
+   * @param {Object[]} alerts - Current alerts (after lifecycle resolution)
+   * @param {Object[]} communities - Watch list entries
+   * @param {Object} tribalData - Tribal FeatureCollection
+   * @param {number} now - Current time in ms
+   * @returns {Object[]} Notification payloads for new or escalated alerts
+   */
+  diff(alerts, communities, tribalData, now = Date.now()) {
+    const notifications = [];
+    this.prune(now);
+
+    for (const community of communities) {
+      const feature = findCommunityFeature(tribalData, community.id);
+      if (!feature) continue;
+
+      const baseline = !this.baselined.has(community.id);
+      const { alerts: communityAlerts } = buildCommunityHazards(community, feature, { alerts });
+
+      for (const alert of communityAlerts) {
+        const rank = SEVERITY_RANK[alert.severity] ?? 0;
+        const chainIds = [
+          alert.identifier || alert.id,
+          ...(alert.history || []).map(h => h.identifier)
+        ];
+        const previous = chainIds
+          .map(id => this.notified.get(`${community.id}:${id}`)?.rank)
+          .filter(r => r != null);
+
+        const previousRank = previous.length > 0 ? Math.max(...previous) : null;
+
+        if (!baseline) {
+          if (previousRank == null) {
+            notifications.push(buildNotification(alert, community, 'new'));
+          } else if (rank > previousRank) {
+            notifications.push(buildNotification(alert, community, 'escalated'));
+          }
+        }
+
+        this.notified.set(`${community.id}:${chainIds[0]}`, {
+          rank: Math.max(rank, previousRank ?? rank),
+          at: now
+        });
+      }
+
+      this.baselined.add(community.id);
+    }
+
+    // Unpinned communities get a fresh baseline if pinned again
+    const followed = new Set(communities.map(c => c.id));
+    for (const id of this.baselined) {
+      if (!followed.has(id)) this.baselined.delete(id);
+    }
+
+    this.save();
+    return notifications;
+  }
+
+  /**
+   * Forget chains last seen more than the retention window ago
+   * @param {number} now - Current time in ms
+   */
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.notified) {
+      if (now - entry.at > TRACKER_RETENTION_MS) this.notified.delete(key);
+    }
+  }
+
+  reset() {
+    this.baselined.clear();
+    this.notified.clear();
+    this.save();
+  }
+}
+
+// Singleton tracker - persists across component remounts
+export const notificationTracker = new NotificationTracker();
+
+/**
+ * Post a message to the active service worker (no-op without one)
+ * @param {Object} message - Message for public/push-sw.js
+ * @returns {Promise<boolean>} Whether a worker received the message
+ */
+export async function postToServiceWorker(message) {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.active) return false;
+    registration.active.postMessage(message);
+    return true;
+  } catch (error) {
+    logger.warn('Service worker message failed', error);
+    return false;
+  }
+}
+
+/**
+ * Ask the service worker to show notifications
+ * Quiet hours are applied here and again in the worker (for pushes)
+ * @param {Object[]} notifications - Notification payloads
+ * @param {Object} settings - Notification settings
+ * @returns {Promise<number>} Number of notifications handed to the worker
+ */
+export async function deliverNotifications(notifications, settings = getNotificationSettings()) {
+  const allowed = notifications.filter(n => shouldNotify(n, settings));
+  if (allowed.length === 0) return 0;
+
+  const delivered = await postToServiceWorker({ type: 'SHOW_ALERT_NOTIFICATIONS', notifications: allowed });
+  return delivered ? allowed.length : 0;
+}
+
+/**
+ * Request notification permission from the browser
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Forward messages from a local stand-in push server (scripts/push-stub-server.js)
+ * to the service worker's push handler, so pushes can be tested without a
+ * real push service
+ * @param {string} url - Stub server event stream URL
+ * @returns {Function} Disconnect function
+ */
+export function connectPushStub(url) {
+  if (!url || typeof EventSource === 'undefined') return () => {};
+
+  const source = new EventSource(url);
+  source.onmessage = (event) => {
+    try {
+      postToServiceWorker({ type: 'PUSH', payload: JSON.parse(event.data) });
+    } catch (error) {
+      logger.warn('Invalid push stub message', error);
+    }
+  };
+
+  logger.info('Connected to push stub', { url });
+  return () => source.close();
+}
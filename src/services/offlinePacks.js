@@ -0,0 +1,230 @@
+/**
+ * Offline Map Packs
+ * Downloads a region's basemap tiles (for a chosen zoom range), Tribal
+ * boundaries, coastlines and latest alerts into Cache Storage so field staff
+ * can keep using the map without signal. The service worker answers from
+ * these caches when the network and its own caches come up empty.
+ */
+
+import {
+  REGIONS,
+  DARK_TILE_URL,
+  DARK_TILE_SUBDOMAINS,
+  COASTLINE_URL,
+  TRIBAL_DATA_URL,
+  BC_FIRST_NATIONS_WFS_URL,
+  ALERTS_STREAM_URL,
+  EC_ALERTS_API_URL,
+  RIVERS_API_URL
+} from '../utils/constants';
+import { countTiles, getTileUrls } from '../utils/tiles';
+import { CACHED_AT_HEADER } from '../utils/offline';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { mapLogger as logger } from '../utils/logger';
+
+// One Cache Storage cache per pack (name matched by the service worker)
+export const OFFLINE_PACK_CACHE_PREFIX = 'offline-pack-';
+
+const PACKS_KEY = 'tribalweather_offline_packs';
+
+// Window event fired whenever a pack is saved or deleted
+export const OFFLINE_PACKS_EVENT = 'offlinepacks:change';
+
+// Zoom 13 shows individual roads; deeper packs get too large for a phone
+export const MAX_PACK_ZOOM = 13;
+export const MAX_PACK_TILES = 10000;
+
+// Typical CARTO dark tile size, for estimates before downloading
+const AVERAGE_TILE_BYTES = 12 * 1024;
+const RETINA_TILE_FACTOR = 3;
+
+const DOWNLOAD_CONCURRENCY = 6;
+
+/**
+ * Whether this browser can store offline packs
+ * @returns {boolean}
+ */
+export function isOfflinePackSupported() {
+  return typeof caches !== 'undefined';
+}
+
+/**
+ * Downloaded packs by region id
+ * @returns {Object} { [regionId]: { regionId, minZoom, maxZoom, retina, tiles, bytes, failed, downloadedAt } }
+ */
+export function getPacks() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PACKS_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (error) {
+    logger.warn('Offline pack list read error', error);
+    return {};
+  }
+}
+
+function savePacks(packs) {
+  try {
+    localStorage.setItem(PACKS_KEY, JSON.stringify(packs));
+  } catch (error) {
+    logger.warn('Offline pack list write error', error);
+  }
+
+  window.dispatchEvent(new CustomEvent(OFFLINE_PACKS_EVENT, { detail: packs }));
+  return packs;
+}
+
+// Leaflet requests @2x tiles on high density screens
+function isRetina() {
+  return typeof window !== 'undefined' && window.devicePixelRatio > 1;
+}
+
+/**
+ * Basemap tile URLs of a pack
+ * @param {Object} region - Entry of REGIONS
+ * @param {number} maxZoom - Deepest zoom level to include
+ * @param {boolean} retina - Whether to fetch @2x tiles
+ * @returns {string[]}
+ */
+export function getPackTileUrls(region, maxZoom, retina = isRetina()) {
+  return getTileUrls(DARK_TILE_URL, region.bounds, region.minZoom, maxZoom, {
+    subdomains: DARK_TILE_SUBDOMAINS,
+    retina
+  });
+}
+
+/**
+ * Boundary, coastline and latest alert/river requests of a pack
+ * @param {Object} region - Entry of REGIONS
+ * @returns {string[]}
+ */
+export function getPackDataUrls(region) {
+  const urls = [TRIBAL_DATA_URL, COASTLINE_URL, ALERTS_STREAM_URL, RIVERS_API_URL];
+  if (region.includeCanada) urls.push(EC_ALERTS_API_URL, BC_FIRST_NATIONS_WFS_URL);
+  return urls;
+}
+
+/**
+ * Size of a pack before downloading it
+ * @param {Object} region - Entry of REGIONS
+ * @param {number} maxZoom - Deepest zoom level to include
+ * @returns {{ tiles: number, bytes: number }} Tile count and estimated bytes
+ */
+export function estimatePack(region, maxZoom) {
+  const tiles = countTiles(region.bounds, region.minZoom, maxZoom);
+  const tileBytes = AVERAGE_TILE_BYTES * (isRetina() ? RETINA_TILE_FACTOR : 1);
+  return { tiles, bytes: tiles * tileBytes };
+}
+
+// Fetch a request and store it, stamped like service worker fallbacks
+async function storeResponse(cache, url, { signal, downloadedAt }) {
+  const response = await fetch(url, {
+    mode: url.startsWith('/') ? 'same-origin' : 'cors',
+    signal
+  });
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+
+  const body = await response.blob();
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, downloadedAt);
+
+  await cache.put(url, new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  }));
+  return body.size;
+}
+
+/**
+ * Download (or update) a region's offline pack
+ * @param {string} regionId - Key of REGIONS
+ * @param {Object} options - { maxZoom, onProgress({ done, total, bytes }), signal }
+ * @returns {Promise<Object>} The saved pack
+ */
+export async function downloadPack(regionId, { maxZoom, onProgress, signal } = {}) {
+  const region = REGIONS[regionId];
+  if (!region) throw new Error(`Unknown region: ${regionId}`);
+  if (!isOfflinePackSupported()) throw new Error('Offline packs are not supported in this browser');
+
+  const zoom = Math.min(Math.max(maxZoom ?? region.defaultZoom, region.minZoom), MAX_PACK_ZOOM);
+  const retina = isRetina();
+  const tileUrls = getPackTileUrls(region, zoom, retina);
+  if (tileUrls.length > MAX_PACK_TILES) {
+    throw new Error(`Pack too large (${tileUrls.length} tiles); choose a lower zoom`);
+  }
+
+  const urls = [...getPackDataUrls(region), ...tileUrls];
+  const cache = await caches.open(OFFLINE_PACK_CACHE_PREFIX + regionId);
+  const downloadedAt = new Date().toISOString();
+
+  let done = 0;
+  let bytes = 0;
+  let failed = 0;
+
+  await mapWithConcurrency(urls, DOWNLOAD_CONCURRENCY, async (url) => {
+    if (signal?.aborted) return;
+    try {
+      // Read the size before adding: `bytes +=` across an await loses updates
+      const size = await storeResponse(cache, url, { signal, downloadedAt });
+      bytes += size;
+    } catch (error) {
+      if (error.name !== 'AbortError') failed++;
+    }
+    done++;
+    onProgress?.({ done, total: urls.length, bytes });
+  });
+
+  if (signal?.aborted) throw new DOMException('Download cancelled', 'AbortError');
+  if (failed === urls.length) throw new Error('Could not download the pack; check your connection');
+
+  // A smaller zoom range on update leaves tiles to drop
+  const wanted = new Set(urls.map(url => new URL(url, location.origin).href));
+  for (const request of await cache.keys()) {
+    if (!wanted.has(request.url)) await cache.delete(request);
+  }
+
+  const pack = {
+    regionId,
+    minZoom: region.minZoom,
+    maxZoom: zoom,
+    retina,
+    tiles: tileUrls.length,
+    bytes,
+    failed,
+    downloadedAt
+  };
+
+  if (failed > 0) logger.warn('Offline pack downloaded with missing files', { regionId, failed });
+  logger.info('Offline pack saved', { regionId, tiles: pack.tiles, bytes });
+
+  savePacks({ ...getPacks(), [regionId]: pack });
+  return pack;
+}
+
+/**
+ * Delete a region's offline pack
+ * @param {string} regionId - Key of REGIONS
+ */
+export async function deletePack(regionId) {
+  if (isOfflinePackSupported()) {
+    await caches.delete(OFFLINE_PACK_CACHE_PREFIX + regionId);
+  }
+
+  const { [regionId]: _removed, ...packs } = getPacks();
+  savePacks(packs);
+}
+
+/**
+ * Browser storage used by the whole app, where supported
+ * @returns {Promise<{ usage: number, quota: number }|null>}
+ */
+export async function getStorageEstimate() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
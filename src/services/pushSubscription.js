@@ -0,0 +1,103 @@
+/**
+ * Web Push Subscription Service
+ * Registers the browser's push subscription with /api/push so the scheduled
+ * dispatch job can notify about pinned communities while the app is closed
+ */
+
+import { alertsLogger as logger } from '../utils/logger';
+
+const PUSH_API_URL = '/api/push';
+
+// VAPID key (base64url) -> applicationServerKey bytes
+function toUint8Array(base64Url) {
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+async function getPushManager() {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return null;
+  if (typeof window === 'undefined' || !('PushManager' in window)) return null;
+
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager || null;
+}
+
+/**
+ * Subscribe (or update the subscription) for the given communities
+ * @param {Object[]} communities - Watch list entries
+ * @param {Object} options - { regions, minSeverity }
+ * @returns {Promise<boolean>} Whether the server accepted the subscription
+ */
+export async function subscribeToPush(communities, options = {}) {
+  const { regions = [], minSeverity = 'STATEMENT' } = options;
+
+  try {
+    const pushManager = await getPushManager();
+    if (!pushManager) return false;
+
+    if (communities.length === 0 && regions.length === 0) {
+      await unsubscribeFromPush();
+      return false;
+    }
+
+    let subscription = await pushManager.getSubscription();
+    if (!subscription) {
+      const keyResponse = await fetch(PUSH_API_URL);
+      if (!keyResponse.ok) {
+        logger.info('Web Push unavailable on this server', { status: keyResponse.status });
+        return false;
+      }
+
+      const { publicKey } = await keyResponse.json();
+      subscription = await pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: toUint8Array(publicKey)
+      });
+    }
+
+    const response = await fetch(PUSH_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        subscription: subscription.toJSON(),
+        nations: communities.map(({ id, name, lat, lon }) => ({ id, name, lat, lon })),
+        regions,
+        minSeverity
+      })
+    });
+
+    if (!response.ok) {
+      logger.warn('Push registration rejected', { status: response.status });
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    logger.warn('Push subscription failed', error);
+    return false;
+  }
+}
+
+/**
+ * Revoke the push subscription on the server and in the browser
+ * @returns {Promise<boolean>} Whether a subscription was removed
+ */
+export async function unsubscribeFromPush() {
+  try {
+    const pushManager = await getPushManager();
+    const subscription = await pushManager?.getSubscription();
+    if (!subscription) return false;
+
+    await fetch(PUSH_API_URL, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ endpoint: subscription.endpoint })
+    });
+
+    return await subscription.unsubscribe();
+  } catch (error) {
+    logger.warn('Push unsubscribe failed', error);
+    return false;
+  }
+}
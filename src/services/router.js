@@ -0,0 +1,141 @@
+/**
+ * Router Service
+ * Maps the URL to the page shown behind the bottom navigation and, on the
+ * map, the region, enabled layers, view and selected alert, Tribal feature or
+ * river gauge, so any state can be shared as a link (e.g. texting a specific warning).
+ *
+ *   /alerts
+ *   /?region=SALISH_SEA&layers=warnings,tribal&view=48.1234,-122.5678,9&alert=urn:oid:...
+ *   /?gauge=SQUW1
+ */
+
+import { REGIONS, DEFAULT_REGION } from '../utils/constants';
+
+// Window event fired whenever navigate() changes the URL (popstate covers back/forward)
+export const ROUTE_EVENT = 'route:change';
+
+// Page id -> path; the map is the landing page
+export const PAGE_PATHS = Object.freeze({
+  map: '/',
+  dashboard: '/dashboard',
+  alerts: '/alerts',
+  forecast: '/forecast',
+  news: '/news',
+  rivers: '/rivers',
+  more: '/more'
+});
+
+// Map overlays that can be toggled, in URL order
+export const MAP_LAYERS = Object.freeze(['risk', 'warnings', 'tribal', 'rivers', 'radar', 'marine']);
+export const DEFAULT_LAYERS = Object.freeze(['risk', 'warnings', 'tribal', 'rivers']);
+
+// Map fields kept while other pages are open (selections are not restored)
+const MAP_VIEW_FIELDS = ['region', 'layers', 'view'];
+let lastMapRoute = null;
+
+const pageForPath = (pathname) => {
+  const path = pathname.replace(/\/+$/, '') || '/';
+  return Object.keys(PAGE_PATHS).find(page => PAGE_PATHS[page] === path) || 'map';
+};
+
+const parseRegion = (value) => {
+  const id = value?.toUpperCase();
+  return id && REGIONS[id] ? id : DEFAULT_REGION;
+};
+
+const parseLayers = (value) => {
+  if (value === null) return [...DEFAULT_LAYERS];
+  const requested = value.split(',');
+  return MAP_LAYERS.filter(layer => requested.includes(layer));
+};
+
+// "lat,lng,zoom" -> { lat, lng, zoom }, or null when malformed
+const parseView = (value) => {
+  const parts = value?.split(',').map(Number);
+  if (!parts || parts.length !== 3 || parts.some(n => !Number.isFinite(n))) return null;
+
+  const [lat, lng, zoom] = parts;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180 || zoom < 0 || zoom > 22) return null;
+  return { lat, lng, zoom };
+};
+
+const sameLayers = (a, b) => a.length === b.length && a.every(layer => b.includes(layer));
+
+/**
+ * Parse a location into a route
+ * @param {{pathname: string, search: string}} location - window.location or equivalent
+ * @returns {Object} { page, region, layers, view, alert, tribe, gauge }
+ */
+export function parseRoute(location = window.location) {
+  const params = new URLSearchParams(location.search);
+
+  return {
+    page: pageForPath(location.pathname),
+    region: parseRegion(params.get('region')),
+    layers: parseLayers(params.get('layers')),
+    view: parseView(params.get('view')),
+    alert: params.get('alert') || null,
+    tribe: params.get('tribe') || null,
+    gauge: params.get('gauge') || null
+  };
+}
+
+/**
+ * Build the URL for a route
+ * Map state is only encoded on the map page, and defaults are left out.
+ * @param {Object} route - Route as returned by parseRoute
+ * @returns {string} Path and query string
+ */
+export function buildRouteUrl(route) {
+  const path = PAGE_PATHS[route.page] || PAGE_PATHS.map;
+  if (route.page !== 'map') return path;
+
+  const params = new URLSearchParams();
+  if (route.region && route.region !== DEFAULT_REGION) params.set('region', route.region);
+  if (route.layers && !sameLayers(route.layers, DEFAULT_LAYERS)) params.set('layers', route.layers.join(','));
+  if (route.view) {
+    const { lat, lng, zoom } = route.view;
+    params.set('view', `${+lat.toFixed(4)},${+lng.toFixed(4)},${+zoom.toFixed(1)}`);
+  }
+  if (route.alert) params.set('alert', route.alert);
+  if (route.tribe) params.set('tribe', route.tribe);
+  if (route.gauge) params.set('gauge', route.gauge);
+
+  // Keep commas readable in shared links
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `${path}?${query}` : path;
+}
+
+/**
+ * Read the current route from the address bar
+ * @returns {Object} Current route
+ */
+export function getRoute() {
+  return parseRoute(window.location);
+}
+
+/**
+ * Change the route and notify listeners
+ * Returning to the map restores the region, layers and view it was left with.
+ * @param {Object} updates - Route fields to change
+ * @param {Object} options
+ * @param {boolean} options.replace - Replace the history entry instead of adding one
+ *   (used for map pans and layer toggles so Back skips them)
+ */
+export function navigate(updates, { replace = false } = {}) {
+  const current = getRoute();
+  if (current.page === 'map') {
+    lastMapRoute = Object.fromEntries(MAP_VIEW_FIELDS.map(field => [field, current[field]]));
+  }
+
+  const returningToMap = updates.page === 'map' && current.page !== 'map';
+  const next = returningToMap
+    ? { ...current, ...lastMapRoute, alert: null, tribe: null, gauge: null, ...updates }
+    : { ...current, ...updates };
+
+  const url = buildRouteUrl(next);
+  if (url === `${window.location.pathname}${window.location.search}`) return;
+
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  window.dispatchEvent(new CustomEvent(ROUTE_EVENT, { detail: getRoute() }));
+}
@@ -0,0 +1,129 @@
+/**
+ * Settings Service
+ * Persists the user's preferences (Canadian data, river gauges, auto-refresh,
+ * reduced motion) and keeps open views in sync. Settings can be exported as
+ * JSON and imported on another device.
+ */
+
+import { cacheLogger as logger } from '../utils/logger';
+
+const SETTINGS_KEY = 'tribalweather_settings';
+
+// Window event fired whenever settings change (keeps open views in sync)
+export const SETTINGS_EVENT = 'settings:change';
+
+// Identifies exported files
+const EXPORT_FORMAT = 'tribalweather-settings';
+const EXPORT_VERSION = 1;
+
+// Class on <html> that turns off animations and transitions (see index.css)
+const REDUCED_MOTION_CLASS = 'reduce-motion';
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  includeCanada: true,    // BC/Alberta alerts, First Nations and radar
+  showAllGauges: false,   // River gauges even when not in flood
+  autoRefresh: true,      // Poll data sources on their intervals
+  reducedMotion: false    // Minimize animations
+});
+
+// Keep known keys with the right type; anything else falls back to defaults
+function normalizeSettings(value) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!value || typeof value !== 'object') return settings;
+
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (typeof value[key] === typeof DEFAULT_SETTINGS[key]) settings[key] = value[key];
+  }
+  return settings;
+}
+
+/**
+ * Read the current settings
+ * @returns {Object} Settings merged over DEFAULT_SETTINGS
+ */
+export function getSettings() {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+  } catch (error) {
+    logger.warn('Settings read error', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Apply settings that live outside React (reduced motion class)
+ * @param {Object} settings - Current settings
+ */
+export function applySettings(settings = getSettings()) {
+  if (typeof document === 'undefined') return;
+  document.documentElement.classList.toggle(REDUCED_MOTION_CLASS, settings.reducedMotion);
+}
+
+/**
+ * Persist settings, apply them and notify listeners
+ * @param {Object} updates - Settings to change
+ * @returns {Object} The saved settings
+ */
+export function saveSettings(updates) {
+  const settings = normalizeSettings({ ...getSettings(), ...updates });
+
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    logger.warn('Settings write error', error);
+  }
+
+  applySettings(settings);
+  window.dispatchEvent(new CustomEvent(SETTINGS_EVENT, { detail: settings }));
+  return settings;
+}
+
+/**
+ * Restore the defaults
+ * @returns {Object} The default settings
+ */
+export function resetSettings() {
+  return saveSettings(DEFAULT_SETTINGS);
+}
+
+/**
+ * Serialize settings for download
+ * @returns {string} JSON document
+ */
+export function exportSettings() {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: getSettings()
+  }, null, 2);
+}
+
+/**
+ * Load settings from an exported JSON document
+ * Unknown keys are ignored; missing ones keep their current value.
+ * @param {string} json - Exported document
+ * @returns {Object} The saved settings
+ * @throws {Error} When the document is not a settings export
+ */
+export function importSettings(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error('Settings file is not valid JSON');
+  }
+
+  if (parsed?.format !== EXPORT_FORMAT || !parsed.settings || typeof parsed.settings !== 'object') {
+    throw new Error('Not a TribalWeather settings file');
+  }
+  if (parsed.version > EXPORT_VERSION) {
+    throw new Error('Settings file is from a newer version of the app');
+  }
+
+  const updates = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (typeof parsed.settings[key] === typeof DEFAULT_SETTINGS[key]) updates[key] = parsed.settings[key];
+  }
+  return saveSettings(updates);
+}
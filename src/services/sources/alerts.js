@@ -0,0 +1,278 @@
+/**
+ * Alert Sources
+ * US alerts from the /api/alerts proxy (streamed as NDJSON, falling back to
+ * the NWS API directly) and Canadian alerts from the EC Datamart proxy.
+ */
+
+import { registerDataSource } from '../dataSources';
+import {
+  ZONE_INDEX_URL,
+  EMPTY_ZONE_INDEX,
+  MAX_ZONE_FETCHES,
+  normalizeZoneIndex,
+  resolveZoneGeometries,
+  combineZoneGeometries
+} from '../../utils/zoneIndex';
+import {
+  ALERTS_STREAM_URL,
+  EC_ALERTS_API_URL,
+  NWS_ALERTS_URL,
+  POLL_INTERVAL_MS
+} from '../../utils/constants';
+import { CACHE_TTL } from '../cache';
+import { nwsCircuitBreaker, ecCircuitBreaker } from '../../utils/resilientFetch';
+import { mapWithConcurrency } from '../../utils/concurrency';
+import { extractTemperatures } from '../../utils/units';
+import { applyUnifiedSeverity, compareSeverity } from '../../utils/severityMapper';
+import { parseAlertTime } from '../../utils/datetime';
+import { alertsLogger as logger } from '../../utils/logger';
+
+export const NWS_ALERTS_SOURCE = 'nws-alerts';
+export const EC_ALERTS_SOURCE = 'ec-alerts';
+
+// Alerts transformed at once in the direct NWS fallback (each may fetch zones)
+const TRANSFORM_CONCURRENCY = 6;
+
+// Legacy severity label mapping (for backward compatibility with UI)
+// The new severityMapper provides unified levels; this maps to string labels
+const SEVERITY_LEVEL_TO_LABEL = {
+  4: 'EMERGENCY',
+  3: 'WARNING',
+  2: 'WATCH',
+  1: 'ADVISORY',
+  0: 'STATEMENT'
+};
+
+// Map NWS severity to our severity levels using unified mapper
+function mapSeverityUnified(severity, urgency, certainty, event) {
+  // Get unified severity from mapper
+  const unified = applyUnifiedSeverity({
+    source: 'NWS',
+    severity,
+    urgency,
+    certainty,
+    event
+  });
+
+  // Map to legacy label for backward compatibility
+  const level = unified?.unifiedSeverity?.level ?? 0;
+  return SEVERITY_LEVEL_TO_LABEL[level] || 'STATEMENT';
+}
+
+// Parse Canadian alerts, already in the /api/alerts shape
+async function parseCanadianAlerts(response) {
+  const data = await response.json();
+  const alerts = (data.alerts || []).map(alert => ({
+    ...alert,
+    effective: parseAlertTime(alert.effective, 'EC') || alert.effective,
+    onset: parseAlertTime(alert.onset, 'EC') || alert.onset,
+    expires: parseAlertTime(alert.expires, 'EC') || alert.expires,
+    ends: parseAlertTime(alert.ends, 'EC') || alert.ends,
+    // Cross-border harmonization fields
+    measurementSystem: 'metric',
+    extractedTemperatures: extractTemperatures(alert.description || '', 'metric')
+  }));
+
+  logger.info(`Loaded Canadian alerts from MSC Datamart`, { count: alerts.length });
+  return alerts;
+}
+
+// Bundled zone index, loaded once per session (retried after a failure)
+let zoneIndexPromise = null;
+
+function loadZoneIndex() {
+  if (!zoneIndexPromise) {
+    zoneIndexPromise = fetch(ZONE_INDEX_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`Zone index returned ${response.status}`);
+        return response.json();
+      })
+      .then(normalizeZoneIndex)
+      .catch(err => {
+        logger.warn('Zone index unavailable, falling back to NWS zone API', err);
+        zoneIndexPromise = null;
+        return EMPTY_ZONE_INDEX;
+      });
+  }
+  return zoneIndexPromise;
+}
+
+// Fetch zone geometry from NWS API (through the source's retry and breaker)
+async function fetchZoneGeometry(zoneUrl, fetchSource) {
+  try {
+    const response = await fetchSource(zoneUrl);
+    const data = await response.json();
+    return data.geometry || null;
+  } catch {
+    return null;
+  }
+}
+
+// Resolve and combine geometries from multiple zones into a single geometry
+// Zones come from the bundled index; only a few zones missing from it are fetched
+async function fetchCombinedZoneGeometry(zoneUrls, fetchSource) {
+  if (!zoneUrls || zoneUrls.length === 0) return null;
+
+  const { geometries, missing } = resolveZoneGeometries(await loadZoneIndex(), zoneUrls);
+  const fetched = await Promise.all(
+    missing.slice(0, MAX_ZONE_FETCHES).map(url => fetchZoneGeometry(url, fetchSource))
+  );
+
+  return combineZoneGeometries([...geometries, ...fetched]);
+}
+
+// Transform NWS API response to our format (for direct API fallback)
+async function transformNWSResponse(data, fetchSource) {
+  const features = data.features || [];
+
+  // Dedupe by ID
+  const seen = new Set();
+  const unique = features.filter(f => {
+    const id = f.properties?.id;
+    if (id && !seen.has(id)) {
+      seen.add(id);
+      return true;
+    }
+    return false;
+  });
+
+  // Process every alert with bounded concurrency
+  const alerts = await mapWithConcurrency(unique, TRANSFORM_CONCURRENCY,
+    async (feature) => {
+      const props = feature.properties;
+      let geometry = feature.geometry;
+
+      // Fetch and combine zone geometries if not provided
+      if (!geometry && props.affectedZones?.length > 0) {
+        geometry = await fetchCombinedZoneGeometry(props.affectedZones, fetchSource);
+        if (geometry) {
+          logger.debug(`Fetched geometry for alert`, { event: props.event, zones: props.affectedZones.length });
+        }
+      }
+
+      // Parse timestamps using centralized datetime utility
+      const parsedEffective = parseAlertTime(props.effective, 'NWS');
+      const parsedExpires = parseAlertTime(props.expires, 'NWS');
+
+      // Extract temperatures from description (imperial units from NWS)
+      const extractedTemps = extractTemperatures(props.description || '', 'imperial');
+
+      return {
+        id: props.id,
+        identifier: props.id,
+        msgType: props.messageType || 'Alert',
+        references: (props.references || []).map(ref => ref.identifier).filter(Boolean),
+        sent: props.sent,
+        event: props.event,
+        headline: props.headline,
+        description: props.description,
+        instruction: props.instruction,
+        severity: mapSeverityUnified(props.severity, props.urgency, props.certainty, props.event),
+        nwsSeverity: props.severity,
+        urgency: props.urgency,
+        certainty: props.certainty,
+        areaDesc: props.areaDesc,
+        affectedZones: props.affectedZones || [],
+        effective: parsedEffective || props.effective,
+        onset: parseAlertTime(props.onset, 'NWS') || props.onset,
+        expires: parsedExpires || props.expires,
+        ends: parseAlertTime(props.ends, 'NWS') || props.ends,
+        senderName: props.senderName,
+        geocode: props.geocode,
+        geometry,
+        // Cross-border harmonization fields
+        measurementSystem: 'imperial',
+        extractedTemperatures: extractedTemps
+      };
+    }
+  );
+
+  // Sort by severity using unified comparator
+  // First apply unified severity to each alert, then sort
+  alerts.forEach(alert => {
+    const unified = applyUnifiedSeverity({
+      source: 'NWS',
+      severity: alert.nwsSeverity,
+      urgency: alert.urgency,
+      certainty: alert.certainty,
+      event: alert.event
+    });
+    alert.unifiedSeverity = unified?.unifiedSeverity;
+  });
+
+  // Sort using unified comparator (highest severity first)
+  alerts.sort(compareSeverity);
+
+  return alerts;
+}
+
+// Read an NDJSON alert stream from /api/alerts?stream=1
+// Calls onAlerts with everything received so far after each network chunk
+async function readAlertStream(response, onAlerts) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const alerts = [];
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const message = JSON.parse(line);
+    if (message.type === 'alert' && message.alert) {
+      alerts.push(message.alert);
+    } else if (message.type === 'error') {
+      throw new Error(message.error || 'Alert stream failed');
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    const before = alerts.length;
+    lines.forEach(handleLine);
+    if (alerts.length > before) onAlerts?.([...alerts]);
+  }
+
+  handleLine(buffer + decoder.decode());
+  return alerts;
+}
+
+// Parse US alerts from the proxy, streaming when the server supports it
+async function parseProxyAlerts(response, { onProgress }) {
+  const contentType = response.headers?.get?.('Content-Type') || '';
+  if (contentType.includes('application/x-ndjson') && response.body?.getReader) {
+    return readAlertStream(response, onProgress);
+  }
+
+  const data = await response.json();
+  return data.alerts || [];
+}
+
+// The merged alert list is cached by useAlerts, so neither source caches itself
+registerDataSource({
+  id: NWS_ALERTS_SOURCE,
+  name: 'NWS alerts',
+  url: ALERTS_STREAM_URL,
+  fetchOptions: { headers: { 'Accept': 'application/x-ndjson, application/json' } },
+  parse: parseProxyAlerts,
+  fallbackUrl: NWS_ALERTS_URL,
+  fallbackFetchOptions: { headers: { 'Accept': 'application/geo+json' } },
+  parseFallback: async (response, { fetch }) => transformNWSResponse(await response.json(), fetch),
+  ttl: CACHE_TTL.ALERTS,
+  interval: POLL_INTERVAL_MS,
+  circuitBreaker: nwsCircuitBreaker
+});
+
+registerDataSource({
+  id: EC_ALERTS_SOURCE,
+  name: 'Environment Canada alerts',
+  url: EC_ALERTS_API_URL,
+  parse: parseCanadianAlerts,
+  ttl: CACHE_TTL.ALERTS,
+  interval: POLL_INTERVAL_MS,
+  circuitBreaker: ecCircuitBreaker
+});
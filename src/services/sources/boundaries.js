@@ -0,0 +1,100 @@
+/**
+ * Boundary Sources
+ * US Tribal lands (bundled GeoJSON) and BC First Nations reserves from the
+ * BC OpenMaps WFS. Boundaries rarely change, so both poll once a day.
+ */
+
+import { registerDataSource } from '../dataSources';
+import { CACHE_TTL } from '../cache';
+import { TRIBAL_DATA_URL, BC_FIRST_NATIONS_WFS_URL } from '../../utils/constants';
+import { bcWfsCircuitBreaker } from '../../utils/resilientFetch';
+import { tribalLogger as logger } from '../../utils/logger';
+
+export const TRIBAL_BOUNDARIES_SOURCE = 'tribal-boundaries';
+export const BC_FIRST_NATIONS_SOURCE = 'bc-first-nations';
+
+// Convert reserve name to band name
+// e.g., "NESKONLITH INDIAN RESERVE NO. 2" → "Neskonlith Indian Band"
+function formatBandName(reserveName) {
+  if (!reserveName) return 'Unknown';
+
+  // Remove common suffixes like "INDIAN RESERVE NO. 2", "NO 2", "IR 2", etc.
+  let name = reserveName
+    .replace(/\s*(INDIAN\s+)?RESERVE\s*(NO\.?\s*\d+[A-Z]?)?$/i, '')
+    .replace(/\s*NO\.?\s*\d+[A-Z]?$/i, '')
+    .replace(/\s*I\.?R\.?\s*\d+[A-Z]?$/i, '')
+    .replace(/\s*\d+[A-Z]?$/i, '')
+    .trim();
+
+  // Convert to title case
+  name = name.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+
+  // Fix common patterns
+  name = name
+    .replace(/\bIr\b/gi, 'IR')
+    .replace(/\bNo\b/gi, 'No.');
+
+  return name;
+}
+
+// Transform BC WFS response to match our data structure
+function transformBCFirstNations(geojson) {
+  if (!geojson || !geojson.features) return null;
+
+  return {
+    type: 'FeatureCollection',
+    features: geojson.features.map(f => {
+      const rawName = f.properties.ENGLISH_NAME || 'Unknown';
+      const bandName = formatBandName(rawName);
+
+      return {
+        type: 'Feature',
+        properties: {
+          NAME: bandName,
+          name: bandName,
+          NAMELSAD: `${bandName} First Nation`,
+          RESERVE_NAME: rawName,
+          TYPE: 'First Nation',
+          PROVINCE: 'BC',
+          CLAB_ID: f.properties.CLAB_ID,
+          isCanadian: true
+        },
+        geometry: f.geometry
+      };
+    }).filter(f => f.geometry)
+  };
+}
+
+registerDataSource({
+  id: TRIBAL_BOUNDARIES_SOURCE,
+  name: 'Tribal boundaries',
+  url: TRIBAL_DATA_URL,
+  parse: async (response) => {
+    const geojson = await response.json();
+
+    // Mark US features
+    return {
+      ...geojson,
+      features: geojson.features.map(f => ({
+        ...f,
+        properties: { ...f.properties, isCanadian: false }
+      }))
+    };
+  },
+  interval: CACHE_TTL.TRIBAL_DATA
+});
+
+registerDataSource({
+  id: BC_FIRST_NATIONS_SOURCE,
+  name: 'BC First Nations reserves',
+  url: BC_FIRST_NATIONS_WFS_URL,
+  parse: async (response) => {
+    const geojson = transformBCFirstNations(await response.json());
+    logger.info(`Loaded BC First Nations reserves`, { count: geojson?.features.length ?? 0 });
+    return geojson;
+  },
+  interval: CACHE_TTL.TRIBAL_DATA,
+  // The WFS is slow to build a full response
+  retry: { timeout: 20000 },
+  circuitBreaker: bcWfsCircuitBreaker
+});
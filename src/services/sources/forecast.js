@@ -0,0 +1,98 @@
+/**
+ * Forecast Source
+ * NWS 7-day forecasts, one location at a time: the points endpoint resolves
+ * the forecast grid, then its forecast URL is fetched.
+ */
+
+import { registerDataSource } from '../dataSources';
+import { NWS_POINTS_URL } from '../../utils/constants';
+import { CircuitBreaker } from '../../utils/resilientFetch';
+
+export const FORECAST_SOURCE = 'nws-forecast';
+
+// Polling interval (15 minutes for forecast data)
+const FORECAST_POLL_MS = 15 * 60 * 1000;
+
+// Cache key (custom location sets get their own entry)
+const FORECAST_CACHE_KEY = 'tribal_forecast_data';
+
+// Default locations for PNW tribal regions
+export const DEFAULT_LOCATIONS = [
+  { id: 'seattle', name: 'Seattle, WA', lat: 47.6062, lon: -122.3321 },
+  { id: 'portland', name: 'Portland, OR', lat: 45.5152, lon: -122.6784 },
+  { id: 'spokane', name: 'Spokane, WA', lat: 47.6588, lon: -117.4260 },
+  { id: 'bellingham', name: 'Bellingham, WA', lat: 48.7519, lon: -122.4787 },
+  { id: 'olympia', name: 'Olympia, WA', lat: 47.0379, lon: -122.9007 }
+];
+
+function getForecastCacheKey({ locations = DEFAULT_LOCATIONS }) {
+  if (locations === DEFAULT_LOCATIONS) return FORECAST_CACHE_KEY;
+  return `${FORECAST_CACHE_KEY}_${locations.map(loc => loc.id).join('|')}`;
+}
+
+// Resolve the grid point, then fetch and shape its 7-day forecast
+async function parseLocationForecast(pointsResponse, { item: location, fetch }) {
+  const pointsData = await pointsResponse.json();
+  const forecastUrl = pointsData.properties?.forecast;
+  const forecastHourlyUrl = pointsData.properties?.forecastHourly;
+  const gridId = pointsData.properties?.gridId;
+  const gridX = pointsData.properties?.gridX;
+  const gridY = pointsData.properties?.gridY;
+  const city = pointsData.properties?.relativeLocation?.properties?.city;
+  const state = pointsData.properties?.relativeLocation?.properties?.state;
+
+  if (!forecastUrl) {
+    throw new Error('No forecast URL in response');
+  }
+
+  const forecastResponse = await fetch(forecastUrl);
+  const forecastData = await forecastResponse.json();
+  const periods = forecastData.properties?.periods || [];
+
+  return {
+    ...location,
+    forecast: {
+      gridId,
+      gridX,
+      gridY,
+      city: city || 'Unknown',
+      state: state || '',
+      forecastUrl,
+      forecastHourlyUrl,
+      generatedAt: forecastData.properties?.generatedAt,
+      updateTime: forecastData.properties?.updateTime,
+      periods: periods.map(period => ({
+        number: period.number,
+        name: period.name,
+        startTime: period.startTime,
+        endTime: period.endTime,
+        isDaytime: period.isDaytime,
+        temperature: period.temperature,
+        temperatureUnit: period.temperatureUnit,
+        temperatureTrend: period.temperatureTrend,
+        windSpeed: period.windSpeed,
+        windDirection: period.windDirection,
+        icon: period.icon,
+        shortForecast: period.shortForecast,
+        detailedForecast: period.detailedForecast
+      }))
+    }
+  };
+}
+
+registerDataSource({
+  id: FORECAST_SOURCE,
+  name: 'NWS forecasts',
+  items: ({ locations = DEFAULT_LOCATIONS }) => locations,
+  url: (loc) => `${NWS_POINTS_URL}/${loc.lat},${loc.lon}`,
+  fetchOptions: { headers: { 'Accept': 'application/geo+json' } },
+  parse: parseLocationForecast,
+  // Forecasts keyed by location id
+  combine: (results) => Object.fromEntries(results.map(result => [result.id, result])),
+  count: (forecasts) => Object.keys(forecasts).length,
+  cacheKey: getForecastCacheKey,
+  ttl: FORECAST_POLL_MS,
+  interval: FORECAST_POLL_MS,
+  // Separate from the alerts breaker so a bad forecast point never pauses alerts
+  circuitBreaker: new CircuitBreaker({ failureThreshold: 5, resetTimeoutMs: 60000 })
+});
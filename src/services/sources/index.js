@@ -0,0 +1,14 @@
+/**
+ * Built-in Data Sources
+ * Importing this module registers every upstream feed with the registry.
+ * To add a feed, register it (id, URL, parser, TTL, interval, breaker and
+ * optional fallback) in a module here and poll it with useDataSource.
+ */
+
+export { NWS_ALERTS_SOURCE, EC_ALERTS_SOURCE } from './alerts';
+export { RIVERS_SOURCE, HYDROGRAPH_SOURCE, USGS_SOURCE } from './rivers';
+export { BUOYS_SOURCE, TIDES_SOURCE } from './marine';
+export { FORECAST_SOURCE, DEFAULT_LOCATIONS } from './forecast';
+export { TRIBAL_BOUNDARIES_SOURCE, BC_FIRST_NATIONS_SOURCE } from './boundaries';
+export { NEXRAD_RADAR_SOURCE, EC_RADAR_SOURCE } from './radar';
+export { NEWS_SOURCE } from './news';
@@ -0,0 +1,167 @@
+/**
+ * Marine Sources
+ * NDBC buoy observations and CO-OPS tide predictions for PNW coastal
+ * stations, one request per station.
+ */
+
+import { registerDataSource } from '../dataSources';
+import { CACHE_KEYS, CACHE_TTL } from '../cache';
+import {
+  NDBC_REALTIME_URL,
+  COOPS_API_URL,
+  PNW_BUOYS,
+  PNW_TIDE_STATIONS,
+  MARINE_THRESHOLDS,
+  MARINE_POLL_INTERVAL_MS
+} from '../../utils/constants';
+import { ndbcCircuitBreaker, coopsCircuitBreaker } from '../../utils/resilientFetch';
+
+export const BUOYS_SOURCE = 'ndbc-buoys';
+export const TIDES_SOURCE = 'coops-tides';
+
+/**
+ * Parse NDBC real-time text file format
+ * Format: space-separated values with header rows
+ * First row: column names, Second row: units
+ */
+function parseNDBCData(text, stationInfo) {
+  const lines = text.trim().split('\n');
+  if (lines.length < 3) return null;
+
+  // Parse header for column indices
+  const headers = lines[0].replace(/^#/, '').trim().split(/\s+/);
+
+  // Get latest observation (third line)
+  const values = lines[2].trim().split(/\s+/);
+
+  // Build column map
+  const data = {};
+  headers.forEach((header, idx) => {
+    const value = values[idx];
+    // NDBC uses 'MM' for missing data
+    data[header] = value === 'MM' ? null : parseFloat(value);
+  });
+
+  // Construct observation object
+  const obs = {
+    id: stationInfo.id,
+    name: stationInfo.name,
+    lat: stationInfo.lat,
+    lon: stationInfo.lon,
+    timestamp: new Date(
+      data.YY || data['#YY'],
+      (data.MM || 1) - 1,
+      data.DD || 1,
+      data.hh || 0,
+      data.mm || 0
+    ).toISOString(),
+    // Wind
+    windDirection: data.WDIR,    // degrees
+    windSpeed: data.WSPD,        // m/s
+    windGust: data.GST,          // m/s
+    // Waves
+    waveHeight: data.WVHT,       // meters (significant wave height)
+    wavePeriod: data.DPD,        // seconds (dominant period)
+    waveDirection: data.MWD,     // degrees
+    // Atmosphere
+    pressure: data.PRES,         // hPa
+    airTemp: data.ATMP,          // Celsius
+    waterTemp: data.WTMP,        // Celsius
+    dewpoint: data.DEWP,         // Celsius
+    visibility: data.VIS         // nautical miles
+  };
+
+  // Calculate hazard flags
+  obs.hazards = [];
+  if (obs.waveHeight && obs.waveHeight >= MARINE_THRESHOLDS.HIGH_SURF) {
+    obs.hazards.push('HIGH_SURF');
+  }
+  if (obs.windSpeed && obs.windSpeed >= MARINE_THRESHOLDS.STORM_WIND) {
+    obs.hazards.push('STORM_WIND');
+  } else if (obs.windSpeed && obs.windSpeed >= MARINE_THRESHOLDS.GALE_WIND) {
+    obs.hazards.push('GALE_WIND');
+  }
+
+  return obs;
+}
+
+// CO-OPS dates are local YYYYMMDD
+function formatCoopsDate(d) {
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}${month}${day}`;
+}
+
+// Tide predictions (highs and lows) for the next 48 hours
+function getTidePredictionsUrl(station) {
+  const now = new Date();
+  const end = new Date(now.getTime() + 48 * 60 * 60 * 1000);
+
+  const params = new URLSearchParams({
+    begin_date: formatCoopsDate(now),
+    end_date: formatCoopsDate(end),
+    station: station.id,
+    product: 'predictions',
+    datum: 'MLLW',
+    time_zone: 'lst_ldt',
+    interval: 'hilo',
+    units: 'english',
+    format: 'json'
+  });
+
+  return `${COOPS_API_URL}?${params}`;
+}
+
+// Parse CO-OPS predictions into the next high and low
+async function parseTidePredictions(response, { item: station }) {
+  const data = await response.json();
+
+  // CO-OPS reports unknown stations and bad queries with a 200
+  if (data.error) {
+    throw new Error(`CO-OPS error for ${station.id}: ${data.error.message}`);
+  }
+
+  const predictions = (data.predictions || []).map(p => ({
+    time: p.t,
+    height: parseFloat(p.v),
+    type: p.type === 'H' ? 'high' : 'low'
+  }));
+
+  return {
+    id: station.id,
+    name: station.name,
+    lat: station.lat,
+    lon: station.lon,
+    predictions,
+    nextHigh: predictions.find(p => p.type === 'high'),
+    nextLow: predictions.find(p => p.type === 'low'),
+    timestamp: new Date().toISOString()
+  };
+}
+
+registerDataSource({
+  id: BUOYS_SOURCE,
+  name: 'NDBC buoys',
+  items: () => PNW_BUOYS,
+  url: (station) => `${NDBC_REALTIME_URL}/${station.id}.txt`,
+  parse: async (response, { item }) => parseNDBCData(await response.text(), item),
+  combine: (buoys) => buoys,
+  cacheKey: CACHE_KEYS.MARINE_BUOYS,
+  ttl: CACHE_TTL.MARINE_BUOYS,
+  interval: MARINE_POLL_INTERVAL_MS,
+  circuitBreaker: ndbcCircuitBreaker
+});
+
+registerDataSource({
+  id: TIDES_SOURCE,
+  name: 'CO-OPS tides',
+  items: () => PNW_TIDE_STATIONS,
+  url: getTidePredictionsUrl,
+  parse: parseTidePredictions,
+  combine: (tides) => tides,
+  cacheKey: CACHE_KEYS.MARINE_TIDES,
+  ttl: CACHE_TTL.MARINE_TIDES,
+  interval: MARINE_POLL_INTERVAL_MS,
+  circuitBreaker: coopsCircuitBreaker
+});
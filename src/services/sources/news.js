@@ -0,0 +1,26 @@
+/**
+ * News Source
+ * NWS forecast discussions, EC statements and Tribal EM bulletins,
+ * aggregated and normalized by the /api/news proxy.
+ */
+
+import { registerDataSource } from '../dataSources';
+import { CACHE_KEYS, CACHE_TTL } from '../cache';
+import { NEWS_API_URL } from '../../utils/constants';
+
+export const NEWS_SOURCE = 'news';
+
+const POLL_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+registerDataSource({
+  id: NEWS_SOURCE,
+  name: 'News bulletins',
+  url: NEWS_API_URL,
+  parse: async (response) => {
+    const data = await response.json();
+    return data.items || [];
+  },
+  cacheKey: CACHE_KEYS.NEWS,
+  ttl: CACHE_TTL.NEWS,
+  interval: POLL_INTERVAL_MS
+});
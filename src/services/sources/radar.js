@@ -0,0 +1,13 @@
+/**
+ * Radar Sources
+ * Radar imagery is loaded tile by tile by Leaflet, so these sources are only
+ * tracked for health: RadarLayer reports tile loads and errors.
+ */
+
+import { registerExternalSource } from '../dataSources';
+
+export const NEXRAD_RADAR_SOURCE = 'nexrad-radar';
+export const EC_RADAR_SOURCE = 'ec-radar-wms';
+
+registerExternalSource({ id: NEXRAD_RADAR_SOURCE, name: 'NEXRAD radar tiles' });
+registerExternalSource({ id: EC_RADAR_SOURCE, name: 'Environment Canada radar WMS' });
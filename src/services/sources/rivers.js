@@ -0,0 +1,131 @@
+/**
+ * River Gauge Source
+ * NWPS gauges and Water Survey of Canada stations from the /api/rivers
+ * proxy, falling back to the NWPS API directly (one request per state, US
+ * gauges only), per-gauge hydrographs from /api/rivers/:lid, and USGS
+ * streamflow from /api/usgs, falling back to USGS Water Services directly
+ * (without percent of median).
+ */
+
+import { registerDataSource } from '../dataSources';
+import { CACHE_KEYS, CACHE_TTL } from '../cache';
+import { RIVERS_API_URL, USGS_API_URL, NWPS_GAUGES_URL, PNW_STATES } from '../../utils/constants';
+import { nwpsCircuitBreaker, usgsCircuitBreaker } from '../../utils/resilientFetch';
+import { getUSGSInstantaneousUrl, parseUSGSInstantaneous } from '../../utils/streamflow';
+
+export const RIVERS_SOURCE = 'nwps-rivers';
+
+const POLL_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Flood category priority
+const FLOOD_PRIORITY = {
+  major: 0,
+  moderate: 1,
+  minor: 2,
+  action: 3,
+  low_threshold: 4,
+  no_flooding: 5
+};
+
+// Transform NWPS API response (for direct API fallback)
+function transformNWPSResponse(gauges) {
+  return gauges
+    .filter(g => g.latitude && g.longitude && PNW_STATES.includes(g.state?.abbreviation))
+    .map(g => ({
+      id: g.lid,
+      name: g.name,
+      state: g.state?.abbreviation,
+      lat: g.latitude,
+      lng: g.longitude,
+      observed: {
+        level: g.status?.observed?.primary,
+        unit: g.status?.observed?.primaryUnit,
+        flow: g.status?.observed?.secondary,
+        flowUnit: g.status?.observed?.secondaryUnit,
+        floodCategory: g.status?.observed?.floodCategory || 'not_defined',
+        validTime: g.status?.observed?.validTime
+      },
+      forecast: {
+        level: g.status?.forecast?.primary,
+        floodCategory: g.status?.forecast?.floodCategory || 'not_defined'
+      },
+      wfo: g.wfo?.abbreviation,
+      rfc: g.rfc?.abbreviation,
+      downstreamLid: g.downstreamLid || null,
+      usgsId: g.usgsId || null,
+      source: 'NWPS'
+    }))
+    .sort((a, b) => {
+      const aPri = FLOOD_PRIORITY[a.observed.floodCategory] ?? 99;
+      const bPri = FLOOD_PRIORITY[b.observed.floodCategory] ?? 99;
+      // Then by forecast, so gauges rising toward flood lead their category
+      return aPri - bPri ||
+        (FLOOD_PRIORITY[a.forecast.floodCategory] ?? 99) - (FLOOD_PRIORITY[b.forecast.floodCategory] ?? 99);
+    });
+}
+
+// Counts by flood status, matching the proxy's summary
+function summarizeGauges(gauges) {
+  return {
+    total: gauges.length,
+    flooding: gauges.filter(g => ['major', 'moderate', 'minor'].includes(g.observed.floodCategory)).length,
+    action: gauges.filter(g => g.observed.floodCategory === 'action').length,
+    normal: gauges.filter(g => g.observed.floodCategory === 'no_flooding').length
+  };
+}
+
+registerDataSource({
+  id: RIVERS_SOURCE,
+  name: 'River gauges (NWPS, WSC)',
+  url: RIVERS_API_URL,
+  parse: async (response) => {
+    const data = await response.json();
+    return { gauges: data.gauges || [], summary: data.summary || {} };
+  },
+  fallbackItems: () => PNW_STATES,
+  fallbackUrl: (state) => `${NWPS_GAUGES_URL}?state=${state}`,
+  parseFallback: async (response) => (await response.json()).gauges || [],
+  combineFallback: (stateGauges) => {
+    const gauges = transformNWPSResponse(stateGauges.flat());
+    return { gauges, summary: summarizeGauges(gauges) };
+  },
+  count: (data) => data.gauges.length,
+  cacheKey: CACHE_KEYS.RIVERS,
+  ttl: CACHE_TTL.RIVERS,
+  interval: POLL_INTERVAL_MS,
+  circuitBreaker: nwpsCircuitBreaker
+});
+
+export const HYDROGRAPH_SOURCE = 'nwps-hydrograph';
+
+// Stage series, thresholds and crest for one gauge (params: { lid })
+registerDataSource({
+  id: HYDROGRAPH_SOURCE,
+  name: 'NWPS gauge hydrograph',
+  url: ({ lid }) => `${RIVERS_API_URL}/${encodeURIComponent(lid)}`,
+  parse: async (response) => response.json(),
+  count: (data) => data.observed.length + data.forecast.length,
+  cacheKey: ({ lid }) => `river_forecast_${lid}`,
+  ttl: CACHE_TTL.RIVERS,
+  interval: POLL_INTERVAL_MS
+});
+
+export const USGS_SOURCE = 'usgs-streamflow';
+
+const USGS_POLL_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Discharge and percent of median at USGS stream sites
+registerDataSource({
+  id: USGS_SOURCE,
+  name: 'USGS streamflow',
+  url: USGS_API_URL,
+  parse: async (response) => (await response.json()).stations || [],
+  fallbackItems: () => PNW_STATES,
+  fallbackUrl: (state) => getUSGSInstantaneousUrl(state),
+  parseFallback: async (response, { item }) => parseUSGSInstantaneous(await response.json(), item),
+  combineFallback: (stateStations) => stateStations.flat(),
+  cacheKey: CACHE_KEYS.USGS,
+  ttl: CACHE_TTL.USGS,
+  interval: USGS_POLL_INTERVAL_MS,
+  circuitBreaker: usgsCircuitBreaker
+});
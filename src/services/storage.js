@@ -0,0 +1,352 @@
+/**
+ * IndexedDB Storage Service
+ * Backs the cache with IndexedDB so large datasets (alert polygons,
+ * forecasts) no longer run into the ~5MB localStorage quota.
+ *
+ * Entries are mirrored in memory so reads stay synchronous; writes reach
+ * IndexedDB in the background. Sizes are tracked per data class and the
+ * least recently used entries of the most expendable classes are evicted
+ * first when a budget or the overall quota is exceeded.
+ */
+
+import { cacheLogger as logger } from '../utils/logger';
+
+const DB_NAME = 'tribalweather';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const META_STORE = 'meta';
+const OPEN_TIMEOUT_MS = 3000;
+
+const MB = 1024 * 1024;
+
+export const DEFAULT_QUOTA = 50 * MB;
+
+// Lower priority classes are evicted first
+export const DATA_CLASSES = {
+  general: { priority: 0, budget: 5 * MB },
+  forecast: { priority: 1, budget: 5 * MB },
+  observations: { priority: 2, budget: 5 * MB },
+  alerts: { priority: 3, budget: 20 * MB },
+  geometry: { priority: 4, budget: 20 * MB },
+  preferences: { priority: 5, budget: 1 * MB }
+};
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Approximate in-memory size of a serialized value (UTF-16)
+function measure(json) {
+  return json.length * 2;
+}
+
+/**
+ * IndexedDB persistence for CacheStore. Values and metadata live in
+ * separate object stores so LRU bookkeeping never rewrites large values.
+ */
+export class IndexedDBBackend {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('IndexedDB open timed out')), OPEN_TIMEOUT_MS);
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ENTRY_STORE)) db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => {
+        clearTimeout(timer);
+        this.db = request.result;
+        // Let a newer version in another tab upgrade the database
+        this.db.onversionchange = () => this.db.close();
+        resolve();
+      };
+      request.onerror = () => {
+        clearTimeout(timer);
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        clearTimeout(timer);
+        reject(new Error('IndexedDB upgrade blocked by another tab'));
+      };
+    });
+  }
+
+  /**
+   * @returns {Promise<Object[]>} [{ key, json, expiry, dataClass, size, lastAccess }]
+   */
+  async loadAll() {
+    const transaction = this.db.transaction([ENTRY_STORE, META_STORE], 'readonly');
+    const [entries, metas] = await Promise.all([
+      promisifyRequest(transaction.objectStore(ENTRY_STORE).getAll()),
+      promisifyRequest(transaction.objectStore(META_STORE).getAll())
+    ]);
+
+    const values = new Map(entries.map(entry => [entry.key, entry.json]));
+    return metas
+      .filter(meta => values.has(meta.key))
+      .map(meta => ({ ...meta, json: values.get(meta.key) }));
+  }
+
+  put(meta, json) {
+    const transaction = this.db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).put({ key: meta.key, json });
+    transaction.objectStore(META_STORE).put(meta);
+    return promisifyTransaction(transaction);
+  }
+
+  putMeta(meta) {
+    const transaction = this.db.transaction(META_STORE, 'readwrite');
+    transaction.objectStore(META_STORE).put(meta);
+    return promisifyTransaction(transaction);
+  }
+
+  delete(keys) {
+    const transaction = this.db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+    for (const key of keys) {
+      transaction.objectStore(ENTRY_STORE).delete(key);
+      transaction.objectStore(META_STORE).delete(key);
+    }
+    return promisifyTransaction(transaction);
+  }
+
+  clear() {
+    const transaction = this.db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(ENTRY_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+    return promisifyTransaction(transaction);
+  }
+}
+
+/**
+ * Cache entries with TTL, size accounting and LRU eviction by data class.
+ * Values are kept serialized so callers never share references with the cache.
+ */
+export class CacheStore {
+  constructor(options = {}) {
+    this.backend = options.backend ?? new IndexedDBBackend();
+    this.quota = options.quota ?? DEFAULT_QUOTA;
+    this.classes = options.classes ?? DATA_CLASSES;
+    this.entries = new Map();
+  }
+
+  /**
+   * Open the backend, load its entries and move legacy localStorage entries over
+   * @param {Object} options - { prefix, classify(key) } for the localStorage migration
+   */
+  async init({ prefix, classify = () => 'general' } = {}) {
+    if (this.backend.open) await this.backend.open();
+
+    for (const entry of await this.backend.loadAll()) {
+      this.entries.set(entry.key, entry);
+    }
+
+    if (prefix) this.migrateLocalStorage(prefix, classify);
+    this.clearExpired();
+    this.evict();
+  }
+
+  /**
+   * Move `{ value, expiry }` items stored under a localStorage prefix into the store
+   * @param {string} prefix - localStorage key prefix (stripped from the keys)
+   * @param {Function} classify - Maps a key to its data class
+   * @returns {number} Entries migrated
+   */
+  migrateLocalStorage(prefix, classify, now = Date.now()) {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(prefix)) keys.push(key);
+    }
+
+    let migrated = 0;
+    for (const storageKey of keys) {
+      const key = storageKey.slice(prefix.length);
+      try {
+        const { value, expiry } = JSON.parse(localStorage.getItem(storageKey));
+        const expired = expiry && now > expiry;
+        if (!expired && !this.entries.has(key)) {
+          this.write(key, JSON.stringify(value), { expiry: expiry ?? null, dataClass: classify(key), now });
+          migrated++;
+        }
+      } catch {
+        // Invalid item, dropped below
+      }
+      localStorage.removeItem(storageKey);
+    }
+
+    if (migrated > 0) logger.info('Migrated cache entries to IndexedDB', { migrated });
+    return migrated;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Cache key
+   * @returns {any|null} Value or null if expired/missing
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiry && now > entry.expiry) {
+      this.remove(key);
+      return null;
+    }
+
+    try {
+      const value = JSON.parse(entry.json);
+      entry.lastAccess = now;
+      this.persist(() => this.backend.putMeta(this.getMeta(entry)));
+      return value;
+    } catch (error) {
+      logger.warn('Cache read error', error);
+      this.remove(key);
+      return null;
+    }
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {Object} options - { ttlMs, dataClass }
+   */
+  set(key, value, { ttlMs, dataClass = 'general', now = Date.now() } = {}) {
+    this.write(key, JSON.stringify(value), {
+      expiry: ttlMs ? now + ttlMs : null,
+      dataClass: this.classes[dataClass] ? dataClass : 'general',
+      now
+    });
+    this.evict(key);
+  }
+
+  write(key, json, { expiry, dataClass, now }) {
+    const entry = { key, json, expiry, dataClass, size: measure(json), lastAccess: now };
+    this.entries.set(key, entry);
+    this.persist(() => this.backend.put(this.getMeta(entry), json), entry);
+  }
+
+  remove(key) {
+    if (!this.entries.delete(key)) return;
+    this.persist(() => this.backend.delete([key]));
+  }
+
+  clearExpired(now = Date.now()) {
+    const expired = [...this.entries.values()]
+      .filter(entry => entry.expiry && now > entry.expiry)
+      .map(entry => entry.key);
+    this.removeMany(expired);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise} Resolves once the backend is cleared
+   */
+  clear() {
+    this.entries.clear();
+    return this.backend.clear().catch(error => logger.warn('Cache clear all error', error));
+  }
+
+  /**
+   * Bytes used per data class and overall
+   * @returns {Object} { total, quota, classes: { [name]: { bytes, count, budget } } }
+   */
+  getUsage() {
+    const classes = Object.fromEntries(
+      Object.entries(this.classes).map(([name, { budget }]) => [name, { bytes: 0, count: 0, budget }])
+    );
+    let total = 0;
+
+    for (const entry of this.entries.values()) {
+      const usage = classes[entry.dataClass] ?? classes.general;
+      usage.bytes += entry.size;
+      usage.count++;
+      total += entry.size;
+    }
+
+    return { total, quota: this.quota, classes };
+  }
+
+  /**
+   * Evict least recently used entries until every class is within its budget
+   * and the store is within its quota
+   * @param {string} [protectedKey] - Entry that was just written (evicted last)
+   * @param {number} [quota] - Overall limit to enforce
+   * @returns {number} Bytes freed
+   */
+  evict(protectedKey, quota = this.quota) {
+    const usage = this.getUsage();
+    const victims = [];
+    let freed = 0;
+
+    // Expendable classes first, least recently used first within a class
+    const candidates = [...this.entries.values()].sort((a, b) =>
+      (this.classes[a.dataClass]?.priority ?? 0) - (this.classes[b.dataClass]?.priority ?? 0) ||
+      (a.key === protectedKey) - (b.key === protectedKey) ||
+      a.lastAccess - b.lastAccess
+    );
+
+    for (const entry of candidates) {
+      const classUsage = usage.classes[entry.dataClass] ?? usage.classes.general;
+      const overBudget = classUsage.bytes > classUsage.budget;
+      if (!overBudget && usage.total - freed <= quota) continue;
+
+      victims.push(entry.key);
+      classUsage.bytes -= entry.size;
+      freed += entry.size;
+    }
+
+    if (victims.length > 0) {
+      logger.info('Evicted cache entries', { count: victims.length, bytes: freed });
+      this.removeMany(victims);
+    }
+    return freed;
+  }
+
+  removeMany(keys) {
+    if (keys.length === 0) return;
+    keys.forEach(key => this.entries.delete(key));
+    this.persist(() => this.backend.delete(keys));
+  }
+
+  getMeta({ key, expiry, dataClass, size, lastAccess }) {
+    return { key, expiry, dataClass, size, lastAccess };
+  }
+
+  // Background write; when the browser quota is hit, make room and retry once
+  persist(operation, entry) {
+    return Promise.resolve()
+      .then(operation)
+      .catch(error => {
+        if (error?.name !== 'QuotaExceededError' || !entry) {
+          logger.warn('Cache write error', error);
+          return;
+        }
+
+        this.evict(entry.key, Math.max(this.getUsage().total - entry.size, 0));
+        if (this.entries.get(entry.key) !== entry) return;
+
+        return operation().catch(retryError => {
+          logger.warn('Cache write error', retryError);
+          this.entries.delete(entry.key);
+        });
+      });
+  }
+}
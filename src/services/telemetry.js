@@ -0,0 +1,158 @@
+/**
+ * Telemetry Service
+ * Batches warnings, errors and data source timings to /api/telemetry, which
+ * aggregates them into per-source error rates and p95 latencies for the admin
+ * page. Events carry only a log context and scrubbed message, or a source id,
+ * outcome and duration: no URLs, coordinates, Nations or device details.
+ * Users can opt out in Settings; opting out also drops anything queued.
+ */
+
+import { addLogTransport } from '../utils/logger';
+import { scrubMessage } from '../utils/scrub';
+import { subscribeToSourceResults } from './dataSources';
+
+const TELEMETRY_API_URL = '/api/telemetry';
+const OPT_OUT_KEY = 'tribalweather_telemetry_opt_out';
+const TOKEN_KEY = 'tribalweather_telemetry_token';
+
+const FLUSH_INTERVAL_MS = 60 * 1000;
+// Matches the server's per-batch limit
+const MAX_BATCH_SIZE = 100;
+// Oldest events are dropped while offline
+const MAX_QUEUE_SIZE = 500;
+
+let queue = [];
+
+/**
+ * Whether the user allows telemetry (on unless opted out)
+ * @returns {boolean}
+ */
+export function isTelemetryEnabled() {
+  try {
+    return localStorage.getItem(OPT_OUT_KEY) !== 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Opt in or out of telemetry
+ * @param {boolean} enabled - Whether to send telemetry
+ */
+export function setTelemetryEnabled(enabled) {
+  try {
+    if (enabled) {
+      localStorage.removeItem(OPT_OUT_KEY);
+    } else {
+      localStorage.setItem(OPT_OUT_KEY, 'true');
+      queue = [];
+    }
+  } catch {
+    // Storage unavailable: telemetry stays off (see isTelemetryEnabled)
+  }
+}
+
+/**
+ * Queue an event for the next batch
+ * @param {Object} event - { type: 'log', level, context, message } or
+ *   { type: 'fetch', source, ok, durationMs, status }
+ */
+export function recordTelemetryEvent(event) {
+  if (!isTelemetryEnabled()) return;
+
+  queue.push(event);
+  if (queue.length > MAX_QUEUE_SIZE) queue.shift();
+  if (queue.length >= MAX_BATCH_SIZE) flushTelemetry();
+}
+
+/**
+ * Events waiting to be sent
+ * @returns {Object[]}
+ */
+export function getQueuedTelemetry() {
+  return [...queue];
+}
+
+/**
+ * Send the queued events
+ * Failed batches are dropped rather than retried: telemetry must never add
+ * load to a struggling network. Never logs, since logs feed the queue.
+ * @param {Object} options - { beacon } use sendBeacon (page is being hidden)
+ * @returns {Promise<void>}
+ */
+export async function flushTelemetry({ beacon = false } = {}) {
+  if (queue.length === 0 || !isTelemetryEnabled()) return;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+  const body = JSON.stringify({ events: queue.splice(0, MAX_BATCH_SIZE) });
+
+  if (beacon && typeof navigator.sendBeacon === 'function') {
+    navigator.sendBeacon(TELEMETRY_API_URL, new Blob([body], { type: 'application/json' }));
+    return;
+  }
+
+  try {
+    await fetch(TELEMETRY_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    });
+  } catch {
+    // Dropped (see above)
+  }
+}
+
+/**
+ * Start collecting: log warnings/errors and every data source request
+ * @returns {Function} Stop collecting
+ */
+export function installTelemetry() {
+  const removeTransport = addLogTransport((level, context, message) => {
+    recordTelemetryEvent({ type: 'log', level, context, message: scrubMessage(message) });
+  });
+
+  const unsubscribe = subscribeToSourceResults(({ id, ok, latencyMs, status }) => {
+    if (latencyMs == null) return;
+    recordTelemetryEvent({ type: 'fetch', source: id, ok, durationMs: latencyMs, status });
+  });
+
+  const timer = setInterval(flushTelemetry, FLUSH_INTERVAL_MS);
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flushTelemetry({ beacon: true });
+  };
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  return () => {
+    removeTransport();
+    unsubscribe();
+    clearInterval(timer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+}
+
+/**
+ * Admin token for the telemetry report, kept for this browser session only
+ * @returns {string}
+ */
+export function getTelemetryToken() {
+  return sessionStorage.getItem(TOKEN_KEY) || '';
+}
+
+/**
+ * Fetch the aggregated report (admin page)
+ * @param {string} token - TELEMETRY_ADMIN_TOKEN
+ * @returns {Promise<Object>} { windowHours, updatedAt, sources, logs }
+ * @throws {Error} When the server refuses the token or fails
+ */
+export async function fetchTelemetryReport(token) {
+  const response = await fetch(TELEMETRY_API_URL, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  if (response.status === 401) throw new Error('Invalid admin token');
+  if (!response.ok) throw new Error(`Telemetry report unavailable (${response.status})`);
+
+  if (token) sessionStorage.setItem(TOKEN_KEY, token);
+  return response.json();
+}
@@ -0,0 +1,66 @@
+/**
+ * Region Tile Packs
+ * Warms the service worker's basemap cache with the low-zoom tiles of every
+ * entry in REGIONS, so the map still draws when the app is launched offline
+ */
+
+import { REGIONS, DARK_TILE_URL, DARK_TILE_SUBDOMAINS } from '../utils/constants';
+import { getTileUrls } from '../utils/tiles';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { mapLogger as logger } from '../utils/logger';
+
+// Bump to re-download the packs (e.g. after changing regions or zooms)
+export const TILE_PACK_REVISION = 1;
+
+const TILE_PACK_KEY = 'tribalweather_tile_packs';
+
+const TILE_FETCH_CONCURRENCY = 4;
+
+/**
+ * Basemap tile URLs for a region, from its minimum to its default zoom.
+ * Both standard and retina ({r} = @2x) variants are included since Leaflet
+ * picks one by device pixel ratio.
+ * @param {Object} region - Entry of REGIONS
+ * @returns {string[]}
+ */
+export function getRegionTilePackUrls(region) {
+  return [false, true].flatMap(retina =>
+    getTileUrls(DARK_TILE_URL, region.bounds, region.minZoom, region.defaultZoom, {
+      subdomains: DARK_TILE_SUBDOMAINS,
+      retina
+    })
+  );
+}
+
+/**
+ * Fetch every region pack once per revision through the service worker,
+ * which caches the tiles (basemap-tiles). Failed tiles are retried on the
+ * next launch.
+ * @returns {Promise<boolean>} Whether all packs are cached
+ */
+export async function warmRegionTilePacks() {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker?.controller) return false;
+  if (!navigator.onLine) return false;
+  if (localStorage.getItem(TILE_PACK_KEY) === String(TILE_PACK_REVISION)) return true;
+
+  const urls = [...new Set(Object.values(REGIONS).flatMap(getRegionTilePackUrls))];
+
+  const results = await mapWithConcurrency(urls, TILE_FETCH_CONCURRENCY, async (url) => {
+    try {
+      const response = await fetch(url, { mode: 'cors' });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  });
+
+  const failed = results.filter(ok => !ok).length;
+  if (failed > 0) {
+    logger.warn('Some region tiles could not be cached', { failed, total: urls.length });
+    return false;
+  }
+
+  localStorage.setItem(TILE_PACK_KEY, String(TILE_PACK_REVISION));
+  logger.info('Region tile packs cached', { tiles: urls.length });
+  return true;
+}
@@ -0,0 +1,154 @@
+/**
+ * Community Watch List Service
+ * Persists the Tribal/First Nation features a user has pinned and builds
+ * the per-community hazard summary (alerts, flooding gauges, marine, forecast)
+ */
+
+import { getAlertsForTribe, getTribalId, getTribalCenter } from './alertMatcher';
+import { distanceKm } from '../utils/geometry';
+import { cacheLogger as logger } from '../utils/logger';
+
+const WATCH_LIST_KEY = 'tribalweather_watchlist';
+
+// Window event fired whenever the list changes (keeps open views in sync)
+export const WATCH_LIST_EVENT = 'watchlist:change';
+
+// Search radii for nearby observations
+export const NEARBY_GAUGE_RADIUS_KM = 50;
+export const NEARBY_MARINE_RADIUS_KM = 100;
+
+const FLOODING_CATEGORIES = ['major', 'moderate', 'minor', 'action'];
+const SEVERITY_ORDER = { EMERGENCY: 0, WARNING: 1, WATCH: 2, ADVISORY: 3, STATEMENT: 4 };
+
+/**
+ * Read the pinned communities
+ * @returns {Array} [{ id, name, fullName, region, isCanadian, lat, lon }]
+ */
+export function getWatchList() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WATCH_LIST_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    logger.warn('Watch list read error', error);
+    return [];
+  }
+}
+
+/**
+ * Persist the pinned communities and notify listeners
+ * @param {Array} list - Community entries
+ * @returns {Array} The saved list
+ */
+export function saveWatchList(list) {
+  try {
+    localStorage.setItem(WATCH_LIST_KEY, JSON.stringify(list));
+  } catch (error) {
+    logger.warn('Watch list write error', error);
+  }
+
+  window.dispatchEvent(new CustomEvent(WATCH_LIST_EVENT, { detail: list }));
+  return list;
+}
+
+/**
+ * Build a storable community entry from a Tribal GeoJSON feature
+ * Geometry is not stored; it is looked up from the Tribal dataset by id
+ * @param {Object} feature - Tribal GeoJSON feature
+ * @returns {Object|null} Community entry
+ */
+export function toCommunity(feature) {
+  if (!feature?.properties) return null;
+
+  const props = feature.properties;
+  const center = getTribalCenter(feature);
+  const name = props.NAME || props.name || 'Unknown';
+
+  return {
+    id: getTribalId(props),
+    name,
+    fullName: props.NAMELSAD || name,
+    region: props.PROVINCE || props.STATE || null,
+    isCanadian: props.isCanadian === true,
+    lat: center ? center[1] : null,
+    lon: center ? center[0] : null
+  };
+}
+
+/**
+ * Pin a Tribal feature (no-op if already pinned)
+ * @param {Object} feature - Tribal GeoJSON feature
+ * @returns {Array} Updated list
+ */
+export function addCommunity(feature) {
+  const community = toCommunity(feature);
+  const list = getWatchList();
+
+  if (!community || list.some(c => c.id === community.id)) return list;
+  return saveWatchList([...list, community]);
+}
+
+/**
+ * Unpin a community
+ * @param {string} id - Community id
+ * @returns {Array} Updated list
+ */
+export function removeCommunity(id) {
+  return saveWatchList(getWatchList().filter(c => c.id !== id));
+}
+
+/**
+ * Find the Tribal feature for a pinned community
+ * @param {Object} tribalData - Tribal FeatureCollection
+ * @param {string} id - Community id
+ * @returns {Object|null} GeoJSON feature
+ */
+export function findCommunityFeature(tribalData, id) {
+  return tribalData?.features?.find(f => getTribalId(f.properties) === id) || null;
+}
+
+/**
+ * Items within a radius of a point, nearest first, with `distanceKm` added
+ * Works for gauges ({ lat, lng }) and buoys/tide stations ({ lat, lon })
+ * @param {Array} items - Items with coordinates
+ * @param {[number, number]} center - [lng, lat]
+ * @param {number} radiusKm - Search radius
+ * @returns {Array} Nearby items
+ */
+export function findNearby(items = [], center, radiusKm) {
+  if (!center) return [];
+
+  return items
+    .filter(item => item.lat != null && (item.lng ?? item.lon) != null)
+    .map(item => ({ ...item, distanceKm: distanceKm(center, [item.lng ?? item.lon, item.lat]) }))
+    .filter(item => item.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Combine every hazard source for one community
+ * @param {Object} community - Watch list entry
+ * @param {Object|null} feature - Tribal feature (alerts need its geometry)
+ * @param {Object} sources - { alerts, gauges, buoys, tides }
+ * @returns {Object} { alerts, gauges, buoys, tides, status }
+ */
+export function buildCommunityHazards(community, feature, { alerts = [], gauges = [], buoys = [], tides = [] } = {}) {
+  const center = community.lat != null && community.lon != null
+    ? [community.lon, community.lat]
+    : feature && getTribalCenter(feature);
+
+  const communityAlerts = feature
+    ? getAlertsForTribe(alerts, feature).sort(
+      (a, b) => (SEVERITY_ORDER[a.severity] ?? 99) - (SEVERITY_ORDER[b.severity] ?? 99)
+    )
+    : [];
+
+  const floodingGauges = gauges.filter(g => FLOODING_CATEGORIES.includes(g.observed?.floodCategory));
+
+  return {
+    alerts: communityAlerts,
+    gauges: findNearby(floodingGauges, center, NEARBY_GAUGE_RADIUS_KM),
+    buoys: findNearby(buoys, center, NEARBY_MARINE_RADIUS_KM),
+    tides: findNearby(tides, center, NEARBY_MARINE_RADIUS_KM),
+    status: communityAlerts[0]?.severity || 'NONE'
+  };
+}
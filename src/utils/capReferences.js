@@ -0,0 +1,30 @@
+/**
+ * CAP references parsing.
+ * Shared by the alert lifecycle store and the /api/push-dispatch job, which
+ * both follow update and cancel chains across polls.
+ *
+ * @module utils/capReferences
+ */
+
+/**
+ * Parse CAP references into message identifiers.
+ * Accepts the CAP text form ("sender,identifier,sent sender,identifier,sent"),
+ * an array of identifiers, or NWS reference objects ({ identifier, sender, sent }).
+ * @param {string|Array} references - CAP references
+ * @returns {string[]} Referenced message identifiers
+ */
+export function parseReferences(references) {
+  if (!references) return [];
+
+  const items = Array.isArray(references)
+    ? references
+    : String(references).trim().split(/\s+/);
+
+  return items
+    .map(ref => {
+      if (ref && typeof ref === 'object') return ref.identifier;
+      const parts = String(ref).split(',');
+      return parts.length >= 3 ? parts[1] : parts[0];
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,35 @@
+/**
+ * Concurrency Utilities
+ *
+ * Bounded-concurrency mapping so large alert batches are processed in full
+ * without opening hundreds of requests at once.
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep input order; onResult fires in completion order so callers
+ * can render partial results while the rest resolve.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @param {Function} [onResult] - (result, index) => void
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn, onResult) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      if (onResult) onResult(results[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
@@ -69,8 +69,12 @@ export const SEVERITY_COLORS = {
   SAFE: '#6D28D9'      // Darker purple stroke for no-hazard
 };
 
+// Tribal lands near a river gauge forecast to rise into flood (gauge blue)
+export const FLOOD_RISING_COLOR = '#00D4FF';
+
 // Tile layers - Dark theme (CARTO Dark Matter - no API key required)
 export const DARK_TILE_URL = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+export const DARK_TILE_SUBDOMAINS = 'abcd';
 export const DARK_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
 
 // Light theme fallback
@@ -90,6 +94,29 @@ export const COASTLINE_STYLE = {
 export const NWS_BASE_URL = 'https://api.weather.gov';
 export const PNW_STATES = ['WA', 'OR', 'ID'];
 
+// =============================================================================
+// DATA ENDPOINTS
+// =============================================================================
+
+// Requests made by the data hooks (also stored in offline map packs)
+export const ALERTS_API_URL = '/api/alerts';
+export const ALERTS_STREAM_URL = `${ALERTS_API_URL}?stream=1`;
+export const EC_ALERTS_API_URL = '/api/ec-alerts';
+export const RIVERS_API_URL = '/api/rivers';
+export const USGS_API_URL = '/api/usgs';
+export const NEWS_API_URL = '/api/news';
+export const TRIBAL_DATA_URL = '/data/tribes-pnw.min.geojson';
+
+// Direct upstreams (fallbacks when the /api proxies are unreachable)
+// Alerts include WA, OR, ID plus Pacific marine zones (PZ) for coastal coverage
+export const NWS_ALERTS_URL = `${NWS_BASE_URL}/alerts/active?area=WA,OR,ID,PZ`;
+export const NWS_POINTS_URL = `${NWS_BASE_URL}/points`;
+export const NWPS_GAUGES_URL = 'https://api.water.noaa.gov/nwps/v1/gauges';
+
+// BC OpenMaps WFS endpoint for Indian Reserves (First Nations lands)
+// Request in WGS84 (EPSG:4326) for Leaflet compatibility
+export const BC_FIRST_NATIONS_WFS_URL = 'https://openmaps.gov.bc.ca/geo/pub/ows?service=WFS&version=2.0.0&request=GetFeature&typeName=pub:WHSE_ADMIN_BOUNDARIES.CLAB_INDIAN_RESERVES&outputFormat=application/json&srsName=EPSG:4326';
+
 // =============================================================================
 // REGION DEFINITIONS
 // =============================================================================
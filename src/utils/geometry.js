@@ -157,6 +157,59 @@ export const bufferPoint = (point, radiusKm, segments = 16) => {
   return [coords];
 };
 
+/**
+ * Great-circle distance between two points (haversine).
+ * @param {[number, number]} a - [lng, lat]
+ * @param {[number, number]} b - [lng, lat]
+ * @returns {number} Distance in kilometers
+ */
+export const distanceKm = (a, b) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Distance from a point to the nearest edge of a Polygon or MultiPolygon.
+ * Zero inside the geometry. Edges are measured on a local equirectangular
+ * projection, which is accurate to well under 1% at the tens of kilometers
+ * this is used for.
+ * @param {[number, number]} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {number} Distance in kilometers (Infinity without polygons)
+ */
+export const distanceToGeometryKm = (point, geometry) => {
+  const polygons = getGeometryPolygons(geometry);
+  if (!point || polygons.length === 0) return Infinity;
+  if (pointInGeometry(point, geometry)) return 0;
+
+  // Kilometers per degree around the point
+  const kmPerLat = 111.32;
+  const kmPerLng = kmPerLat * Math.cos(point[1] * Math.PI / 180);
+  const project = ([lng, lat]) => [(lng - point[0]) * kmPerLng, (lat - point[1]) * kmPerLat];
+
+  let nearest = Infinity;
+  polygons.flat().forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = project(ring[i - 1]);
+      const [bx, by] = project(ring[i]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      // Closest point on the segment to the origin (the projected point)
+      const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+      nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  });
+
+  return nearest;
+};
+
 /**
  * Resolve alert geometry with fallbacks.
  * Implements parity between US and Canadian alert geometry handling.
@@ -220,6 +273,237 @@ export const resolveAlertGeometry = (alert, zones = []) => {
   return null;
 };
 
+/**
+ * Get the polygons of a Polygon or MultiPolygon geometry.
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} Array of polygons (each an array of rings)
+ */
+export const getGeometryPolygons = (geometry) => {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// Even-odd ray cast against a single ring
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Check if a point is inside a Polygon or MultiPolygon, honouring holes.
+ * @param {[number, number]} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+export const pointInGeometry = (point, geometry) => {
+  if (!point || isNaN(point[0]) || isNaN(point[1])) return false;
+
+  return getGeometryPolygons(geometry).some(([outer, ...holes]) =>
+    outer?.length >= 3 &&
+    pointInRing(point, outer) &&
+    !holes.some(hole => pointInRing(point, hole))
+  );
+};
+
+// Signed ring area (positive = counter-clockwise)
+const signedRingArea = (ring) => {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area / 2;
+};
+
+// Oriented edges per geometry object (alerts are compared against many Tribes)
+const edgeCache = new WeakMap();
+
+// Directed edges of a geometry with outer rings counter-clockwise and holes
+// clockwise so boundary integrals add up
+const getOrientedEdges = (geometry) => {
+  if (edgeCache.has(geometry)) return edgeCache.get(geometry);
+
+  const edges = [];
+
+  for (const polygon of getGeometryPolygons(geometry)) {
+    polygon.forEach((rawRing, ringIndex) => {
+      if (!rawRing || rawRing.length < 3) return;
+
+      let ring = rawRing.slice();
+      const isHole = ringIndex > 0;
+      if ((signedRingArea(ring) > 0) === isHole) ring = ring.reverse();
+
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[j];
+        const b = ring[i];
+        if (a[0] === b[0] && a[1] === b[1]) continue;
+        edges.push({
+          a,
+          b,
+          minX: Math.min(a[0], b[0]),
+          maxX: Math.max(a[0], b[0]),
+          minY: Math.min(a[1], b[1]),
+          maxY: Math.max(a[1], b[1])
+        });
+      }
+    });
+  }
+
+  // Bounding box in the shape used by boundingBoxesIntersect
+  edges.bbox = edges.reduce((bbox, e) => ({
+    minX: Math.min(bbox.minX, e.minX),
+    minY: Math.min(bbox.minY, e.minY),
+    maxX: Math.max(bbox.maxX, e.maxX),
+    maxY: Math.max(bbox.maxY, e.maxY)
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+  edgeCache.set(geometry, edges);
+  return edges;
+};
+
+// Parameters along edge p where it meets edge q (crossings and touching endpoints)
+const edgeIntersections = (p, q) => {
+  const [px, py] = p.a;
+  const rx = p.b[0] - px, ry = p.b[1] - py;
+  const [qx, qy] = q.a;
+  const sx = q.b[0] - qx, sy = q.b[1] - qy;
+
+  const denom = rx * sy - ry * sx;
+  const qpx = qx - px, qpy = qy - py;
+
+  if (Math.abs(denom) < 1e-18) {
+    // Collinear overlap: split at q's endpoints that lie on p
+    if (Math.abs(qpx * ry - qpy * rx) > 1e-12) return [];
+    const len2 = rx * rx + ry * ry;
+    return [q.a, q.b]
+      .map(([x, y]) => ((x - px) * rx + (y - py) * ry) / len2)
+      .filter(t => t > 0 && t < 1);
+  }
+
+  const t = (qpx * sy - qpy * sx) / denom;
+  const u = (qpx * ry - qpy * rx) / denom;
+  return t > 0 && t < 1 && u >= 0 && u <= 1 ? [t] : [];
+};
+
+// Direction of the other boundary when a point lies on it (null if not on it)
+const boundaryDirectionAt = ([x, y], edges) => {
+  for (const edge of edges) {
+    if (x < edge.minX - 1e-12 || x > edge.maxX + 1e-12 || y < edge.minY - 1e-12 || y > edge.maxY + 1e-12) continue;
+    const ex = edge.b[0] - edge.a[0], ey = edge.b[1] - edge.a[1];
+    const cross = (x - edge.a[0]) * ey - (y - edge.a[1]) * ex;
+    if (Math.abs(cross) <= 1e-12 * Math.hypot(ex, ey)) return [ex, ey];
+  }
+  return null;
+};
+
+// Boundary-integral contribution of `edges` lying inside `other`
+// (Green's theorem: the boundary of A∩B is A's boundary inside B plus B's inside A)
+const insideContribution = (edges, otherEdges, other, keepShared) => {
+  let sum = 0;
+  let previous = null;
+  let previousInside = false;
+
+  for (const edge of edges) {
+    const ts = [0, 1];
+    for (const candidate of otherEdges) {
+      if (candidate.maxX < edge.minX || candidate.minX > edge.maxX ||
+          candidate.maxY < edge.minY || candidate.minY > edge.maxY) continue;
+      ts.push(...edgeIntersections(edge, candidate));
+    }
+    ts.sort((a, b) => a - b);
+
+    const [ax, ay] = edge.a;
+    const dx = edge.b[0] - ax, dy = edge.b[1] - ay;
+
+    // Inside/outside can only change where the boundaries meet, so an
+    // uncrossed edge continuing an uncrossed edge inherits its status
+    const continues = previous?.b === edge.a && previous.crossings === 0 &&
+      ts.length === 2 && !boundaryDirectionAt(edge.a, otherEdges);
+
+    for (let i = 0; i < ts.length - 1; i++) {
+      if (ts[i + 1] - ts[i] < 1e-12) continue;
+
+      const p1 = [ax + dx * ts[i], ay + dy * ts[i]];
+      const p2 = [ax + dx * ts[i + 1], ay + dy * ts[i + 1]];
+      const mid = [(p1[0] + p2[0]) / 2, (p1[1] + p2[1]) / 2];
+
+      let inside;
+      if (continues) {
+        inside = previousInside;
+      } else {
+        // Shared boundary counts once, and only where both run the same way
+        const shared = boundaryDirectionAt(mid, otherEdges);
+        inside = shared
+          ? keepShared && (shared[0] * dx + shared[1] * dy) > 0
+          : pointInGeometry(mid, other);
+      }
+
+      if (inside) sum += p1[0] * p2[1] - p2[0] * p1[1];
+      previousInside = inside;
+    }
+
+    previous = { b: edge.b, crossings: ts.length - 2 };
+  }
+
+  return sum / 2;
+};
+
+/**
+ * Compute how much of a target geometry is covered by another geometry.
+ * Exact polygon-polygon intersection area (holes and MultiPolygons supported).
+ * Areas are planar square degrees; the coverage ratio is unaffected by the
+ * longitude scale because both areas lie within the target.
+ *
+ * @param {Object} target - GeoJSON Polygon/MultiPolygon (e.g. Tribal land)
+ * @param {Object} other - GeoJSON Polygon/MultiPolygon (e.g. alert area)
+ * @returns {{ intersects: boolean, coverage: number, targetArea: number, intersectionArea: number }}
+ *   coverage is the fraction (0-1) of target area inside other
+ */
+export const geometryOverlap = (target, other) => {
+  const none = { intersects: false, coverage: 0, targetArea: 0, intersectionArea: 0 };
+  if (!getGeometryPolygons(target).length || !getGeometryPolygons(other).length) return none;
+
+  const targetEdges = getOrientedEdges(target);
+  const otherEdges = getOrientedEdges(other);
+  const bboxA = targetEdges.bbox;
+  const bboxB = otherEdges.bbox;
+  if (!targetEdges.length || !otherEdges.length || !boundingBoxesIntersect(bboxA, bboxB)) return none;
+
+  const targetArea = targetEdges.reduce((sum, { a, b }) => sum + (a[0] * b[1] - b[0] * a[1]), 0) / 2;
+  if (targetArea <= 0) return none;
+
+  // Edges outside the other geometry's bounding box can't be inside it
+  const nearEdges = (edges, bbox) => edges.filter(e =>
+    e.maxX >= bbox.minX && e.minX <= bbox.maxX &&
+    e.maxY >= bbox.minY && e.minY <= bbox.maxY
+  );
+  const nearTarget = nearEdges(targetEdges, bboxB);
+  const nearOther = nearEdges(otherEdges, bboxA);
+
+  const intersectionArea = Math.max(0,
+    insideContribution(nearTarget, nearOther, other, true) +
+    insideContribution(nearOther, nearTarget, target, false)
+  );
+
+  const coverage = Math.min(1, intersectionArea / targetArea);
+  return {
+    intersects: coverage > 1e-9,
+    coverage,
+    targetArea,
+    intersectionArea
+  };
+};
+
 /**
  * Calculate approximate area of polygon in square kilometers.
  * Uses spherical excess formula (simplified).
@@ -40,6 +40,30 @@ const formatPrefix = (level, context) => {
   return `${prefix}[${level}][${context}]`;
 };
 
+// Extra sinks for warnings and errors (e.g. the telemetry service)
+const transports = new Set();
+
+/**
+ * Send warn and error events to a transport as well as the console
+ * Transports must not log themselves, or a failing transport would loop.
+ * @param {Function} transport - (level, context, message) => void
+ * @returns {Function} Remove the transport
+ */
+export const addLogTransport = (transport) => {
+  transports.add(transport);
+  return () => transports.delete(transport);
+};
+
+const emit = (level, context, message) => {
+  transports.forEach(transport => {
+    try {
+      transport(level, context, message);
+    } catch {
+      // A broken transport must never break the caller
+    }
+  });
+};
+
 /**
  * Create a logger instance for a specific context
  * @param {string} context - The context name (e.g., 'Alerts', 'Cache', 'Map')
@@ -84,6 +108,7 @@ export const createLogger = (context) => ({
    * @param {*} [data] - Optional data or error to log
    */
   warn: (message, data) => {
+    emit('warn', context, message);
     if (CURRENT_LEVEL <= LOG_LEVELS.WARN) {
       const prefix = formatPrefix('WARN', context);
       if (data !== undefined) {
@@ -100,6 +125,7 @@ export const createLogger = (context) => ({
    * @param {Error|*} [error] - Optional error object or data
    */
   error: (message, error) => {
+    emit('error', context, message);
     if (CURRENT_LEVEL <= LOG_LEVELS.ERROR) {
       const prefix = formatPrefix('ERROR', context);
       if (error !== undefined) {
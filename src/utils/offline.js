@@ -0,0 +1,24 @@
+/**
+ * Offline fallback helpers.
+ * When the network is unreachable the service worker answers data requests
+ * from its cache; those responses carry the time they were cached so the UI
+ * can show "last known as of" instead of treating them as fresh.
+ *
+ * @module utils/offline
+ */
+
+// Set by the service worker cache plugin in vite.config.js (keep in sync)
+export const CACHED_AT_HEADER = 'X-Cached-At';
+
+/**
+ * When a response was cached, if the service worker served it from cache.
+ * @param {Response} response - Fetch response
+ * @returns {Date|null} Cache time, or null for a network response
+ */
+export const getCachedAt = (response) => {
+  const value = response?.headers?.get?.(CACHED_AT_HEADER);
+  if (!value) return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
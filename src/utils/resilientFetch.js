@@ -179,6 +179,29 @@ export class CircuitBreaker {
     this.failureCount = 0;
     this.lastFailureTime = null;
     this.halfOpenAttempts = 0;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen for state transitions (e.g. to tell users a source is paused).
+   *
+   * @param {Function} listener - Called with getState() after each transition
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Move to a new state and notify listeners if it changed.
+   * @param {string} state - CLOSED, OPEN or HALF_OPEN
+   */
+  transition(state) {
+    if (this.state === state) return;
+    this.state = state;
+    const snapshot = this.getState();
+    this.listeners.forEach(listener => listener(snapshot));
   }
 
   /**
@@ -194,8 +217,8 @@ export class CircuitBreaker {
     if (this.state === 'OPEN') {
       const timeSinceFailure = Date.now() - this.lastFailureTime;
       if (timeSinceFailure >= this.resetTimeoutMs) {
-        this.state = 'HALF_OPEN';
         this.halfOpenAttempts = 0;
+        this.transition('HALF_OPEN');
         logger.info('Circuit breaker transitioning to HALF_OPEN', { context });
       } else {
         const error = new Error('Circuit breaker is OPEN');
@@ -224,8 +247,8 @@ export class CircuitBreaker {
       logger.info('Circuit breaker recovered, transitioning to CLOSED', { context });
     }
     this.failureCount = 0;
-    this.state = 'CLOSED';
     this.halfOpenAttempts = 0;
+    this.transition('CLOSED');
   }
 
   /**
@@ -240,11 +263,11 @@ export class CircuitBreaker {
     if (this.state === 'HALF_OPEN') {
       this.halfOpenAttempts++;
       if (this.halfOpenAttempts >= this.halfOpenMaxAttempts) {
-        this.state = 'OPEN';
+        this.transition('OPEN');
         logger.warn('Circuit breaker reopened after HALF_OPEN failure', { context });
       }
     } else if (this.failureCount >= this.failureThreshold) {
-      this.state = 'OPEN';
+      this.transition('OPEN');
       logger.warn(`Circuit breaker OPEN after ${this.failureCount} failures`, { context });
     }
   }
@@ -257,7 +280,8 @@ export class CircuitBreaker {
     return {
       state: this.state,
       failureCount: this.failureCount,
-      lastFailureTime: this.lastFailureTime
+      lastFailureTime: this.lastFailureTime,
+      resetTimeoutMs: this.resetTimeoutMs
     };
   }
 
@@ -265,10 +289,10 @@ export class CircuitBreaker {
    * Manually reset the circuit breaker.
    */
   reset() {
-    this.state = 'CLOSED';
     this.failureCount = 0;
     this.lastFailureTime = null;
     this.halfOpenAttempts = 0;
+    this.transition('CLOSED');
   }
 
   /**
@@ -303,6 +327,26 @@ export const usgsCircuitBreaker = new CircuitBreaker({
   resetTimeoutMs: 30000  // 30 seconds
 });
 
+export const nwpsCircuitBreaker = new CircuitBreaker({
+  failureThreshold: 3,
+  resetTimeoutMs: 60000  // 1 minute
+});
+
+export const ndbcCircuitBreaker = new CircuitBreaker({
+  failureThreshold: 3,
+  resetTimeoutMs: 120000  // 2 minutes (buoys report at most every 10 min)
+});
+
+export const coopsCircuitBreaker = new CircuitBreaker({
+  failureThreshold: 3,
+  resetTimeoutMs: 120000  // 2 minutes
+});
+
+export const bcWfsCircuitBreaker = new CircuitBreaker({
+  failureThreshold: 3,
+  resetTimeoutMs: 300000  // 5 minutes (boundaries rarely change)
+});
+
 /**
  * Fetch with both circuit breaker and resilient retry.
  *
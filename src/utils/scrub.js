@@ -0,0 +1,24 @@
+/**
+ * Log message scrubbing for telemetry.
+ * The client scrubs messages before they are queued and /api/telemetry
+ * scrubs them again on arrival, so both use this one implementation.
+ *
+ * @module utils/scrub
+ */
+
+const MAX_MESSAGE_LENGTH = 160;
+
+/**
+ * Strip anything that could identify a user from a log message:
+ * URLs (which carry coordinates and ids), emails, coordinates and long ids
+ * @param {string} message - Log message
+ * @returns {string} Scrubbed, truncated message
+ */
+export function scrubMessage(message) {
+  return String(message)
+    .replace(/\bhttps?:\/\/\S+/gi, '<url>')
+    .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '<email>')
+    .replace(/-?\d{1,3}\.\d{3,}/g, '<coord>')
+    .replace(/\b[\da-f]{8,}\b/gi, '<id>')
+    .slice(0, MAX_MESSAGE_LENGTH);
+}
@@ -0,0 +1,155 @@
+/**
+ * USGS Water Services streamflow utilities.
+ * Parses instantaneous discharge and daily median statistics into the river
+ * gauge shape, shared by the /api/usgs function and the direct USGS fallback.
+ *
+ * @module utils/streamflow
+ */
+
+export const USGS_IV_URL = 'https://waterservices.usgs.gov/nwis/iv/';
+export const USGS_STAT_URL = 'https://waterservices.usgs.gov/nwis/stat/';
+
+// Discharge, cubic feet per second
+export const DISCHARGE_PARAMETER = '00060';
+
+// Abbreviations in USGS site names
+const SITE_NAME_WORDS = {
+  NR: 'near',
+  AB: 'above',
+  BL: 'below',
+  AT: 'at',
+  NEAR: 'near',
+  ABOVE: 'above',
+  BELOW: 'below',
+  OF: 'of',
+  AND: 'and',
+  CR: 'Creek',
+  R: 'River',
+  FK: 'Fork',
+  NF: 'North Fork',
+  SF: 'South Fork',
+  MF: 'Middle Fork',
+  EF: 'East Fork',
+  WF: 'West Fork'
+};
+
+/**
+ * Latest discharge at every active stream site in a state
+ * @param {string} state - Two-letter state code
+ * @returns {string} Instantaneous values URL
+ */
+export const getUSGSInstantaneousUrl = (state) =>
+  `${USGS_IV_URL}?format=json&stateCd=${state.toLowerCase()}&parameterCd=${DISCHARGE_PARAMETER}&siteType=ST&siteStatus=active`;
+
+/**
+ * Daily median discharge of each site (every day of the year)
+ * @param {string[]} siteIds - USGS site numbers
+ * @returns {string} Statistics URL (tab-delimited RDB)
+ */
+export const getUSGSMedianUrl = (siteIds) =>
+  `${USGS_STAT_URL}?format=rdb&sites=${siteIds.join(',')}&statReportType=daily&statTypeCd=median&parameterCd=${DISCHARGE_PARAMETER}`;
+
+/**
+ * "NOOKSACK R AT N CEDARVILLE, WA" -> "Nooksack River at N Cedarville"
+ * @param {string} name - USGS site name
+ * @returns {string}
+ */
+export const formatUSGSSiteName = (name = '') => name
+  .replace(/,\s*[A-Z]{2}\.?$/, '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => {
+    const upper = word.toUpperCase().replace(/\.$/, '');
+    if (SITE_NAME_WORDS[upper]) return SITE_NAME_WORDS[upper];
+    return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+  })
+  .join(' ');
+
+/**
+ * Parse an instantaneous values response into gauges
+ * Sites without a current discharge reading are skipped.
+ * @param {Object} json - USGS IV JSON (WaterML as JSON)
+ * @param {string} state - State the sites were requested for
+ * @returns {Array} Gauges with source 'USGS'
+ */
+export const parseUSGSInstantaneous = (json, state) => {
+  const series = json?.value?.timeSeries || [];
+
+  return series.flatMap(({ sourceInfo, variable, values }) => {
+    if (variable?.variableCode?.[0]?.value !== DISCHARGE_PARAMETER) return [];
+
+    const id = sourceInfo?.siteCode?.[0]?.value;
+    const { latitude: lat, longitude: lng } = sourceInfo?.geoLocation?.geogLocation || {};
+    const readings = values?.[0]?.value || [];
+    const latest = readings[readings.length - 1];
+    const flow = Number(latest?.value);
+
+    if (!id || typeof lat !== 'number' || typeof lng !== 'number') return [];
+    if (!latest || !Number.isFinite(flow) || flow === variable.noDataValue || flow < 0) return [];
+
+    return [{
+      id,
+      name: formatUSGSSiteName(sourceInfo.siteName),
+      state,
+      lat,
+      lng,
+      observed: {
+        level: null,
+        unit: 'ft',
+        flow,
+        flowUnit: 'cfs',
+        floodCategory: 'not_defined',
+        validTime: new Date(latest.dateTime).toISOString()
+      },
+      forecast: {
+        level: null,
+        floodCategory: 'not_defined'
+      },
+      wfo: null,
+      rfc: null,
+      downstreamLid: null,
+      source: 'USGS',
+      median: null,
+      percentOfMedian: null
+    }];
+  });
+};
+
+/**
+ * Median discharge of each site on one day of the year
+ * @param {string} rdb - USGS statistics response (tab-delimited RDB)
+ * @param {string} monthDay - "MM-DD"
+ * @returns {Object} Site number -> median (cfs); the first time series wins
+ */
+export const parseUSGSMedians = (rdb, monthDay) => {
+  const [month, day] = monthDay.split('-').map(Number);
+  const lines = (rdb || '').split('\n').filter(line => line && !line.startsWith('#'));
+  if (lines.length < 2) return {};
+
+  // Header, then a column format line, then rows
+  const columns = lines[0].split('\t');
+  const column = (name) => columns.indexOf(name);
+  const [site, monthCol, dayCol, median] = ['site_no', 'month_nu', 'day_nu', 'p50_va'].map(column);
+
+  const medians = {};
+  lines.slice(2).forEach(line => {
+    const fields = line.split('\t');
+    if (Number(fields[monthCol]) !== month || Number(fields[dayCol]) !== day) return;
+    const value = parseFloat(fields[median]);
+    if (!(fields[site] in medians) && Number.isFinite(value)) {
+      medians[fields[site]] = value;
+    }
+  });
+  return medians;
+};
+
+/**
+ * Current flow as a percentage of the day's median
+ * @param {number} flow - Discharge
+ * @param {number} median - Median discharge for the day
+ * @returns {number|null} Whole percent, or null without a usable median
+ */
+export const getPercentOfMedian = (flow, median) => {
+  if (!Number.isFinite(flow) || !Number.isFinite(median) || median <= 0) return null;
+  return Math.round((flow / median) * 100);
+};
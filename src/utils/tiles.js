@@ -0,0 +1,107 @@
+/**
+ * Slippy map tile utilities for offline tile packs.
+ * Mirrors Leaflet's tile addressing and subdomain choice so precached and
+ * downloaded URLs match the requests the map makes.
+ *
+ * @module utils/tiles
+ */
+
+/**
+ * Tile column containing a longitude.
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {number}
+ */
+export const lngToTileX = (lng, zoom) => {
+  const n = 2 ** zoom;
+  return Math.min(n - 1, Math.max(0, Math.floor(((lng + 180) / 360) * n)));
+};
+
+/**
+ * Tile row containing a latitude (Web Mercator).
+ * @param {number} lat - Latitude
+ * @param {number} zoom - Zoom level
+ * @returns {number}
+ */
+export const latToTileY = (lat, zoom) => {
+  const n = 2 ** zoom;
+  const rad = (lat * Math.PI) / 180;
+  const y = Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n);
+  return Math.min(n - 1, Math.max(0, y));
+};
+
+/**
+ * Tiles covering bounds at a zoom level.
+ * @param {Array} bounds - [[south, west], [north, east]] as in REGIONS
+ * @param {number} zoom - Zoom level
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+export const getTilesInBounds = (bounds, zoom) => {
+  const [[south, west], [north, east]] = bounds;
+  const tiles = [];
+
+  for (let x = lngToTileX(west, zoom); x <= lngToTileX(east, zoom); x++) {
+    for (let y = latToTileY(north, zoom); y <= latToTileY(south, zoom); y++) {
+      tiles.push({ x, y, z: zoom });
+    }
+  }
+
+  return tiles;
+};
+
+/**
+ * Number of tiles covering bounds over a zoom range.
+ * @param {Array} bounds - [[south, west], [north, east]]
+ * @param {number} minZoom - First zoom level
+ * @param {number} maxZoom - Last zoom level
+ * @returns {number}
+ */
+export const countTiles = (bounds, minZoom, maxZoom) => {
+  const [[south, west], [north, east]] = bounds;
+  let count = 0;
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const columns = lngToTileX(east, z) - lngToTileX(west, z) + 1;
+    const rows = latToTileY(south, z) - latToTileY(north, z) + 1;
+    count += columns * rows;
+  }
+
+  return count;
+};
+
+/**
+ * Fill a Leaflet tile URL template ({s}, {z}, {x}, {y}, {r}).
+ * The subdomain is picked the way Leaflet does, (x + y) % subdomains.length.
+ * @param {string} template - Tile URL template
+ * @param {{x: number, y: number, z: number}} tile - Tile address
+ * @param {Object} [options] - { subdomains: 'abc', retina: false }
+ * @returns {string}
+ */
+export const getTileUrl = (template, { x, y, z }, { subdomains = 'abc', retina = false } = {}) => {
+  const subdomain = subdomains[Math.abs(x + y) % subdomains.length];
+  return template
+    .replace('{s}', subdomain)
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{r}', retina ? '@2x' : '');
+};
+
+/**
+ * Tile URLs covering bounds over a zoom range.
+ * @param {string} template - Tile URL template
+ * @param {Array} bounds - [[south, west], [north, east]]
+ * @param {number} minZoom - First zoom level
+ * @param {number} maxZoom - Last zoom level
+ * @param {Object} [options] - Passed to getTileUrl
+ * @returns {string[]}
+ */
+export const getTileUrls = (template, bounds, minZoom, maxZoom, options) => {
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    for (const tile of getTilesInBounds(bounds, z)) {
+      urls.push(getTileUrl(template, tile, options));
+    }
+  }
+  return urls;
+};
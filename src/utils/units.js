@@ -72,6 +72,53 @@ export const inchesToMm = (inches) => {
   return Math.round(inches * 25.4 * 10) / 10;
 };
 
+// River stage and flow conversion factors (to feet and cubic feet per second)
+const STAGE_TO_FEET = { ft: 1, m: 3.28084 };
+const FLOW_TO_CFS = { cfs: 1, kcfs: 1000, 'm³/s': 35.3147 };
+
+const convertUnit = (value, sourceUnit, targetUnit, factors, decimals) => {
+  const scale = 10 ** decimals;
+  return Math.round(value * factors[sourceUnit] / factors[targetUnit] * scale) / scale;
+};
+
+/**
+ * Normalize a river stage (water level) to target unit with original preserved.
+ * Unknown units are passed through unconverted.
+ * @param {number} value - Stage value
+ * @param {string} sourceUnit - 'ft' or 'm'
+ * @param {string} targetUnit - 'ft' or 'm' (default: 'ft', as NWPS reports)
+ * @returns {{ value: number, unit: string, original: { value: number, unit: string } } | null}
+ */
+export const normalizeStage = (value, sourceUnit, targetUnit = 'ft') => {
+  if (value === null || value === undefined || isNaN(value)) return null;
+
+  const known = STAGE_TO_FEET[sourceUnit] && STAGE_TO_FEET[targetUnit];
+  return {
+    value: known ? convertUnit(value, sourceUnit, targetUnit, STAGE_TO_FEET, 2) : value,
+    unit: known ? targetUnit : sourceUnit,
+    original: { value, unit: sourceUnit }
+  };
+};
+
+/**
+ * Normalize a river flow (discharge) to target unit with original preserved.
+ * Unknown units are passed through unconverted.
+ * @param {number} value - Flow value
+ * @param {string} sourceUnit - 'cfs', 'kcfs' or 'm³/s'
+ * @param {string} targetUnit - 'cfs', 'kcfs' or 'm³/s' (default: 'kcfs', as NWPS reports)
+ * @returns {{ value: number, unit: string, original: { value: number, unit: string } } | null}
+ */
+export const normalizeFlow = (value, sourceUnit, targetUnit = 'kcfs') => {
+  if (value === null || value === undefined || isNaN(value)) return null;
+
+  const known = FLOW_TO_CFS[sourceUnit] && FLOW_TO_CFS[targetUnit];
+  return {
+    value: known ? convertUnit(value, sourceUnit, targetUnit, FLOW_TO_CFS, 3) : value,
+    unit: known ? targetUnit : sourceUnit,
+    original: { value, unit: sourceUnit }
+  };
+};
+
 /**
  * Detect measurement system from alert source.
  * @param {string} source - 'NWS', 'EC', or similar
@@ -0,0 +1,113 @@
+/**
+ * NWS zone index lookups.
+ * Resolves affectedZones URLs and UGC codes against the bundled zone index
+ * (public/data/nws-zones-pnw.min.json, built by scripts/build-zone-index.js),
+ * shared by the /api/alerts function and the direct NWS fallback, which each
+ * load the index their own way.
+ *
+ * @module utils/zoneIndex
+ */
+
+export const ZONE_INDEX_URL = '/data/nws-zones-pnw.min.json';
+
+export const EMPTY_ZONE_INDEX = Object.freeze({
+  generated: null,
+  zones: Object.freeze({ forecast: {}, county: {}, fire: {} })
+});
+
+// Zones missing from the index fetched per alert from the NWS zone API;
+// alerts listing more keep the zones that did resolve
+export const MAX_ZONE_FETCHES = 3;
+
+/**
+ * Fill in any zone types an index file leaves out
+ * @param {Object} data - Parsed index file
+ * @returns {Object} { generated, zones: { forecast, county, fire } }
+ */
+export const normalizeZoneIndex = (data) => ({
+  ...EMPTY_ZONE_INDEX,
+  ...data,
+  zones: { ...EMPTY_ZONE_INDEX.zones, ...data?.zones }
+});
+
+/**
+ * Parse a zone URL or bare UGC code into { type, id }
+ * @param {string} zoneRef - e.g. https://api.weather.gov/zones/forecast/WAZ558 or WAZ558
+ * @returns {Object|null} { type, id } (type is null for bare UGC codes)
+ */
+export function parseZoneRef(zoneRef) {
+  if (!zoneRef || typeof zoneRef !== 'string') return null;
+
+  const match = zoneRef.match(/\/zones\/(\w+)\/([A-Z]{2}[CZ]\d{3})\/?$/i);
+  if (match) {
+    return { type: match[1].toLowerCase(), id: match[2].toUpperCase() };
+  }
+
+  if (/^[A-Z]{2}[CZ]\d{3}$/i.test(zoneRef)) {
+    return { type: null, id: zoneRef.toUpperCase() };
+  }
+
+  return null;
+}
+
+/**
+ * Look up a zone geometry in a loaded index
+ * Bare UGC codes: C codes are counties, Z codes try forecast then fire zones
+ * @param {Object} index - Zone index
+ * @param {string} zoneRef - Zone URL or UGC code
+ * @returns {Object|null} GeoJSON geometry
+ */
+export function getZoneGeometry(index, zoneRef) {
+  const ref = parseZoneRef(zoneRef);
+  const zones = index?.zones;
+  if (!ref || !zones) return null;
+
+  if (ref.type) {
+    // Public zones are served under /zones/forecast and /zones/public
+    const type = ref.type === 'public' ? 'forecast' : ref.type;
+    return zones[type]?.[ref.id] || null;
+  }
+
+  if (ref.id[2] === 'C') return zones.county?.[ref.id] || null;
+  return zones.forecast?.[ref.id] || zones.fire?.[ref.id] || null;
+}
+
+/**
+ * Resolve zone geometries, reporting which refs are not in the index
+ * @param {Object} index - Zone index
+ * @param {string[]} zoneRefs - Zone URLs or UGC codes
+ * @returns {Object} { geometries, missing } - missing refs need a network lookup
+ */
+export function resolveZoneGeometries(index, zoneRefs = []) {
+  const geometries = [];
+  const missing = [];
+
+  for (const zoneRef of zoneRefs) {
+    const geometry = getZoneGeometry(index, zoneRef);
+    if (geometry) {
+      geometries.push(geometry);
+    } else {
+      missing.push(zoneRef);
+    }
+  }
+
+  return { geometries, missing };
+}
+
+/**
+ * Combine zone geometries into a single geometry
+ * @param {Object[]} geometries - GeoJSON Polygon/MultiPolygon geometries
+ * @returns {Object|null} Single geometry, MultiPolygon, or null
+ */
+export function combineZoneGeometries(geometries) {
+  const valid = geometries.filter(Boolean);
+  if (valid.length === 0) return null;
+  if (valid.length === 1) return valid[0];
+
+  return {
+    type: 'MultiPolygon',
+    coordinates: valid.flatMap(g =>
+      g.type === 'MultiPolygon' ? g.coordinates : [g.coordinates]
+    )
+  };
+}
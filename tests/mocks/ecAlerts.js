@@ -192,3 +192,87 @@ export const EC_EVENT_SEVERITY = {
   'frost advisory': 'ADVISORY',
   'special weather statement': 'STATEMENT'
 };
+
+// Raw CAP-CP XML as served by MSC Datamart (bilingual, two areas)
+export const mockECCAPXml = `<?xml version='1.0' encoding='UTF-8' standalone='no'?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>urn:oid:2.49.0.1.124.1234567890.2025</identifier>
+  <sender>cap-pac@canada.ca</sender>
+  <sent>2025-01-03T18:00:00-00:00</sent>
+  <status>Actual</status>
+  <msgType>Alert</msgType>
+  <scope>Public</scope>
+  <info>
+    <language>en-CA</language>
+    <category>Met</category>
+    <event>winter storm</event>
+    <urgency>Expected</urgency>
+    <severity>Moderate</severity>
+    <certainty>Likely</certainty>
+    <effective>2025-01-03T18:00:00-00:00</effective>
+    <expires>2025-01-04T06:00:00-00:00</expires>
+    <headline>winter storm warning in effect</headline>
+    <description>###
+Snow &amp; blowing snow. Temperatures near -5&#176;C with 15 to 25 cm expected.
+###</description>
+    <instruction>Consider postponing non-essential travel.</instruction>
+    <parameter>
+      <valueName>layer:EC-MSC-SMC:1.0:Alert_Type</valueName>
+      <value>warning</value>
+    </parameter>
+    <parameter>
+      <valueName>layer:EC-MSC-SMC:1.0:Alert_Name</valueName>
+      <value>winter storm warning</value>
+    </parameter>
+    <area>
+      <areaDesc>Greater Vancouver</areaDesc>
+      <polygon>49.2,-123.2 49.3,-123.2 49.3,-123.0 49.2,-123.0 49.2,-123.2</polygon>
+    </area>
+    <area>
+      <areaDesc>Fraser Valley - east including Chilliwack</areaDesc>
+    </area>
+  </info>
+  <info>
+    <language>fr-CA</language>
+    <event>tempête hivernale</event>
+    <headline>avertissement de tempête hivernale en vigueur</headline>
+    <area>
+      <areaDesc>Grand Vancouver</areaDesc>
+      <polygon>49.2,-123.2 49.3,-123.2 49.3,-123.0 49.2,-123.0 49.2,-123.2</polygon>
+    </area>
+  </info>
+</alert>`;
+
+// CAP-CP XML for an alert whose location status has ended
+export const mockECCAPXmlEnded = `<?xml version='1.0' encoding='UTF-8'?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>urn:oid:2.49.0.1.124.ended.2025</identifier>
+  <sent>2025-01-03T20:00:00-00:00</sent>
+  <msgType>Update</msgType>
+  <references>cap-pac@canada.ca,urn:oid:2.49.0.1.124.wind.2025,2025-01-03T14:00:00-00:00</references>
+  <info>
+    <language>en-CA</language>
+    <event>wind</event>
+    <urgency>Past</urgency>
+    <headline>wind warning ended</headline>
+    <parameter>
+      <valueName>layer:EC-MSC-SMC:1.0:Alert_Location_Status</valueName>
+      <value>ended</value>
+    </parameter>
+    <area>
+      <areaDesc>Greater Victoria</areaDesc>
+    </area>
+  </info>
+</alert>`;
+
+// MSC Datamart directory listings
+export const mockDatamartStationListing = `<html><body>
+<a href="../">../</a>
+<a href="16/">16/</a>
+<a href="18/">18/</a>
+</body></html>`;
+
+export const mockDatamartHourListing = `<html><body>
+<a href="../">../</a>
+<a href="T_WWCN11_C_CWVR_202501031800_1234567890.cap">T_WWCN11_C_CWVR_202501031800_1234567890.cap</a>
+</body></html>`;
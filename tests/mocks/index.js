@@ -7,3 +7,4 @@ export * from './nwsAlerts.js';
 export * from './ecAlerts.js';
 export * from './zones.js';
 export * from './rivers.js';
+export * from './newsFeeds.js';
@@ -0,0 +1,165 @@
+/**
+ * Mock News Feeds
+ * Recorded bulletin feeds aggregated by /api/news, trimmed to a few entries
+ * - Environment Canada warning feeds (Atom): https://weather.gc.ca/rss/warning/bc-74_e.xml
+ * - NWS products API: https://api.weather.gov/products/types/AFD/locations/SEW
+ * - Tribal emergency management RSS and CAP feeds
+ */
+
+// EC Metro Vancouver feed with a special weather statement in effect
+export const mockECWarningAtom = `<?xml version='1.0' encoding='UTF-8'?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-ca">
+  <title>Vancouver - Weather Alert - Environment Canada</title>
+  <link rel="related" href="https://weather.gc.ca/city/pages/bc-74_metric_e.html" type="text/html"/>
+  <updated>2025-01-06T16:12:47Z</updated>
+  <author>
+    <name>Environment and Climate Change Canada</name>
+    <uri>https://www.canada.ca/en/environment-climate-change.html</uri>
+  </author>
+  <logo>https://weather.gc.ca/template/gcweb/v5.0.1/assets/wmms-alt.png</logo>
+  <rights>Copyright 2025, Environment and Climate Change Canada</rights>
+  <id>tag:weather.gc.ca,2013-04-16:20250106161247</id>
+  <entry>
+    <title>SPECIAL WEATHER STATEMENT IN EFFECT, Metro Vancouver</title>
+    <link type="text/html" href="https://weather.gc.ca/warnings/report_e.html?bc14"/>
+    <updated>2025-01-06T16:12:00Z</updated>
+    <published>2025-01-06T16:12:00Z</published>
+    <category term="Warnings and Watches"/>
+    <summary type="html">Atmospheric river to bring heavy rain and rising river levels to the South Coast. Rainfall amounts of 50 to 70 mm are expected near the North Shore mountains. Issued: 8:12 AM PST Monday 06 January 2025 </summary>
+    <id>tag:weather.gc.ca,2013-04-16:bc-74_w1:202501061612</id>
+  </entry>
+</feed>`;
+
+// EC Victoria feed with nothing in effect
+export const mockECNoWarningsAtom = `<?xml version='1.0' encoding='UTF-8'?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-ca">
+  <title>Victoria - Weather Alert - Environment Canada</title>
+  <updated>2025-01-06T16:12:47Z</updated>
+  <id>tag:weather.gc.ca,2013-04-16:20250106161247</id>
+  <entry>
+    <title>No watches or warnings in effect, Victoria</title>
+    <link type="text/html" href="https://weather.gc.ca/warnings/report_e.html?bc1"/>
+    <updated>2025-01-06T16:12:47Z</updated>
+    <published>2025-01-06T16:12:47Z</published>
+    <category term="Warnings and Watches"/>
+    <summary type="html">No watches or warnings in effect.</summary>
+    <id>tag:weather.gc.ca,2013-04-16:bc-85_w1:20250106161247</id>
+  </entry>
+</feed>`;
+
+// NWS product listing (newest first)
+export const mockNWSAFDListing = {
+  '@context': { '@version': '1.1' },
+  '@graph': [
+    {
+      '@id': 'https://api.weather.gov/products/2f1f4d7c-8a8e-4b0e-9a8b-6f2b8c3d1e01',
+      id: '2f1f4d7c-8a8e-4b0e-9a8b-6f2b8c3d1e01',
+      wmoCollectiveId: 'FXUS66',
+      issuingOffice: 'KSEW',
+      issuanceTime: '2025-01-06T15:47:00+00:00',
+      productCode: 'AFD',
+      productName: 'Area Forecast Discussion'
+    },
+    {
+      '@id': 'https://api.weather.gov/products/0b6c2a55-3d0f-4f8e-8c1f-1d2e3f4a5b60',
+      id: '0b6c2a55-3d0f-4f8e-8c1f-1d2e3f4a5b60',
+      wmoCollectiveId: 'FXUS66',
+      issuingOffice: 'KSEW',
+      issuanceTime: '2025-01-06T10:31:00+00:00',
+      productCode: 'AFD',
+      productName: 'Area Forecast Discussion'
+    }
+  ]
+};
+
+// Latest Seattle AFD
+export const mockNWSAFDProduct = {
+  '@id': 'https://api.weather.gov/products/2f1f4d7c-8a8e-4b0e-9a8b-6f2b8c3d1e01',
+  id: '2f1f4d7c-8a8e-4b0e-9a8b-6f2b8c3d1e01',
+  wmoCollectiveId: 'FXUS66',
+  issuingOffice: 'KSEW',
+  issuanceTime: '2025-01-06T15:47:00+00:00',
+  productCode: 'AFD',
+  productName: 'Area Forecast Discussion',
+  productText: `
+000
+FXUS66 KSEW 061547
+AFDSEW
+
+Area Forecast Discussion
+National Weather Service Seattle WA
+747 AM PST Mon Jan 6 2025
+
+.SYNOPSIS...A warm front will lift north across Western Washington
+today with rain spreading inland. Snow levels rise above 6000 feet
+tonight as an atmospheric river takes aim at the Olympics and North
+Cascades.
+&&
+
+.SHORT TERM /TODAY THROUGH WEDNESDAY/...Rain becomes heavy at times
+along the coast this afternoon.
+&&
+
+$$
+`
+};
+
+// Tribal emergency management RSS feed
+export const mockTribalEMRss = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Tribal Emergency Management</title>
+    <link>https://em.example-tribe.org</link>
+    <description>Updates from the Tribal Emergency Management office</description>
+    <item>
+      <title>Sandbags available at the Public Works yard</title>
+      <link>https://em.example-tribe.org/news/sandbags</link>
+      <guid isPermaLink="false">em-2025-0106-1</guid>
+      <pubDate>Mon, 06 Jan 2025 17:30:00 GMT</pubDate>
+      <description><![CDATA[<p>Self-serve sandbags are available for <strong>community members</strong> ahead of this week&#8217;s rain.</p>]]></description>
+    </item>
+    <item>
+      <title>Emergency shelter open at the Community Center</title>
+      <link>https://em.example-tribe.org/news/shelter</link>
+      <guid isPermaLink="false">em-2025-0105-1</guid>
+      <pubDate>Sun, 05 Jan 2025 22:00:00 GMT</pubDate>
+      <description>The Community Center is open as a warming shelter &amp; will stay open overnight.</description>
+    </item>
+    <item>
+      <title>Emergency shelter open at the Community Center</title>
+      <link>https://em.example-tribe.org/news/shelter</link>
+      <guid isPermaLink="false">em-2025-0105-2</guid>
+      <pubDate>Sun, 05 Jan 2025 20:00:00 GMT</pubDate>
+      <description>Repost of the shelter announcement.</description>
+    </item>
+    <item>
+      <title>Preparedness workshop recap</title>
+      <link>https://em.example-tribe.org/news/workshop</link>
+      <guid isPermaLink="false">em-2024-1001-1</guid>
+      <pubDate>Tue, 01 Oct 2024 18:00:00 GMT</pubDate>
+      <description>Thanks to everyone who joined the fall preparedness workshop.</description>
+    </item>
+  </channel>
+</rss>`;
+
+// CAP alert published by a Tribal alerting system
+export const mockTribalCAPAlert = `<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>TRIBE-EM-2025-0007</identifier>
+  <sender>em@example-tribe.org</sender>
+  <sent>2025-01-06T18:05:00-08:00</sent>
+  <status>Actual</status>
+  <msgType>Alert</msgType>
+  <scope>Public</scope>
+  <info>
+    <language>en-US</language>
+    <category>Safety</category>
+    <event>Road Closure</event>
+    <urgency>Immediate</urgency>
+    <severity>Severe</severity>
+    <certainty>Observed</certainty>
+    <headline>River Road closed by high water</headline>
+    <description>River Road is closed between Mile 2 and Mile 4. Use the upper road.</description>
+    <web>https://em.example-tribe.org/alerts/2025-0007</web>
+  </info>
+</alert>`;
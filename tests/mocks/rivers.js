@@ -251,3 +251,173 @@ export const mockGaugeTimeSeries = {
     { value: 8.90, timestamp: '2025-01-04T09:00:00Z' }
   ]
 };
+
+// Gauge metadata with flood category thresholds
+// https://api.water.noaa.gov/nwps/v1/gauges/SQUW1
+export const mockNWPSGaugeDetail = {
+  lid: 'SQUW1',
+  name: 'Skagit River near Mount Vernon',
+  latitude: 48.4451,
+  longitude: -122.3343,
+  state: { abbreviation: 'WA', name: 'Washington' },
+  wfo: { abbreviation: 'SEW', name: 'Seattle' },
+  rfc: { abbreviation: 'NWRFC', name: 'Northwest River Forecast Center' },
+  flood: {
+    stageUnits: 'ft',
+    flowUnits: 'kcfs',
+    categories: {
+      action: { stage: 24, flow: -9999 },
+      minor: { stage: 28, flow: 90.1 },
+      moderate: { stage: 32, flow: 114 },
+      major: { stage: 35, flow: 141 }
+    }
+  }
+};
+
+// Stageflow series: observed history and the latest river forecast
+// https://api.water.noaa.gov/nwps/v1/gauges/SQUW1/stageflow
+export const mockNWPSStageflow = {
+  observed: {
+    issuedTime: '2025-01-07T12:00:00Z',
+    primaryName: 'Stage',
+    primaryUnits: 'ft',
+    secondaryName: 'Flow',
+    secondaryUnits: 'kcfs',
+    data: [
+      { validTime: '2025-01-03T12:00:00Z', generatedTime: '2025-01-03T12:05:00Z', primary: 17.1, secondary: 30.2 },
+      { validTime: '2025-01-06T12:00:00Z', generatedTime: '2025-01-06T12:05:00Z', primary: 19.4, secondary: 41.0 },
+      { validTime: '2025-01-06T18:00:00Z', generatedTime: '2025-01-06T18:05:00Z', primary: -999, secondary: -999 },
+      { validTime: '2025-01-07T00:00:00Z', generatedTime: '2025-01-07T00:05:00Z', primary: 21.8, secondary: 52.3 },
+      { validTime: '2025-01-07T12:00:00Z', generatedTime: '2025-01-07T12:05:00Z', primary: 24.6, secondary: 66.7 }
+    ]
+  },
+  forecast: {
+    issuedTime: '2025-01-07T10:48:00Z',
+    primaryName: 'Stage',
+    primaryUnits: 'ft',
+    secondaryName: 'Flow',
+    secondaryUnits: 'kcfs',
+    data: [
+      { validTime: '2025-01-07T18:00:00Z', generatedTime: '2025-01-07T10:48:00Z', primary: 27.2, secondary: 81.5 },
+      { validTime: '2025-01-08T00:00:00Z', generatedTime: '2025-01-07T10:48:00Z', primary: 29.4, secondary: 96.8 },
+      { validTime: '2025-01-08T06:00:00Z', generatedTime: '2025-01-07T10:48:00Z', primary: 28.9, secondary: 93.0 },
+      { validTime: '2025-01-08T12:00:00Z', generatedTime: '2025-01-07T10:48:00Z', primary: 26.3, secondary: 77.1 }
+    ]
+  }
+};
+
+// Latest Water Survey of Canada real-time reading (level in m, discharge in m³/s)
+// https://api.weather.gc.ca/collections/hydrometric-realtime/items?STATION_NUMBER=08MF005
+export const mockWSCRealtime = {
+  type: 'FeatureCollection',
+  numberMatched: 8640,
+  numberReturned: 1,
+  features: [
+    {
+      type: 'Feature',
+      id: '08MF005.2025-01-07T12:00:00Z',
+      geometry: { type: 'Point', coordinates: [-121.4542, 49.3814] },
+      properties: {
+        IDENTIFIER: '08MF005.2025-01-07T12:00:00Z',
+        STATION_NUMBER: '08MF005',
+        STATION_NAME: 'FRASER RIVER AT HOPE',
+        PROV_TERR_STATE_LOC: 'BC',
+        DATETIME: '2025-01-07T12:00:00Z',
+        DATETIME_LST: '2025-01-07T04:00:00-08:00',
+        LEVEL: 3.5,
+        DISCHARGE: 1000,
+        LEVEL_SYMBOL_EN: null,
+        DISCHARGE_SYMBOL_EN: null
+      }
+    }
+  ]
+};
+
+// Station without a recent reading
+export const mockWSCRealtimeEmpty = {
+  type: 'FeatureCollection',
+  numberMatched: 0,
+  numberReturned: 0,
+  features: []
+};
+
+// USGS instantaneous discharge (parameter 00060) for WA stream sites
+// https://waterservices.usgs.gov/nwis/iv/?format=json&stateCd=wa&parameterCd=00060&siteType=ST&siteStatus=active
+export const mockUSGSInstantaneous = {
+  name: 'ns1:timeSeriesResponseType',
+  value: {
+    timeSeries: [
+      {
+        sourceInfo: {
+          siteName: 'NF NOOKSACK R BL CASCADE CR NR GLACIER, WA',
+          siteCode: [{ value: '12205000', network: 'NWIS', agencyCode: 'USGS' }],
+          geoLocation: { geogLocation: { srs: 'EPSG:4326', latitude: 48.9062, longitude: -121.8443 } }
+        },
+        variable: {
+          variableCode: [{ value: '00060', network: 'NWIS' }],
+          unit: { unitCode: 'ft3/s' },
+          noDataValue: -999999.0
+        },
+        values: [{
+          value: [
+            { value: '1180', qualifiers: ['P'], dateTime: '2025-01-07T03:45:00.000-08:00' },
+            { value: '1230', qualifiers: ['P'], dateTime: '2025-01-07T04:00:00.000-08:00' }
+          ]
+        }],
+        name: 'USGS:12205000:00060:00000'
+      },
+      {
+        sourceInfo: {
+          siteName: 'TOPPENISH CREEK NEAR FORT SIMCOE, WA',
+          siteCode: [{ value: '12507508', network: 'NWIS', agencyCode: 'USGS' }],
+          geoLocation: { geogLocation: { srs: 'EPSG:4326', latitude: 46.3185, longitude: -120.7945 } }
+        },
+        variable: {
+          variableCode: [{ value: '00060', network: 'NWIS' }],
+          unit: { unitCode: 'ft3/s' },
+          noDataValue: -999999.0
+        },
+        values: [{
+          value: [
+            { value: '42.1', qualifiers: ['P'], dateTime: '2025-01-07T04:00:00.000-08:00' }
+          ]
+        }],
+        name: 'USGS:12507508:00060:00000'
+      },
+      {
+        // Ice-affected: no discharge reported
+        sourceInfo: {
+          siteName: 'SAN POIL RIVER NEAR KELLER, WA',
+          siteCode: [{ value: '12434590', network: 'NWIS', agencyCode: 'USGS' }],
+          geoLocation: { geogLocation: { srs: 'EPSG:4326', latitude: 48.0651, longitude: -118.6894 } }
+        },
+        variable: {
+          variableCode: [{ value: '00060', network: 'NWIS' }],
+          unit: { unitCode: 'ft3/s' },
+          noDataValue: -999999.0
+        },
+        values: [{
+          value: [
+            { value: '-999999', qualifiers: ['P', 'Ice'], dateTime: '2025-01-07T04:00:00.000-08:00' }
+          ]
+        }],
+        name: 'USGS:12434590:00060:00000'
+      }
+    ]
+  }
+};
+
+// USGS daily median discharge statistics (tab-delimited RDB, trimmed to a few days)
+// https://waterservices.usgs.gov/nwis/stat/?format=rdb&sites=12205000,12507508&statReportType=daily&statTypeCd=median&parameterCd=00060
+export const mockUSGSMedianRdb = [
+  '#',
+  '# U.S. Geological Survey, Water Resources Data',
+  '#',
+  'agency_cd\tsite_no\tparameter_cd\tts_id\tloc_web_ds\tmonth_nu\tday_nu\tbegin_yr\tend_yr\tcount_nu\tp50_va',
+  '5s\t15s\t5s\t10n\t15s\t3n\t3n\t6n\t6n\t8n\t12s',
+  'USGS\t12205000\t00060\t148424\t\t1\t6\t1937\t2024\t88\t790',
+  'USGS\t12205000\t00060\t148424\t\t1\t7\t1937\t2024\t88\t820',
+  'USGS\t12205000\t00060\t148424\t\t1\t8\t1937\t2024\t88\t845',
+  'USGS\t12507508\t00060\t148501\t\t1\t7\t1991\t2024\t34\t56.0',
+  ''
+].join('\n');
@@ -173,6 +173,23 @@ export const mockZones = [
   ...mockCanadianZones
 ];
 
+// Bundled zone index (public/data/nws-zones-pnw.min.json shape)
+export const mockZoneIndex = {
+  generated: '2025-01-01T00:00:00.000Z',
+  source: 'https://api.weather.gov/zones',
+  zones: {
+    forecast: Object.fromEntries(
+      [...mockNWSZones, ...mockMarineZones].map(z => [z.id, z.geometry])
+    ),
+    county: {
+      WAC073: mockNWSZones[0].geometry
+    },
+    fire: {
+      WAZ658: mockNWSZones[1].geometry
+    }
+  }
+};
+
 // Mock Tribal Boundaries (simplified for testing)
 export const mockTribalBoundaries = {
   type: 'FeatureCollection',
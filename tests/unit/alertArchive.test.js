@@ -0,0 +1,283 @@
+/**
+ * alertArchive.js Unit Tests
+ * Tests for the alert/river archive behind timeline replay
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AlertArchive, isFloodingCategory } from '@services/alertArchive';
+
+// Mock logger
+vi.mock('@utils/logger', () => ({
+  alertsLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 0, 15, 12);
+
+const POLYGON = {
+  type: 'Polygon',
+  coordinates: [[[-122.812345, 48.7], [-122.5, 48.7], [-122.5, 48.86], [-122.812345, 48.7]]]
+};
+
+function createAlert(id, severity = 'WARNING', extra = {}) {
+  return {
+    id,
+    identifier: id,
+    msgType: 'Alert',
+    event: 'Flood Warning',
+    severity,
+    sent: new Date(T0).toISOString(),
+    effective: new Date(T0).toISOString(),
+    expires: new Date(T0 + 12 * HOUR).toISOString(),
+    geometry: POLYGON,
+    ...extra
+  };
+}
+
+function createGauge(id, floodCategory) {
+  return { id, name: `Gauge ${id}`, state: 'WA', lat: 48.8, lng: -122.4, observed: { floodCategory } };
+}
+
+// In-memory stand-in for the IndexedDB backend
+function createMemoryBackend() {
+  const rows = new Map();
+  return {
+    rows,
+    loadAll: vi.fn(async () => [...rows.values()]),
+    put: vi.fn(async (meta, json) => { rows.set(meta.key, { ...meta, json }); }),
+    putMeta: vi.fn(async (meta) => { rows.set(meta.key, { ...rows.get(meta.key), ...meta }); }),
+    delete: vi.fn(async (keys) => keys.forEach(key => rows.delete(key))),
+    clear: vi.fn(async () => rows.clear())
+  };
+}
+
+describe('alertArchive', () => {
+  let archive;
+
+  beforeEach(() => {
+    localStorage.clear();
+    archive = new AlertArchive({ storageKey: 'test_archive' });
+  });
+
+  // ==========================================
+  // Recording Alerts (5 tests)
+  // ==========================================
+  describe('recordAlerts', () => {
+
+    it('archives alerts with issue and expiry times and rounded polygons', () => {
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      const record = archive.alerts.get('msg-1');
+
+      expect(record).toMatchObject({ event: 'Flood Warning', sent: createAlert('msg-1').sent, firstSeen: T0, endedAt: null });
+      expect(record.geometry.coordinates[0][0]).toEqual([-122.8123, 48.7]);
+    });
+
+    it('keeps the first sighting across polls', () => {
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 + HOUR });
+
+      expect(archive.alerts.get('msg-1')).toMatchObject({ firstSeen: T0, lastSeen: T0 + HOUR });
+    });
+
+    it('closes alerts that drop out of a poll, and records update chains', () => {
+      archive.recordAlerts([createAlert('msg-1', 'WATCH')], { now: T0 });
+      const update = createAlert('msg-2', 'WARNING', {
+        msgType: 'Update',
+        sent: new Date(T0 + HOUR).toISOString(),
+        effective: new Date(T0 + HOUR).toISOString(),
+        history: [{ identifier: 'msg-1', msgType: 'Alert', sent: new Date(T0).toISOString(), severity: 'WATCH', event: 'Flood Watch' }]
+      });
+      archive.recordAlerts([update], { now: T0 + HOUR });
+
+      expect(archive.alerts.get('msg-1').endedAt).toBe(T0 + HOUR);
+      expect(archive.alerts.get('msg-2').history).toEqual([
+        { identifier: 'msg-1', msgType: 'Alert', sent: new Date(T0).toISOString(), severity: 'WATCH' }
+      ]);
+    });
+
+    it('closes alerts at their expiry when they expired between polls', () => {
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      archive.recordAlerts([], { now: T0 + 24 * HOUR });
+
+      expect(archive.alerts.get('msg-1').endedAt).toBe(T0 + 12 * HOUR);
+    });
+
+    it('keeps Canadian alerts open while Canada is excluded', () => {
+      archive.recordAlerts([createAlert('ec-1-0', 'WARNING', { isCanadian: true })], { now: T0 });
+      archive.recordAlerts([], { now: T0 + HOUR, includeCanada: false });
+
+      expect(archive.alerts.get('ec-1-0').endedAt).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Recording Gauges (2 tests)
+  // ==========================================
+  describe('recordGauges', () => {
+
+    it('stores only category changes', () => {
+      archive.recordGauges([createGauge('SKGW1', 'no_flooding')], T0);
+      archive.recordGauges([createGauge('SKGW1', 'no_flooding')], T0 + HOUR);
+      archive.recordGauges([createGauge('SKGW1', 'minor')], T0 + 2 * HOUR);
+
+      expect(archive.gauges.get('SKGW1').changes).toEqual([
+        { time: T0, category: 'no_flooding' },
+        { time: T0 + 2 * HOUR, category: 'minor' }
+      ]);
+    });
+
+    it('classifies flooding categories', () => {
+      expect(isFloodingCategory('moderate')).toBe(true);
+      expect(isFloodingCategory('no_flooding')).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Replay (4 tests)
+  // ==========================================
+  describe('replay', () => {
+
+    beforeEach(() => {
+      archive.recordGauges([createGauge('SKGW1', 'no_flooding')], T0);
+      archive.recordAlerts([createAlert('msg-1', 'WATCH')], { now: T0 });
+      archive.recordAlerts([createAlert('msg-2', 'WARNING', {
+        msgType: 'Update',
+        sent: new Date(T0 + 2 * HOUR).toISOString(),
+        effective: new Date(T0 + 2 * HOUR).toISOString()
+      })], { now: T0 + 2 * HOUR });
+      archive.recordGauges([createGauge('SKGW1', 'moderate')], T0 + 3 * HOUR);
+    });
+
+    it('returns the alerts in effect at a time', () => {
+      const now = T0 + 4 * HOUR;
+
+      expect(archive.getSnapshot(T0 + HOUR, now).alerts.map(a => a.id)).toEqual(['msg-1']);
+      expect(archive.getSnapshot(T0 + 3 * HOUR, now).alerts.map(a => a.id)).toEqual(['msg-2']);
+      expect(archive.getSnapshot(T0 - HOUR, now).alerts).toEqual([]);
+    });
+
+    it('returns gauge categories at a time', () => {
+      const now = T0 + 4 * HOUR;
+
+      expect(archive.getSnapshot(T0 + HOUR, now).gauges[0].observed.floodCategory).toBe('no_flooding');
+      expect(archive.getSnapshot(T0 + 3 * HOUR, now).gauges[0].observed.floodCategory).toBe('moderate');
+    });
+
+    it('lists issue, update, end and river events in order', () => {
+      const events = archive.getEvents(T0, T0 + 4 * HOUR, T0 + 4 * HOUR);
+
+      expect(events.map(e => [e.type, e.time])).toEqual([
+        ['issued', T0],
+        ['ended', T0 + 2 * HOUR],
+        ['updated', T0 + 2 * HOUR],
+        ['river', T0 + 3 * HOUR]
+      ]);
+    });
+
+    it('survives a reload through localStorage', () => {
+      archive.flush();
+      const reloaded = new AlertArchive({ storageKey: 'test_archive' });
+
+      expect(reloaded.getStartTime()).toBe(T0);
+      expect(reloaded.getSnapshot(T0 + HOUR, T0 + 4 * HOUR).alerts).toHaveLength(1);
+    });
+  });
+
+  // ==========================================
+  // Retention (2 tests)
+  // ==========================================
+  describe('retention', () => {
+
+    it('forgets alerts that ended before the retention window', () => {
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      archive.recordAlerts([], { now: T0 + HOUR });
+      archive.recordAlerts([], { now: T0 + 8 * 24 * HOUR });
+
+      expect(archive.alerts.size).toBe(0);
+    });
+
+    it('keeps the last old gauge change as a baseline', () => {
+      archive.recordGauges([createGauge('SKGW1', 'minor')], T0);
+      archive.recordGauges([createGauge('SKGW1', 'no_flooding')], T0 + HOUR);
+      archive.recordGauges([createGauge('SKGW1', 'no_flooding')], T0 + 8 * 24 * HOUR);
+
+      expect(archive.gauges.get('SKGW1').changes).toEqual([{ time: T0 + HOUR, category: 'no_flooding' }]);
+    });
+  });
+
+  // ==========================================
+  // Persistence (4 tests)
+  // ==========================================
+  describe('persistence', () => {
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('moves a localStorage archive into IndexedDB', async () => {
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      archive.flush();
+
+      const backend = createMemoryBackend();
+      const migrated = new AlertArchive({ storageKey: 'test_archive' });
+      expect(await migrated.init({ backend })).toBe(true);
+      await Promise.resolve();
+
+      expect(localStorage.getItem('test_archive')).toBeNull();
+      const reloaded = new AlertArchive({ storageKey: 'test_archive' });
+      await reloaded.init({ backend });
+      expect(reloaded.getStartTime()).toBe(T0);
+    });
+
+    it('keeps an archive larger than any cache budget', async () => {
+      const backend = createMemoryBackend();
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      const json = JSON.stringify(archive.toJSON());
+      backend.rows.set('archive', { key: 'archive', json, expiry: null, dataClass: 'archive', size: 500 * 1024 * 1024, lastAccess: 0 });
+
+      const reloaded = new AlertArchive({ storageKey: 'other_archive' });
+      await reloaded.init({ backend });
+
+      expect(reloaded.getStartTime()).toBe(T0);
+      expect(backend.delete).not.toHaveBeenCalled();
+      expect(backend.rows.has('archive')).toBe(true);
+    });
+
+    it('skips the write when a poll changes nothing', async () => {
+      const backend = createMemoryBackend();
+      await archive.init({ backend });
+
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      archive.flush();
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 + HOUR });
+      archive.recordGauges([createGauge('SKGW1', 'minor')], T0 + HOUR);
+      archive.recordGauges([createGauge('SKGW1', 'minor')], T0 + 2 * HOUR);
+      archive.flush();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(backend.put).toHaveBeenCalledTimes(2);
+    });
+
+    it('writes changes at most once per save interval', () => {
+      vi.useFakeTimers();
+      archive = new AlertArchive({ storageKey: 'test_archive', saveIntervalMs: 60000 });
+      localStorage.setItem.mockClear();
+      const writes = () => localStorage.setItem.mock.calls.filter(([key]) => key === 'test_archive').length;
+
+      archive.recordAlerts([createAlert('msg-1')], { now: T0 });
+      vi.advanceTimersByTime(0);
+      archive.recordAlerts([createAlert('msg-2')], { now: T0 + HOUR });
+      archive.recordAlerts([createAlert('msg-3')], { now: T0 + 2 * HOUR });
+      vi.advanceTimersByTime(30000);
+      expect(writes()).toBe(1);
+
+      vi.advanceTimersByTime(30000);
+      expect(writes()).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * alertLifecycle.js Unit Tests
+ * Tests for CAP Update / Cancel / references chain tracking
+ *
+ * Critical path: a cancelled warning must disappear immediately
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  AlertLifecycleStore,
+  alertLifecycleStore
+} from '@services/alertLifecycle';
+
+vi.mock('@utils/logger', () => ({
+  alertsLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const NOW = Date.parse('2025-01-03T20:00:00Z');
+
+// Helper to create a CAP message entry
+function createMessage(identifier, msgType = 'Alert', references = [], overrides = {}) {
+  return {
+    id: identifier,
+    identifier,
+    msgType,
+    references,
+    sent: '2025-01-03T18:00:00Z',
+    expires: '2025-01-04T06:00:00Z',
+    event: 'Winter Storm Warning',
+    headline: `${msgType} ${identifier}`,
+    severity: 'WARNING',
+    ...overrides
+  };
+}
+
+describe('alertLifecycle', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AlertLifecycleStore();
+  });
+
+  // ==========================================
+  // Update Chains (6 tests)
+  // ==========================================
+  describe('update chains', () => {
+
+    it('passes standalone alerts through unchanged', () => {
+      const result = store.ingest([createMessage('a'), createMessage('b')], NOW);
+      expect(result.map(a => a.id)).toEqual(['a', 'b']);
+      expect(result[0].history).toEqual([]);
+    });
+
+    it('keeps only the newest message of an update chain', () => {
+      const result = store.ingest([
+        createMessage('a'),
+        createMessage('b', 'Update', ['a'], { sent: '2025-01-03T19:00:00Z' })
+      ], NOW);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].id).toBe('b');
+      expect(result[0].supersedes).toEqual(['a']);
+    });
+
+    it('collapses multi-step chains with history oldest first', () => {
+      const result = store.ingest([
+        createMessage('c', 'Update', ['b'], { sent: '2025-01-03T19:30:00Z' }),
+        createMessage('a', 'Alert', [], { sent: '2025-01-03T18:00:00Z' }),
+        createMessage('b', 'Update', ['a'], { sent: '2025-01-03T19:00:00Z' })
+      ], NOW);
+
+      expect(result.map(a => a.id)).toEqual(['c']);
+      expect(result[0].history.map(h => h.identifier)).toEqual(['a', 'b']);
+    });
+
+    it('remembers history after older messages leave the feed', () => {
+      store.ingest([createMessage('a')], NOW);
+      const result = store.ingest([
+        createMessage('b', 'Update', ['a'], { sent: '2025-01-03T19:00:00Z' })
+      ], NOW);
+
+      expect(result[0].history).toHaveLength(1);
+      expect(result[0].history[0]).toMatchObject({ identifier: 'a', msgType: 'Alert' });
+    });
+
+    it('records unknown referenced messages by identifier', () => {
+      const result = store.ingest([createMessage('b', 'Update', ['unseen'])], NOW);
+      expect(result[0].history).toEqual([{ identifier: 'unseen' }]);
+    });
+
+    it('keeps every area entry of the current message', () => {
+      const result = store.ingest([
+        { ...createMessage('a'), id: 'a-0' },
+        { ...createMessage('a'), id: 'a-1' },
+        { ...createMessage('b', 'Update', ['a']), id: 'b-0' }
+      ], NOW);
+
+      expect(result.map(a => a.id)).toEqual(['b-0']);
+    });
+  });
+
+  // ==========================================
+  // Cancellations (5 tests)
+  // ==========================================
+  describe('cancellations', () => {
+
+    it('removes a cancelled alert immediately', () => {
+      const result = store.ingest([
+        createMessage('a'),
+        createMessage('x', 'Cancel', ['a'])
+      ], NOW);
+
+      expect(result).toEqual([]);
+    });
+
+    it('removes the whole chain when the latest update is cancelled', () => {
+      const result = store.ingest([
+        createMessage('a'),
+        createMessage('b', 'Update', ['a']),
+        createMessage('x', 'Cancel', ['b'])
+      ], NOW);
+
+      expect(result).toEqual([]);
+      expect(store.isCancelled('a')).toBe(true);
+      expect(store.isCancelled('b')).toBe(true);
+    });
+
+    it('keeps cancelled alerts suppressed in later polls', () => {
+      store.ingest([createMessage('a'), createMessage('x', 'Cancel', ['a'])], NOW);
+      const result = store.ingest([createMessage('a')], NOW);
+
+      expect(result).toEqual([]);
+    });
+
+    it('does not report active alerts as cancelled', () => {
+      store.ingest([createMessage('a')], NOW);
+      expect(store.isCancelled('a')).toBe(false);
+    });
+
+    it('matches msgType case-insensitively', () => {
+      const result = store.ingest([
+        createMessage('a'),
+        createMessage('x', 'CANCEL', ['a'])
+      ], NOW);
+
+      expect(result).toEqual([]);
+    });
+  });
+
+  // ==========================================
+  // Pruning (4 tests)
+  // ==========================================
+  describe('pruning', () => {
+
+    it('forgets messages a day after they expire', () => {
+      store.ingest([createMessage('a')], NOW);
+      store.prune(Date.parse('2025-01-05T07:00:00Z'));
+
+      expect(store.messages.has('a')).toBe(false);
+    });
+
+    it('keeps messages within the retention window', () => {
+      store.ingest([createMessage('a')], NOW);
+      store.prune(Date.parse('2025-01-04T07:00:00Z'));
+
+      expect(store.messages.has('a')).toBe(true);
+    });
+
+    it('drops supersede links of pruned messages', () => {
+      store.ingest([
+        createMessage('a'),
+        createMessage('x', 'Cancel', ['a'], { expires: '2025-01-03T20:00:00Z' })
+      ], NOW);
+      store.prune(Date.parse('2025-01-04T21:00:00Z'));
+
+      expect(store.supersededBy.has('a')).toBe(false);
+    });
+
+    it('reset clears all state', () => {
+      store.ingest([createMessage('a'), createMessage('x', 'Cancel', ['a'])], NOW);
+      store.reset();
+
+      expect(store.messages.size).toBe(0);
+      expect(store.isCancelled('a')).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Singleton (1 test)
+  // ==========================================
+  describe('singleton store', () => {
+
+    it('exports a shared store instance', () => {
+      expect(alertLifecycleStore).toBeInstanceOf(AlertLifecycleStore);
+    });
+  });
+});
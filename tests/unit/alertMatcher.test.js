@@ -6,7 +6,7 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { matchAlertsToTribes, getAlertsForTribe } from '@services/alertMatcher';
+import { matchAlertsToTribes, getAlertsForTribe, getAlertCoverage } from '@services/alertMatcher';
 import {
   mockTribalBoundaries,
   mockTestPoints,
@@ -695,6 +695,68 @@ describe('alertMatcher', () => {
     });
   });
 
+  // ==========================================
+  // Polygon Overlap and Coverage (6 tests)
+  // ==========================================
+  describe('polygon overlap and coverage', () => {
+
+    // Lummi is [-122.75, 48.72] to [-122.55, 48.88]; center is [-122.65, 48.80]
+    const lummi = () => mockTribalBoundaries.features.find(f => f.properties.NAME === 'Lummi Reservation');
+
+    const easternHalfAlert = () => createAlert('east', 'WARNING', [
+      [-122.65, 48.60],
+      [-122.40, 48.60],
+      [-122.40, 49.00],
+      [-122.65, 49.00],
+      [-122.65, 48.60]
+    ]);
+
+    it('matches an alert covering part of the Tribe but not its center', () => {
+      const alert = createAlert('edge', 'WARNING', [
+        [-122.60, 48.60],
+        [-122.40, 48.60],
+        [-122.40, 49.00],
+        [-122.60, 49.00],
+        [-122.60, 48.60]
+      ]);
+
+      const result = matchAlertsToTribes([alert], mockTribalBoundaries);
+      expect(result['5300100']).toBe('WARNING');
+    });
+
+    it('reports the percentage of Tribal land covered', () => {
+      const [match] = getAlertsForTribe([easternHalfAlert()], lummi());
+      expect(match.coverage).toBeCloseTo(50, 0);
+    });
+
+    it('reports 100% coverage for alerts containing the Tribe', () => {
+      const [match] = getAlertsForTribe([createAlert('all', 'WATCH', mockComplexPolygons.stateWide[0])], lummi());
+      expect(match.coverage).toBe(100);
+    });
+
+    it('does not mutate the input alerts', () => {
+      const alert = easternHalfAlert();
+      getAlertsForTribe([alert], lummi());
+      expect(alert.coverage).toBeUndefined();
+    });
+
+    it('getAlertCoverage reports unaffected Tribes', () => {
+      const farAway = createAlert('far', 'WARNING', [
+        [-130.0, 45.0], [-129.0, 45.0], [-129.0, 46.0], [-130.0, 46.0], [-130.0, 45.0]
+      ]);
+      expect(getAlertCoverage(farAway, lummi())).toEqual({ affected: false, coverage: 0 });
+    });
+
+    it('falls back to the center point when the Tribe has no boundary', () => {
+      const pointOnly = {
+        type: 'Feature',
+        properties: { NAME: 'Point Only', INTPTLAT: '+48.80', INTPTLON: '-122.50' },
+        geometry: null
+      };
+      expect(getAlertCoverage(easternHalfAlert(), pointOnly)).toEqual({ affected: true, coverage: null });
+    });
+  });
+
   // ==========================================
   // Bounding Box Optimization (3 tests)
   // ==========================================
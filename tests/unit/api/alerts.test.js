@@ -8,6 +8,8 @@
  * - Severity mapping
  * - Error handling
  * - CORS and caching
+ * - Full pipeline (no alert cap, pagination, NDJSON streaming)
+ * - Bundled zone index with capped NWS zone fallback
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
@@ -18,6 +20,8 @@ import {
   mockNWSAlert,
   mockNWSAlertExtreme
 } from '../../mocks/nwsAlerts';
+import { mockZoneIndex, mockNWSZones } from '../../mocks/zones';
+import handler, { loadZoneIndex, setZoneIndex } from '../../../api/alerts.js';
 
 // Mock fetch globally
 const mockFetch = vi.fn();
@@ -460,4 +464,207 @@ describe('api/alerts', () => {
     });
   });
 
+  // ==========================================
+  // Handler Pipeline (6 tests)
+  // ==========================================
+  describe('handler pipeline', () => {
+
+    // Minimal Vercel-style response object with streaming support
+    function createMockRes() {
+      const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        chunks: [],
+        setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+        status: vi.fn((code) => { res.statusCode = code; return res; }),
+        json: vi.fn((body) => { res.body = body; return res; }),
+        write: vi.fn((chunk) => { res.chunks.push(chunk); return true; }),
+        end: vi.fn(() => res)
+      };
+      return res;
+    }
+
+    function createFeatures(count, overrides = {}) {
+      return Array.from({ length: count }, (_, i) => ({
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[-122, 47], [-121, 47], [-121, 48], [-122, 47]]] },
+        properties: { ...mockNWSAlert, id: `urn:oid:test-${i}`, ...overrides }
+      }));
+    }
+
+    function jsonResponse(data) {
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) });
+    }
+
+    const req = (query = {}, headers = {}) => ({
+      method: 'GET',
+      query,
+      headers: { origin: 'http://localhost:5173', ...headers }
+    });
+
+    it('returns every alert without a 50-alert cap', async () => {
+      mockFetch.mockImplementation(() => jsonResponse({ features: createFeatures(120) }));
+      const res = createMockRes();
+
+      await handler(req(), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(120);
+      expect(res.body.alerts).toHaveLength(120);
+    });
+
+    it('follows pagination links', async () => {
+      const next = 'https://api.weather.gov/alerts/active?area=WA,OR,ID&cursor=2';
+      mockFetch.mockImplementation((url) => url === next
+        ? jsonResponse({ features: createFeatures(2).map(f => ({ ...f, properties: { ...f.properties, id: `${f.properties.id}-p2` } })) })
+        : jsonResponse({ features: createFeatures(3), pagination: { next } }));
+      const res = createMockRes();
+
+      await handler(req(), res);
+
+      expect(res.body.count).toBe(5);
+    });
+
+    it('bounds concurrent zone lookups', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      mockFetch.mockImplementation(async (url) => {
+        if (url.includes('/alerts/active')) {
+          return jsonResponse({
+            features: createFeatures(40).map((f, i) => ({
+              ...f,
+              geometry: null,
+              properties: { ...f.properties, affectedZones: [`https://api.weather.gov/zones/forecast/ORZ${String(100 + i)}`] }
+            }))
+          });
+        }
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+        return jsonResponse({ geometry: { type: 'Polygon', coordinates: [[[-122, 44], [-121, 44], [-121, 45], [-122, 44]]] } });
+      });
+      const res = createMockRes();
+
+      await handler(req(), res);
+
+      expect(res.body.count).toBe(40);
+      expect(res.body.alerts.every(a => a.geometry)).toBe(true);
+      expect(maxInFlight).toBeLessThanOrEqual(8);
+    });
+
+    it('streams NDJSON when requested', async () => {
+      mockFetch.mockImplementation(() => jsonResponse({ features: createFeatures(3) }));
+      const res = createMockRes();
+
+      await handler(req({ stream: '1' }), res);
+
+      const lines = res.chunks.join('').trim().split('\n').map(l => JSON.parse(l));
+      expect(res.headers['Content-Type']).toContain('application/x-ndjson');
+      expect(lines[0]).toMatchObject({ type: 'meta', total: 3 });
+      expect(lines.filter(l => l.type === 'alert')).toHaveLength(3);
+      expect(lines[lines.length - 1]).toMatchObject({ type: 'done', count: 3 });
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('streams when the Accept header asks for NDJSON', async () => {
+      mockFetch.mockImplementation(() => jsonResponse({ features: createFeatures(1) }));
+      const res = createMockRes();
+
+      await handler(req({}, { accept: 'application/x-ndjson' }), res);
+
+      expect(res.json).not.toHaveBeenCalled();
+      expect(res.chunks.length).toBe(3);
+    });
+
+    it('returns an uncached 500 when NWS fails before streaming starts', async () => {
+      mockFetch.mockImplementation(() => Promise.resolve({ ok: false, status: 503 }));
+      const res = createMockRes();
+
+      await handler(req({ stream: '1' }), res);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.headers['Cache-Control']).toBe('no-store');
+      expect(res.headers['Content-Type']).toBeUndefined();
+      expect(res.write).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================
+  // Zone Index (3 tests)
+  // ==========================================
+  describe('zone index', () => {
+
+    const ZONE_URL = 'https://api.weather.gov/zones/forecast';
+
+    function zoneAlert(zoneIds) {
+      return {
+        type: 'Feature',
+        geometry: null,
+        properties: { ...mockNWSAlert, affectedZones: zoneIds.map(id => `${ZONE_URL}/${id}`) }
+      };
+    }
+
+    function mockZoneFetches(features) {
+      mockFetch.mockImplementation((url) => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(url.includes('/alerts/active')
+          ? { features }
+          : { geometry: mockNWSZones[0].geometry })
+      }));
+    }
+
+    const zoneCalls = () => mockFetch.mock.calls.filter(([url]) => url.includes('/zones/'));
+
+    const req = { method: 'GET', query: {}, headers: { origin: 'http://localhost:5173' } };
+
+    function createMockRes() {
+      const res = {
+        statusCode: 200,
+        headers: {},
+        setHeader: vi.fn(),
+        status: vi.fn((code) => { res.statusCode = code; return res; }),
+        json: vi.fn((body) => { res.body = body; return res; })
+      };
+      return res;
+    }
+
+    afterEach(() => {
+      setZoneIndex(null);
+    });
+
+    it('resolves indexed zones without calling the zone API', async () => {
+      setZoneIndex(mockZoneIndex);
+      mockZoneFetches([zoneAlert(['WAZ001', 'WAZ002', 'WAZ003', 'WAZ004'])]);
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(zoneCalls()).toHaveLength(0);
+      expect(res.body.alerts[0].geometry.type).toBe('MultiPolygon');
+      expect(res.body.alerts[0].geometry.coordinates).toHaveLength(4);
+    });
+
+    it('caps zone API fetches per alert for zones missing from the index', async () => {
+      setZoneIndex(mockZoneIndex);
+      mockZoneFetches([zoneAlert(['WAZ001', 'IDZ501', 'IDZ502', 'IDZ503', 'IDZ504', 'IDZ505'])]);
+      const res = createMockRes();
+
+      await handler(req, res);
+
+      expect(zoneCalls()).toHaveLength(3);
+      expect(res.body.alerts[0].geometry.coordinates).toHaveLength(4);
+    });
+
+    it('falls back to an empty index when the file is unreadable', () => {
+      const index = loadZoneIndex('/nonexistent/nws-zones.json');
+
+      expect(index.zones.forecast).toEqual({});
+    });
+  });
+
 });
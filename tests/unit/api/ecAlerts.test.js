@@ -0,0 +1,346 @@
+/**
+ * api/ec-alerts.js Unit Tests
+ * Tests for the Environment Canada CAP aggregation function
+ *
+ * Tests cover:
+ * - CAP XML parsing (api/_utils/capParser.js)
+ * - Severity mapping
+ * - Datamart directory crawling
+ * - Error handling and input validation
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  mockECCAPXml,
+  mockECCAPXmlEnded,
+  mockDatamartStationListing,
+  mockDatamartHourListing
+} from '../../mocks/ecAlerts';
+import {
+  decodeXmlText,
+  getElements,
+  getText,
+  parseECPolygon,
+  combineGeometries,
+  mapECSeverity,
+  parseECCAPFile,
+  REGION_BOUNDS
+} from '../../../api/_utils/capParser.js';
+import handler from '../../../api/ec-alerts.js';
+
+// Mock fetch globally
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => ({
+  ecAlertsLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+// Minimal Vercel-style response object
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; }),
+    send: vi.fn((body) => { res.body = body; return res; }),
+    end: vi.fn(() => res)
+  };
+  return res;
+}
+
+function createMockReq(query = {}, method = 'GET') {
+  return { method, query, headers: { origin: 'http://localhost:5173' } };
+}
+
+function textResponse(text) {
+  return Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(text) });
+}
+
+describe('api/ec-alerts', () => {
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    vi.stubEnv('VERCEL_ENV', 'development');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  // ==========================================
+  // XML Helpers (5 tests)
+  // ==========================================
+  describe('XML helpers', () => {
+
+    it('decodes named and numeric entities', () => {
+      expect(decodeXmlText('Snow &amp; wind &lt;5&gt; -5&#176;C &#xB0;')).toBe('Snow & wind <5> -5°C °');
+    });
+
+    it('unwraps CDATA sections', () => {
+      expect(decodeXmlText('<![CDATA[a & b]]>')).toBe('a & b');
+    });
+
+    it('matches namespaced and attributed elements', () => {
+      const xml = '<cap:area id="1"><cap:areaDesc>One</cap:areaDesc></cap:area><area><areaDesc>Two</areaDesc></area>';
+      expect(getElements(xml, 'area')).toHaveLength(2);
+    });
+
+    it('returns the first element text trimmed', () => {
+      expect(getText('<event>\n  wind  \n</event><event>rain</event>', 'event')).toBe('wind');
+    });
+
+    it('returns empty string for missing elements', () => {
+      expect(getText('<alert></alert>', 'headline')).toBe('');
+    });
+  });
+
+  // ==========================================
+  // Geometry Parsing (4 tests)
+  // ==========================================
+  describe('geometry parsing', () => {
+
+    it('converts lat,lon pairs to GeoJSON lon,lat', () => {
+      const geom = parseECPolygon('49.2,-123.2 49.3,-123.2 49.3,-123.0 49.2,-123.2');
+      expect(geom.type).toBe('Polygon');
+      expect(geom.coordinates[0][0]).toEqual([-123.2, 49.2]);
+    });
+
+    it('closes open polygons', () => {
+      const geom = parseECPolygon('49.2,-123.2 49.3,-123.2 49.3,-123.0');
+      const ring = geom.coordinates[0];
+      expect(ring[ring.length - 1]).toEqual(ring[0]);
+    });
+
+    it('returns null for fewer than three points', () => {
+      expect(parseECPolygon('49.2,-123.2 49.3,-123.2')).toBeNull();
+    });
+
+    it('combines multiple polygons into a MultiPolygon', () => {
+      const a = parseECPolygon('49,-123 50,-123 50,-122');
+      const b = parseECPolygon('51,-120 52,-120 52,-119');
+      const combined = combineGeometries([a, null, b]);
+      expect(combined.type).toBe('MultiPolygon');
+      expect(combined.coordinates).toHaveLength(2);
+    });
+  });
+
+  // ==========================================
+  // Severity Mapping (5 tests)
+  // ==========================================
+  describe('severity mapping', () => {
+
+    it('maps warning type to WARNING', () => {
+      expect(mapECSeverity('warning', 'winter storm')).toBe('WARNING');
+    });
+
+    it('escalates life-threatening warnings to EMERGENCY', () => {
+      expect(mapECSeverity('warning', 'tornado')).toBe('EMERGENCY');
+      expect(mapECSeverity('warning', 'extreme cold')).toBe('EMERGENCY');
+    });
+
+    it('maps watch and advisory types', () => {
+      expect(mapECSeverity('watch', 'severe thunderstorm')).toBe('WATCH');
+      expect(mapECSeverity('advisory', 'fog')).toBe('ADVISORY');
+    });
+
+    it('falls back to the event name suffix when type is missing', () => {
+      expect(mapECSeverity(undefined, 'rainfall warning')).toBe('WARNING');
+      expect(mapECSeverity('', 'special weather statement')).toBe('STATEMENT');
+    });
+
+    it('defaults unknown types to STATEMENT', () => {
+      expect(mapECSeverity('unknown', 'something')).toBe('STATEMENT');
+    });
+  });
+
+  // ==========================================
+  // CAP File Parsing (9 tests)
+  // ==========================================
+  describe('parseECCAPFile', () => {
+
+    it('emits one alert per English area', () => {
+      const alerts = parseECCAPFile(mockECCAPXml, 'BC');
+      expect(alerts).toHaveLength(2);
+      expect(alerts.map(a => a.id)).toEqual([
+        'urn:oid:2.49.0.1.124.1234567890.2025-0',
+        'urn:oid:2.49.0.1.124.1234567890.2025-1'
+      ]);
+    });
+
+    it('ignores French info blocks', () => {
+      const alerts = parseECCAPFile(mockECCAPXml, 'BC');
+      expect(alerts.every(a => a.headline === 'winter storm warning in effect')).toBe(true);
+    });
+
+    it('produces the /api/alerts shape', () => {
+      const [alert] = parseECCAPFile(mockECCAPXml, 'BC');
+      expect(alert).toMatchObject({
+        event: 'winter storm',
+        severity: 'WARNING',
+        nwsSeverity: 'Moderate',
+        urgency: 'Expected',
+        certainty: 'Likely',
+        effective: '2025-01-03T18:00:00-00:00',
+        expires: '2025-01-04T06:00:00-00:00',
+        areaDesc: 'Greater Vancouver, BC',
+        senderName: 'Environment Canada',
+        isCanadian: true,
+        province: 'BC',
+        measurementSystem: 'metric'
+      });
+    });
+
+    it('strips ### markers and decodes entities in description', () => {
+      const [alert] = parseECCAPFile(mockECCAPXml, 'BC');
+      expect(alert.description).not.toContain('###');
+      expect(alert.description).toContain('Snow & blowing snow');
+      expect(alert.description).toContain('-5°C');
+    });
+
+    it('uses explicit area polygons when present', () => {
+      const [alert] = parseECCAPFile(mockECCAPXml, 'BC');
+      expect(alert.geometry.coordinates[0][0]).toEqual([-123.2, 49.2]);
+    });
+
+    it('falls back to region bounding boxes without polygons', () => {
+      const alerts = parseECCAPFile(mockECCAPXml, 'BC');
+      const bounds = REGION_BOUNDS['Fraser Valley'];
+      expect(alerts[1].geometry.coordinates[0][0]).toEqual([bounds.minLon, bounds.minLat]);
+    });
+
+    it('reports ended alerts as cancellations', () => {
+      const alerts = parseECCAPFile(mockECCAPXmlEnded, 'BC');
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].msgType).toBe('Cancel');
+      expect(alerts[0].references).toContain('urn:oid:2.49.0.1.124.wind.2025');
+    });
+
+    it('includes lifecycle fields', () => {
+      const [alert] = parseECCAPFile(mockECCAPXml, 'BC');
+      expect(alert.identifier).toBe('urn:oid:2.49.0.1.124.1234567890.2025');
+      expect(alert.msgType).toBe('Alert');
+      expect(alert.references).toBe('');
+    });
+
+    it('returns empty array for invalid input', () => {
+      expect(parseECCAPFile('', 'BC')).toEqual([]);
+      expect(parseECCAPFile('<html>not cap</html>', 'BC')).toEqual([]);
+      expect(parseECCAPFile(null, 'BC')).toEqual([]);
+    });
+  });
+
+  // ==========================================
+  // Handler (8 tests)
+  // ==========================================
+  describe('handler', () => {
+
+    // Route Datamart URLs to fixtures: station listings, hour listings, CAP files
+    function mockDatamart({ failCAP = false, downStations = [] } = {}) {
+      mockFetch.mockImplementation((url) => {
+        if (downStations.some(station => url.includes(`/${station}/`))) {
+          return Promise.reject(new TypeError('fetch failed'));
+        }
+        if (url.endsWith('.cap')) {
+          return failCAP
+            ? Promise.resolve({ ok: false, status: 404 })
+            : textResponse(mockECCAPXml);
+        }
+        if (/\/\d{2}\/$/.test(url)) return textResponse(mockDatamartHourListing);
+        return textResponse(mockDatamartStationListing);
+      });
+    }
+
+    it('returns parsed alerts for BC and AB', async () => {
+      mockDatamart();
+      const res = createMockRes();
+
+      await handler(createMockReq({ date: '20250103' }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.provinces).toEqual(['BC', 'AB']);
+      expect(res.body.date).toBe('20250103');
+      expect(res.body.files).toEqual({ BC: 2, AB: 2 });
+      expect(res.body.alerts.every(a => a.isCanadian)).toBe(true);
+      expect(res.body.count).toBe(res.body.alerts.length);
+    });
+
+    it('deduplicates alerts seen in multiple files', async () => {
+      mockDatamart();
+      const res = createMockRes();
+
+      await handler(createMockReq({ date: '20250103' }), res);
+
+      const ids = res.body.alerts.map(a => a.id);
+      expect(new Set(ids).size).toBe(ids.length);
+      // Same CAP served for both provinces; BC parsed first wins
+      expect(res.body.alerts.every(a => a.province === 'BC')).toBe(true);
+    });
+
+    it('returns an empty list when CAP files cannot be fetched', async () => {
+      mockDatamart({ failCAP: true });
+      const res = createMockRes();
+
+      await handler(createMockReq({ date: '20250103' }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.alerts).toEqual([]);
+    });
+
+    it('reports provinces whose Datamart listing is unreachable', async () => {
+      mockDatamart({ downStations: ['CWNT'] });
+      const res = createMockRes();
+
+      await handler(createMockReq({ date: '20250103' }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.unreachable).toEqual(['AB']);
+      expect(res.body.files).toEqual({ BC: 2, AB: 0 });
+    });
+
+    it('returns 502 instead of an empty list when the Datamart is down', async () => {
+      mockDatamart({ downStations: ['CWVR', 'CWNT'] });
+      const res = createMockRes();
+
+      await handler(createMockReq({ date: '20250103' }), res);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body.error).toBe('MSC Datamart unavailable');
+    });
+
+    it('lists CAP file URLs for a station', async () => {
+      mockDatamart();
+      const res = createMockRes();
+
+      await handler(createMockReq({ type: 'list', station: 'CWNT', date: '20250103' }), res);
+
+      expect(res.body.station).toBe('CWNT');
+      expect(res.body.files[0]).toMatch(/^https:\/\/dd\.weather\.gc\.ca\/alerts\/cap\/20250103\/CWNT\/18\//);
+    });
+
+    it('rejects file proxy requests outside the Datamart', async () => {
+      const res = createMockRes();
+
+      await handler(createMockReq({ type: 'file', file: 'https://example.com/evil.cap' }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('rejects non-GET methods', async () => {
+      const res = createMockRes();
+
+      await handler(createMockReq({}, 'POST'), res);
+
+      expect(res.statusCode).toBe(405);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * api/_utils/hydrometric.js Unit Tests
+ * Tests for Water Survey of Canada stations in the river gauge function
+ *
+ * Tests cover:
+ * - Station names and request URLs
+ * - Normalization into the gauge shape with ft/kcfs units
+ * - Merging stations into /api/rivers alongside NWPS gauges
+ * - Caching station readings between calls, with a request timeout
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mockNWPSResponseWA, mockWSCRealtime, mockWSCRealtimeEmpty } from '../../mocks/rivers';
+import {
+  WSC_STATIONS,
+  getStationUrl,
+  formatStationName,
+  normalizeWSCStation
+} from '../../../api/_utils/hydrometric.js';
+import handler, { clearStationCache } from '../../../api/rivers.js';
+
+// Mock fetch globally
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => ({
+  riversLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+// Minimal Vercel-style response object
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; }),
+    end: vi.fn(() => res)
+  };
+  return res;
+}
+
+function createMockReq(method = 'GET') {
+  return { method, query: {}, headers: { origin: 'http://localhost:5173' } };
+}
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+}
+
+const isWSC = (url) => url.startsWith('https://api.weather.gc.ca/');
+
+describe('api/_utils/hydrometric', () => {
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    clearStationCache();
+    vi.stubEnv('VERCEL_ENV', 'development');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+  });
+
+  // ==========================================
+  // Stations (3 tests)
+  // ==========================================
+  describe('stations', () => {
+
+    it('covers the Fraser, Skeena and Bow rivers', () => {
+      const rivers = WSC_STATIONS.map(station => station.river);
+
+      expect(rivers).toEqual(expect.arrayContaining(['Fraser', 'Skeena', 'Bow']));
+      expect(WSC_STATIONS.every(station => /^\d{2}[A-Z]{2}\d{3}$/.test(station.id))).toBe(true);
+    });
+
+    it('requests only the latest reading', () => {
+      expect(getStationUrl('08MF005')).toBe(
+        'https://api.weather.gc.ca/collections/hydrometric-realtime/items?f=json&STATION_NUMBER=08MF005&sortby=-DATETIME&limit=1'
+      );
+    });
+
+    it('formats upper-case station names', () => {
+      expect(formatStationName('FRASER RIVER AT HOPE')).toBe('Fraser River at Hope');
+      expect(formatStationName('SKEENA RIVER ABOVE BABINE RIVER NEAR HAZELTON'))
+        .toBe('Skeena River above Babine River near Hazelton');
+    });
+  });
+
+  // ==========================================
+  // Normalization (3 tests)
+  // ==========================================
+  describe('normalizeWSCStation', () => {
+
+    it('returns the gauge shape with the WSC source', () => {
+      const gauge = normalizeWSCStation(mockWSCRealtime.features[0]);
+
+      expect(gauge).toMatchObject({
+        id: '08MF005',
+        name: 'Fraser River at Hope',
+        state: 'BC',
+        lat: 49.3814,
+        lng: -121.4542,
+        forecast: { level: null, floodCategory: 'not_defined' },
+        downstreamLid: null,
+        source: 'WSC'
+      });
+      expect(gauge.observed.floodCategory).toBe('not_defined');
+      expect(gauge.observed.validTime).toBe('2025-01-07T12:00:00Z');
+    });
+
+    it('converts level and discharge to NWPS units, keeping the metric reading', () => {
+      const { observed } = normalizeWSCStation(mockWSCRealtime.features[0]);
+
+      expect(observed).toMatchObject({ level: 11.48, unit: 'ft', flow: 35.315, flowUnit: 'kcfs' });
+      expect(observed.original).toEqual({ level: 3.5, unit: 'm', flow: 1000, flowUnit: 'm³/s' });
+    });
+
+    it('handles missing readings and locations', () => {
+      const feature = mockWSCRealtime.features[0];
+      const levelOnly = normalizeWSCStation({ ...feature, properties: { ...feature.properties, DISCHARGE: null } });
+
+      expect(levelOnly.observed.flow).toBeNull();
+      expect(levelOnly.observed.original.flow).toBeNull();
+      expect(normalizeWSCStation({ ...feature, geometry: null })).toBeNull();
+      expect(normalizeWSCStation(undefined)).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // /api/rivers (6 tests)
+  // ==========================================
+  describe('rivers handler', () => {
+
+    it('adds Canadian stations to the NWPS gauges', async () => {
+      mockFetch.mockImplementation((url) => jsonResponse(
+        isWSC(url) ? (url.includes('08MF005') ? mockWSCRealtime : mockWSCRealtimeEmpty) : mockNWPSResponseWA
+      ));
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(200);
+      const canadian = res.body.gauges.filter(g => g.source === 'WSC');
+      expect(canadian.map(g => g.id)).toEqual(['08MF005']);
+      expect(res.body.gauges.filter(g => g.source === 'NWPS').length).toBeGreaterThan(0);
+      expect(res.body.provinces).toEqual(['BC', 'AB']);
+      expect(mockFetch).toHaveBeenCalledTimes(3 + WSC_STATIONS.length);
+    });
+
+    it('keeps NWPS gauges when WSC is unavailable', async () => {
+      mockFetch.mockImplementation((url) => (
+        isWSC(url) ? Promise.reject(new Error('network down')) : jsonResponse(mockNWPSResponseWA)
+      ));
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.gauges.length).toBeGreaterThan(0);
+      expect(res.body.gauges.every(g => g.source === 'NWPS')).toBe(true);
+    });
+
+    it('skips stations that return an error', async () => {
+      mockFetch.mockImplementation((url) => (
+        isWSC(url) ? jsonResponse({}, 503) : jsonResponse({ gauges: [] })
+      ));
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.gauges).toEqual([]);
+      expect(res.body.summary.total).toBe(0);
+    });
+
+    it('reuses station readings between calls', async () => {
+      mockFetch.mockImplementation((url) => jsonResponse(isWSC(url) ? mockWSCRealtime : { gauges: [] }));
+
+      await handler(createMockReq(), createMockRes());
+      const res = createMockRes();
+      await handler(createMockReq(), res);
+
+      const wscCalls = mockFetch.mock.calls.filter(([url]) => isWSC(url));
+      expect(wscCalls).toHaveLength(WSC_STATIONS.length);
+      expect(res.body.gauges.filter(g => g.source === 'WSC')).toHaveLength(WSC_STATIONS.length);
+    });
+
+    it('keeps the last reading when a station fails after it expires', async () => {
+      vi.useFakeTimers({ now: Date.UTC(2025, 0, 7, 12), toFake: ['Date'] });
+      mockFetch.mockImplementation((url) => jsonResponse(isWSC(url) ? mockWSCRealtime : { gauges: [] }));
+      await handler(createMockReq(), createMockRes());
+
+      vi.setSystemTime(Date.UTC(2025, 0, 7, 12, 15));
+      mockFetch.mockImplementation((url) => (
+        isWSC(url) ? Promise.reject(new Error('network down')) : jsonResponse({ gauges: [] })
+      ));
+      const res = createMockRes();
+      await handler(createMockReq(), res);
+
+      expect(mockFetch.mock.calls.filter(([url]) => isWSC(url))).toHaveLength(2 * WSC_STATIONS.length);
+      expect(res.body.gauges).toHaveLength(WSC_STATIONS.length);
+    });
+
+    it('bounds each station request with a timeout', async () => {
+      mockFetch.mockImplementation((url) => jsonResponse(isWSC(url) ? mockWSCRealtimeEmpty : { gauges: [] }));
+
+      await handler(createMockReq(), createMockRes());
+
+      const [, options] = mockFetch.mock.calls.find(([url]) => isWSC(url));
+      expect(options.signal).toBeInstanceOf(AbortSignal);
+    });
+  });
+});
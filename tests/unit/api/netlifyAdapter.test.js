@@ -0,0 +1,164 @@
+/**
+ * netlify/lib/vercelAdapter.js Unit Tests
+ * Tests for running the api/ handlers as Netlify Functions
+ *
+ * Tests cover:
+ * - Request mapping (method, headers, query, JSON body)
+ * - Response mapping (status, headers, JSON and streamed bodies)
+ * - The Netlify ec-alerts function returning parsed alerts
+ * - The scheduled push dispatch function authorizing itself
+ * - The hydrograph function reading the gauge id from the path
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { toNetlifyHandler } from '../../../netlify/lib/vercelAdapter.js';
+import { handler as ecAlertsFunction } from '../../../netlify/functions/ec-alerts.js';
+import { handler as pushDispatchFunction } from '../../../netlify/functions/push-dispatch.js';
+import { handler as riverHydrographFunction } from '../../../netlify/functions/river-hydrograph.js';
+import { mockNWPSGaugeDetail, mockNWPSStageflow } from '../../mocks/rivers';
+
+// Mock fetch globally
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => {
+  const logger = () => ({
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  });
+  return { ecAlertsLogger: logger(), alertsLogger: logger(), pushLogger: logger(), riversLogger: logger() };
+});
+
+function createEvent(overrides = {}) {
+  return {
+    httpMethod: 'GET',
+    path: '/api/test',
+    headers: { Origin: 'http://localhost:5173' },
+    queryStringParameters: {},
+    body: null,
+    ...overrides
+  };
+}
+
+describe('vercelAdapter', () => {
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+  });
+
+  // ==========================================
+  // toNetlifyHandler (3 tests)
+  // ==========================================
+  describe('toNetlifyHandler', () => {
+
+    it('passes the request through in Vercel form', async () => {
+      const handler = vi.fn((req, res) => res.status(201).json({ ok: true }));
+
+      await toNetlifyHandler(handler)(createEvent({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', Origin: 'http://localhost:5173' },
+        queryStringParameters: { lid: 'SQUW1' },
+        body: '{"endpoint":"https://push.example/1"}'
+      }));
+
+      const [req] = handler.mock.calls[0];
+      expect(req.method).toBe('POST');
+      expect(req.headers.origin).toBe('http://localhost:5173');
+      expect(req.query).toEqual({ lid: 'SQUW1' });
+      expect(req.body).toEqual({ endpoint: 'https://push.example/1' });
+    });
+
+    it('returns status, headers and a JSON body', async () => {
+      const result = await toNetlifyHandler((req, res) => {
+        res.setHeader('Cache-Control', 's-maxage=60');
+        return res.status(404).json({ error: 'Not found' });
+      })(createEvent());
+
+      expect(result.statusCode).toBe(404);
+      expect(result.headers).toMatchObject({ 'Cache-Control': 's-maxage=60', 'Content-Type': 'application/json' });
+      expect(JSON.parse(result.body)).toEqual({ error: 'Not found' });
+    });
+
+    it('buffers streamed writes into one body', async () => {
+      const result = await toNetlifyHandler((req, res) => {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.write('{"a":1}\n');
+        res.write('{"b":2}\n');
+        res.end();
+      })(createEvent());
+
+      expect(result.statusCode).toBe(200);
+      expect(result.body).toBe('{"a":1}\n{"b":2}\n');
+    });
+  });
+
+  // ==========================================
+  // Netlify ec-alerts (1 test)
+  // ==========================================
+  describe('ec-alerts function', () => {
+
+    it('returns parsed alerts like /api/ec-alerts', async () => {
+      // No alerts issued yet today at either station
+      mockFetch.mockResolvedValue({ ok: false, status: 404, text: () => Promise.resolve('') });
+
+      const result = await ecAlertsFunction(createEvent({ path: '/api/ec-alerts' }));
+      const body = JSON.parse(result.body);
+
+      expect(result.statusCode).toBe(200);
+      expect(body.alerts).toEqual([]);
+      expect(body.provinces).toEqual(['BC', 'AB']);
+    });
+  });
+
+  // ==========================================
+  // Netlify push-dispatch (2 tests)
+  // ==========================================
+  describe('push-dispatch function', () => {
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('passes the cron check with the configured secret', async () => {
+      vi.stubEnv('CRON_SECRET', 'cron-secret');
+      vi.stubEnv('VAPID_PUBLIC_KEY', '');
+      vi.stubEnv('VAPID_PRIVATE_KEY', '');
+
+      // Scheduled invocations are POSTs with the next run time
+      const result = await pushDispatchFunction(createEvent({ httpMethod: 'POST', headers: {}, body: '{"next_run":"2026-10-18T12:05:00Z"}' }));
+
+      // Past the auth check, stopped by the missing VAPID keys
+      expect(result.statusCode).toBe(503);
+    });
+
+    it('still refuses to run without CRON_SECRET', async () => {
+      vi.stubEnv('CRON_SECRET', '');
+
+      const result = await pushDispatchFunction(createEvent({ headers: {} }));
+
+      expect(result.statusCode).toBe(500);
+    });
+  });
+
+  // ==========================================
+  // Netlify river-hydrograph (1 test)
+  // ==========================================
+  describe('river-hydrograph function', () => {
+
+    it('takes the gauge id from /api/rivers/:lid', async () => {
+      mockFetch.mockImplementation((url) => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(url.endsWith('/stageflow') ? mockNWPSStageflow : mockNWPSGaugeDetail)
+      }));
+
+      const result = await riverHydrographFunction(createEvent({ path: '/api/rivers/squw1' }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockFetch).toHaveBeenCalledWith('https://api.water.noaa.gov/nwps/v1/gauges/SQUW1', expect.any(Object));
+    });
+  });
+});
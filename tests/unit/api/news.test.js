@@ -0,0 +1,319 @@
+/**
+ * api/news.js Unit Tests
+ * Tests for the news bulletin aggregation function
+ *
+ * Tests cover:
+ * - Feed parsing (api/_utils/feedParser.js) against recorded feeds
+ * - Category and urgency classification
+ * - Source configuration (NEWS_FEEDS)
+ * - Deduplication, caching and partial failures
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  mockECWarningAtom,
+  mockECNoWarningsAtom,
+  mockNWSAFDListing,
+  mockNWSAFDProduct,
+  mockTribalEMRss,
+  mockTribalCAPAlert
+} from '../../mocks/newsFeeds';
+import {
+  DEFAULT_NEWS_SOURCES,
+  getNewsSources,
+  toPlainText,
+  parseFeed,
+  getProductSynopsis,
+  normalizeNewsItem,
+  dedupeNewsItems
+} from '../../../api/_utils/feedParser.js';
+import handler, { clearNewsCache } from '../../../api/news.js';
+
+// Mock fetch globally
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => ({
+  newsLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+// Minimal Vercel-style response object
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; }),
+    end: vi.fn(() => res)
+  };
+  return res;
+}
+
+function createMockReq(method = 'GET') {
+  return { method, query: {}, headers: { origin: 'http://localhost:5173' } };
+}
+
+const TRIBAL_FEEDS = JSON.stringify([
+  { id: 'tribe-em', name: 'Tribal EM', url: 'https://em.example-tribe.org/feed' },
+  { id: 'tribe-cap', name: 'Tribal EM', url: 'https://em.example-tribe.org/cap.xml' }
+]);
+
+// Recorded upstreams by URL; anything else has no AFDs
+const RECORDED = {
+  'https://api.weather.gov/products/types/AFD/locations/SEW': mockNWSAFDListing,
+  [`https://api.weather.gov/products/${mockNWSAFDProduct.id}`]: mockNWSAFDProduct,
+  'https://weather.gc.ca/rss/warning/bc-74_e.xml': mockECWarningAtom,
+  'https://weather.gc.ca/rss/warning/bc-85_e.xml': mockECNoWarningsAtom,
+  'https://em.example-tribe.org/feed': mockTribalEMRss,
+  'https://em.example-tribe.org/cap.xml': mockTribalCAPAlert
+};
+
+function recordedFetch(url) {
+  const body = RECORDED[url] ?? { '@graph': [] };
+  return Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(body)
+  });
+}
+
+const source = (overrides = {}) => ({ id: 'test', name: 'Test Feed', category: 'community', ...overrides });
+
+describe('api/news', () => {
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    mockFetch.mockImplementation(recordedFetch);
+    clearNewsCache();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-07T02:00:00Z'));
+    vi.stubEnv('VERCEL_ENV', 'development');
+    vi.stubEnv('NEWS_FEEDS', '');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+  });
+
+  // ==========================================
+  // Feed Parsing (5 tests)
+  // ==========================================
+  describe('feed parsing', () => {
+
+    it('parses Atom entries with their alternate link', () => {
+      const [entry] = parseFeed(mockECWarningAtom);
+
+      expect(entry).toMatchObject({
+        title: 'SPECIAL WEATHER STATEMENT IN EFFECT, Metro Vancouver',
+        url: 'https://weather.gc.ca/warnings/report_e.html?bc14',
+        timestamp: '2025-01-06T16:12:00.000Z'
+      });
+      expect(entry.summary).toContain('Atmospheric river');
+    });
+
+    it('parses RSS items and strips their markup', () => {
+      const items = parseFeed(mockTribalEMRss);
+
+      expect(items).toHaveLength(4);
+      expect(items[0]).toMatchObject({
+        guid: 'em-2025-0106-1',
+        url: 'https://em.example-tribe.org/news/sandbags',
+        timestamp: '2025-01-06T17:30:00.000Z'
+      });
+      expect(toPlainText(items[0].summary)).toBe(
+        'Self-serve sandbags are available for community members ahead of this week’s rain.'
+      );
+    });
+
+    it('parses CAP alerts with urgency and severity', () => {
+      expect(parseFeed(mockTribalCAPAlert)).toEqual([{
+        guid: 'TRIBE-EM-2025-0007',
+        title: 'River Road closed by high water',
+        summary: 'River Road is closed between Mile 2 and Mile 4. Use the upper road.',
+        url: 'https://em.example-tribe.org/alerts/2025-0007',
+        timestamp: '2025-01-07T02:05:00.000Z',
+        urgency: 'Immediate',
+        severity: 'Severe'
+      }]);
+    });
+
+    it('takes the synopsis of a forecast discussion', () => {
+      expect(toPlainText(getProductSynopsis(mockNWSAFDProduct.productText))).toBe(
+        'A warm front will lift north across Western Washington today with rain spreading inland. ' +
+        'Snow levels rise above 6000 feet tonight as an atmospheric river takes aim at the Olympics and North Cascades.'
+      );
+    });
+
+    it('shortens long summaries at a word boundary', () => {
+      const summary = toPlainText('word '.repeat(100));
+
+      expect(summary.length).toBeLessThanOrEqual(280);
+      expect(summary.endsWith('word…')).toBe(true);
+    });
+  });
+
+  // ==========================================
+  // Normalization (4 tests)
+  // ==========================================
+  describe('normalizeNewsItem', () => {
+
+    it('normalizes to the NewsCard shape', () => {
+      const item = normalizeNewsItem(parseFeed(mockTribalEMRss)[1], source());
+
+      expect(item).toEqual({
+        id: 'test:em-2025-0105-1',
+        title: 'Emergency shelter open at the Community Center',
+        summary: 'The Community Center is open as a warming shelter & will stay open overnight.',
+        source: 'Test Feed',
+        timestamp: '2025-01-05T22:00:00.000Z',
+        category: 'community',
+        urgent: true,
+        url: 'https://em.example-tribe.org/news/shelter'
+      });
+    });
+
+    it('files river and flood bulletins under flood', () => {
+      const [sandbags] = parseFeed(mockTribalEMRss);
+      const [statement] = parseFeed(mockECWarningAtom);
+
+      expect(normalizeNewsItem(sandbags, source()).category).toBe('flood');
+      expect(normalizeNewsItem(statement, source({ category: 'weather' }))).toMatchObject({
+        category: 'flood',
+        urgent: false
+      });
+    });
+
+    it('marks immediate, severe CAP alerts urgent', () => {
+      const [alert] = parseFeed(mockTribalCAPAlert);
+
+      expect(normalizeNewsItem(alert, source()).urgent).toBe(true);
+      expect(normalizeNewsItem({ ...alert, urgency: 'Future' }, source()).urgent).toBe(false);
+    });
+
+    it('skips "no watches or warnings" placeholders and undated entries', () => {
+      const [placeholder] = parseFeed(mockECNoWarningsAtom);
+
+      expect(normalizeNewsItem(placeholder, source())).toBeNull();
+      expect(normalizeNewsItem({ title: 'Undated', timestamp: null }, source())).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Sources and Deduplication (3 tests)
+  // ==========================================
+  describe('sources and deduplication', () => {
+
+    it('adds NEWS_FEEDS sources to the defaults', () => {
+      const sources = getNewsSources(TRIBAL_FEEDS);
+
+      expect(sources).toHaveLength(DEFAULT_NEWS_SOURCES.length + 2);
+      expect(sources.at(-1)).toEqual({
+        id: 'tribe-cap',
+        name: 'Tribal EM',
+        url: 'https://em.example-tribe.org/cap.xml',
+        format: undefined,
+        category: 'community'
+      });
+    });
+
+    it('ignores malformed NEWS_FEEDS entries', () => {
+      expect(getNewsSources('not json')).toBe(DEFAULT_NEWS_SOURCES);
+      expect(getNewsSources(JSON.stringify([{ id: 'x', name: 'X', url: 'http://insecure.example' }])))
+        .toEqual(DEFAULT_NEWS_SOURCES);
+    });
+
+    it('keeps the newest copy of a repeated bulletin, newest first', () => {
+      const items = parseFeed(mockTribalEMRss).map(entry => normalizeNewsItem(entry, source()));
+      const unique = dedupeNewsItems(items);
+
+      expect(unique.map(item => item.id)).toEqual([
+        'test:em-2025-0106-1',
+        'test:em-2025-0105-1',
+        'test:em-2024-1001-1'
+      ]);
+    });
+  });
+
+  // ==========================================
+  // Handler (5 tests)
+  // ==========================================
+  describe('handler', () => {
+
+    it('aggregates every source, newest first', async () => {
+      vi.stubEnv('NEWS_FEEDS', TRIBAL_FEEDS);
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.items.map(item => item.title)).toEqual([
+        'River Road closed by high water',
+        'Sandbags available at the Public Works yard',
+        'SPECIAL WEATHER STATEMENT IN EFFECT, Metro Vancouver',
+        'Area Forecast Discussion',
+        'Emergency shelter open at the Community Center'
+      ]);
+      expect(res.body.items[3]).toMatchObject({
+        source: 'NWS Seattle',
+        url: 'https://forecast.weather.gov/product.php?site=SEW&issuedby=SEW&product=AFD'
+      });
+      expect(res.body.failed).toEqual([]);
+      expect(res.headers['Cache-Control']).toContain('s-maxage=600');
+    });
+
+    it('serves the cached aggregate until it expires', async () => {
+      await handler(createMockReq(), createMockRes());
+      const calls = mockFetch.mock.calls.length;
+
+      await handler(createMockReq(), createMockRes());
+      expect(mockFetch).toHaveBeenCalledTimes(calls);
+
+      vi.setSystemTime(new Date('2025-01-07T02:11:00Z'));
+      await handler(createMockReq(), createMockRes());
+      expect(mockFetch.mock.calls.length).toBeGreaterThan(calls);
+    });
+
+    it('reports failing sources without failing the response', async () => {
+      mockFetch.mockImplementation((url) => (
+        url.includes('weather.gc.ca')
+          ? Promise.resolve({ ok: false, status: 503 })
+          : recordedFetch(url)
+      ));
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.failed).toEqual(['ec-bc-vancouver', 'ec-bc-victoria']);
+      expect(res.body.items).toHaveLength(1);
+    });
+
+    it('returns 502 when every source fails', async () => {
+      mockFetch.mockRejectedValue(new Error('network down'));
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(502);
+    });
+
+    it('rejects non-GET requests', async () => {
+      const res = createMockRes();
+
+      await handler(createMockReq('POST'), res);
+
+      expect(res.statusCode).toBe(405);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+});
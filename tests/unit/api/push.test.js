@@ -0,0 +1,265 @@
+/**
+ * api/push.js Unit Tests
+ * Tests for the Web Push subscription serverless function and its store
+ *
+ * Tests cover:
+ * - File store persistence
+ * - Store selection and the Redis REST store
+ * - CORS allowlist enforcement
+ * - VAPID public key endpoint
+ * - Registration validation, upsert and revocation
+ */
+
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { FilePushStore, KvPushStore, getPushStore, setPushStore } from '../../../api/_utils/pushStore.js';
+import handler from '../../../api/push.js';
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => ({
+  pushLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const ENDPOINT = 'https://push.example.com/send/abc123';
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; }),
+    end: vi.fn(() => res)
+  };
+  return res;
+}
+
+const req = (method, body, origin = 'http://localhost:5173') => ({
+  method,
+  body,
+  query: {},
+  headers: origin ? { origin } : {}
+});
+
+const registration = (extra = {}) => ({
+  subscription: { endpoint: ENDPOINT, keys: { p256dh: 'p256dh-key', auth: 'auth-secret' } },
+  nations: [{ id: '5300100', name: 'Lummi Reservation', lat: 48.8, lon: -122.65 }],
+  regions: ['WA'],
+  ...extra
+});
+
+describe('api/push', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    vi.stubEnv('VERCEL_ENV', 'development');
+    dir = await mkdtemp(path.join(os.tmpdir(), 'push-store-'));
+    store = new FilePushStore(path.join(dir, 'push-store.json'));
+    setPushStore(store);
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+    setPushStore(null);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  // ==========================================
+  // FilePushStore (2 tests)
+  // ==========================================
+  describe('FilePushStore', () => {
+
+    it('persists subscriptions and state across instances', async () => {
+      await store.saveSubscription({ endpoint: ENDPOINT, nations: [] });
+      await store.setState('dispatch', { messages: { 'msg-1': { rank: 2 } } });
+
+      const reopened = new FilePushStore(store.filePath);
+      expect(await reopened.getSubscription(ENDPOINT)).toEqual({ endpoint: ENDPOINT, nations: [] });
+      expect(await reopened.getState('dispatch')).toEqual({ messages: { 'msg-1': { rank: 2 } } });
+      expect(JSON.parse(await readFile(store.filePath, 'utf8')).subscriptions[ENDPOINT]).toBeDefined();
+    });
+
+    it('starts empty and reports missing removals', async () => {
+      expect(await store.listSubscriptions()).toEqual([]);
+      expect(await store.getState('dispatch')).toBeNull();
+      expect(await store.removeSubscription(ENDPOINT)).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Store Selection (4 tests)
+  // ==========================================
+  describe('getPushStore', () => {
+
+    beforeEach(() => {
+      setPushStore(null);
+      vi.stubEnv('PUSH_STORE_PATH', '');
+    });
+
+    it('refuses an ephemeral file store on serverless hosts', () => {
+      vi.stubEnv('VERCEL', '1');
+      vi.stubEnv('PUSH_STORE', 'file');
+
+      expect(() => getPushStore()).toThrow(/not persistent on serverless hosts/);
+    });
+
+    it('requires REST credentials for the KV store', () => {
+      vi.stubEnv('PUSH_STORE', 'kv');
+      vi.stubEnv('KV_REST_API_URL', '');
+      vi.stubEnv('UPSTASH_REDIS_REST_URL', '');
+
+      expect(() => getPushStore()).toThrow(/KV_REST_API_URL/);
+    });
+
+    it('keeps subscriptions in a Redis hash over REST', async () => {
+      vi.stubEnv('VERCEL', '1');
+      vi.stubEnv('PUSH_STORE', 'kv');
+      vi.stubEnv('KV_REST_API_URL', 'https://kv.example.com/');
+      vi.stubEnv('KV_REST_API_TOKEN', 'kv-token');
+      const mockFetch = vi.fn()
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ result: 1 }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ result: [JSON.stringify({ endpoint: ENDPOINT })] }) });
+      vi.stubGlobal('fetch', mockFetch);
+
+      const kv = getPushStore();
+      await kv.saveSubscription({ endpoint: ENDPOINT });
+
+      expect(kv).toBeInstanceOf(KvPushStore);
+      expect(await kv.listSubscriptions()).toEqual([{ endpoint: ENDPOINT }]);
+      expect(mockFetch.mock.calls[0][0]).toBe('https://kv.example.com');
+      expect(mockFetch.mock.calls[0][1].headers.Authorization).toBe('Bearer kv-token');
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual(['HSET', 'push:subscriptions', ENDPOINT, JSON.stringify({ endpoint: ENDPOINT })]);
+    });
+
+    it('retries a KV state update that lost a race', async () => {
+      const kvResult = (result) => ({ ok: true, json: () => Promise.resolve({ result }) });
+      const mockFetch = vi.fn()
+        .mockResolvedValueOnce(kvResult('{"count":1}'))
+        .mockResolvedValueOnce(kvResult(0))
+        .mockResolvedValueOnce(kvResult('{"count":2}'))
+        .mockResolvedValueOnce(kvResult(1));
+      vi.stubGlobal('fetch', mockFetch);
+      const kv = new KvPushStore({ url: 'https://kv.example.com', token: 'kv-token' });
+
+      const value = await kv.updateState('telemetry', current => ({ count: current.count + 1 }));
+
+      expect(value).toEqual({ count: 3 });
+      expect(mockFetch).toHaveBeenCalledTimes(4);
+      expect(JSON.parse(mockFetch.mock.calls[3][1].body).slice(3)).toEqual(['push:state:telemetry', '{"count":2}', '{"count":3}']);
+    });
+  });
+
+  // ==========================================
+  // CORS and Key Endpoint (3 tests)
+  // ==========================================
+  describe('CORS and public key', () => {
+
+    it('rejects origins outside the allowlist', async () => {
+      const res = createMockRes();
+      await handler(req('POST', registration(), 'https://evil.example.com'), res);
+
+      expect(res.statusCode).toBe(403);
+      expect(await store.listSubscriptions()).toEqual([]);
+    });
+
+    it('returns the VAPID public key', async () => {
+      vi.stubEnv('VAPID_PUBLIC_KEY', 'public-key');
+      vi.stubEnv('VAPID_PRIVATE_KEY', 'private-key');
+      const res = createMockRes();
+
+      await handler(req('GET'), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ publicKey: 'public-key' });
+      expect(res.headers['Access-Control-Allow-Origin']).toBe('http://localhost:5173');
+    });
+
+    it('returns 503 when push is not configured', async () => {
+      vi.stubEnv('VAPID_PUBLIC_KEY', '');
+      const res = createMockRes();
+
+      await handler(req('GET'), res);
+      expect(res.statusCode).toBe(503);
+    });
+  });
+
+  // ==========================================
+  // Registration (10 tests)
+  // ==========================================
+  describe('registration', () => {
+
+    it('registers a subscription', async () => {
+      const res = createMockRes();
+      await handler(req('POST', registration()), res);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toMatchObject({ subscribed: true, nations: ['5300100'], regions: ['WA'] });
+
+      const saved = await store.getSubscription(ENDPOINT);
+      expect(saved.nations[0]).toEqual({ id: '5300100', name: 'Lummi Reservation', lat: 48.8, lon: -122.65 });
+      expect(saved.minSeverity).toBe('STATEMENT');
+      expect(saved.createdAt).toBeDefined();
+    });
+
+    it('updates an existing subscription in place', async () => {
+      await handler(req('POST', registration()), createMockRes());
+      const { createdAt } = await store.getSubscription(ENDPOINT);
+
+      const res = createMockRes();
+      await handler(req('POST', registration({ regions: ['BC'], minSeverity: 'WARNING' })), res);
+
+      expect(res.statusCode).toBe(200);
+      const saved = await store.getSubscription(ENDPOINT);
+      expect(saved).toMatchObject({ regions: ['BC'], minSeverity: 'WARNING', createdAt });
+      expect(await store.listSubscriptions()).toHaveLength(1);
+    });
+
+    it('accepts JSON string bodies', async () => {
+      const res = createMockRes();
+      await handler(req('POST', JSON.stringify(registration())), res);
+
+      expect(res.statusCode).toBe(201);
+    });
+
+    it.each([
+      ['non-https endpoints', { subscription: { endpoint: 'http://push.example.com', keys: { p256dh: 'a', auth: 'b' } } }],
+      ['missing keys', { subscription: { endpoint: ENDPOINT } }],
+      ['unknown regions', { regions: ['CA'] }],
+      ['unknown severities', { minSeverity: 'SEVERE' }],
+      ['empty selections', { nations: [], regions: [] }]
+    ])('rejects %s', async (_, override) => {
+      const res = createMockRes();
+      await handler(req('POST', registration(override)), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBeDefined();
+    });
+
+    it('revokes a subscription', async () => {
+      await handler(req('POST', registration()), createMockRes());
+      const res = createMockRes();
+
+      await handler(req('DELETE', { endpoint: ENDPOINT }), res);
+
+      expect(res.body).toEqual({ removed: true });
+      expect(await store.getSubscription(ENDPOINT)).toBeNull();
+    });
+
+    it('rejects unsupported methods', async () => {
+      const res = createMockRes();
+      await handler(req('PUT', {}), res);
+
+      expect(res.statusCode).toBe(405);
+    });
+  });
+});
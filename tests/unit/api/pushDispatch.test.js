@@ -0,0 +1,307 @@
+/**
+ * api/_utils/pushDispatch.js Unit Tests
+ * Tests for the scheduled push fan-out
+ *
+ * Tests cover:
+ * - Diffing alerts against the previous run
+ * - Matching alerts to subscribed Nations and regions
+ * - Sending, failure counting and expired subscription cleanup
+ * - Cron secret enforcement in the /api/push-dispatch handler
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import { mockTribalBoundaries } from '../../mocks/zones';
+import { setTribalLands } from '../../../api/_utils/tribalLands.js';
+import {
+  getAlertRegions,
+  diffAlerts,
+  matchTargets,
+  buildPushPayload,
+  runDispatch
+} from '../../../api/_utils/pushDispatch.js';
+import handler from '../../../api/push-dispatch.js';
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => {
+  const logger = () => ({
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  });
+  return { pushLogger: logger(), alertsLogger: logger(), ecAlertsLogger: logger() };
+});
+
+// Polygon over the Lummi Reservation only
+const LUMMI_POLYGON = {
+  type: 'Polygon',
+  coordinates: [[[-122.8, 48.7], [-122.5, 48.7], [-122.5, 48.86], [-122.8, 48.86], [-122.8, 48.7]]]
+};
+
+const NOW = Date.UTC(2025, 0, 15, 12);
+
+function createAlert(id, severity, extra = {}) {
+  return {
+    id,
+    identifier: id,
+    msgType: 'Alert',
+    references: [],
+    event: 'Flood Watch',
+    headline: 'Flood Watch for Whatcom County',
+    severity,
+    ugcCodes: ['WAZ001'],
+    geometry: LUMMI_POLYGON,
+    ...extra
+  };
+}
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    setHeader: vi.fn(),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; })
+  };
+  return res;
+}
+
+function createSubscription(endpoint, extra = {}) {
+  return {
+    endpoint,
+    keys: { p256dh: 'key', auth: 'auth' },
+    nations: [{ id: '5300100', name: 'Lummi Reservation', lat: 48.8, lon: -122.65 }],
+    regions: [],
+    minSeverity: 'STATEMENT',
+    ...extra
+  };
+}
+
+// In-memory store with the pushStore interface
+function createStore(subscriptions = []) {
+  const data = { subscriptions: new Map(subscriptions.map(s => [s.endpoint, s])), state: {} };
+  return {
+    data,
+    listSubscriptions: async () => [...data.subscriptions.values()],
+    removeSubscription: async (endpoint) => data.subscriptions.delete(endpoint),
+    getState: async (key) => data.state[key] ?? null,
+    setState: async (key, value) => { data.state[key] = value; }
+  };
+}
+
+describe('api/_utils/pushDispatch', () => {
+
+  beforeEach(() => {
+    setTribalLands(mockTribalBoundaries);
+  });
+
+  afterAll(() => {
+    setTribalLands(null);
+  });
+
+  // ==========================================
+  // diffAlerts (6 tests)
+  // ==========================================
+  describe('diffAlerts', () => {
+
+    it('records a silent baseline on the first run', () => {
+      const { changes, messages } = diffAlerts([createAlert('msg-1', 'WATCH')], null, NOW);
+
+      expect(changes).toEqual([]);
+      expect(messages['msg-1']).toMatchObject({ rank: 2, root: 'msg-1' });
+    });
+
+    it('reports alerts not seen in the last run', () => {
+      const { messages } = diffAlerts([], null, NOW);
+      const { changes } = diffAlerts([createAlert('msg-1', 'WATCH')], messages, NOW);
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ id: 'msg-1', kind: 'new', root: 'msg-1' });
+    });
+
+    it('reports updates that raise the severity of a chain', () => {
+      const first = diffAlerts([createAlert('msg-1', 'WATCH')], null, NOW);
+      const update = createAlert('msg-2', 'WARNING', { msgType: 'Update', references: ['msg-1'] });
+      const { changes } = diffAlerts([update], first.messages, NOW);
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ kind: 'escalated', root: 'msg-1' });
+    });
+
+    it('stays quiet for repeats and downgrades', () => {
+      const first = diffAlerts([createAlert('msg-1', 'WARNING')], null, NOW);
+      const downgrade = createAlert('msg-2', 'WATCH', { msgType: 'Update', references: ['msg-1'] });
+
+      expect(diffAlerts([createAlert('msg-1', 'WARNING')], first.messages, NOW).changes).toEqual([]);
+      expect(diffAlerts([downgrade], first.messages, NOW).changes).toEqual([]);
+    });
+
+    it('groups Canadian per-area entries and reads CAP reference text', () => {
+      const first = diffAlerts([{ ...createAlert('ec-1-0', 'WATCH'), identifier: 'ec-1' }], null, NOW);
+      const areas = [0, 1].map(i => ({
+        ...createAlert(`ec-2-${i}`, 'WARNING'),
+        identifier: 'ec-2',
+        references: 'cap-pac@canada.ca,ec-1,2025-01-15T10:00:00-00:00',
+        province: 'BC'
+      }));
+      const { changes } = diffAlerts(areas, first.messages, NOW);
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ id: 'ec-2', kind: 'escalated', root: 'ec-1' });
+      expect(changes[0].entries).toHaveLength(2);
+    });
+
+    it('ignores cancellations and forgets stale messages', () => {
+      const first = diffAlerts([createAlert('msg-1', 'WATCH')], null, NOW);
+      const cancel = createAlert('msg-2', 'WATCH', { msgType: 'Cancel', references: ['msg-1'] });
+
+      expect(diffAlerts([cancel], first.messages, NOW).changes).toEqual([]);
+      expect(diffAlerts([], first.messages, NOW + 25 * 60 * 60 * 1000).messages).toEqual({});
+    });
+  });
+
+  // ==========================================
+  // Matching (5 tests)
+  // ==========================================
+  describe('matchTargets', () => {
+    const change = (alert) => ({ id: alert.id, root: alert.id, kind: 'new', severity: alert.severity, entries: [alert] });
+
+    it('matches Nations by polygon overlap', () => {
+      const nooksack = { id: '5300200', name: 'Nooksack Reservation', lat: 48.93, lon: -122.3 };
+      const subscription = createSubscription('https://push.example.com/1', {
+        nations: [createSubscription('').nations[0], nooksack]
+      });
+
+      expect(matchTargets(change(createAlert('msg-1', 'WATCH')), subscription))
+        .toEqual([{ id: '5300100', name: 'Lummi Reservation' }]);
+    });
+
+    it('falls back to the community center for Nations without a bundled boundary', () => {
+      const subscription = createSubscription('https://push.example.com/1', {
+        nations: [{ id: 'bc-reserve-1', name: 'Lummi Bay IR', lat: 48.8, lon: -122.65 }]
+      });
+
+      expect(matchTargets(change(createAlert('msg-1', 'WATCH')), subscription)).toHaveLength(1);
+    });
+
+    it('matches regions by UGC state or province', () => {
+      expect(getAlertRegions(createAlert('msg-1', 'WATCH', { ugcCodes: ['WAZ001', 'ORZ002', 'PZZ131'] })))
+        .toEqual(['WA', 'OR']);
+
+      const subscription = createSubscription('https://push.example.com/1', { nations: [], regions: ['BC'] });
+      const bcAlert = createAlert('ec-1', 'WARNING', { ugcCodes: [], province: 'BC' });
+      expect(matchTargets(change(bcAlert), subscription)).toEqual([{ id: 'BC', name: 'BC' }]);
+    });
+
+    it('respects the minimum severity', () => {
+      const subscription = createSubscription('https://push.example.com/1', { minSeverity: 'WARNING' });
+
+      expect(matchTargets(change(createAlert('msg-1', 'WATCH')), subscription)).toEqual([]);
+      expect(matchTargets(change(createAlert('msg-2', 'WARNING')), subscription)).toHaveLength(1);
+    });
+
+    it('builds payloads tagged like in-app notifications', () => {
+      const alert = createAlert('msg-2', 'WARNING', { event: 'Flood Warning' });
+      const payload = buildPushPayload(
+        { id: 'msg-2', root: 'msg-1', kind: 'escalated', severity: 'WARNING', entries: [alert] },
+        { id: '5300100', name: 'Lummi Reservation' }
+      );
+
+      expect(payload).toMatchObject({
+        title: 'Upgraded: Flood Warning – Lummi Reservation',
+        tag: '5300100:msg-1',
+        communityId: '5300100',
+        kind: 'escalated'
+      });
+    });
+  });
+
+  // ==========================================
+  // runDispatch (4 tests)
+  // ==========================================
+  describe('runDispatch', () => {
+
+    it('sends nothing on the baseline run', async () => {
+      const store = createStore([createSubscription('https://push.example.com/1')]);
+      const send = vi.fn();
+
+      const summary = await runDispatch({ store, alerts: [createAlert('msg-1', 'WATCH')], send, now: NOW });
+
+      expect(summary).toMatchObject({ baseline: true, changes: 0, sent: 0 });
+      expect(send).not.toHaveBeenCalled();
+      expect(store.data.state.dispatch.messages['msg-1']).toBeDefined();
+    });
+
+    it('pushes new alerts to matching subscriptions once', async () => {
+      const store = createStore([
+        createSubscription('https://push.example.com/1'),
+        createSubscription('https://push.example.com/2', { nations: [], regions: ['ID'] })
+      ]);
+      const send = vi.fn().mockResolvedValue({ ok: true, statusCode: 201, gone: false });
+
+      await runDispatch({ store, alerts: [], send, now: NOW });
+      const summary = await runDispatch({ store, alerts: [createAlert('msg-1', 'WARNING')], send, now: NOW });
+      await runDispatch({ store, alerts: [createAlert('msg-1', 'WARNING')], send, now: NOW });
+
+      expect(summary).toMatchObject({ changes: 1, sent: 1, failed: 0 });
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].endpoint).toBe('https://push.example.com/1');
+      expect(send.mock.calls[0][2]).toEqual({ urgency: 'high' });
+    });
+
+    it('removes subscriptions the push service reports as gone', async () => {
+      const store = createStore([createSubscription('https://push.example.com/1')]);
+      const send = vi.fn().mockResolvedValue({ ok: false, statusCode: 410, gone: true });
+
+      await runDispatch({ store, alerts: [], send, now: NOW });
+      const summary = await runDispatch({ store, alerts: [createAlert('msg-1', 'WATCH')], send, now: NOW });
+
+      expect(summary.removed).toBe(1);
+      expect(store.data.subscriptions.size).toBe(0);
+    });
+
+    it('counts failed sends without aborting the run', async () => {
+      const store = createStore([
+        createSubscription('https://push.example.com/1'),
+        createSubscription('https://push.example.com/2')
+      ]);
+      const send = vi.fn()
+        .mockRejectedValueOnce(new Error('network down'))
+        .mockResolvedValueOnce({ ok: true, statusCode: 201, gone: false });
+
+      await runDispatch({ store, alerts: [], send, now: NOW });
+      const summary = await runDispatch({ store, alerts: [createAlert('msg-1', 'WATCH')], send, now: NOW });
+
+      expect(summary).toMatchObject({ sent: 1, failed: 1 });
+    });
+  });
+
+  // ==========================================
+  // Handler Authorization (2 tests)
+  // ==========================================
+  describe('push-dispatch handler', () => {
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('refuses to run without CRON_SECRET', async () => {
+      vi.stubEnv('CRON_SECRET', '');
+      const res = createMockRes();
+
+      await handler({ method: 'GET', headers: {}, query: {} }, res);
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ error: 'Push dispatch is not configured' });
+    });
+
+    it('rejects requests without the cron bearer token', async () => {
+      vi.stubEnv('CRON_SECRET', 'cron-secret');
+      const res = createMockRes();
+
+      await handler({ method: 'GET', headers: { authorization: 'Bearer wrong' }, query: {} }, res);
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * api/rivers/[lid].js Unit Tests
+ * Tests for the NWPS gauge hydrograph serverless function
+ *
+ * Tests cover:
+ * - Flood thresholds and stage categories (api/_utils/hydrograph.js)
+ * - Observed/forecast series and crest
+ * - Identifier validation and upstream errors
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mockNWPSGaugeDetail, mockNWPSStageflow } from '../../mocks/rivers';
+import {
+  getFloodThresholds,
+  getStageCategory,
+  findCrest,
+  buildHydrograph
+} from '../../../api/_utils/hydrograph.js';
+import handler from '../../../api/rivers/[lid].js';
+
+// Mock fetch globally
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => ({
+  riversLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+// Minimal Vercel-style response object
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; }),
+    end: vi.fn(() => res)
+  };
+  return res;
+}
+
+function createMockReq(query = {}, method = 'GET') {
+  return { method, query, headers: { origin: 'http://localhost:5173' } };
+}
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+}
+
+const NOW = new Date('2025-01-07T13:00:00Z');
+const thresholds = getFloodThresholds(mockNWPSGaugeDetail);
+
+describe('api/rivers/[lid]', () => {
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    vi.stubEnv('VERCEL_ENV', 'development');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  // ==========================================
+  // Thresholds and Categories (3 tests)
+  // ==========================================
+  describe('flood thresholds', () => {
+
+    it('reads the stage of each flood category', () => {
+      expect(thresholds).toEqual({ action: 24, minor: 28, moderate: 32, major: 35 });
+    });
+
+    it('treats missing thresholds as null', () => {
+      expect(getFloodThresholds({ flood: { categories: { action: { stage: -9999 }, minor: { stage: 12 } } } }))
+        .toEqual({ action: null, minor: 12, moderate: null, major: null });
+      expect(getFloodThresholds({})).toEqual({ action: null, minor: null, moderate: null, major: null });
+    });
+
+    it('categorizes a stage against the thresholds', () => {
+      expect(getStageCategory(20, thresholds)).toBe('no_flooding');
+      expect(getStageCategory(24, thresholds)).toBe('action');
+      expect(getStageCategory(29.4, thresholds)).toBe('minor');
+      expect(getStageCategory(36, thresholds)).toBe('major');
+      expect(getStageCategory(36, getFloodThresholds({}))).toBe('not_defined');
+    });
+  });
+
+  // ==========================================
+  // Hydrograph (3 tests)
+  // ==========================================
+  describe('buildHydrograph', () => {
+
+    it('returns recent observations and the forecast, oldest first', () => {
+      const hydrograph = buildHydrograph(mockNWPSGaugeDetail, mockNWPSStageflow, NOW);
+
+      expect(hydrograph).toMatchObject({
+        id: 'SQUW1',
+        name: 'Skagit River near Mount Vernon',
+        state: 'WA',
+        unit: 'ft',
+        flowUnit: 'kcfs',
+        forecastIssued: '2025-01-07T10:48:00Z'
+      });
+      // 72 hours of history, without missing values
+      expect(hydrograph.observed.map(point => point.stage)).toEqual([19.4, 21.8, 24.6]);
+      expect(hydrograph.observed[0]).toEqual({ time: '2025-01-06T12:00:00Z', stage: 19.4, flow: 41.0 });
+      expect(hydrograph.forecast).toHaveLength(4);
+    });
+
+    it('finds the predicted crest and its category', () => {
+      const { crest } = buildHydrograph(mockNWPSGaugeDetail, mockNWPSStageflow, NOW);
+
+      expect(crest).toEqual({ time: '2025-01-08T00:00:00Z', stage: 29.4, category: 'minor' });
+    });
+
+    it('has no crest without a forecast', () => {
+      const hydrograph = buildHydrograph(mockNWPSGaugeDetail, { observed: mockNWPSStageflow.observed }, NOW);
+
+      expect(hydrograph.forecast).toEqual([]);
+      expect(hydrograph.crest).toBeNull();
+      expect(findCrest([], thresholds)).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Handler (4 tests)
+  // ==========================================
+  describe('handler', () => {
+
+    it('fetches the gauge and its stageflow series', async () => {
+      mockFetch.mockImplementation((url) => jsonResponse(
+        url.endsWith('/stageflow') ? mockNWPSStageflow : mockNWPSGaugeDetail
+      ));
+      const res = createMockRes();
+
+      await handler(createMockReq({ lid: 'squw1' }), res);
+
+      expect(mockFetch).toHaveBeenCalledWith('https://api.water.noaa.gov/nwps/v1/gauges/SQUW1', expect.any(Object));
+      expect(mockFetch).toHaveBeenCalledWith('https://api.water.noaa.gov/nwps/v1/gauges/SQUW1/stageflow', expect.any(Object));
+      expect(res.statusCode).toBe(200);
+      expect(res.body.thresholds).toEqual(thresholds);
+      expect(res.body.crest.stage).toBe(29.4);
+      expect(res.body.timestamp).toBeDefined();
+    });
+
+    it('rejects malformed identifiers without calling NWPS', async () => {
+      const res = createMockRes();
+
+      await handler(createMockReq({ lid: '../gauges' }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for unknown gauges', async () => {
+      mockFetch.mockImplementation(() => jsonResponse({ message: 'not found' }, 404));
+      const res = createMockRes();
+
+      await handler(createMockReq({ lid: 'XXXX1' }), res);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('returns 502 when NWPS fails', async () => {
+      mockFetch.mockRejectedValue(new Error('network down'));
+      const res = createMockRes();
+
+      await handler(createMockReq({ lid: 'SQUW1' }), res);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body.error).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * api/telemetry.js Unit Tests
+ * Tests for the client telemetry endpoint and its aggregation
+ *
+ * Tests cover:
+ * - Event validation and PII scrubbing
+ * - Hourly aggregation, window pruning, key caps and p95 latencies
+ * - Batch ingestion (including concurrent batches) and the admin report's token check
+ * - Dropping batches on hosts without a persistent store
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { FilePushStore, setPushStore } from '../../../api/_utils/pushStore.js';
+import { scrubMessage } from '../../../src/utils/scrub.js';
+import {
+  sanitizeEvent,
+  aggregateEvents,
+  percentile,
+  buildTelemetryReport
+} from '../../../api/_utils/telemetry.js';
+import handler from '../../../api/telemetry.js';
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => ({
+  telemetryLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; }),
+    end: vi.fn(() => res)
+  };
+  return res;
+}
+
+const req = (method, body, headers = { origin: 'http://localhost:5173' }) => ({
+  method,
+  body,
+  query: {},
+  headers
+});
+
+const fetchEvent = (source, ok, durationMs) => ({ type: 'fetch', source, ok, durationMs, status: ok ? 200 : 503 });
+
+describe('api/telemetry', () => {
+
+  // ==========================================
+  // Event Validation (3 tests)
+  // ==========================================
+  describe('sanitizeEvent', () => {
+
+    it('keeps only the aggregated fields', () => {
+      expect(sanitizeEvent({ ...fetchEvent('nws-alerts', true, 120.4), url: 'https://x', userAgent: 'ua' }))
+        .toEqual({ type: 'fetch', source: 'nws-alerts', ok: true, durationMs: 120, status: 200 });
+    });
+
+    it('rejects malformed events', () => {
+      expect(sanitizeEvent({ type: 'fetch', source: 'bad source!', ok: true, durationMs: 1 })).toBeNull();
+      expect(sanitizeEvent({ type: 'fetch', source: 'nws', ok: true, durationMs: -5 })).toBeNull();
+      expect(sanitizeEvent({ type: 'log', level: 'info', context: 'Map', message: 'hi' })).toBeNull();
+      expect(sanitizeEvent({ type: 'page-view' })).toBeNull();
+      expect(sanitizeEvent(null)).toBeNull();
+    });
+
+    it('scrubs URLs, emails, coordinates and ids from messages', () => {
+      expect(scrubMessage('Forecast failed for 47.6062,-122.3321 at https://api.weather.gov/points/47,-122'))
+        .toBe('Forecast failed for <coord>,<coord> at <url>');
+      expect(scrubMessage('Push failed for ops@nation.org (subscription 9f8e7d6c5b4a)'))
+        .toBe('Push failed for <email> (subscription <id>)');
+      expect(scrubMessage('x'.repeat(500))).toHaveLength(160);
+    });
+  });
+
+  // ==========================================
+  // Aggregation (4 tests)
+  // ==========================================
+  describe('aggregation', () => {
+
+    it('computes nearest-rank percentiles', () => {
+      const values = Array.from({ length: 100 }, (_, i) => i + 1);
+      expect(percentile(values, 95)).toBe(95);
+      expect(percentile([300], 95)).toBe(300);
+      expect(percentile([], 95)).toBeNull();
+    });
+
+    it('reports error rates and p95 latency per source', () => {
+      const now = new Date('2026-10-18T14:30:00Z');
+      const events = [
+        ...Array.from({ length: 19 }, (_, i) => fetchEvent('ndbc-buoys', true, 100 + i)),
+        fetchEvent('ndbc-buoys', false, 15000),
+        fetchEvent('nws-alerts', true, 200),
+        { type: 'log', level: 'warn', context: 'Sources', message: 'NDBC buoys request failed' },
+        { type: 'log', level: 'warn', context: 'Sources', message: 'NDBC buoys request failed' }
+      ];
+
+      const report = buildTelemetryReport(aggregateEvents(null, events, now));
+
+      expect(report.sources[0]).toEqual({
+        source: 'ndbc-buoys', requests: 20, errors: 1, errorRate: 0.05, p95LatencyMs: 118
+      });
+      expect(report.sources[1]).toMatchObject({ source: 'nws-alerts', errorRate: 0 });
+      expect(report.logs).toEqual([{
+        context: 'Sources',
+        warn: 2,
+        error: 0,
+        topMessages: [{ message: 'NDBC buoys request failed', count: 2 }]
+      }]);
+    });
+
+    it('drops hours older than the 24 hour window', () => {
+      const first = aggregateEvents(null, [fetchEvent('nws-alerts', false, 50)], new Date('2026-10-17T10:00:00Z'));
+      const second = aggregateEvents(first, [fetchEvent('nws-alerts', true, 50)], new Date('2026-10-18T12:00:00Z'));
+
+      expect(Object.keys(second.hours)).toEqual(['2026-10-18T12']);
+      expect(buildTelemetryReport(second).sources[0]).toMatchObject({ requests: 1, errors: 0 });
+    });
+
+    it('caps the distinct sources and log contexts per hour', () => {
+      const events = Array.from({ length: 60 }, (_, i) => [
+        fetchEvent(`source-${i}`, true, 10),
+        { type: 'log', level: 'error', context: `context-${i}`, message: 'failed' }
+      ]).flat();
+
+      const summary = aggregateEvents(null, events, new Date('2026-10-18T14:30:00Z'));
+      const bucket = summary.hours['2026-10-18T14'];
+
+      expect(Object.keys(bucket.sources)).toHaveLength(40);
+      expect(Object.keys(bucket.logs)).toHaveLength(40);
+
+      // Sources already in the bucket keep counting
+      const next = aggregateEvents(summary, [fetchEvent('source-0', true, 10)], new Date('2026-10-18T14:40:00Z'));
+      expect(next.hours['2026-10-18T14'].sources['source-0'].requests).toBe(2);
+    });
+  });
+
+  // ==========================================
+  // Handler (7 tests)
+  // ==========================================
+  describe('handler', () => {
+    let dir;
+
+    beforeEach(async () => {
+      vi.stubEnv('VERCEL_ENV', 'development');
+      dir = await mkdtemp(path.join(os.tmpdir(), 'telemetry-store-'));
+      setPushStore(new FilePushStore(path.join(dir, 'push-store.json')));
+    });
+
+    afterEach(async () => {
+      vi.unstubAllEnvs();
+      setPushStore(null);
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('aggregates a batch and serves the report', async () => {
+      const post = createMockRes();
+      await handler(req('POST', JSON.stringify({
+        events: [fetchEvent('nws-alerts', true, 80), fetchEvent('nws-alerts', false, 900), { type: 'junk' }]
+      })), post);
+
+      expect(post.statusCode).toBe(202);
+      expect(post.body).toEqual({ accepted: 2 });
+
+      const get = createMockRes();
+      await handler(req('GET'), get);
+
+      expect(get.statusCode).toBe(200);
+      expect(get.body.sources).toEqual([
+        { source: 'nws-alerts', requests: 2, errors: 1, errorRate: 0.5, p95LatencyMs: 900 }
+      ]);
+    });
+
+    it('counts every event from concurrent batches', async () => {
+      const batches = Array.from({ length: 5 }, (_, i) =>
+        handler(req('POST', { events: [fetchEvent('nws-alerts', true, 100 + i)] }), createMockRes())
+      );
+      await Promise.all(batches);
+
+      const get = createMockRes();
+      await handler(req('GET'), get);
+
+      expect(get.body.sources[0]).toMatchObject({ source: 'nws-alerts', requests: 5 });
+    });
+
+    it('rejects oversized and malformed batches', async () => {
+      const tooMany = createMockRes();
+      await handler(req('POST', { events: Array.from({ length: 101 }, () => fetchEvent('a', true, 1)) }), tooMany);
+      expect(tooMany.statusCode).toBe(413);
+
+      const malformed = createMockRes();
+      await handler(req('POST', '{not json'), malformed);
+      expect(malformed.statusCode).toBe(400);
+    });
+
+    it('requires the admin token for the report when one is set', async () => {
+      vi.stubEnv('TELEMETRY_ADMIN_TOKEN', 'secret');
+
+      const denied = createMockRes();
+      await handler(req('GET'), denied);
+      expect(denied.statusCode).toBe(401);
+
+      const allowed = createMockRes();
+      await handler(req('GET', undefined, { authorization: 'Bearer secret' }), allowed);
+      expect(allowed.statusCode).toBe(200);
+    });
+
+    it('does not serve the report in production without a token', async () => {
+      vi.stubEnv('VERCEL_ENV', 'production');
+      const res = createMockRes();
+
+      await handler(req('GET', undefined, {}), res);
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('does not serve the report on other hosts without a token', async () => {
+      // Netlify functions run without VERCEL_ENV
+      vi.stubEnv('VERCEL_ENV', '');
+      const res = createMockRes();
+
+      await handler(req('GET', undefined, {}), res);
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('drops batches on serverless hosts without a persistent store', async () => {
+      vi.stubEnv('VERCEL', '1');
+      vi.stubEnv('PUSH_STORE', '');
+      vi.stubEnv('PUSH_STORE_PATH', '');
+      setPushStore(null);
+
+      const post = createMockRes();
+      await handler(req('POST', { events: [fetchEvent('nws-alerts', true, 80)] }), post);
+
+      expect(post.statusCode).toBe(204);
+      expect(post.end).toHaveBeenCalled();
+
+      const get = createMockRes();
+      await handler(req('GET'), get);
+
+      expect(get.statusCode).toBe(503);
+    });
+  });
+});
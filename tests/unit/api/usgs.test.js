@@ -0,0 +1,173 @@
+/**
+ * api/usgs.js Unit Tests
+ * Tests for the USGS streamflow serverless function
+ *
+ * Tests cover:
+ * - Discharge with percent of median
+ * - Median caching across calls
+ * - Partial and total upstream failures
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mockUSGSInstantaneous, mockUSGSMedianRdb } from '../../mocks/rivers';
+import handler, { loadStreamflow, clearMedianCache } from '../../../api/usgs.js';
+
+// Mock fetch globally
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+// Mock the logger to avoid noise
+vi.mock('../../../api/_utils/logger.js', () => ({
+  usgsLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+// Minimal Vercel-style response object
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader: vi.fn((name, value) => { res.headers[name] = value; }),
+    status: vi.fn((code) => { res.statusCode = code; return res; }),
+    json: vi.fn((body) => { res.body = body; return res; }),
+    end: vi.fn(() => res)
+  };
+  return res;
+}
+
+function createMockReq(method = 'GET') {
+  return { method, query: {}, headers: { origin: 'http://localhost:5173' } };
+}
+
+function upstreamResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(body)
+  });
+}
+
+// WA has sites, OR and ID have none; statistics answer for WA sites
+function mockUSGS({ stats = () => upstreamResponse(mockUSGSMedianRdb) } = {}) {
+  mockFetch.mockImplementation((url) => {
+    if (url.includes('/nwis/stat/')) return stats(url);
+    return upstreamResponse(url.includes('stateCd=wa') ? mockUSGSInstantaneous : { value: { timeSeries: [] } });
+  });
+}
+
+const statCalls = () => mockFetch.mock.calls.filter(([url]) => url.includes('/nwis/stat/'));
+
+// Jan 7 in the Pacific time zone
+const NOW = new Date('2025-01-07T20:00:00Z');
+
+describe('api/usgs', () => {
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    clearMedianCache();
+    vi.stubEnv('VERCEL_ENV', 'development');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  // ==========================================
+  // loadStreamflow (4 tests)
+  // ==========================================
+  describe('loadStreamflow', () => {
+
+    it('adds the day\'s median and percent of median', async () => {
+      mockUSGS();
+
+      const { stations, failed } = await loadStreamflow(NOW);
+
+      expect(failed).toEqual([]);
+      expect(stations.map(s => [s.id, s.median, s.percentOfMedian])).toEqual([
+        ['12205000', 820, 150],
+        ['12507508', 56, 75]
+      ]);
+    });
+
+    it('reuses medians for the same day', async () => {
+      mockUSGS();
+
+      await loadStreamflow(NOW);
+      await loadStreamflow(new Date(NOW.getTime() + 60 * 60 * 1000));
+      expect(statCalls()).toHaveLength(1);
+
+      // Next calendar day in Pacific time
+      await loadStreamflow(new Date('2025-01-08T09:00:00Z'));
+      expect(statCalls()).toHaveLength(2);
+    });
+
+    it('keeps discharge when statistics fail, and retries them', async () => {
+      mockUSGS({ stats: () => upstreamResponse('', 503) });
+
+      const { stations } = await loadStreamflow(NOW);
+
+      expect(stations[0]).toMatchObject({ median: null, percentOfMedian: null });
+      expect(stations[0].observed.flow).toBe(1230);
+
+      await loadStreamflow(NOW);
+      expect(statCalls()).toHaveLength(2);
+    });
+
+    it('reports failed states', async () => {
+      mockFetch.mockImplementation((url) => {
+        if (url.includes('stateCd=id')) return Promise.reject(new Error('network down'));
+        if (url.includes('/nwis/stat/')) return upstreamResponse(mockUSGSMedianRdb);
+        return upstreamResponse(url.includes('stateCd=wa') ? mockUSGSInstantaneous : { value: { timeSeries: [] } });
+      });
+
+      const { stations, failed } = await loadStreamflow(NOW);
+
+      expect(failed).toEqual(['ID']);
+      expect(stations).toHaveLength(2);
+    });
+  });
+
+  // ==========================================
+  // Handler (3 tests)
+  // ==========================================
+  describe('handler', () => {
+
+    it('returns stations with cache headers', async () => {
+      mockUSGS();
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(2);
+      expect(res.body.states).toEqual(['WA', 'OR', 'ID']);
+      expect(res.body.stations[0].source).toBe('USGS');
+      expect(res.headers['Cache-Control']).toContain('s-maxage=900');
+    });
+
+    it('returns 502 when every state fails', async () => {
+      mockFetch.mockRejectedValue(new Error('network down'));
+      const res = createMockRes();
+
+      await handler(createMockReq(), res);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body.error).toBeDefined();
+    });
+
+    it('rejects non-GET requests', async () => {
+      const res = createMockRes();
+
+      await handler(createMockReq('POST'), res);
+
+      expect(res.statusCode).toBe(405);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * api/_utils/webPush.js Unit Tests
+ * Tests for VAPID authentication and aes128gcm payload encryption
+ *
+ * Tests cover:
+ * - VAPID key generation and JWT signing
+ * - RFC 8291 encryption (decrypted here with the browser-side keys)
+ * - Push service responses
+ */
+
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  generateVapidKeys,
+  createVapidAuthorization,
+  encryptPayload,
+  sendPushNotification,
+  fromBase64Url,
+  toBase64Url
+} from '../../../api/_utils/webPush.js';
+
+// Mock fetch globally
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+const ENDPOINT = 'https://push.example.com/send/abc123';
+
+// Browser side of a subscription
+function createUserAgentKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  return {
+    ecdh,
+    authSecret,
+    keys: { p256dh: toBase64Url(ecdh.getPublicKey()), auth: toBase64Url(authSecret) }
+  };
+}
+
+// What the browser does with an aes128gcm push body
+function decrypt(body, { ecdh, authSecret }) {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  // Strip the 0x02 last-record delimiter
+  return plaintext.subarray(0, -1).toString();
+}
+
+describe('api/_utils/webPush', () => {
+  let vapid;
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    vapid = { ...generateVapidKeys(), subject: 'mailto:test@example.org' };
+  });
+
+  // ==========================================
+  // VAPID (2 tests)
+  // ==========================================
+  describe('VAPID', () => {
+
+    it('generates a P-256 key pair', () => {
+      expect(fromBase64Url(vapid.publicKey)).toHaveLength(65);
+      expect(fromBase64Url(vapid.privateKey)).toHaveLength(32);
+    });
+
+    it('signs a JWT for the push service origin', () => {
+      const header = createVapidAuthorization(ENDPOINT, vapid, Date.UTC(2025, 0, 15));
+      const [, token, key] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+      const [encodedHeader, encodedClaims, signature] = token.split('.');
+
+      const claims = JSON.parse(fromBase64Url(encodedClaims).toString());
+      expect(claims.aud).toBe('https://push.example.com');
+      expect(claims.sub).toBe('mailto:test@example.org');
+      expect(key).toBe(vapid.publicKey);
+
+      const publicKey = fromBase64Url(vapid.publicKey);
+      const verifyKey = crypto.createPublicKey({
+        key: {
+          kty: 'EC',
+          crv: 'P-256',
+          x: toBase64Url(publicKey.subarray(1, 33)),
+          y: toBase64Url(publicKey.subarray(33))
+        },
+        format: 'jwk'
+      });
+      const valid = crypto.verify(
+        'sha256',
+        Buffer.from(`${encodedHeader}.${encodedClaims}`),
+        { key: verifyKey, dsaEncoding: 'ieee-p1363' },
+        fromBase64Url(signature)
+      );
+      expect(valid).toBe(true);
+    });
+  });
+
+  // ==========================================
+  // Encryption (2 tests)
+  // ==========================================
+  describe('encryptPayload', () => {
+
+    it('produces a body the subscriber can decrypt', () => {
+      const userAgent = createUserAgentKeys();
+      const payload = JSON.stringify({ title: 'Flood Warning – Lummi Reservation' });
+
+      expect(decrypt(encryptPayload(userAgent.keys, payload), userAgent)).toBe(payload);
+    });
+
+    it('rejects payloads over one record', () => {
+      const { keys } = createUserAgentKeys();
+      expect(() => encryptPayload(keys, 'x'.repeat(5000))).toThrow('too large');
+    });
+  });
+
+  // ==========================================
+  // Sending (2 tests)
+  // ==========================================
+  describe('sendPushNotification', () => {
+
+    it('posts an encrypted, authorized request', async () => {
+      mockFetch.mockResolvedValueOnce({ ok: true, status: 201 });
+      const { keys } = createUserAgentKeys();
+
+      const result = await sendPushNotification({ endpoint: ENDPOINT, keys }, { title: 'Test' }, { vapid, urgency: 'high' });
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe(ENDPOINT);
+      expect(options.headers['Content-Encoding']).toBe('aes128gcm');
+      expect(options.headers['Urgency']).toBe('high');
+      expect(options.headers['Authorization']).toMatch(/^vapid t=/);
+      expect(result).toEqual({ ok: true, statusCode: 201, gone: false });
+    });
+
+    it('reports expired subscriptions as gone', async () => {
+      mockFetch.mockResolvedValueOnce({ ok: false, status: 410 });
+      const { keys } = createUserAgentKeys();
+
+      const result = await sendPushNotification({ endpoint: ENDPOINT, keys }, { title: 'Test' }, { vapid });
+      expect(result.gone).toBe(true);
+    });
+  });
+});
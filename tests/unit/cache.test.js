@@ -233,6 +233,7 @@ describe('cache', () => {
 
     it('exports expected cache keys', () => {
       expect(CACHE_KEYS.ALERTS).toBe('alerts');
+      expect(CACHE_KEYS.ALERTS_US).toBe('alerts_us');
       expect(CACHE_KEYS.RIVERS).toBe('rivers');
       expect(CACHE_KEYS.TRIBAL_DATA).toBe('tribal_data');
       expect(CACHE_KEYS.MARINE_BUOYS).toBe('marine_buoys');
@@ -0,0 +1,275 @@
+/**
+ * dataSources.js Unit Tests
+ * Tests for the declarative data source registry
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  registerDataSource,
+  registerExternalSource,
+  unregisterDataSource,
+  getDataSource,
+  getCachedSourceData,
+  getSourceStatuses,
+  subscribeToSourceStatus,
+  recordSourceSuccess,
+  recordSourceFailure,
+  fetchDataSource
+} from '@services/dataSources';
+import { CircuitBreaker } from '@utils/resilientFetch';
+import { CACHED_AT_HEADER } from '@utils/offline';
+
+// Mock logger
+vi.mock('@utils/logger', () => {
+  const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+  return { default: () => logger, createLogger: () => logger, cacheLogger: logger };
+});
+
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+const jsonResponse = (body, init = {}) => new Response(JSON.stringify(body), {
+  status: 200,
+  headers: { 'Content-Type': 'application/json' },
+  ...init
+});
+
+// No retries or backoff delays in tests
+const NO_RETRY = { maxRetries: 0 };
+
+describe('dataSources', () => {
+  const registered = [];
+
+  const register = (config) => {
+    registered.push(config.id);
+    return registerDataSource({ retry: NO_RETRY, ...config });
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    mockFetch.mockReset();
+  });
+
+  afterEach(() => {
+    registered.splice(0).forEach(unregisterDataSource);
+  });
+
+  // ==========================================
+  // Registration (2 tests)
+  // ==========================================
+  describe('registerDataSource', () => {
+
+    it('applies defaults and gives each source its own breaker', () => {
+      const a = register({ id: 'test-a', url: '/a', parse: r => r.json() });
+      const b = register({ id: 'test-b', url: '/b', parse: r => r.json() });
+
+      expect(getDataSource('test-a')).toBe(a);
+      expect(a.interval).toBeGreaterThan(0);
+      expect(a.circuitBreaker).toBeInstanceOf(CircuitBreaker);
+      expect(a.circuitBreaker).not.toBe(b.circuitBreaker);
+    });
+
+    it('rejects incomplete configurations', () => {
+      expect(() => registerDataSource({ url: '/a', parse: () => null })).toThrow('needs an id');
+      expect(() => registerDataSource({ id: 'test-x', url: '/a' })).toThrow('parse');
+      expect(() => registerDataSource({ id: 'test-x', url: () => '/a', items: () => [], parse: () => null }))
+        .toThrow('combine');
+    });
+  });
+
+  // ==========================================
+  // Fetching (7 tests)
+  // ==========================================
+  describe('fetchDataSource', () => {
+
+    it('parses the response and caches it under the source key', async () => {
+      register({
+        id: 'test-feed',
+        url: ({ region }) => `/api/feed?region=${region}`,
+        parse: async (response) => (await response.json()).items,
+        cacheKey: ({ region }) => `feed_${region}`
+      });
+      mockFetch.mockResolvedValue(jsonResponse({ items: [1, 2] }));
+
+      const result = await fetchDataSource('test-feed', { params: { region: 'PNW' } });
+
+      expect(mockFetch).toHaveBeenCalledWith('/api/feed?region=PNW', expect.any(Object));
+      expect(result).toMatchObject({ data: [1, 2], fromFallback: false, cachedAt: null });
+      expect(getCachedSourceData('test-feed', { region: 'PNW' })).toEqual({ data: [1, 2], timestamp: result.timestamp });
+    });
+
+    it('falls back to the fallback URL and parser', async () => {
+      register({
+        id: 'test-fallback',
+        url: '/api/feed',
+        parse: async () => 'primary',
+        fallbackUrl: 'https://upstream.example/feed',
+        parseFallback: async (response) => (await response.json()).source
+      });
+      mockFetch.mockImplementation(async (url) => (
+        url.startsWith('/api') ? new Response('', { status: 502 }) : jsonResponse({ source: 'upstream' })
+      ));
+
+      const result = await fetchDataSource('test-fallback');
+
+      expect(result.data).toBe('upstream');
+      expect(result.fromFallback).toBe(true);
+    });
+
+    it('drops failed items and combines the rest', async () => {
+      register({
+        id: 'test-stations',
+        items: () => ['a', 'b', 'c'],
+        url: (station) => `/stations/${station}`,
+        parse: async (response, { item }) => ({ id: item, value: (await response.json()).value }),
+        combine: (results) => results.map(r => r.id)
+      });
+      mockFetch.mockImplementation(async (url) => (
+        url.endsWith('/b') ? new Response('', { status: 404 }) : jsonResponse({ value: 1 })
+      ));
+
+      expect((await fetchDataSource('test-stations')).data).toEqual(['a', 'c']);
+    });
+
+    it('fails when every item fails', async () => {
+      register({
+        id: 'test-dead',
+        items: () => ['a', 'b'],
+        url: (station) => `/stations/${station}`,
+        parse: async () => ({}),
+        combine: (results) => results
+      });
+      mockFetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(fetchDataSource('test-dead')).rejects.toThrow('unavailable');
+    });
+
+    it('lets parsers make follow-up requests with the source options', async () => {
+      register({
+        id: 'test-two-step',
+        url: '/points',
+        fetchOptions: { headers: { Accept: 'application/geo+json' } },
+        parse: async (response, { fetch }) => {
+          const { next } = await response.json();
+          return (await (await fetch(next)).json()).value;
+        }
+      });
+      mockFetch
+        .mockResolvedValueOnce(jsonResponse({ next: '/forecast' }))
+        .mockResolvedValueOnce(jsonResponse({ value: 'sunny' }));
+
+      expect((await fetchDataSource('test-two-step')).data).toBe('sunny');
+      expect(mockFetch).toHaveBeenLastCalledWith('/forecast', expect.objectContaining({
+        headers: { Accept: 'application/geo+json' }
+      }));
+    });
+
+    it('keeps the cache time of service worker fallbacks', async () => {
+      register({ id: 'test-offline', url: '/api/feed', parse: r => r.json() });
+      mockFetch.mockResolvedValue(jsonResponse({}, {
+        headers: { [CACHED_AT_HEADER]: '2026-01-02T03:04:05.000Z' }
+      }));
+
+      const result = await fetchDataSource('test-offline');
+
+      expect(result.timestamp).toBe('2026-01-02T03:04:05.000Z');
+      expect(result.cachedAt).toEqual(new Date('2026-01-02T03:04:05.000Z'));
+    });
+
+    it('stops calling a source once its breaker opens', async () => {
+      register({
+        id: 'test-breaker',
+        name: 'Test feed',
+        url: '/api/feed',
+        parse: r => r.json(),
+        circuitBreaker: new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 })
+      });
+      mockFetch.mockResolvedValue(new Response('', { status: 503 }));
+
+      await expect(fetchDataSource('test-breaker')).rejects.toThrow('503');
+      await expect(fetchDataSource('test-breaker')).rejects.toThrow('503');
+      await expect(fetchDataSource('test-breaker')).rejects.toMatchObject({
+        code: 'CIRCUIT_OPEN',
+        message: 'Test feed paused after repeated failures'
+      });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  // ==========================================
+  // Source Status (5 tests)
+  // ==========================================
+  describe('source status', () => {
+
+    it('reports the circuit state of each source', async () => {
+      register({ id: 'test-status', name: 'Status feed', url: '/api/feed', parse: r => r.json() });
+      mockFetch.mockResolvedValue(new Response('', { status: 404 }));
+      await fetchDataSource('test-status').catch(() => {});
+
+      expect(getSourceStatuses().find(status => status.id === 'test-status'))
+        .toMatchObject({ name: 'Status feed', state: 'CLOSED', failureCount: 1 });
+    });
+
+    it('notifies listeners once per shared breaker when a source pauses', async () => {
+      const circuitBreaker = new CircuitBreaker({ failureThreshold: 1 });
+      register({ id: 'test-shared-a', url: '/a', parse: r => r.json(), circuitBreaker });
+      register({ id: 'test-shared-b', url: '/b', parse: r => r.json(), circuitBreaker });
+      mockFetch.mockResolvedValue(new Response('', { status: 500 }));
+
+      const listener = vi.fn();
+      const unsubscribe = subscribeToSourceStatus(listener);
+      await fetchDataSource('test-shared-a').catch(() => {});
+      unsubscribe();
+
+      // Once for the breaker opening, once for the recorded failure
+      expect(listener).toHaveBeenCalledTimes(2);
+      const paused = listener.mock.calls[0][0].filter(status => status.state === 'OPEN');
+      expect(paused.map(status => status.id)).toEqual(['test-shared-a', 'test-shared-b']);
+    });
+
+    it('records latency and record count of successful fetches', async () => {
+      register({ id: 'test-health', url: '/api/feed', parse: r => r.json() });
+      mockFetch.mockResolvedValue(jsonResponse([1, 2, 3]));
+
+      await fetchDataSource('test-health');
+
+      const status = getSourceStatuses().find(s => s.id === 'test-health');
+      expect(status).toMatchObject({ health: 'ok', recordCount: 3, lastError: null });
+      expect(status.lastSuccess).toEqual(expect.any(String));
+      expect(status.latencyMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('marks a source failing until its next success', async () => {
+      register({ id: 'test-failing', url: '/api/feed', parse: r => r.json() });
+      mockFetch.mockResolvedValueOnce(jsonResponse({ items: [] }));
+      await fetchDataSource('test-failing');
+      mockFetch.mockResolvedValueOnce(new Response('', { status: 502 }));
+      await fetchDataSource('test-failing').catch(() => {});
+
+      expect(getSourceStatuses().find(s => s.id === 'test-failing')).toMatchObject({
+        health: 'failing',
+        lastError: expect.stringContaining('502')
+      });
+    });
+
+    it('tracks external sources reported by their callers', () => {
+      registered.push('test-tiles');
+      registerExternalSource({ id: 'test-tiles', name: 'Tiles' });
+      const listener = vi.fn();
+      const unsubscribe = subscribeToSourceStatus(listener);
+
+      recordSourceFailure('test-tiles', '2 tiles failed to load', { latencyMs: 40 });
+      recordSourceSuccess('test-tiles', { latencyMs: 50, recordCount: 12 });
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(getSourceStatuses().find(s => s.id === 'test-tiles')).toMatchObject({
+        external: true,
+        state: null,
+        health: 'ok',
+        lastError: '2 tiles failed to load',
+        recordCount: 12
+      });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * embed.js Unit Tests
+ * Tests for the embeddable widget configuration and parent-page messaging
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  parseEmbedConfig,
+  findEmbedNations,
+  selectEmbedAlerts,
+  postEmbedMessage,
+  toEmbedAlert,
+  observeEmbedHeight
+} from '@services/embed';
+
+// Square polygon around a [lng, lat] center
+const square = ([lng, lat], size = 0.2) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [lng - size, lat - size],
+    [lng + size, lat - size],
+    [lng + size, lat + size],
+    [lng - size, lat + size],
+    [lng - size, lat - size]
+  ]]
+});
+
+const tribalData = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { GEOID: '1880', NAME: 'Lummi', NAMELSAD: 'Lummi Reservation' }, geometry: square([-122.65, 48.8]) },
+    { type: 'Feature', properties: { GEOID: '5310', NAME: 'Yakama', NAMELSAD: 'Yakama Nation Reservation' }, geometry: square([-120.7, 46.3]) }
+  ]
+};
+
+const alert = (id, severity, center) => ({
+  id,
+  event: `${severity} event`,
+  severity,
+  areaDesc: 'Somewhere',
+  geometry: center ? square(center, 0.5) : null
+});
+
+describe('embed', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // ==========================================
+  // Configuration (3 tests)
+  // ==========================================
+  describe('parseEmbedConfig', () => {
+
+    it('defaults to a dark alert list for the whole region', () => {
+      expect(parseEmbedConfig('')).toEqual({
+        widget: 'alerts',
+        region: 'PNW',
+        nations: [],
+        theme: 'dark',
+        limit: 5,
+        id: null
+      });
+    });
+
+    it('reads widget, region, Nations, theme, limit and id', () => {
+      expect(parseEmbedConfig('?widget=nation&region=salish_sea&nations=1880, Yakama&theme=light&limit=3&id=w1')).toEqual({
+        widget: 'nation',
+        region: 'SALISH_SEA',
+        nations: ['1880', 'Yakama'],
+        theme: 'light',
+        limit: 3,
+        id: 'w1'
+      });
+    });
+
+    it('falls back for unknown values and clamps the limit', () => {
+      const config = parseEmbedConfig('?widget=radar&region=MARS&theme=sepia&limit=500');
+
+      expect(config).toMatchObject({ widget: 'alerts', region: 'PNW', theme: 'dark', limit: 20 });
+      expect(parseEmbedConfig('?limit=0').limit).toBe(1);
+    });
+  });
+
+  // ==========================================
+  // Alert Selection (3 tests)
+  // ==========================================
+  describe('selectEmbedAlerts', () => {
+
+    it('finds Nations by id or name', () => {
+      const features = findEmbedNations(tribalData, ['yakama', '1880', 'Nowhere']);
+
+      expect(features.map(f => f.properties.NAME)).toEqual(['Yakama', 'Lummi']);
+    });
+
+    it('keeps alerts over the configured Nations, most severe first', () => {
+      const alerts = [
+        alert('a', 'ADVISORY', [-122.6, 48.8]),
+        alert('b', 'WARNING', [-122.7, 48.9]),
+        alert('c', 'WARNING', [-117, 44])
+      ];
+
+      const selected = selectEmbedAlerts(alerts, {
+        nationFeatures: findEmbedNations(tribalData, ['Lummi'])
+      });
+
+      expect(selected.map(a => a.id)).toEqual(['b', 'a']);
+    });
+
+    it('keeps alerts inside the region up to the limit', () => {
+      const alerts = [
+        alert('salish', 'WATCH', [-123, 48]),
+        alert('columbia', 'WARNING', [-119, 46]),
+        alert('unplaced', 'EMERGENCY', null)
+      ];
+
+      expect(selectEmbedAlerts(alerts, { region: 'SALISH_SEA' }).map(a => a.id)).toEqual(['salish']);
+      expect(selectEmbedAlerts(alerts, { region: 'PNW', limit: 2 }).map(a => a.id)).toEqual(['unplaced', 'columbia']);
+    });
+  });
+
+  // ==========================================
+  // Messaging (3 tests)
+  // ==========================================
+  describe('messaging', () => {
+
+    it('does not post when the page is not framed', () => {
+      const postMessage = vi.spyOn(window, 'postMessage');
+
+      postEmbedMessage('ready', { widget: 'alerts' }, 'w1');
+
+      expect(postMessage).not.toHaveBeenCalled();
+    });
+
+    it('posts tagged messages to the parent page', () => {
+      const parent = { postMessage: vi.fn() };
+      vi.spyOn(window, 'parent', 'get').mockReturnValue(parent);
+
+      postEmbedMessage('alert-click', { alert: toEmbedAlert(alert('urn:oid:1', 'WARNING')) }, 'w1');
+
+      expect(parent.postMessage).toHaveBeenCalledWith({
+        source: 'tribalweather',
+        id: 'w1',
+        type: 'alert-click',
+        alert: expect.objectContaining({
+          id: 'urn:oid:1',
+          severity: 'WARNING',
+          url: `${window.location.origin}/?alert=urn%3Aoid%3A1`
+        })
+      }, '*');
+    });
+
+    it('reports the content height once it changes', () => {
+      const parent = { postMessage: vi.fn() };
+      vi.spyOn(window, 'parent', 'get').mockReturnValue(parent);
+      const element = { getBoundingClientRect: () => ({ height: 212.4 }) };
+
+      const stop = observeEmbedHeight(element, 'w1');
+      stop();
+
+      expect(parent.postMessage).toHaveBeenCalledWith(
+        { source: 'tribalweather', id: 'w1', type: 'resize', height: 213 },
+        '*'
+      );
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * floodEscalation.js Unit Tests
+ * Tests for the "rising to flood" gauge signal and its Tribal association
+ *
+ * Tests cover:
+ * - Rising detection from observed vs forecast category
+ * - Forecast trend from stage, or category without one
+ * - Association by distance to Tribal land
+ * - Association through downstream gauge links
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isRisingToFlood,
+  getRisingGauges,
+  getGaugeTrend,
+  findRisingGaugesByTribe
+} from '@services/floodEscalation';
+
+// Normalized gauge as returned by /api/rivers
+function createGauge(id, lat, lng, observed, forecast, downstreamLid = null) {
+  return {
+    id,
+    name: `Gauge ${id}`,
+    lat,
+    lng,
+    downstreamLid,
+    observed: { floodCategory: observed },
+    forecast: { floodCategory: forecast }
+  };
+}
+
+// Tribal land spanning 46.0-46.5N, 120.5-120.0W
+const tribalData = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: { GEOID: '1234', NAME: 'Test Reservation' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[-120.5, 46.0], [-120.0, 46.0], [-120.0, 46.5], [-120.5, 46.5], [-120.5, 46.0]]]
+    }
+  }]
+};
+
+describe('floodEscalation', () => {
+
+  // ==========================================
+  // Rising Detection (4 tests)
+  // ==========================================
+  describe('isRisingToFlood', () => {
+
+    it('flags a forecast category above the observed one', () => {
+      expect(isRisingToFlood(createGauge('A', 0, 0, 'action', 'minor'))).toBe(true);
+      expect(isRisingToFlood(createGauge('A', 0, 0, 'no_flooding', 'action'))).toBe(true);
+    });
+
+    it('ignores steady and falling gauges', () => {
+      expect(isRisingToFlood(createGauge('A', 0, 0, 'minor', 'minor'))).toBe(false);
+      expect(isRisingToFlood(createGauge('A', 0, 0, 'moderate', 'minor'))).toBe(false);
+    });
+
+    it('treats unknown categories as no flooding', () => {
+      expect(isRisingToFlood(createGauge('A', 0, 0, 'obs_not_current', 'minor'))).toBe(true);
+      expect(isRisingToFlood(createGauge('A', 0, 0, 'minor', 'not_defined'))).toBe(false);
+      expect(isRisingToFlood({})).toBe(false);
+    });
+
+    it('orders rising gauges by forecast category', () => {
+      const gauges = [
+        createGauge('A', 0, 0, 'no_flooding', 'action'),
+        createGauge('B', 0, 0, 'minor', 'minor'),
+        createGauge('C', 0, 0, 'action', 'major')
+      ];
+      expect(getRisingGauges(gauges).map(g => g.id)).toEqual(['C', 'A']);
+    });
+  });
+
+  // ==========================================
+  // Trend (3 tests)
+  // ==========================================
+  describe('getGaugeTrend', () => {
+
+    const withStages = (observed, forecast) => ({
+      observed: { level: observed, floodCategory: 'no_flooding' },
+      forecast: { level: forecast, floodCategory: 'no_flooding' }
+    });
+
+    it('compares the forecast stage with the observed one', () => {
+      expect(getGaugeTrend(withStages(12.4, 14.1))).toBe('rising');
+      expect(getGaugeTrend(withStages(12.4, 11.0))).toBe('falling');
+      expect(getGaugeTrend(withStages(12.4, 12.45))).toBe('steady');
+    });
+
+    it('falls back to flood category without stages', () => {
+      expect(getGaugeTrend(createGauge('A', 0, 0, 'action', 'minor'))).toBe('rising');
+      expect(getGaugeTrend(createGauge('A', 0, 0, 'moderate', 'minor'))).toBe('falling');
+      expect(getGaugeTrend(withStages(-999, 14.1))).toBe('steady');
+    });
+
+    it('has no trend without a forecast', () => {
+      expect(getGaugeTrend(createGauge('A', 0, 0, 'minor', 'not_defined'))).toBeNull();
+      expect(getGaugeTrend(createGauge('A', 0, 0, 'not_defined', 'not_defined'))).toBeNull();
+      expect(getGaugeTrend({})).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Tribal Association (5 tests)
+  // ==========================================
+  describe('findRisingGaugesByTribe', () => {
+
+    it('matches rising gauges on or near the land', () => {
+      const result = findRisingGaugesByTribe([
+        createGauge('IN', 46.25, -120.25, 'action', 'minor'),
+        createGauge('NEAR', 46.55, -120.25, 'no_flooding', 'action')
+      ], tribalData);
+
+      expect(result['1234'].map(g => g.id)).toEqual(['IN', 'NEAR']);
+      expect(result['1234'][0]).toMatchObject({ distanceKm: 0, via: null });
+      expect(result['1234'][1].distanceKm).toBeCloseTo(5.6, 1);
+    });
+
+    it('skips gauges beyond the radius and gauges not rising', () => {
+      const result = findRisingGaugesByTribe([
+        createGauge('FAR', 47.0, -120.25, 'action', 'major'),
+        createGauge('STEADY', 46.25, -120.25, 'minor', 'minor')
+      ], tribalData);
+
+      expect(result).toEqual({});
+    });
+
+    it('honors a custom radius', () => {
+      const gauges = [createGauge('FAR', 47.0, -120.25, 'action', 'major')];
+
+      expect(findRisingGaugesByTribe(gauges, tribalData, { radiusKm: 60 })['1234']).toHaveLength(1);
+    });
+
+    it('matches gauges upstream of a nearby gauge', () => {
+      const gauges = [
+        createGauge('UP2', 48.0, -121.0, 'no_flooding', 'moderate', 'UP1'),
+        createGauge('UP1', 47.5, -120.8, 'no_flooding', 'no_flooding', 'NEAR'),
+        createGauge('NEAR', 46.55, -120.25, 'no_flooding', 'no_flooding')
+      ];
+
+      expect(findRisingGaugesByTribe(gauges, tribalData)['1234']).toEqual([
+        expect.objectContaining({ id: 'UP2', via: 'NEAR' })
+      ]);
+      // One link is not enough to reach the nearby gauge
+      expect(findRisingGaugesByTribe(gauges, tribalData, { upstreamHops: 1 })).toEqual({});
+    });
+
+    it('handles missing data and looping downstream links', () => {
+      const looping = [
+        createGauge('A', 48.0, -121.0, 'no_flooding', 'minor', 'B'),
+        createGauge('B', 48.1, -121.0, 'no_flooding', 'no_flooding', 'A')
+      ];
+
+      expect(findRisingGaugesByTribe(looping, tribalData)).toEqual({});
+      expect(findRisingGaugesByTribe(looping, null)).toEqual({});
+      expect(findRisingGaugesByTribe([], tribalData)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * useAlerts Hook Tests
+ * Tests for the "Include Canadian Data" setting and the alert cache
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+import useAlerts from '@hooks/useAlerts';
+import { getCache, setCache, CACHE_KEYS, CACHE_TTL } from '@services/cache';
+import { fetchDataSource } from '@services/dataSources';
+import { NWS_ALERTS_SOURCE, EC_ALERTS_SOURCE } from '@services/sources';
+
+vi.mock('@services/dataSources', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchDataSource: vi.fn()
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+function createAlert(id, isCanadian) {
+  const now = Date.now();
+  return {
+    id,
+    identifier: id,
+    msgType: 'Alert',
+    event: 'Flood Warning',
+    severity: 'WARNING',
+    sent: new Date(now).toISOString(),
+    effective: new Date(now).toISOString(),
+    expires: new Date(now + 12 * HOUR).toISOString(),
+    isCanadian
+  };
+}
+
+const US_ALERT = createAlert('us-1', false);
+const CA_ALERT = createAlert('ca-1', true);
+
+describe('useAlerts', () => {
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchDataSource.mockReset();
+    fetchDataSource.mockImplementation(async (id) => id === EC_ALERTS_SOURCE
+      ? { data: [CA_ALERT] }
+      : { data: [US_ALERT], timestamp: new Date().toISOString(), cachedAt: null });
+  });
+
+  // ==========================================
+  // Include Canadian Data (3 tests)
+  // ==========================================
+  describe('includeCanada', () => {
+
+    it('refetches at once when Canadian data is turned off over a fresh cache', async () => {
+      setCache(CACHE_KEYS.ALERTS, { alerts: [US_ALERT, CA_ALERT], timestamp: new Date().toISOString() }, CACHE_TTL.ALERTS);
+
+      const { result, rerender } = renderHook(({ includeCanada }) => useAlerts(includeCanada), {
+        initialProps: { includeCanada: true }
+      });
+      expect(result.current.alerts.map(a => a.id)).toEqual(['us-1', 'ca-1']);
+      expect(fetchDataSource).not.toHaveBeenCalled();
+
+      rerender({ includeCanada: false });
+
+      await waitFor(() => expect(result.current.alerts.map(a => a.id)).toEqual(['us-1']));
+      expect(fetchDataSource).toHaveBeenCalledWith(NWS_ALERTS_SOURCE, expect.anything());
+      expect(fetchDataSource).not.toHaveBeenCalledWith(EC_ALERTS_SOURCE);
+    });
+
+    it('shows the fresh US-only cache without refetching', () => {
+      setCache(CACHE_KEYS.ALERTS, { alerts: [US_ALERT, CA_ALERT], timestamp: new Date().toISOString() }, CACHE_TTL.ALERTS);
+      setCache(CACHE_KEYS.ALERTS_US, { alerts: [US_ALERT], timestamp: new Date().toISOString() }, CACHE_TTL.ALERTS);
+
+      const { result, rerender } = renderHook(({ includeCanada }) => useAlerts(includeCanada), {
+        initialProps: { includeCanada: true }
+      });
+      rerender({ includeCanada: false });
+
+      expect(result.current.alerts.map(a => a.id)).toEqual(['us-1']);
+      expect(fetchDataSource).not.toHaveBeenCalled();
+    });
+
+    it('caches each setting under its own key', async () => {
+      const { result } = renderHook(() => useAlerts(false));
+
+      await waitFor(() => expect(result.current.alertCount).toBe(1));
+
+      expect(getCache(CACHE_KEYS.ALERTS_US).alerts.map(a => a.id)).toEqual(['us-1']);
+      expect(getCache(CACHE_KEYS.ALERTS)).toBeNull();
+    });
+  });
+});
@@ -104,7 +104,7 @@ describe('useResilientPolling', () => {
   });
 
   // ==========================================
-  // Polling Interval (4 tests)
+  // Polling Interval (5 tests)
   // ==========================================
   describe('polling interval', () => {
 
@@ -144,6 +144,22 @@ describe('useResilientPolling', () => {
       expect(fetchFn).not.toHaveBeenCalled();
     });
 
+    it('fetches once without polling when poll is false', async () => {
+      const fetchFn = vi.fn().mockResolvedValue({ data: 'test' });
+      const { result } = renderHook(() =>
+        useResilientPolling(fetchFn, { interval: 5000, poll: false, immediate: true })
+      );
+
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+
+      await act(async () => {
+        await result.current.refresh();
+      });
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+
     it('updates lastUpdated on successful fetch', async () => {
       const fetchFn = vi.fn().mockResolvedValue({ data: 'test' });
       const { result } = renderHook(() =>
@@ -0,0 +1,211 @@
+/**
+ * notifications.js Unit Tests
+ * Tests for alert notification diffing, de-duplication and quiet hours
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getNotificationSettings,
+  saveNotificationSettings,
+  isQuietHours,
+  shouldNotify,
+  buildNotification,
+  NotificationTracker,
+  DEFAULT_NOTIFICATION_SETTINGS
+} from '@services/notifications';
+import { toCommunity } from '@services/watchList';
+import { mockTribalBoundaries } from '../mocks/zones';
+
+// Mock logger
+vi.mock('@utils/logger', () => ({
+  alertsLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  },
+  cacheLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const [lummi, nooksack] = mockTribalBoundaries.features;
+const communities = [toCommunity(lummi), toCommunity(nooksack)];
+
+// Polygon over the Lummi Reservation only
+const LUMMI_POLYGON = {
+  type: 'Polygon',
+  coordinates: [[[-122.8, 48.7], [-122.5, 48.7], [-122.5, 48.86], [-122.8, 48.86], [-122.8, 48.7]]]
+};
+
+function createAlert(id, severity, extra = {}) {
+  return { id, identifier: id, event: 'Flood Watch', severity, geometry: LUMMI_POLYGON, ...extra };
+}
+
+function at(hours, minutes = 0) {
+  return new Date(2025, 0, 15, hours, minutes);
+}
+
+describe('notifications', () => {
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  // ==========================================
+  // Settings (2 tests)
+  // ==========================================
+  describe('settings', () => {
+
+    it('returns defaults when nothing is stored', () => {
+      expect(getNotificationSettings()).toEqual(DEFAULT_NOTIFICATION_SETTINGS);
+    });
+
+    it('persists settings and merges quiet hours over the defaults', () => {
+      saveNotificationSettings({ enabled: true, quietHours: { enabled: true } });
+      const settings = getNotificationSettings();
+
+      expect(settings.enabled).toBe(true);
+      expect(settings.quietHours).toEqual({ ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, enabled: true });
+    });
+  });
+
+  // ==========================================
+  // Quiet Hours (6 tests)
+  // ==========================================
+  describe('quiet hours', () => {
+    const overnight = { enabled: true, start: '22:00', end: '07:00', allowEmergency: true };
+
+    it('is never quiet when disabled', () => {
+      expect(isQuietHours({ ...overnight, enabled: false }, at(23))).toBe(false);
+    });
+
+    it('handles windows that wrap midnight', () => {
+      expect(isQuietHours(overnight, at(23))).toBe(true);
+      expect(isQuietHours(overnight, at(3))).toBe(true);
+      expect(isQuietHours(overnight, at(7))).toBe(false);
+      expect(isQuietHours(overnight, at(12))).toBe(false);
+    });
+
+    it('handles same-day windows', () => {
+      const afternoon = { enabled: true, start: '13:00', end: '15:30' };
+      expect(isQuietHours(afternoon, at(14))).toBe(true);
+      expect(isQuietHours(afternoon, at(15, 30))).toBe(false);
+    });
+
+    it('suppresses notifications during quiet hours', () => {
+      const settings = { enabled: true, quietHours: overnight };
+      expect(shouldNotify({ severity: 'WARNING' }, settings, at(23))).toBe(false);
+      expect(shouldNotify({ severity: 'WARNING' }, settings, at(12))).toBe(true);
+    });
+
+    it('lets emergencies through quiet hours unless disallowed', () => {
+      const settings = { enabled: true, quietHours: overnight };
+      expect(shouldNotify({ severity: 'EMERGENCY' }, settings, at(23))).toBe(true);
+
+      const strict = { enabled: true, quietHours: { ...overnight, allowEmergency: false } };
+      expect(shouldNotify({ severity: 'EMERGENCY' }, strict, at(23))).toBe(false);
+    });
+
+    it('never notifies when notifications are off', () => {
+      expect(shouldNotify({ severity: 'EMERGENCY' }, DEFAULT_NOTIFICATION_SETTINGS, at(12))).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Notification Payload (2 tests)
+  // ==========================================
+  describe('buildNotification', () => {
+
+    it('tags notifications by community and alert chain', () => {
+      const alert = createAlert('msg-2', 'WARNING', {
+        event: 'Flood Warning',
+        headline: 'Flood Warning until noon',
+        history: [{ identifier: 'msg-1' }]
+      });
+      const notification = buildNotification(alert, communities[0], 'escalated');
+
+      expect(notification.tag).toBe('5300100:msg-1');
+      expect(notification.title).toBe('Upgraded: Flood Warning – Lummi Reservation');
+      expect(notification.body).toBe('Flood Warning until noon');
+      expect(notification.severity).toBe('WARNING');
+    });
+
+    it('uses the alert id for new chains', () => {
+      expect(buildNotification(createAlert('msg-1', 'WATCH'), communities[0], 'new').tag).toBe('5300100:msg-1');
+    });
+  });
+
+  // ==========================================
+  // NotificationTracker (7 tests)
+  // ==========================================
+  describe('NotificationTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+      tracker = new NotificationTracker('test_notified');
+    });
+
+    it('records a silent baseline on the first poll for a community', () => {
+      expect(tracker.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries)).toEqual([]);
+    });
+
+    it('notifies new alerts over a followed community only', () => {
+      tracker.diff([], communities, mockTribalBoundaries);
+      const notifications = tracker.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({ communityId: '5300100', kind: 'new' });
+    });
+
+    it('does not re-notify the same alert on later polls', () => {
+      tracker.diff([], communities, mockTribalBoundaries);
+      tracker.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries);
+
+      expect(tracker.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries)).toEqual([]);
+    });
+
+    it('notifies when an update escalates the severity', () => {
+      tracker.diff([], communities, mockTribalBoundaries);
+      tracker.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries);
+
+      const update = createAlert('msg-2', 'WARNING', { history: [{ identifier: 'msg-1' }] });
+      const notifications = tracker.diff([update], communities, mockTribalBoundaries);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].kind).toBe('escalated');
+    });
+
+    it('stays quiet for updates that keep or lower the severity', () => {
+      tracker.diff([], communities, mockTribalBoundaries);
+      tracker.diff([createAlert('msg-1', 'WARNING')], communities, mockTribalBoundaries);
+
+      const update = createAlert('msg-2', 'WATCH', { history: [{ identifier: 'msg-1' }] });
+      expect(tracker.diff([update], communities, mockTribalBoundaries)).toEqual([]);
+
+      // A later re-escalation back to the notified level is not new either
+      const again = createAlert('msg-3', 'WARNING', { history: [{ identifier: 'msg-1' }, { identifier: 'msg-2' }] });
+      expect(tracker.diff([again], communities, mockTribalBoundaries)).toEqual([]);
+    });
+
+    it('survives a reload through localStorage', () => {
+      tracker.diff([], communities, mockTribalBoundaries);
+      tracker.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries);
+
+      const reloaded = new NotificationTracker('test_notified');
+      expect(reloaded.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries)).toEqual([]);
+    });
+
+    it('forgets chains after the retention window', () => {
+      const now = Date.now();
+      tracker.diff([], communities, mockTribalBoundaries, now);
+      tracker.diff([createAlert('msg-1', 'WATCH')], communities, mockTribalBoundaries, now);
+
+      tracker.prune(now + 8 * 24 * 60 * 60 * 1000);
+      expect(tracker.notified.size).toBe(0);
+    });
+  });
+});
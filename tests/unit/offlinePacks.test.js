@@ -0,0 +1,163 @@
+/**
+ * offlinePacks.js Unit Tests
+ * Tests for downloadable offline map packs
+ *
+ * Cache Storage is replaced by an in-memory stand-in (jsdom has no caches).
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  downloadPack,
+  deletePack,
+  getPacks,
+  getPackDataUrls,
+  getPackTileUrls,
+  estimatePack,
+  OFFLINE_PACK_CACHE_PREFIX,
+  OFFLINE_PACKS_EVENT
+} from '@services/offlinePacks';
+import { REGIONS, BC_FIRST_NATIONS_WFS_URL, TRIBAL_DATA_URL } from '@utils/constants';
+import { CACHED_AT_HEADER } from '@utils/offline';
+
+// Mock logger
+vi.mock('@utils/logger', () => ({
+  mapLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+function createCacheStorage() {
+  const stores = new Map();
+
+  const open = async (name) => {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      stores.set(name, {
+        entries,
+        put: async (url, response) => { entries.set(new URL(url, location.origin).href, response); },
+        keys: async () => [...entries.keys()].map(url => ({ url })),
+        delete: async (request) => entries.delete(request.url)
+      });
+    }
+    return stores.get(name);
+  };
+
+  return {
+    stores,
+    open: vi.fn(open),
+    delete: vi.fn(async (name) => stores.delete(name)),
+    keys: vi.fn(async () => [...stores.keys()])
+  };
+}
+
+// COLUMBIA at zoom 6-7 is 11 tiles plus 4 data files
+const REGION_ID = 'COLUMBIA';
+const CACHE_NAME = OFFLINE_PACK_CACHE_PREFIX + REGION_ID;
+
+describe('offlinePacks', () => {
+  let cacheStorage;
+
+  beforeEach(() => {
+    localStorage.clear();
+    cacheStorage = createCacheStorage();
+    vi.stubGlobal('caches', cacheStorage);
+    mockFetch.mockReset();
+    mockFetch.mockImplementation(async () => new Response('tile-bytes', { status: 200 }));
+  });
+
+  // ==========================================
+  // Pack Contents (3 tests)
+  // ==========================================
+  describe('pack contents', () => {
+
+    it('includes boundaries, coastlines and latest alerts', () => {
+      const urls = getPackDataUrls(REGIONS.COLUMBIA);
+
+      expect(urls).toContain(TRIBAL_DATA_URL);
+      expect(urls).toContain('/data/coastlines-pacific.geojson');
+      expect(urls).toContain('/api/alerts?stream=1');
+      expect(urls).not.toContain(BC_FIRST_NATIONS_WFS_URL);
+    });
+
+    it('adds First Nations reserves and Canadian alerts for Canadian regions', () => {
+      expect(getPackDataUrls(REGIONS.BC)).toEqual(expect.arrayContaining([BC_FIRST_NATIONS_WFS_URL, '/api/ec-alerts']));
+    });
+
+    it('estimates the tiles it downloads', () => {
+      expect(estimatePack(REGIONS.COLUMBIA, 7).tiles).toBe(getPackTileUrls(REGIONS.COLUMBIA, 7).length);
+      expect(estimatePack(REGIONS.COLUMBIA, 7).bytes).toBeGreaterThan(0);
+    });
+  });
+
+  // ==========================================
+  // Downloading (5 tests)
+  // ==========================================
+  describe('downloadPack', () => {
+
+    it('stores tiles and data in the region cache and records the pack', async () => {
+      const onProgress = vi.fn();
+      const pack = await downloadPack(REGION_ID, { maxZoom: 7, onProgress });
+
+      const cache = cacheStorage.stores.get(CACHE_NAME);
+      expect(cache.entries.size).toBe(15);
+      expect(pack).toMatchObject({ regionId: REGION_ID, minZoom: 6, maxZoom: 7, tiles: 11, bytes: 150, failed: 0 });
+      expect(getPacks()[REGION_ID]).toEqual(pack);
+      expect(onProgress).toHaveBeenLastCalledWith({ done: 15, total: 15, bytes: 150 });
+    });
+
+    it('stamps stored responses with the download time', async () => {
+      const pack = await downloadPack(REGION_ID, { maxZoom: 6 });
+
+      const cache = cacheStorage.stores.get(CACHE_NAME);
+      const stored = cache.entries.get(new URL(TRIBAL_DATA_URL, location.origin).href);
+      expect(stored.headers.get(CACHED_AT_HEADER)).toBe(pack.downloadedAt);
+    });
+
+    it('drops tiles outside the range when updated with less detail', async () => {
+      await downloadPack(REGION_ID, { maxZoom: 7 });
+      const pack = await downloadPack(REGION_ID, { maxZoom: 6 });
+
+      expect(pack.tiles).toBe(3);
+      expect(cacheStorage.stores.get(CACHE_NAME).entries.size).toBe(7);
+    });
+
+    it('counts missing files and fails when nothing downloads', async () => {
+      mockFetch.mockImplementation(async (url) => new Response('', { status: url.includes('/7/') ? 404 : 200 }));
+      expect((await downloadPack(REGION_ID, { maxZoom: 7 })).failed).toBe(8);
+
+      mockFetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      await expect(downloadPack(REGION_ID, { maxZoom: 7 })).rejects.toThrow('Could not download');
+    });
+
+    it('refuses packs with too many tiles', async () => {
+      await expect(downloadPack('PNW', { maxZoom: 13 })).rejects.toThrow('too large');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================
+  // Deleting (1 test)
+  // ==========================================
+  describe('deletePack', () => {
+
+    it('removes the cache and the record and notifies listeners', async () => {
+      const listener = vi.fn();
+      window.addEventListener(OFFLINE_PACKS_EVENT, listener);
+
+      await downloadPack(REGION_ID, { maxZoom: 6 });
+      await deletePack(REGION_ID);
+
+      expect(cacheStorage.stores.has(CACHE_NAME)).toBe(false);
+      expect(getPacks()).toEqual({});
+      expect(listener).toHaveBeenCalledTimes(2);
+
+      window.removeEventListener(OFFLINE_PACKS_EVENT, listener);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * router.js Unit Tests
+ * Tests for URL routes and shareable map links
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseRoute,
+  buildRouteUrl,
+  getRoute,
+  navigate,
+  DEFAULT_LAYERS,
+  ROUTE_EVENT
+} from '@services/router';
+import { DEFAULT_REGION } from '@utils/constants';
+
+const location = (url) => {
+  const { pathname, search } = new URL(url, 'http://localhost');
+  return { pathname, search };
+};
+
+describe('router', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  // ==========================================
+  // Parsing and Building (4 tests)
+  // ==========================================
+  describe('parseRoute and buildRouteUrl', () => {
+
+    it('opens the map with default layers at the root', () => {
+      expect(parseRoute(location('/'))).toEqual({
+        page: 'map',
+        region: DEFAULT_REGION,
+        layers: [...DEFAULT_LAYERS],
+        view: null,
+        alert: null,
+        tribe: null,
+        gauge: null
+      });
+      expect(parseRoute(location('/alerts/')).page).toBe('alerts');
+      expect(parseRoute(location('/unknown')).page).toBe('map');
+    });
+
+    it('reads map state from a shared link', () => {
+      const route = parseRoute(location(
+        '/?region=salish_sea&layers=radar,warnings&view=48.1234,-122.5678,9&alert=urn%3Aoid%3A2.49.0.1.840&tribe=5310'
+      ));
+
+      expect(route).toEqual({
+        page: 'map',
+        region: 'SALISH_SEA',
+        layers: ['warnings', 'radar'],
+        view: { lat: 48.1234, lng: -122.5678, zoom: 9 },
+        alert: 'urn:oid:2.49.0.1.840',
+        tribe: '5310',
+        gauge: null
+      });
+    });
+
+    it('falls back to defaults for malformed values', () => {
+      const route = parseRoute(location('/?region=MARS&layers=&view=95,0,9'));
+
+      expect(route.region).toBe(DEFAULT_REGION);
+      expect(route.layers).toEqual([]);
+      expect(route.view).toBeNull();
+      expect(parseRoute(location('/?view=47,-122')).view).toBeNull();
+    });
+
+    it('leaves defaults out and only encodes map state on the map', () => {
+      const route = parseRoute(location('/'));
+
+      expect(buildRouteUrl(route)).toBe('/');
+      expect(buildRouteUrl({
+        ...route,
+        region: 'BC',
+        layers: ['tribal', 'marine'],
+        view: { lat: 49.28273, lng: -123.12074, zoom: 10.25 },
+        alert: 'urn:oid:2.49.0.1.124'
+      })).toBe('/?region=BC&layers=tribal,marine&view=49.2827,-123.1207,10.3&alert=urn%3Aoid%3A2.49.0.1.124');
+      expect(buildRouteUrl({ ...route, page: 'alerts', region: 'BC', alert: 'x' })).toBe('/alerts');
+    });
+  });
+
+  // ==========================================
+  // Navigation (4 tests)
+  // ==========================================
+  describe('navigate', () => {
+
+    it('pushes selections and replaces view changes', () => {
+      const listener = vi.fn();
+      window.addEventListener(ROUTE_EVENT, listener);
+      const length = window.history.length;
+
+      navigate({ alert: 'urn:oid:1' });
+      navigate({ view: { lat: 47, lng: -122, zoom: 7 } }, { replace: true });
+      window.removeEventListener(ROUTE_EVENT, listener);
+
+      expect(window.history.length).toBe(length + 1);
+      expect(window.location.search).toBe('?view=47,-122,7&alert=urn%3Aoid%3A1');
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.lastCall[0].detail.view).toEqual({ lat: 47, lng: -122, zoom: 7 });
+    });
+
+    it('does nothing when the URL would not change', () => {
+      const listener = vi.fn();
+      window.addEventListener(ROUTE_EVENT, listener);
+
+      navigate({ region: DEFAULT_REGION });
+      window.removeEventListener(ROUTE_EVENT, listener);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('restores the map view, but not its selection, when returning to the map', () => {
+      navigate({ region: 'BC', view: { lat: 49.5, lng: -123.5, zoom: 8 }, tribe: '5310' });
+      navigate({ page: 'alerts' });
+
+      expect(window.location.pathname).toBe('/alerts');
+
+      navigate({ page: 'map' });
+
+      expect(getRoute()).toMatchObject({
+        page: 'map',
+        region: 'BC',
+        view: { lat: 49.5, lng: -123.5, zoom: 8 },
+        tribe: null
+      });
+    });
+
+    it('opens the map at a gauge picked from another page', () => {
+      navigate({ layers: ['tribal'], gauge: 'SQUW1' });
+      navigate({ page: 'rivers' });
+
+      expect(window.location.pathname).toBe('/rivers');
+      expect(window.location.search).toBe('');
+
+      navigate({ page: 'map', gauge: 'SKYW1' });
+
+      expect(window.location.search).toBe('?layers=tribal&gauge=SKYW1');
+      expect(getRoute().gauge).toBe('SKYW1');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * settings.js Unit Tests
+ * Tests for persisted user settings and their JSON import/export
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getSettings,
+  saveSettings,
+  resetSettings,
+  exportSettings,
+  importSettings,
+  DEFAULT_SETTINGS,
+  SETTINGS_EVENT
+} from '@services/settings';
+
+// Mock logger
+vi.mock('@utils/logger', () => ({
+  cacheLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('settings', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.documentElement.classList.remove('reduce-motion');
+  });
+
+  // ==========================================
+  // Persistence (4 tests)
+  // ==========================================
+  describe('persistence', () => {
+
+    it('starts from the defaults', () => {
+      expect(getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('persists changes and notifies listeners', () => {
+      const listener = vi.fn();
+      window.addEventListener(SETTINGS_EVENT, listener);
+
+      saveSettings({ includeCanada: false });
+      window.removeEventListener(SETTINGS_EVENT, listener);
+
+      expect(getSettings()).toEqual({ ...DEFAULT_SETTINGS, includeCanada: false });
+      expect(listener.mock.calls[0][0].detail.includeCanada).toBe(false);
+    });
+
+    it('ignores unknown keys and wrongly typed values', () => {
+      localStorage.setItem('tribalweather_settings', JSON.stringify({ autoRefresh: 'no', theme: 'light' }));
+
+      expect(getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('toggles the reduced motion class on the document', () => {
+      saveSettings({ reducedMotion: true });
+      expect(document.documentElement.classList.contains('reduce-motion')).toBe(true);
+
+      resetSettings();
+      expect(document.documentElement.classList.contains('reduce-motion')).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // Import/Export (3 tests)
+  // ==========================================
+  describe('import and export', () => {
+
+    it('round-trips exported settings', () => {
+      saveSettings({ showAllGauges: true, autoRefresh: false });
+      const exported = exportSettings();
+      resetSettings();
+
+      expect(importSettings(exported)).toEqual({
+        ...DEFAULT_SETTINGS,
+        showAllGauges: true,
+        autoRefresh: false
+      });
+    });
+
+    it('keeps current values for keys missing from the file', () => {
+      saveSettings({ includeCanada: false });
+
+      importSettings(JSON.stringify({
+        format: 'tribalweather-settings',
+        version: 1,
+        settings: { reducedMotion: true, extra: 1 }
+      }));
+
+      expect(getSettings()).toEqual({ ...DEFAULT_SETTINGS, includeCanada: false, reducedMotion: true });
+    });
+
+    it('rejects files that are not settings exports', () => {
+      expect(() => importSettings('not json')).toThrow('not valid JSON');
+      expect(() => importSettings(JSON.stringify({ settings: {} }))).toThrow('Not a TribalWeather settings file');
+      expect(() => importSettings(JSON.stringify({ format: 'tribalweather-settings', version: 2, settings: {} })))
+        .toThrow('newer version');
+      expect(getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * storage.js Unit Tests
+ * Tests for the IndexedDB-backed cache store
+ *
+ * The IndexedDB backend is replaced by an in-memory one with the same
+ * interface (jsdom has no IndexedDB).
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CacheStore } from '@services/storage';
+import { initCache, getCache, setCache, getCacheUsage, getDataClass, CACHE_KEYS } from '@services/cache';
+
+// Mock logger
+vi.mock('@utils/logger', () => ({
+  cacheLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const CLASSES = {
+  general: { priority: 0, budget: 1000 },
+  alerts: { priority: 1, budget: 100 },
+  geometry: { priority: 2, budget: 1000 }
+};
+
+// A 20 character string serializes to 22 characters = 44 bytes
+const VALUE = 'x'.repeat(20);
+
+function createMemoryBackend(initial = []) {
+  const rows = new Map(initial.map(row => [row.key, row]));
+  return {
+    rows,
+    loadAll: vi.fn(async () => [...rows.values()]),
+    put: vi.fn(async (meta, json) => { rows.set(meta.key, { ...meta, json }); }),
+    putMeta: vi.fn(async (meta) => { rows.set(meta.key, { ...rows.get(meta.key), ...meta }); }),
+    delete: vi.fn(async (keys) => keys.forEach(key => rows.delete(key))),
+    clear: vi.fn(async () => rows.clear())
+  };
+}
+
+// Let background writes settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('storage', () => {
+  let backend;
+  let store;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    backend = createMemoryBackend();
+    store = new CacheStore({ backend, classes: CLASSES, quota: 2000 });
+    await store.init();
+  });
+
+  // ==========================================
+  // get/set/TTL (4 tests)
+  // ==========================================
+  describe('get and set', () => {
+
+    it('stores values in memory and in the backend', async () => {
+      store.set('alerts', { alerts: [1, 2] }, { ttlMs: 60000, dataClass: 'alerts', now: 1000 });
+      await flush();
+
+      expect(store.get('alerts', 2000)).toEqual({ alerts: [1, 2] });
+      expect(backend.rows.get('alerts')).toMatchObject({ expiry: 61000, dataClass: 'alerts', json: '{"alerts":[1,2]}' });
+    });
+
+    it('expires entries after their TTL', async () => {
+      store.set('rivers', VALUE, { ttlMs: 1000, now: 0 });
+
+      expect(store.get('rivers', 2000)).toBeNull();
+      await flush();
+      expect(backend.rows.has('rivers')).toBe(false);
+    });
+
+    it('returns copies of stored values', () => {
+      const value = { zones: ['WAZ001'] };
+      store.set('copy', value);
+      value.zones.push('WAZ002');
+
+      expect(store.get('copy')).toEqual({ zones: ['WAZ001'] });
+    });
+
+    it('loads existing entries on init', async () => {
+      const existing = createMemoryBackend([
+        { key: 'tribal_data', json: '"saved"', expiry: null, dataClass: 'geometry', size: 14, lastAccess: 0 }
+      ]);
+      const reopened = new CacheStore({ backend: existing, classes: CLASSES });
+      await reopened.init();
+
+      expect(reopened.get('tribal_data')).toBe('saved');
+    });
+  });
+
+  // ==========================================
+  // Size Accounting & Eviction (3 tests)
+  // ==========================================
+  describe('eviction', () => {
+
+    it('accounts bytes per data class', () => {
+      store.set('a', VALUE, { dataClass: 'alerts' });
+      store.set('g', VALUE, { dataClass: 'geometry' });
+
+      const usage = store.getUsage();
+      expect(usage.total).toBe(88);
+      expect(usage.classes.alerts).toEqual({ bytes: 44, count: 1, budget: 100 });
+    });
+
+    it('evicts the least recently used entry of a class over budget', () => {
+      store.set('a1', VALUE, { dataClass: 'alerts', now: 1 });
+      store.set('a2', VALUE, { dataClass: 'alerts', now: 2 });
+      store.get('a1', 3);
+      store.set('a3', VALUE, { dataClass: 'alerts', now: 4 });
+
+      expect([...store.entries.keys()].sort()).toEqual(['a1', 'a3']);
+    });
+
+    it('evicts lower priority classes first when over quota', () => {
+      const small = new CacheStore({ backend, classes: CLASSES, quota: 100 });
+      small.set('general', VALUE, { now: 5 });
+      small.set('geometry1', VALUE, { dataClass: 'geometry', now: 1 });
+      small.set('geometry2', VALUE, { dataClass: 'geometry', now: 2 });
+
+      expect([...small.entries.keys()].sort()).toEqual(['geometry1', 'geometry2']);
+    });
+  });
+
+  // ==========================================
+  // Migration & Quota Errors (2 tests)
+  // ==========================================
+  describe('migration', () => {
+
+    it('moves tw_ localStorage entries into the store', async () => {
+      localStorage.setItem('tw_alerts', JSON.stringify({ value: { alerts: [] }, expiry: null }));
+      localStorage.setItem('tw_old', JSON.stringify({ value: 'stale', expiry: 1 }));
+      localStorage.setItem('tribalweather_watchlist', '[]');
+
+      const migrating = new CacheStore({ backend: createMemoryBackend(), classes: CLASSES });
+      await migrating.init({ prefix: 'tw_', classify: () => 'alerts' });
+
+      expect(migrating.get('alerts')).toEqual({ alerts: [] });
+      expect(migrating.entries.has('old')).toBe(false);
+      expect(localStorage.getItem('tw_alerts')).toBeNull();
+      expect(localStorage.getItem('tribalweather_watchlist')).toBe('[]');
+    });
+
+    it('makes room and retries when the browser quota is exceeded', async () => {
+      store.set('old', VALUE, { now: 1 });
+      await flush();
+
+      const quotaError = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+      backend.put.mockRejectedValueOnce(quotaError);
+      store.set('new', VALUE, { dataClass: 'geometry', now: 2 });
+      await flush();
+
+      expect(store.entries.has('old')).toBe(false);
+      expect(backend.rows.has('new')).toBe(true);
+    });
+  });
+
+  // ==========================================
+  // Cache Service Integration (2 tests)
+  // ==========================================
+  describe('cache service', () => {
+
+    it('routes the cache API through the store once initialized', async () => {
+      await expect(initCache({ backend })).resolves.toBe(true);
+
+      setCache(CACHE_KEYS.ALERTS, { alerts: [1] }, 60000);
+
+      expect(getCache(CACHE_KEYS.ALERTS)).toEqual({ alerts: [1] });
+      expect(localStorage.getItem('tw_alerts')).toBeNull();
+      expect(getCacheUsage().classes.alerts.count).toBe(1);
+    });
+
+    it('classifies cache keys', () => {
+      expect(getDataClass(CACHE_KEYS.TRIBAL_DATA)).toBe('geometry');
+      expect(getDataClass('tribal_forecast_data_lummi')).toBe('forecast');
+      expect(getDataClass('unknown')).toBe('general');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * telemetry.js Unit Tests
+ * Tests for the opt-out client telemetry transport
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  isTelemetryEnabled,
+  setTelemetryEnabled,
+  recordTelemetryEvent,
+  getQueuedTelemetry,
+  flushTelemetry,
+  installTelemetry
+} from '@services/telemetry';
+import { recordSourceSuccess, recordSourceFailure } from '@services/dataSources';
+import { createLogger } from '@utils/logger';
+
+const mockFetch = vi.fn();
+vi.stubGlobal('fetch', mockFetch);
+
+const sentEvents = () => JSON.parse(mockFetch.mock.lastCall[1].body).events;
+
+describe('telemetry', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValue(new Response(null, { status: 202 }));
+    // Drain anything left by a previous test
+    await flushTelemetry();
+    mockFetch.mockClear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // ==========================================
+  // Opt-out (2 tests)
+  // ==========================================
+  describe('opt-out', () => {
+
+    it('is enabled until the user opts out', () => {
+      expect(isTelemetryEnabled()).toBe(true);
+      setTelemetryEnabled(false);
+      expect(isTelemetryEnabled()).toBe(false);
+      expect(localStorage.getItem('tribalweather_telemetry_opt_out')).toBe('true');
+    });
+
+    it('drops queued events and stops recording when opted out', async () => {
+      recordTelemetryEvent({ type: 'log', level: 'warn', context: 'Map', message: 'queued' });
+      setTelemetryEnabled(false);
+      recordTelemetryEvent({ type: 'log', level: 'warn', context: 'Map', message: 'ignored' });
+
+      await flushTelemetry();
+
+      expect(getQueuedTelemetry()).toEqual([]);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==========================================
+  // Transport (3 tests)
+  // ==========================================
+  describe('installTelemetry', () => {
+    let uninstall;
+
+    beforeEach(() => {
+      uninstall = installTelemetry();
+    });
+
+    afterEach(() => {
+      uninstall();
+    });
+
+    it('batches scrubbed warnings and errors from every logger', async () => {
+      const logger = createLogger('Forecast');
+      logger.info('Not sent');
+      logger.warn('No forecast for 47.6062,-122.3321', { lat: 47.6 });
+      logger.error('Request to https://api.weather.gov/points failed');
+
+      await flushTelemetry();
+
+      expect(mockFetch).toHaveBeenCalledWith('/api/telemetry', expect.objectContaining({ method: 'POST' }));
+      expect(sentEvents()).toEqual([
+        { type: 'log', level: 'warn', context: 'Forecast', message: 'No forecast for <coord>,<coord>' },
+        { type: 'log', level: 'error', context: 'Forecast', message: 'Request to <url> failed' }
+      ]);
+    });
+
+    it('records the outcome and duration of data source requests', async () => {
+      recordSourceSuccess('test-telemetry', { latencyMs: 120, recordCount: 4 });
+      const error = Object.assign(new Error('HTTP 503'), { status: 503 });
+      recordSourceFailure('test-telemetry', error, { latencyMs: 900 });
+
+      await flushTelemetry();
+
+      expect(sentEvents()).toEqual([
+        { type: 'fetch', source: 'test-telemetry', ok: true, durationMs: 120, status: null },
+        { type: 'fetch', source: 'test-telemetry', ok: false, durationMs: 900, status: 503 }
+      ]);
+    });
+
+    it('stops collecting once uninstalled', async () => {
+      uninstall();
+      createLogger('Map').warn('After uninstall');
+
+      await flushTelemetry();
+
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+});
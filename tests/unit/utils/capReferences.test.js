@@ -0,0 +1,41 @@
+/**
+ * capReferences.js Unit Tests
+ * Tests for CAP references parsing
+ *
+ * Tests cover:
+ * - CAP text triples (Environment Canada)
+ * - NWS reference objects
+ * - Identifier arrays and missing references
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseReferences } from '@utils/capReferences';
+
+describe('capReferences', () => {
+
+  // ==========================================
+  // parseReferences (4 tests)
+  // ==========================================
+  describe('parseReferences', () => {
+
+    it('parses CAP sender,identifier,sent triples', () => {
+      const refs = 'cap-pac@canada.ca,urn:oid:1,2025-01-03T18:00:00-00:00 cap-pac@canada.ca,urn:oid:2,2025-01-03T19:00:00-00:00';
+      expect(parseReferences(refs)).toEqual(['urn:oid:1', 'urn:oid:2']);
+    });
+
+    it('parses NWS reference objects', () => {
+      const refs = [{ '@id': 'https://api.weather.gov/alerts/urn:oid:1', identifier: 'urn:oid:1', sender: 'w-nws.webmaster@noaa.gov' }];
+      expect(parseReferences(refs)).toEqual(['urn:oid:1']);
+    });
+
+    it('passes through identifier arrays', () => {
+      expect(parseReferences(['urn:oid:1', 'urn:oid:2'])).toEqual(['urn:oid:1', 'urn:oid:2']);
+    });
+
+    it('returns empty array for missing references', () => {
+      expect(parseReferences(undefined)).toEqual([]);
+      expect(parseReferences('')).toEqual([]);
+      expect(parseReferences([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * concurrency.js Unit Tests
+ * Tests for bounded-concurrency mapping used by the alert pipeline
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from '@utils/concurrency';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('concurrency', () => {
+
+  // ==========================================
+  // mapWithConcurrency (6 tests)
+  // ==========================================
+  describe('mapWithConcurrency', () => {
+
+    it('maps every item in input order', async () => {
+      const result = await mapWithConcurrency([3, 1, 2], 2, async (n) => {
+        await delay(n);
+        return n * 10;
+      });
+      expect(result).toEqual([30, 10, 20]);
+    });
+
+    it('never exceeds the concurrency limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      await mapWithConcurrency(Array.from({ length: 20 }, (_, i) => i), 4, async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await delay(1);
+        inFlight--;
+      });
+
+      expect(maxInFlight).toBe(4);
+    });
+
+    it('reports results in completion order', async () => {
+      const completed = [];
+      await mapWithConcurrency([5, 1], 2, async (n) => {
+        await delay(n);
+        return n;
+      }, (result) => completed.push(result));
+
+      expect(completed).toEqual([1, 5]);
+    });
+
+    it('passes the item index', async () => {
+      const result = await mapWithConcurrency(['a', 'b'], 1, async (item, index) => `${item}${index}`);
+      expect(result).toEqual(['a0', 'b1']);
+    });
+
+    it('handles empty input', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+    });
+
+    it('treats limits below one as sequential', async () => {
+      const result = await mapWithConcurrency([1, 2], 0, async (n) => n);
+      expect(result).toEqual([1, 2]);
+    });
+  });
+});
@@ -12,11 +12,16 @@ import {
   boundingBoxesIntersect,
   getPolygonCentroid,
   bufferPoint,
+  distanceKm,
+  distanceToGeometryKm,
   resolveAlertGeometry,
   calculatePolygonArea,
   simplifyPolygon,
   isValidGeometry,
-  getGeometryType
+  getGeometryType,
+  getGeometryPolygons,
+  pointInGeometry,
+  geometryOverlap
 } from '@utils/geometry';
 
 // Test fixtures
@@ -32,6 +37,12 @@ const distantSquare = [
   [[-120.0, 45.0], [-120.0, 46.0], [-119.0, 46.0], [-119.0, 45.0], [-120.0, 45.0]]
 ];
 
+// Axis-aligned square Polygon geometry (counter-clockwise)
+const square = (minX, minY, maxX, maxY) => ({
+  type: 'Polygon',
+  coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]]
+});
+
 describe('geometry', () => {
 
   // ==========================================
@@ -236,6 +247,26 @@ describe('geometry', () => {
     });
   });
 
+  // ==========================================
+  // distanceKm (3 tests)
+  // ==========================================
+  describe('distanceKm', () => {
+
+    it('returns zero for the same point', () => {
+      expect(distanceKm([-122.0, 48.0], [-122.0, 48.0])).toBe(0);
+    });
+
+    it('measures one degree of latitude as about 111 km', () => {
+      expect(distanceKm([-122.0, 47.0], [-122.0, 48.0])).toBeCloseTo(111.2, 0);
+    });
+
+    it('matches a known city pair (Seattle to Portland, ~234 km)', () => {
+      const distance = distanceKm([-122.3321, 47.6062], [-122.6784, 45.5152]);
+      expect(distance).toBeGreaterThan(230);
+      expect(distance).toBeLessThan(238);
+    });
+  });
+
   // ==========================================
   // resolveAlertGeometry (6 tests)
   // ==========================================
@@ -384,4 +415,154 @@ describe('geometry', () => {
     });
   });
 
+  // ==========================================
+  // getGeometryPolygons (3 tests)
+  // ==========================================
+  describe('getGeometryPolygons', () => {
+
+    it('wraps a Polygon in an array', () => {
+      expect(getGeometryPolygons(square(0, 0, 1, 1))).toHaveLength(1);
+    });
+
+    it('returns MultiPolygon coordinates', () => {
+      const multi = { type: 'MultiPolygon', coordinates: [square(0, 0, 1, 1).coordinates, square(2, 2, 3, 3).coordinates] };
+      expect(getGeometryPolygons(multi)).toHaveLength(2);
+    });
+
+    it('returns empty array for other geometry types', () => {
+      expect(getGeometryPolygons({ type: 'Point', coordinates: [0, 0] })).toEqual([]);
+      expect(getGeometryPolygons(null)).toEqual([]);
+    });
+  });
+
+  // ==========================================
+  // pointInGeometry (4 tests)
+  // ==========================================
+  describe('pointInGeometry', () => {
+
+    const withHole = {
+      type: 'Polygon',
+      coordinates: [square(0, 0, 4, 4).coordinates[0], square(1, 1, 2, 2).coordinates[0]]
+    };
+
+    it('finds points inside the outer ring', () => {
+      expect(pointInGeometry([3, 3], withHole)).toBe(true);
+    });
+
+    it('excludes points inside holes', () => {
+      expect(pointInGeometry([1.5, 1.5], withHole)).toBe(false);
+    });
+
+    it('checks every polygon of a MultiPolygon', () => {
+      const multi = { type: 'MultiPolygon', coordinates: [square(0, 0, 1, 1).coordinates, square(5, 5, 6, 6).coordinates] };
+      expect(pointInGeometry([5.5, 5.5], multi)).toBe(true);
+    });
+
+    it('rejects invalid points', () => {
+      expect(pointInGeometry(null, withHole)).toBe(false);
+      expect(pointInGeometry([NaN, 1], withHole)).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // geometryOverlap (9 tests)
+  // ==========================================
+  describe('geometryOverlap', () => {
+
+    const tribe = square(-120.5, 46.0, -120.0, 46.5);
+
+    it('reports full coverage when the alert contains the target', () => {
+      const result = geometryOverlap(tribe, square(-121, 45, -119, 47));
+      expect(result.intersects).toBe(true);
+      expect(result.coverage).toBeCloseTo(1, 6);
+    });
+
+    it('reports half coverage for an alert over the eastern half', () => {
+      const result = geometryOverlap(tribe, square(-120.25, 45, -119, 47));
+      expect(result.intersects).toBe(true);
+      expect(result.coverage).toBeCloseTo(0.5, 6);
+    });
+
+    it('detects overlap when no vertex is inside the other polygon', () => {
+      // A thin band crossing the middle: no corners of either shape inside the other
+      const band = square(-121, 46.2, -119, 46.3);
+      const result = geometryOverlap(tribe, band);
+      expect(result.intersects).toBe(true);
+      expect(result.coverage).toBeCloseTo(0.2, 6);
+    });
+
+    it('reports no overlap for disjoint geometries', () => {
+      expect(geometryOverlap(tribe, square(-118, 46, -117, 47))).toMatchObject({ intersects: false, coverage: 0 });
+    });
+
+    it('does not count polygons that only share an edge', () => {
+      expect(geometryOverlap(tribe, square(-120.0, 46.0, -119.5, 46.5)).intersects).toBe(false);
+    });
+
+    it('excludes holes in the alert area', () => {
+      const alertWithHole = {
+        type: 'Polygon',
+        coordinates: [
+          square(-121, 45, -119, 47).coordinates[0],
+          square(-120.5, 46.0, -120.25, 46.5).coordinates[0]
+        ]
+      };
+      expect(geometryOverlap(tribe, alertWithHole).coverage).toBeCloseTo(0.5, 6);
+    });
+
+    it('excludes holes in the target area', () => {
+      const tribeWithHole = {
+        type: 'Polygon',
+        coordinates: [tribe.coordinates[0], square(-120.4, 46.1, -120.1, 46.4).coordinates[0]]
+      };
+      const result = geometryOverlap(tribeWithHole, square(-121, 45, -119, 47));
+      expect(result.coverage).toBeCloseTo(1, 6);
+      expect(result.targetArea).toBeLessThan(geometryOverlap(tribe, tribe).targetArea);
+    });
+
+    it('sums coverage across MultiPolygon alerts', () => {
+      const multi = {
+        type: 'MultiPolygon',
+        coordinates: [
+          square(-121, 46.0, -119, 46.1).coordinates,
+          square(-121, 46.4, -119, 46.5).coordinates
+        ]
+      };
+      expect(geometryOverlap(tribe, multi).coverage).toBeCloseTo(0.4, 3);
+    });
+
+    it('handles clockwise rings and invalid input', () => {
+      const clockwise = { type: 'Polygon', coordinates: [[...tribe.coordinates[0]].reverse()] };
+      expect(geometryOverlap(clockwise, square(-120.25, 45, -119, 47)).coverage).toBeCloseTo(0.5, 6);
+      expect(geometryOverlap(null, tribe).intersects).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // distanceToGeometryKm (4 tests)
+  // ==========================================
+  describe('distanceToGeometryKm', () => {
+
+    const land = square(-120.5, 46.0, -120.0, 46.5);
+
+    it('is zero inside the geometry', () => {
+      expect(distanceToGeometryKm([-120.25, 46.25], land)).toBe(0);
+    });
+
+    it('measures to the nearest edge', () => {
+      // 0.1 degrees of latitude north of the land
+      expect(distanceToGeometryKm([-120.25, 46.6], land)).toBeCloseTo(11.13, 1);
+    });
+
+    it('uses the nearest polygon of a MultiPolygon', () => {
+      const multi = { type: 'MultiPolygon', coordinates: [land.coordinates, square(-118, 46, -117, 47).coordinates] };
+      expect(distanceToGeometryKm([-118.05, 46.5], multi)).toBeLessThan(5);
+    });
+
+    it('is Infinity without polygons', () => {
+      expect(distanceToGeometryKm([-120, 46], null)).toBe(Infinity);
+      expect(distanceToGeometryKm(null, land)).toBe(Infinity);
+    });
+  });
+
 });
@@ -0,0 +1,31 @@
+/**
+ * offline.js Unit Tests
+ * Tests for detecting data served from the service worker cache
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getCachedAt, CACHED_AT_HEADER } from '@utils/offline';
+
+describe('offline', () => {
+
+  // ==========================================
+  // getCachedAt (3 tests)
+  // ==========================================
+  describe('getCachedAt', () => {
+
+    it('returns the cache time of a service worker fallback', () => {
+      const response = new Response('{}', { headers: { [CACHED_AT_HEADER]: '2025-01-15T12:00:00.000Z' } });
+      expect(getCachedAt(response)).toEqual(new Date('2025-01-15T12:00:00.000Z'));
+    });
+
+    it('returns null for network responses', () => {
+      expect(getCachedAt(new Response('{}'))).toBeNull();
+    });
+
+    it('ignores invalid dates and mocked responses without headers', () => {
+      const response = new Response('{}', { headers: { [CACHED_AT_HEADER]: 'yesterday' } });
+      expect(getCachedAt(response)).toBeNull();
+      expect(getCachedAt({ ok: true })).toBeNull();
+    });
+  });
+});
@@ -313,7 +313,7 @@ describe('resilientFetch', () => {
 });
 
 // ==========================================
-// CircuitBreaker Class (15 tests)
+// CircuitBreaker Class (17 tests)
 // ==========================================
 describe('CircuitBreaker', () => {
 
@@ -474,6 +474,36 @@ describe('CircuitBreaker', () => {
 
   });
 
+  describe('state subscriptions', () => {
+
+    it('notifies listeners of each transition', async () => {
+      const listener = vi.fn();
+      circuitBreaker.subscribe(listener);
+
+      for (let i = 0; i < 3; i++) {
+        await circuitBreaker.execute(() => Promise.reject(new Error('fail'))).catch(() => {});
+      }
+      vi.advanceTimersByTime(5001);
+      await circuitBreaker.execute(() => Promise.resolve('success'));
+
+      expect(listener.mock.calls.map(([state]) => state.state)).toEqual(['OPEN', 'HALF_OPEN', 'CLOSED']);
+      expect(listener.mock.calls[0][0]).toMatchObject({ failureCount: 3, resetTimeoutMs: 5000 });
+    });
+
+    it('stops notifying after unsubscribe', async () => {
+      const listener = vi.fn();
+      const unsubscribe = circuitBreaker.subscribe(listener);
+      unsubscribe();
+
+      for (let i = 0; i < 3; i++) {
+        await circuitBreaker.execute(() => Promise.reject(new Error('fail'))).catch(() => {});
+      }
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+  });
+
 });
 
 // ==========================================
@@ -0,0 +1,99 @@
+/**
+ * streamflow.js Unit Tests
+ * Tests for USGS Water Services parsing and percent of median
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getUSGSInstantaneousUrl,
+  getUSGSMedianUrl,
+  formatUSGSSiteName,
+  parseUSGSInstantaneous,
+  parseUSGSMedians,
+  getPercentOfMedian
+} from '@utils/streamflow';
+import { mockUSGSInstantaneous, mockUSGSMedianRdb } from '../../mocks/rivers';
+
+describe('streamflow', () => {
+
+  // ==========================================
+  // URLs and Names (3 tests)
+  // ==========================================
+  describe('requests and site names', () => {
+
+    it('requests discharge at active stream sites in a state', () => {
+      expect(getUSGSInstantaneousUrl('WA')).toBe(
+        'https://waterservices.usgs.gov/nwis/iv/?format=json&stateCd=wa&parameterCd=00060&siteType=ST&siteStatus=active'
+      );
+    });
+
+    it('requests daily medians for a list of sites', () => {
+      expect(getUSGSMedianUrl(['12205000', '12507508'])).toContain('sites=12205000,12507508&statReportType=daily&statTypeCd=median');
+    });
+
+    it('expands abbreviations and drops the state', () => {
+      expect(formatUSGSSiteName('NF NOOKSACK R BL CASCADE CR NR GLACIER, WA'))
+        .toBe('North Fork Nooksack River below Cascade Creek near Glacier');
+      expect(formatUSGSSiteName('TOPPENISH CREEK NEAR FORT SIMCOE, WA')).toBe('Toppenish Creek near Fort Simcoe');
+    });
+  });
+
+  // ==========================================
+  // parseUSGSInstantaneous (3 tests)
+  // ==========================================
+  describe('parseUSGSInstantaneous', () => {
+
+    it('returns the latest discharge in the gauge shape', () => {
+      const [gauge] = parseUSGSInstantaneous(mockUSGSInstantaneous, 'WA');
+
+      expect(gauge).toMatchObject({
+        id: '12205000',
+        state: 'WA',
+        lat: 48.9062,
+        lng: -121.8443,
+        source: 'USGS',
+        percentOfMedian: null
+      });
+      expect(gauge.observed).toMatchObject({
+        flow: 1230,
+        flowUnit: 'cfs',
+        floodCategory: 'not_defined',
+        validTime: '2025-01-07T12:00:00.000Z'
+      });
+    });
+
+    it('skips sites without a current reading', () => {
+      const ids = parseUSGSInstantaneous(mockUSGSInstantaneous, 'WA').map(g => g.id);
+
+      expect(ids).toEqual(['12205000', '12507508']);
+    });
+
+    it('handles empty responses', () => {
+      expect(parseUSGSInstantaneous({ value: { timeSeries: [] } }, 'WA')).toEqual([]);
+      expect(parseUSGSInstantaneous(null, 'WA')).toEqual([]);
+    });
+  });
+
+  // ==========================================
+  // Medians (3 tests)
+  // ==========================================
+  describe('medians', () => {
+
+    it('reads the median of each site for a day', () => {
+      expect(parseUSGSMedians(mockUSGSMedianRdb, '01-07')).toEqual({ 12205000: 820, 12507508: 56 });
+      expect(parseUSGSMedians(mockUSGSMedianRdb, '01-08')).toEqual({ 12205000: 845 });
+    });
+
+    it('handles empty statistics', () => {
+      expect(parseUSGSMedians('# No sites found\n', '01-07')).toEqual({});
+      expect(parseUSGSMedians(undefined, '01-07')).toEqual({});
+    });
+
+    it('computes whole percent of median', () => {
+      expect(getPercentOfMedian(1230, 820)).toBe(150);
+      expect(getPercentOfMedian(42.1, 56)).toBe(75);
+      expect(getPercentOfMedian(10, 0)).toBeNull();
+      expect(getPercentOfMedian(10, null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * tiles.js Unit Tests
+ * Tests for slippy map tile addressing used by offline tile packs
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  lngToTileX,
+  latToTileY,
+  getTilesInBounds,
+  countTiles,
+  getTileUrl,
+  getTileUrls
+} from '@utils/tiles';
+import { REGIONS, DARK_TILE_URL } from '@utils/constants';
+
+const TEMPLATE = 'https://{s}.example.com/{z}/{x}/{y}{r}.png';
+
+describe('tiles', () => {
+
+  // ==========================================
+  // Tile Addressing (4 tests)
+  // ==========================================
+  describe('tile addressing', () => {
+
+    it('maps the origin to the south-east tile at zoom 1', () => {
+      expect(lngToTileX(0, 1)).toBe(1);
+      expect(latToTileY(0, 1)).toBe(1);
+    });
+
+    it('clamps coordinates at the edges of the world', () => {
+      expect(lngToTileX(180, 3)).toBe(7);
+      expect(latToTileY(89.9, 3)).toBe(0);
+      expect(latToTileY(-89.9, 3)).toBe(7);
+    });
+
+    it('lists tiles covering bounds north to south', () => {
+      expect(getTilesInBounds([[48.7, -122.8], [48.9, -122.5]], 9)).toEqual([{ x: 81, y: 176, z: 9 }]);
+      expect(getTilesInBounds([[48.7, -122.8], [48.9, -122.5]], 10)).toEqual([
+        { x: 162, y: 352, z: 10 },
+        { x: 163, y: 352, z: 10 }
+      ]);
+    });
+
+    it('counts the same tiles it lists', () => {
+      const { bounds, minZoom, defaultZoom } = REGIONS.SALISH_SEA;
+
+      expect(countTiles(bounds, minZoom, defaultZoom))
+        .toBe(getTileUrls(DARK_TILE_URL, bounds, minZoom, defaultZoom).length);
+    });
+  });
+
+  // ==========================================
+  // Tile URLs (2 tests)
+  // ==========================================
+  describe('getTileUrl', () => {
+
+    it('picks subdomains the way Leaflet does', () => {
+      expect(getTileUrl(TEMPLATE, { x: 1, y: 2, z: 3 }, { subdomains: 'abcd' }))
+        .toBe('https://d.example.com/3/1/2.png');
+      expect(getTileUrl(TEMPLATE, { x: 2, y: 2, z: 3 }, { subdomains: 'abcd' }))
+        .toBe('https://a.example.com/3/2/2.png');
+    });
+
+    it('fills the retina placeholder', () => {
+      expect(getTileUrl(TEMPLATE, { x: 0, y: 0, z: 0 }, { retina: true }))
+        .toBe('https://a.example.com/0/0/0@2x.png');
+    });
+  });
+});
@@ -14,6 +14,8 @@ import {
   milesToKm,
   mmToInches,
   inchesToMm,
+  normalizeStage,
+  normalizeFlow,
   detectMeasurementSystem,
   extractTemperatures,
   formatTemperatureBilingual,
@@ -162,6 +164,35 @@ describe('units', () => {
     });
   });
 
+  // ==========================================
+  // River Stage and Flow (5 tests)
+  // ==========================================
+  describe('river stage and flow normalization', () => {
+
+    it('converts stage in meters to feet', () => {
+      expect(normalizeStage(3.5, 'm')).toEqual({ value: 11.48, unit: 'ft', original: { value: 3.5, unit: 'm' } });
+    });
+
+    it('converts flow in cubic meters per second to kcfs', () => {
+      expect(normalizeFlow(1000, 'm³/s')).toEqual({ value: 35.315, unit: 'kcfs', original: { value: 1000, unit: 'm³/s' } });
+      expect(normalizeFlow(2.5, 'kcfs', 'cfs').value).toBe(2500);
+    });
+
+    it('keeps values already in the target unit', () => {
+      expect(normalizeStage(12.4, 'ft').value).toBe(12.4);
+      expect(normalizeFlow(41, 'kcfs').value).toBe(41);
+    });
+
+    it('passes unknown units through', () => {
+      expect(normalizeFlow(12, 'gpm')).toMatchObject({ value: 12, unit: 'gpm' });
+    });
+
+    it('handles missing values', () => {
+      expect(normalizeStage(null, 'm')).toBeNull();
+      expect(normalizeFlow(undefined, 'm³/s')).toBeNull();
+    });
+  });
+
   // ==========================================
   // Measurement System Detection (6 tests)
   // ==========================================
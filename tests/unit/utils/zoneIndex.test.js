@@ -0,0 +1,177 @@
+/**
+ * zoneIndex.js Unit Tests
+ * Tests for bundled NWS zone geometry resolution
+ *
+ * Tests cover:
+ * - Zone URL / UGC code parsing
+ * - Index lookups by zone type
+ * - Missing zone reporting for network fallback
+ * - Geometry combination
+ * - Shipped index contents
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { describe, it, expect } from 'vitest';
+import { mockZoneIndex, mockNWSZones, mockMarineZones } from '../../mocks/zones';
+import {
+  EMPTY_ZONE_INDEX,
+  normalizeZoneIndex,
+  parseZoneRef,
+  getZoneGeometry,
+  resolveZoneGeometries,
+  combineZoneGeometries
+} from '@utils/zoneIndex';
+
+const ZONE_URL = 'https://api.weather.gov/zones';
+const SHIPPED_INDEX_PATH = path.join(process.cwd(), 'public', 'data', 'nws-zones-pnw.min.json');
+
+describe('zoneIndex', () => {
+
+  // ==========================================
+  // Zone Reference Parsing (5 tests)
+  // ==========================================
+  describe('parseZoneRef', () => {
+
+    it('parses forecast zone URLs', () => {
+      expect(parseZoneRef(`${ZONE_URL}/forecast/WAZ001`)).toEqual({ type: 'forecast', id: 'WAZ001' });
+    });
+
+    it('parses county and fire zone URLs', () => {
+      expect(parseZoneRef(`${ZONE_URL}/county/WAC073`)).toEqual({ type: 'county', id: 'WAC073' });
+      expect(parseZoneRef(`${ZONE_URL}/fire/WAZ658`)).toEqual({ type: 'fire', id: 'WAZ658' });
+    });
+
+    it('parses bare UGC codes case-insensitively', () => {
+      expect(parseZoneRef('waz001')).toEqual({ type: null, id: 'WAZ001' });
+    });
+
+    it('returns null for unrecognized references', () => {
+      expect(parseZoneRef('https://example.com/foo')).toBeNull();
+      expect(parseZoneRef('BC001')).toBeNull();
+    });
+
+    it('returns null for non-string input', () => {
+      expect(parseZoneRef(null)).toBeNull();
+      expect(parseZoneRef(42)).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Index Lookup (6 tests)
+  // ==========================================
+  describe('getZoneGeometry', () => {
+
+    it('resolves forecast zones by URL', () => {
+      expect(getZoneGeometry(mockZoneIndex, `${ZONE_URL}/forecast/WAZ001`)).toEqual(mockNWSZones[0].geometry);
+    });
+
+    it('resolves marine zones', () => {
+      expect(getZoneGeometry(mockZoneIndex, `${ZONE_URL}/forecast/PZZ110`)).toEqual(mockMarineZones[0].geometry);
+    });
+
+    it('treats public zone URLs as forecast zones', () => {
+      expect(getZoneGeometry(mockZoneIndex, `${ZONE_URL}/public/WAZ002`)).toEqual(mockNWSZones[1].geometry);
+    });
+
+    it('resolves bare county and fire UGC codes', () => {
+      expect(getZoneGeometry(mockZoneIndex, 'WAC073')).toEqual(mockNWSZones[0].geometry);
+      expect(getZoneGeometry(mockZoneIndex, 'WAZ658')).toEqual(mockNWSZones[1].geometry);
+    });
+
+    it('does not cross zone types for typed URLs', () => {
+      expect(getZoneGeometry(mockZoneIndex, `${ZONE_URL}/fire/WAZ001`)).toBeNull();
+    });
+
+    it('returns null for zones not in the index', () => {
+      expect(getZoneGeometry(mockZoneIndex, `${ZONE_URL}/forecast/ORZ999`)).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Resolution (4 tests)
+  // ==========================================
+  describe('resolveZoneGeometries', () => {
+
+    it('resolves every zone without truncation', () => {
+      const refs = ['WAZ001', 'WAZ002', 'WAZ003', 'WAZ004', 'PZZ110', 'PZZ131'].map(id => `${ZONE_URL}/forecast/${id}`);
+      const { geometries, missing } = resolveZoneGeometries(mockZoneIndex, refs);
+
+      expect(geometries).toHaveLength(6);
+      expect(missing).toEqual([]);
+    });
+
+    it('reports zones missing from the index', () => {
+      const missingUrl = `${ZONE_URL}/forecast/ORZ999`;
+      const { geometries, missing } = resolveZoneGeometries(mockZoneIndex, [`${ZONE_URL}/forecast/WAZ001`, missingUrl]);
+
+      expect(geometries).toHaveLength(1);
+      expect(missing).toEqual([missingUrl]);
+    });
+
+    it('reports everything missing when the index is empty', () => {
+      const { missing } = resolveZoneGeometries(EMPTY_ZONE_INDEX, [`${ZONE_URL}/forecast/WAZ001`]);
+
+      expect(missing).toHaveLength(1);
+    });
+
+    it('fills in zone types an index file leaves out', () => {
+      const index = normalizeZoneIndex({ generated: '2025-01-01', zones: { forecast: { WAZ001: null } } });
+
+      expect(index.zones.county).toEqual({});
+      expect(index.zones.fire).toEqual({});
+      expect(getZoneGeometry(index, 'WAC073')).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Geometry Combination (3 tests)
+  // ==========================================
+  describe('combineZoneGeometries', () => {
+
+    it('returns null for no geometries', () => {
+      expect(combineZoneGeometries([null])).toBeNull();
+    });
+
+    it('returns a single geometry unchanged', () => {
+      const geometry = mockNWSZones[0].geometry;
+      expect(combineZoneGeometries([geometry])).toBe(geometry);
+    });
+
+    it('merges polygons and multipolygons', () => {
+      const multi = {
+        type: 'MultiPolygon',
+        coordinates: [mockNWSZones[2].geometry.coordinates, mockNWSZones[3].geometry.coordinates]
+      };
+      const combined = combineZoneGeometries([mockNWSZones[0].geometry, multi]);
+
+      expect(combined.type).toBe('MultiPolygon');
+      expect(combined.coordinates).toHaveLength(3);
+    });
+  });
+
+  // ==========================================
+  // Shipped Index (2 tests)
+  // ==========================================
+  describe('public/data/nws-zones-pnw.min.json', () => {
+
+    const shipped = normalizeZoneIndex(JSON.parse(readFileSync(SHIPPED_INDEX_PATH, 'utf8')));
+
+    it('is not the empty skeleton', () => {
+      const zoneCount = Object.values(shipped.zones).reduce((sum, zones) => sum + Object.keys(zones).length, 0);
+
+      expect(shipped.generated).toBeTruthy();
+      expect(zoneCount).toBeGreaterThan(0);
+    });
+
+    it('covers every WA, OR and ID county zone', () => {
+      const counties = Object.keys(shipped.zones.county);
+
+      expect(counties.filter(id => id.startsWith('WAC'))).toHaveLength(39);
+      expect(counties.filter(id => id.startsWith('ORC'))).toHaveLength(36);
+      expect(counties.filter(id => id.startsWith('IDC'))).toHaveLength(44);
+      expect(getZoneGeometry(shipped, `${ZONE_URL}/county/WAC033`)?.type).toMatch(/Polygon$/);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * watchList.js Unit Tests
+ * Tests for the "My Community" watch list and per-community hazard summary
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getWatchList,
+  saveWatchList,
+  toCommunity,
+  addCommunity,
+  removeCommunity,
+  findCommunityFeature,
+  findNearby,
+  buildCommunityHazards,
+  WATCH_LIST_EVENT
+} from '@services/watchList';
+import { clearAllCache } from '@services/cache';
+import { mockTribalBoundaries } from '../mocks/zones';
+
+// Mock logger
+vi.mock('@utils/logger', () => ({
+  cacheLogger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const [lummi, nooksack] = mockTribalBoundaries.features;
+
+// Alert polygon covering the Lummi Reservation
+const lummiAlert = {
+  id: 'lummi-warning',
+  severity: 'WARNING',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[-122.8, 48.7], [-122.5, 48.7], [-122.5, 48.9], [-122.8, 48.9], [-122.8, 48.7]]]
+  }
+};
+
+function createGauge(id, lat, lng, floodCategory) {
+  return { id, name: id, lat, lng, observed: { floodCategory } };
+}
+
+describe('watchList', () => {
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  // ==========================================
+  // Persistence (6 tests)
+  // ==========================================
+  describe('persistence', () => {
+
+    it('returns an empty list when nothing is stored', () => {
+      expect(getWatchList()).toEqual([]);
+    });
+
+    it('builds a community entry from a Tribal feature', () => {
+      expect(toCommunity(lummi)).toEqual({
+        id: '5300100',
+        name: 'Lummi Reservation',
+        fullName: 'Lummi Reservation',
+        region: null,
+        isCanadian: false,
+        lat: 48.8023456,
+        lon: -122.6456789
+      });
+    });
+
+    it('adds communities once', () => {
+      addCommunity(lummi);
+      addCommunity(lummi);
+      addCommunity(nooksack);
+
+      expect(getWatchList().map(c => c.id)).toEqual(['5300100', '5300200']);
+    });
+
+    it('removes communities by id', () => {
+      addCommunity(lummi);
+      addCommunity(nooksack);
+
+      expect(removeCommunity('5300100').map(c => c.id)).toEqual(['5300200']);
+    });
+
+    it('notifies listeners when the list changes', () => {
+      const listener = vi.fn();
+      window.addEventListener(WATCH_LIST_EVENT, listener);
+
+      saveWatchList([]);
+      window.removeEventListener(WATCH_LIST_EVENT, listener);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('survives clearing the data cache', () => {
+      addCommunity(lummi);
+      clearAllCache();
+
+      expect(getWatchList()).toHaveLength(1);
+    });
+  });
+
+  // ==========================================
+  // Nearby Search (4 tests)
+  // ==========================================
+  describe('findNearby', () => {
+
+    it('returns items within the radius, nearest first', () => {
+      const items = [
+        { id: 'far', lat: 48.80, lng: -122.00 },
+        { id: 'near', lat: 48.80, lng: -122.60 }
+      ];
+      const nearby = findNearby(items, [-122.65, 48.80], 100);
+
+      expect(nearby.map(i => i.id)).toEqual(['near', 'far']);
+      expect(nearby[0].distanceKm).toBeLessThan(5);
+    });
+
+    it('excludes items outside the radius', () => {
+      expect(findNearby([{ id: 'x', lat: 47.0, lng: -122.6 }], [-122.65, 48.80], 50)).toEqual([]);
+    });
+
+    it('accepts lon as well as lng', () => {
+      expect(findNearby([{ id: 'buoy', lat: 48.80, lon: -122.70 }], [-122.65, 48.80], 10)).toHaveLength(1);
+    });
+
+    it('returns nothing without a center', () => {
+      expect(findNearby([{ id: 'x', lat: 48.8, lng: -122.6 }], null, 50)).toEqual([]);
+    });
+  });
+
+  // ==========================================
+  // Community Hazards (4 tests)
+  // ==========================================
+  describe('buildCommunityHazards', () => {
+
+    it('combines alerts, flooding gauges and marine observations', () => {
+      const community = toCommunity(lummi);
+      const hazards = buildCommunityHazards(community, lummi, {
+        alerts: [lummiAlert],
+        gauges: [createGauge('NKSW1', 48.85, -122.50, 'minor')],
+        buoys: [{ id: '46088', lat: 48.33, lon: -123.17 }],
+        tides: [{ id: '9449211', lat: 48.75, lon: -122.50 }]
+      });
+
+      expect(hazards.alerts.map(a => a.id)).toEqual(['lummi-warning']);
+      expect(hazards.alerts[0].coverage).toBe(100);
+      expect(hazards.gauges.map(g => g.id)).toEqual(['NKSW1']);
+      expect(hazards.buoys).toHaveLength(1);
+      expect(hazards.tides).toHaveLength(1);
+      expect(hazards.status).toBe('WARNING');
+    });
+
+    it('ignores gauges that are not flooding', () => {
+      const hazards = buildCommunityHazards(toCommunity(lummi), lummi, {
+        gauges: [createGauge('NORMAL', 48.85, -122.50, 'no_flooding')]
+      });
+
+      expect(hazards.gauges).toEqual([]);
+      expect(hazards.status).toBe('NONE');
+    });
+
+    it('skips alert matching when the feature is not loaded', () => {
+      const hazards = buildCommunityHazards(toCommunity(lummi), null, { alerts: [lummiAlert] });
+      expect(hazards.alerts).toEqual([]);
+    });
+
+    it('finds pinned features in the Tribal dataset', () => {
+      expect(findCommunityFeature(mockTribalBoundaries, '5300200')).toBe(nooksack);
+      expect(findCommunityFeature(null, '5300200')).toBeNull();
+    });
+  });
+});
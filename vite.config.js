@@ -3,6 +3,35 @@ import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
 import path from 'path'
 
+// Stamps cached data responses so offline fallbacks can show "last known as
+// of" (header name matches CACHED_AT_HEADER in src/utils/offline.js)
+const stampCachedAt = {
+  cacheWillUpdate: async ({ response }) => {
+    if (!response || response.status !== 200) return null
+    const headers = new Headers(response.headers)
+    headers.set('X-Cached-At', new Date().toISOString())
+    return new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    })
+  }
+}
+
+// Answers from downloaded offline map packs (src/services/offlinePacks.js)
+// when a route's own cache has no copy
+const offlinePackFallback = {
+  cachedResponseWillBeUsed: async ({ request, cachedResponse }) => {
+    if (cachedResponse) return cachedResponse
+    const names = (await caches.keys()).filter(name => name.startsWith('offline-pack-'))
+    for (const name of names) {
+      const match = await (await caches.open(name)).match(request, { ignoreVary: true })
+      if (match) return match
+    }
+    return null
+  }
+}
+
 export default defineConfig({
   resolve: {
     alias: {
@@ -13,14 +42,12 @@ export default defineConfig({
       '@services': path.resolve(__dirname, './src/services'),
     }
   },
-  server: {
-    proxy: {
-      // Proxy for Environment Canada MSC Datamart (CORS not allowed)
-      '/ec-alerts': {
-        target: 'https://dd.weather.gc.ca',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/ec-alerts/, ''),
-        secure: true
+  build: {
+    rollupOptions: {
+      // The app and the embeddable widget page for partner sites
+      input: {
+        main: 'index.html',
+        embed: 'embed.html'
       }
     }
   },
@@ -52,8 +79,59 @@ export default defineConfig({
         ]
       },
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,geojson}'],
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,geojson,json}'],
+        // Alert notification handlers (push, app messages, notification clicks)
+        importScripts: ['push-sw.js'],
+        // API routes and the widget page (loaded with ?widget=… query
+        // strings that miss the precache) are never answered with the app shell
+        navigateFallbackDenylist: [/^\/api\//, /^\/embed\.html/],
         runtimeCaching: [
+          {
+            // Alerts, rivers and other data APIs: fresh when online, last
+            // known response when offline (not push or telemetry)
+            urlPattern: ({ url, sameOrigin }) => sameOrigin && url.pathname.startsWith('/api/') &&
+              !url.pathname.startsWith('/api/push') && !url.pathname.startsWith('/api/telemetry'),
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'api-data',
+              networkTimeoutSeconds: 10,
+              expiration: {
+                maxEntries: 50,
+                maxAgeSeconds: 60 * 60 * 24 * 7
+              },
+              plugins: [stampCachedAt, offlinePackFallback]
+            }
+          },
+          {
+            // BC First Nations reserves (WFS) for the Tribal boundaries layer
+            urlPattern: new RegExp('^https://openmaps\\.gov\\.bc\\.ca/geo/pub/'),
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'boundary-data',
+              networkTimeoutSeconds: 15,
+              expiration: {
+                maxEntries: 10,
+                maxAgeSeconds: 60 * 60 * 24 * 30
+              },
+              plugins: [stampCachedAt, offlinePackFallback]
+            }
+          },
+          {
+            // CARTO dark basemap used by the map (region packs are warmed
+            // into this cache, see src/services/tilePacks.js; downloaded
+            // offline packs are the fallback)
+            urlPattern: new RegExp('^https://[a-d]\\.basemaps\\.cartocdn\\.com/'),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'basemap-tiles',
+              expiration: {
+                maxEntries: 3000,
+                maxAgeSeconds: 60 * 60 * 24 * 30
+              },
+              cacheableResponse: { statuses: [0, 200] },
+              plugins: [offlinePackFallback]
+            }
+          },
           {
             urlPattern: new RegExp('^https://[a-c]\\.tile\\.openstreetmap\\.org/'),
             handler: 'CacheFirst',